@@ -24,15 +24,97 @@
  * - error: String containing error message, null if no error
  * - fileName: String with the uploaded file's name for reference
  * - stats: Object containing stats like rowCount, columnCount, fileSize
+ * - warnings: Array of mapping warnings from the last import (e.g. unmatched columns)
+ * - profiles / activeProfileId: Column mapping profiles and the one used for uploads
+ * - pendingImport: Workbook waiting in the import wizard (data is untouched until it completes)
+ * - importProgress: Progress reported by the parsing Web Worker while reading
+ * - sheetTabs / activeSheet: Sheets imported as separate tabs and the one shown
+ * - dateFormat: How CHALL_DATE is displayed (stored as YYYY-MM-DD, exported as YYYYMMDD)
+ * - amountSettings: Decimals kept in CHAN_AMT and how extra decimals are
+ *   rounded (see amountUtils.js); edited amounts are normalized to them
+ * - diagnostics: Values the last import changed and source columns it skipped
+ * - focusRequest: Row the table should jump to (set from the diagnostics panel)
+ * - columnLayout: Column order, widths, hidden and pinned fields of the
+ *   active mapping profile (saved per profile, see columnLayout.js)
+ * - exportVisibleColumns: Whether exports use the table's visible columns and order
+ * - baseline: Rows exactly as the last import produced them; changes (derived)
+ *   compares the data with it (see changeTracking.js)
+ * - history: Labeled undo/redo steps of every data change since the import
+ *   (patches, see history.js); isHistoryOpen shows the history panel
+ * - validation (derived): Schema validation of every row, see validation.js
+ * - session: { id, createdAt } of the session being autosaved to IndexedDB
+ *   (see sessionStore.js), null after Clear; tableViews holds the view state
+ *   of each table (per sheet tab) so it is saved too
+ * - lastSavedAt / autosaveError: When the last save finished, or why the
+ *   last one failed (shown instead of the time until a save succeeds)
+ * - savedSessions / restoreOffer / isSessionsOpen: Recent sessions, the one
+ *   offered for restoring on start-up, and whether their list is open;
+ *   sessionsError tells why the list could not be read
+ * - isSnapshotsOpen: Whether the snapshot manager (named checkpoints,
+ *   restore and compare, see snapshots.js) is open
+ * - isCompareOpen: Whether the two-file comparison (see fileCompare.js) is open
  *
  * DATA FLOW:
- * User uploads file → parseExcelFile() transforms data → Display in table
+ * User uploads file → ImportWizard (sheet, header row, column matching, dry run)
+ *                   → transformRows() result replaces data → Display in table
  *                   → User edits rows → Update state → Pass to VirtualizedDataTable
+ *                   → Each change is recorded in history (Ctrl+Z / Ctrl+Shift+Z)
  */
 
-import { useState } from 'react';
+import { useState, useRef, useMemo, useEffect, useCallback } from 'react';
 import VirtualizedDataTable from './components/VirtualizedDataTable';
-import { parseExcelFile, exportDataAsCSV, exportDataAsExcel } from './utils/excelParser';
+import MappingProfileModal from './components/MappingProfileModal';
+import ImportWizard, { PREVIEW_FETCH_LIMIT } from './components/ImportWizard';
+import ImportProgress from './components/ImportProgress';
+import ImportDiagnosticsPanel from './components/ImportDiagnosticsPanel';
+import HistoryPanel from './components/HistoryPanel';
+import RowDetailDrawer from './components/RowDetailDrawer';
+import MasterDataBar from './components/MasterDataBar';
+import SessionRestorePrompt from './components/SessionRestorePrompt';
+import RecentSessionsModal from './components/RecentSessionsModal';
+import SnapshotManagerModal from './components/SnapshotManagerModal';
+import FileCompareModal from './components/FileCompareModal';
+import {
+  exportDataAsCSV,
+  exportDataAsExcel,
+  exportSheetsAsExcel,
+  exportDiagnosticsReport,
+  exportChangeLog,
+} from './utils/excelParser';
+import { emptyDiagnostics } from './utils/importDiagnostics';
+import { validateDataset, confirmExportWithErrors } from './utils/validation';
+import { getRowsOfSheet, mergeSheetRows, listDatasetSheets } from './utils/sheetDatasets';
+import { createImportSession } from './utils/parserClient';
+import {
+  DEFAULT_PROFILE,
+  loadProfiles,
+  saveProfiles,
+  loadActiveProfileId,
+  saveActiveProfileId,
+} from './utils/mappingProfiles';
+import { DATE_DISPLAY_FORMATS, formatDate, loadDateDisplayFormat, saveDateDisplayFormat } from './utils/dateUtils';
+import { loadColumnLayout, saveColumnLayout, visibleColumns } from './utils/columnLayout';
+import { emptyHistory, recordChange, moveInHistory, describeChange } from './utils/history';
+import { readMasterFile, loadMasterData, saveMasterData } from './utils/masterData';
+import {
+  AMOUNT_SCALES,
+  ROUNDING_LABELS,
+  normalizeEditedAmounts,
+  rescaleAmounts,
+  loadAmountSettings,
+  saveAmountSettings,
+} from './utils/amountUtils';
+import { trackChanges, changesOfSheet, changeLogRows, countChanges, CHANGE_STATUS } from './utils/changeTracking';
+import {
+  isSessionStoreAvailable,
+  createSessionId,
+  createAutosaver,
+  listSessions,
+  loadSession,
+  deleteSession,
+  reuseUnchangedRows,
+} from './utils/sessionStore';
+import { loadSnapshot } from './utils/snapshots';
 import './App.css';
 
 function App() {
@@ -55,29 +137,136 @@ function App() {
   // Object storing statistics: rowCount (total rows), columnCount (total columns), fileSize (in KB)
   const [stats, setStats] = useState(null);
 
+  // Mapping warnings from the last import, e.g. SAP fields no source column matched
+  const [warnings, setWarnings] = useState([]);
+
+  // All column mapping profiles (built-in + saved) and the one selected for uploads
+  const [profiles, setProfiles] = useState(loadProfiles);
+  const [activeProfileId, setActiveProfileId] = useState(loadActiveProfileId);
+
+  // Workbook read from the last upload, waiting for the import wizard to finish
+  // Shape: { fileName, fileSize, session, sheets, initialPreview } or null
+  const [pendingImport, setPendingImport] = useState(null);
+
+  // Sheets imported as separate tabs (empty when everything is in one table)
+  const [sheetTabs, setSheetTabs] = useState([]);
+
+  // Tab currently shown in the table when sheetTabs is not empty
+  const [activeSheet, setActiveSheet] = useState(null);
+
+  // Latest progress message from the parsing worker while a file is being read
+  const [importProgress, setImportProgress] = useState(null);
+
+  // Import session currently reading a file (so the Cancel button can abort it)
+  const readingSessionRef = useRef(null);
+
+  // Whether the mapping profile editor is open
+  const [isProfileModalOpen, setIsProfileModalOpen] = useState(false);
+
+  // Display format for dates in the table (remembered between visits)
+  const [dateFormat, setDateFormat] = useState(loadDateDisplayFormat);
+
+  // Decimals and rounding of amounts (remembered between visits)
+  const [amountSettings, setAmountSettings] = useState(loadAmountSettings);
+
+  // Per-row diagnostics of the last import (see importDiagnostics.js)
+  const [diagnostics, setDiagnostics] = useState(emptyDiagnostics);
+
+  // { rowId } of the row the table should jump to; a new object on every request
+  const [focusRequest, setFocusRequest] = useState(null);
+
+  // Table column layout of the active mapping profile (remembered per profile)
+  const [columnLayout, setColumnLayout] = useState(() => loadColumnLayout(loadActiveProfileId()));
+
+  // Rows as imported, the reference for change tracking
+  const [baseline, setBaseline] = useState([]);
+
+  // Source column of every SAP field, per imported sheet (see provenance.js)
+  const [fieldSources, setFieldSources] = useState({});
+
+  // Id of the row whose provenance drawer is open, or null
+  const [detailRowId, setDetailRowId] = useState(null);
+
+  // Bank/branch/account reference list (remembered between visits) and
+  // whether its names are shown inside the table cells
+  const [masterData, setMasterData] = useState(loadMasterData);
+  const [showMasterNames, setShowMasterNames] = useState(false);
+
+  // Undo/redo steps of the current dataset, and whether the history panel is open
+  const [history, setHistory] = useState(emptyHistory);
+  const [isHistoryOpen, setIsHistoryOpen] = useState(false);
+
+  // When true, exports contain only the visible columns, in table order
+  const [exportVisibleColumns, setExportVisibleColumns] = useState(false);
+
+  // Session the work is autosaved to ({ id, createdAt } or null), the view
+  // state of each table keyed by sheet tab ('' without tabs), when the
+  // last save finished and the message of a failed one
+  const [session, setSession] = useState(null);
+  const [tableViews, setTableViews] = useState({});
+  const [lastSavedAt, setLastSavedAt] = useState(null);
+  const [autosaveError, setAutosaveError] = useState(null);
+
+  // Saved sessions (most recent first), the one offered for restoring on
+  // start-up, whether the recent sessions list is open and why it could
+  // not be read
+  const [savedSessions, setSavedSessions] = useState([]);
+  const [restoreOffer, setRestoreOffer] = useState(null);
+  const [isSessionsOpen, setIsSessionsOpen] = useState(false);
+  const [sessionsError, setSessionsError] = useState(null);
+
+  // Whether the snapshot manager is open
+  const [isSnapshotsOpen, setIsSnapshotsOpen] = useState(false);
+
+  // Whether the comparison of two uploaded files is open
+  const [isCompareOpen, setIsCompareOpen] = useState(false);
+
+  // Writes the session to IndexedDB in batches (see sessionStore.js)
+  const [autosaver] = useState(() => createAutosaver({
+    onSaved: (savedAt) => {
+      setLastSavedAt(savedAt);
+      setAutosaveError(null);
+    },
+    onError: (saveError) => {
+      console.warn('Autosave failed:', saveError);
+      setAutosaveError(saveError.message || String(saveError));
+    },
+  }));
+
+  // Falls back to the built-in profile if the remembered one was deleted
+  const activeProfile = profiles.find((profile) => profile.id === activeProfileId) || DEFAULT_PROFILE;
+
+  // Schema and master data validation of every row; only changed rows are re-checked (see validation.js)
+  const validation = useMemo(() => validateDataset(data, masterData), [data, masterData]);
+
+  // Rows added, modified and deleted since the import (see changeTracking.js)
+  const changes = useMemo(() => trackChanges(baseline, data, headers), [baseline, data, headers]);
+
+  // Columns passed to the exports (null = every field in header order)
+  const exportColumns = exportVisibleColumns ? visibleColumns(headers, columnLayout) : null;
+
   /**
    * =========================================================================
-   * handleFileUpload - Processes file upload and parses Excel data
+   * handleFileUpload - Reads the uploaded workbook and opens the import wizard
    * =========================================================================
    * 
    * TRIGGERED BY: File input onChange event when user selects a file
    * 
    * PROCESS:
    * 1. Extracts the File object from input event
-   * 2. Sets loading=true to disable controls and show processing message
+   * 2. Sets loading=true to disable controls and show the progress bar
    * 3. Clears any previous errors
-   * 4. Calls parseExcelFile() utility to read and transform the Excel file
-   * 5. If parsing succeeds:
-   *    - Stores headers, data, and filename
-   *    - Calculates and stores statistics (row count, column count, file size)
-   * 6. If parsing fails:
-   *    - Displays error message to user
-   *    - Clears all data, headers, and stats
+   * 4. Starts an import session: the parsing worker reads the workbook and
+   *    returns its sheets, then the first sheet's preview rows are fetched
+   * 5. If reading succeeds: stores the session as pendingImport, which opens
+   *    ImportWizard. The current dataset is NOT touched until the wizard completes.
+   * 6. If reading fails: displays the error, keeping the current dataset.
+   *    A cancelled read shows no error at all.
    * 7. Finally: Sets loading=false and clears file input value
    * 
    * ERROR HANDLING:
    * - Shows user-friendly error messages if file is invalid or unreadable
-   * - Catches both parsing errors and unexpected exceptions
+   * - A wrong file never replaces the data that is already loaded
    * 
    * @param {Event} event - The file input change event containing the File object
    */
@@ -88,46 +277,103 @@ function App() {
 
     setLoading(true);
     setError(null);
+    setImportProgress(null);
+
+    const session = createImportSession(file, { onProgress: setImportProgress });
+    readingSessionRef.current = session;
 
     try {
-      // Parse the Excel file using the XLSX utility function
-      const result = await parseExcelFile(file);
-
-      // Check if parsing encountered an error
-      if (result.error) {
-        // Display error to user and clear all data
-        setError(result.error);
-        setData([]);
-        setHeaders([]);
-        setStats(null);
-      } else {
-        // Successfully parsed - store headers and data
-        setHeaders(result.headers);
-        setData(result.data);
-        setFileName(file.name);
-
-        console.table(result.data);
-        
-        // Calculate and store file statistics for display
-        setStats({
-          rowCount: result.rowCount,
-          columnCount: result.headers.length,
-          fileSize: (file.size / 1024).toFixed(2), // Convert bytes to KB
-        });
-      }
+      const { sheets } = await session.open();
+      if (sheets.length === 0) throw new Error('The workbook contains no sheets');
+
+      const previewRows = await session.preview(sheets[0].name, PREVIEW_FETCH_LIMIT);
+      setPendingImport({
+        fileName: file.name,
+        fileSize: file.size,
+        session,
+        sheets,
+        initialPreview: { sheetName: sheets[0].name, rows: previewRows },
+      });
     } catch (err) {
-      // Catch unexpected errors during processing
-      setError(`Failed to process file: ${err.message}`);
-      setData([]);
-      setHeaders([]);
-      setStats(null);
+      session.dispose();
+      // Keep whatever is loaded; only report the problem
+      if (!err.cancelled) setError(`Error parsing Excel file: ${err.message}`);
     } finally {
       // Always reset loading state and clear file input value
+      readingSessionRef.current = null;
       setLoading(false);
+      setImportProgress(null);
       event.target.value = ''; // Clear input so same file can be uploaded again
     }
   };
 
+  /**
+   * Aborts the file currently being read by the parsing worker.
+   */
+  const handleCancelReading = () => {
+    readingSessionRef.current?.cancel();
+  };
+
+  /**
+   * Closes the import wizard and frees the worker holding the workbook.
+   */
+  const closeImport = () => {
+    pendingImport?.session.dispose();
+    setPendingImport(null);
+  };
+
+  /**
+   * =========================================================================
+   * handleImportComplete - Replaces the dataset with the wizard's result
+   * =========================================================================
+   *
+   * Called by ImportWizard once the user confirms the dry-run summary.
+   * If the user chose to save the column matches, the new profile is stored
+   * and becomes the active one.
+   *
+   * @param {Object} result - Transformed {headers, data, warnings, rowCount}
+   * @param {Object|null} savedProfile - New mapping profile to store, if any
+   */
+  const handleImportComplete = (result, savedProfile) => {
+    setHeaders(result.headers);
+    setData(result.data);
+    setBaseline(result.data);
+    setSheetTabs(result.sheetTabs || []);
+    setActiveSheet(result.sheetTabs?.[0] || null);
+    setFileName(pendingImport.fileName);
+    setWarnings(result.warnings || []);
+    setDiagnostics(result.diagnostics || emptyDiagnostics());
+    setFieldSources(result.fieldSources || {});
+    setDetailRowId(null);
+    setFocusRequest(null);
+    setHistory(emptyHistory());
+    setError(null);
+
+    // The import starts a new autosaved session; the previous one stays saved
+    autosaver.flush();
+    setSession({ id: createSessionId(), createdAt: new Date().toISOString() });
+    setTableViews({});
+    setLastSavedAt(null);
+    setAutosaveError(null);
+    setRestoreOffer(null);
+
+    // Calculate and store file statistics for display
+    setStats({
+      rowCount: result.rowCount,
+      columnCount: result.headers.length,
+      fileSize: (pendingImport.fileSize / 1024).toFixed(2), // Convert bytes to KB
+    });
+
+    if (savedProfile) {
+      const updatedProfiles = [...profiles, savedProfile];
+      setProfiles(updatedProfiles);
+      saveProfiles(updatedProfiles);
+      handleProfileChange(savedProfile.id);
+    }
+
+    closeImport();
+  };
+
   /**
    * =========================================================================
    * handleDataChange - Updates data state and recalculates statistics
@@ -150,10 +396,26 @@ function App() {
    * IMPORTANCE:
    * This is the critical bridge between child and parent components.
    * It ensures the parent always knows the current state of data.
+   * Every change is also recorded in the undo history under its label.
+   * Amounts in added or edited rows are first brought to the amount
+   * settings ('1250.5' → '1250.50').
    * 
    * @param {Array} updatedData - The new array of row objects from child component
+   * @param {string} [label] - What changed, e.g. "Deleted 42 rows" (history panel)
    */
-  const handleDataChange = (updatedData) => {
+  const handleDataChange = (updatedData, label) => {
+    const normalized = normalizeEditedAmounts(data, updatedData, amountSettings);
+    setHistory(recordChange(history, data, normalized, label || describeChange(data, normalized)));
+    replaceData(normalized);
+  };
+
+  /**
+   * Stores a new rows array and keeps the row count in the stats in step
+   * (shared by edits and undo/redo).
+   *
+   * @param {Array} updatedData - New rows
+   */
+  const replaceData = (updatedData) => {
     // Update main data array in parent state
     setData(updatedData);
     
@@ -165,6 +427,148 @@ function App() {
     }));
   };
 
+  /**
+   * =========================================================================
+   * handleHistoryJump - Undoes or redoes changes up to a point in history
+   * =========================================================================
+   *
+   * Used by Undo (one step back), Redo (one step forward) and the history
+   * panel (any step).
+   *
+   * @param {number} targetIndex - Number of recorded steps that should be applied
+   */
+  const handleHistoryJump = (targetIndex) => {
+    if (targetIndex === history.index || targetIndex < 0 || targetIndex > history.entries.length) return;
+    const result = moveInHistory(data, history, targetIndex);
+    setHistory(result.history);
+    replaceData(result.rows);
+    if (result.settings) {
+      setAmountSettings(result.settings);
+      saveAmountSettings(result.settings);
+    }
+  };
+
+  const closeHistory = () => setIsHistoryOpen(false);
+
+  const handleShowDetails = (row) => setDetailRowId(row.id);
+  const closeRowDetails = () => setDetailRowId(null);
+
+  // Row shown in the provenance drawer (gone when it was deleted or undone)
+  const detailRow = detailRowId === null ? null : data.find((row) => row.id === detailRowId) || null;
+
+  const canUndo = history.index > 0;
+  const canRedo = history.index < history.entries.length;
+
+  // Ctrl+Z undoes, Ctrl+Shift+Z (or Ctrl+Y) redoes. Text fields keep their
+  // own undo, so the shortcuts are left alone while one has focus, and while
+  // a modal is open (its preview or form was built from the current rows).
+  // The listener is renewed on every render so it always sees the current data.
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+      const key = e.key.toLowerCase();
+      if (key !== 'z' && key !== 'y') return;
+      if (e.target.isContentEditable || e.target.closest?.('input, textarea, select')) return;
+      if (document.querySelector('.modal-overlay')) return;
+
+      e.preventDefault();
+      handleHistoryJump(history.index + (key === 'y' || e.shiftKey ? 1 : -1));
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  });
+
+  /**
+   * =========================================================================
+   * handleSheetDataChange - Merges edits made in one sheet tab
+   * =========================================================================
+   *
+   * In tab mode the table only receives the rows of the active sheet, so its
+   * onDataChange result is merged back into the full dataset first.
+   *
+   * @param {Array} updatedSheetRows - All rows of the active sheet after editing
+   * @param {string} [label] - What changed (history panel)
+   */
+  const handleSheetDataChange = (updatedSheetRows, label) => {
+    handleDataChange(mergeSheetRows(data, activeSheet, updatedSheetRows), label);
+  };
+
+  /**
+   * =========================================================================
+   * handleShowRow - Jumps the table to a row (from the diagnostics panel)
+   * =========================================================================
+   *
+   * Switches to the row's sheet tab when sheets are shown separately, then
+   * hands the table a new focus request.
+   *
+   * @param {number} rowId - Id of the row to show
+   */
+  const handleShowRow = (rowId) => {
+    const row = data.find((candidate) => candidate.id === rowId);
+    if (!row) {
+      alert('This row is no longer in the data (it was deleted after import).');
+      return;
+    }
+
+    if (sheetTabs.length > 0) setActiveSheet(row._sheet);
+    setFocusRequest({ rowId });
+  };
+
+  /**
+   * =========================================================================
+   * handleSelectSheet - Shows another sheet tab
+   * =========================================================================
+   *
+   * @param {string} sheetName - Tab to show
+   */
+  const handleSelectSheet = (sheetName) => {
+    setActiveSheet(sheetName);
+    setFocusRequest(null); // a new tab should not replay an old jump
+  };
+
+  /**
+   * =========================================================================
+   * handleDownloadDiagnostics - Downloads the import diagnostics report
+   * =========================================================================
+   */
+  const handleDownloadDiagnostics = () => {
+    const reportFileName = fileName
+      ? `${fileName.split('.')[0]}_import_report.xlsx`
+      : 'excelstorm_import_report.xlsx';
+    exportDiagnosticsReport(diagnostics, reportFileName);
+  };
+
+  /**
+   * =========================================================================
+   * handleExportChangeLog - Downloads every change made since the import
+   * =========================================================================
+   *
+   * One line per changed value (see changeLogRows) for auditors to attach to
+   * the submission. XLSX adds a summary sheet; CSV holds the lines only.
+   * Export file: "monthly_change_log.xlsx" for "monthly.xlsx"
+   *
+   * @param {'xlsx'|'csv'} format - File format
+   */
+  const handleExportChangeLog = (format) => {
+    const lines = changeLogRows(changes, data, headers);
+    const baseName = fileName ? `${fileName.split('.')[0]}_change_log` : 'excelstorm_change_log';
+
+    if (format === 'csv') {
+      exportDataAsCSV(lines, `${baseName}.csv`);
+      return;
+    }
+    exportChangeLog(lines, [
+      { Item: 'File', Value: fileName || '' },
+      { Item: 'Exported at', Value: new Date().toLocaleString() },
+      { Item: 'Rows imported', Value: baseline.length },
+      { Item: 'Rows now', Value: data.length },
+      { Item: 'Rows added', Value: changes.counts[CHANGE_STATUS.NEW] },
+      { Item: 'Rows modified', Value: changes.counts[CHANGE_STATUS.MODIFIED] },
+      { Item: 'Rows deleted', Value: changes.counts[CHANGE_STATUS.DELETED] },
+      { Item: 'Changed values', Value: lines.length },
+    ], `${baseName}.xlsx`);
+  };
+
   /**
    * =========================================================================
    * handleExportCSV - Exports current data as a CSV file
@@ -175,11 +579,13 @@ function App() {
    * which can be opened in Excel, Google Sheets, or other spreadsheet apps.
    * 
    * PROCESS:
-   * 1. Validates that data exists (prevents empty exports)
+   * 1. Validates that data exists (prevents empty exports) and asks for
+   *    confirmation while rows still have validation errors
    * 2. Creates export filename:
    *    - If original file name exists: uses it with "_parsed.csv" suffix
    *    - Otherwise: uses default "excelstorm_export.csv"
-   * 3. Calls exportDataAsCSV() utility function
+   * 3. Calls exportDataAsCSV() utility function (with only the visible
+   *    columns, in table order, when "Visible columns only" is ticked)
    * 
    * EXAMPLE:
    * Original file: "sales.xlsx"
@@ -192,6 +598,7 @@ function App() {
       alert('No data to export');
       return;
     }
+    if (!confirmExportWithErrors(validation)) return;
     
     // Generate export filename with original filename prefix if available
     const exportFileName = fileName
@@ -199,7 +606,7 @@ function App() {
       : 'excelstorm_export.csv';
     
     // Call export utility function with data and filename
-    exportDataAsCSV(data, exportFileName);
+    exportDataAsCSV(data, exportFileName, exportColumns);
   };
 
   /**
@@ -212,11 +619,13 @@ function App() {
    * XLSX file with professional formatting (colored headers, auto-sized columns).
    * 
    * PROCESS:
-   * 1. Validates that data exists (prevents empty exports)
+   * 1. Validates that data exists (prevents empty exports) and asks for
+   *    confirmation while rows still have validation errors
    * 2. Creates export filename:
    *    - If original file name exists: uses it with "_parsed.xlsx" suffix
    *    - Otherwise: uses default "excelstorm_export.xlsx"
-   * 3. Calls exportDataAsExcel() utility function
+   * 3. Calls exportDataAsExcel() utility function (respecting "Visible
+   *    columns only" like the CSV export)
    * 
    * FORMATTING APPLIED:
    * - Headers: Bold white text on blue background
@@ -234,6 +643,7 @@ function App() {
       alert('No data to export');
       return;
     }
+    if (!confirmExportWithErrors(validation)) return;
     
     // Generate export filename with original filename prefix if available
     const exportFileName = fileName
@@ -241,7 +651,27 @@ function App() {
       : 'excelstorm_export.xlsx';
     
     // Call export utility function with data and filename
-    exportDataAsExcel(data, exportFileName);
+    exportDataAsExcel(data, exportFileName, exportColumns);
+  };
+
+  /**
+   * =========================================================================
+   * handleExportSheets - Exports a multi-sheet workbook (one sheet per source)
+   * =========================================================================
+   *
+   * Only offered when the data came from more than one sheet.
+   * Export file: "monthly_sheets.xlsx" for "monthly.xlsx"
+   *
+   * @returns {void}
+   */
+  const handleExportSheets = () => {
+    if (!confirmExportWithErrors(validation)) return;
+
+    const exportFileName = fileName
+      ? `${fileName.split('.')[0]}_sheets.xlsx`
+      : 'excelstorm_sheets.xlsx';
+
+    exportSheetsAsExcel(data, exportFileName, exportColumns);
   };
 
   /**
@@ -265,17 +695,386 @@ function App() {
    * - File upload area appears (empty state)
    * - All statistics removed
    * - All error messages cleared
+   *
+   * The autosaved session is kept (pending changes are saved first), so data
+   * cleared by accident can be reopened from the recent sessions.
    * 
    * @returns {void}
    */
   const handleClear = () => {
+    autosaver.flush();
+    setSession(null);
+    setTableViews({});
+    setLastSavedAt(null);
+    setAutosaveError(null);
     setData([]);
+    setBaseline([]);
     setHeaders([]);
+    setSheetTabs([]);
+    setActiveSheet(null);
     setError(null);
     setFileName(null);
     setStats(null);
+    setWarnings([]);
+    setDiagnostics(emptyDiagnostics());
+    setFieldSources({});
+    setDetailRowId(null);
+    setFocusRequest(null);
+    setHistory(emptyHistory());
+    setIsHistoryOpen(false);
+  };
+
+  /**
+   * =========================================================================
+   * handleProfileChange - Selects the mapping profile used for the next upload
+   * =========================================================================
+   *
+   * @param {string} profileId - Id of the chosen profile
+   */
+  const handleProfileChange = (profileId) => {
+    setActiveProfileId(profileId);
+    saveActiveProfileId(profileId);
+    setColumnLayout(loadColumnLayout(profileId));
+  };
+
+  /**
+   * =========================================================================
+   * handleColumnLayoutChange - Stores a column layout changed in the table
+   * =========================================================================
+   *
+   * Saved under the active mapping profile so it survives reloads.
+   *
+   * @param {Object} layout - New column layout (see columnLayout.js)
+   */
+  const handleColumnLayoutChange = (layout) => {
+    setColumnLayout(layout);
+    saveColumnLayout(activeProfileId, layout);
+  };
+
+  /**
+   * =========================================================================
+   * handleDateFormatChange - Changes how dates are displayed in the table
+   * =========================================================================
+   *
+   * Only the display changes; stored values and exports are unaffected.
+   *
+   * @param {string} format - One of DATE_DISPLAY_FORMATS
+   */
+  const handleDateFormatChange = (format) => {
+    setDateFormat(format);
+    saveDateDisplayFormat(format);
+  };
+
+  /**
+   * =========================================================================
+   * handleAmountSettingsChange - Changes the decimals or rounding of amounts
+   * =========================================================================
+   *
+   * Unlike the date format this changes stored values: every amount is
+   * re-rounded to the new settings as one undoable step, which also brings
+   * the old settings back when undone.
+   *
+   * @param {Object} changes - { scale } and/or { rounding }
+   */
+  const handleAmountSettingsChange = (changes) => {
+    const settings = { ...amountSettings, ...changes };
+    setAmountSettings(settings);
+    saveAmountSettings(settings);
+
+    const rescaled = rescaleAmounts(data, settings);
+    if (rescaled === data) return;
+    setHistory(recordChange(history, data, rescaled, `Rounded amounts to ${settings.scale} decimal(s)`, {
+      before: amountSettings,
+      after: settings,
+    }));
+    replaceData(rescaled);
+  };
+
+  /**
+   * =========================================================================
+   * handleSaveProfiles - Stores profiles edited in MappingProfileModal
+   * =========================================================================
+   *
+   * Persists the full list to localStorage and makes the profile that was
+   * selected in the editor the active one for uploads.
+   *
+   * @param {Array} updatedProfiles - All profiles after editing
+   * @param {string} selectedProfileId - Profile selected when the editor was saved
+   */
+  const handleSaveProfiles = (updatedProfiles, selectedProfileId) => {
+    setProfiles(updatedProfiles);
+    saveProfiles(updatedProfiles);
+    handleProfileChange(selectedProfileId);
+    setIsProfileModalOpen(false);
+  };
+
+  /**
+   * =========================================================================
+   * handleLoadMasterData - Reads a bank master file and checks rows against it
+   * =========================================================================
+   *
+   * Replaces any master data loaded before and remembers it for the next
+   * visit. Validation re-runs on every row with the new reference list.
+   *
+   * @param {File} file - Master file (XLSX, XLS, CSV or JSON)
+   */
+  const handleLoadMasterData = async (file) => {
+    try {
+      const master = await readMasterFile(file);
+      setMasterData(master);
+      saveMasterData(master);
+    } catch (readError) {
+      alert(`Could not read the master file "${file.name}": ${readError.message}`);
+    }
+  };
+
+  const handleRemoveMasterData = () => {
+    if (!window.confirm('Remove the bank master data? Codes will only be checked for their format.')) return;
+    setMasterData(null);
+    saveMasterData(null);
+  };
+
+  // ========== SESSION AUTOSAVE ==========
+
+  // Offer the most recent saved session on start-up
+  useEffect(() => {
+    if (!isSessionStoreAvailable()) return;
+    listSessions()
+      .then((sessions) => {
+        setSavedSessions(sessions);
+        setRestoreOffer(sessions[0] || null);
+      })
+      .catch((listError) => {
+        console.warn('Could not read saved sessions:', listError);
+        setSessionsError(listError.message || String(listError));
+      });
+  }, []);
+
+  // Save every change of the working session (batched, only changed rows)
+  useEffect(() => {
+    if (!session || !isSessionStoreAvailable()) return;
+    autosaver.schedule({
+      id: session.id,
+      createdAt: session.createdAt,
+      fileName,
+      stats,
+      headers,
+      warnings,
+      sheetTabs,
+      activeSheet,
+      tableViews,
+      data,
+      baseline,
+      diagnostics,
+      fieldSources,
+    });
+  }, [autosaver, session, fileName, stats, headers, warnings, sheetTabs, activeSheet, tableViews, data, baseline, diagnostics, fieldSources]);
+
+  // Write pending changes right away when the page is hidden or closed
+  useEffect(() => {
+    const handleHide = () => {
+      if (document.visibilityState === 'hidden') autosaver.flush();
+    };
+    document.addEventListener('visibilitychange', handleHide);
+    window.addEventListener('pagehide', autosaver.flush);
+    return () => {
+      document.removeEventListener('visibilitychange', handleHide);
+      window.removeEventListener('pagehide', autosaver.flush);
+    };
+  }, [autosaver]);
+
+  // Remembers the view of the table shown (one per sheet tab)
+  const tableViewKey = activeSheet ?? '';
+  const handleTableViewChange = useCallback(
+    (view) => setTableViews((prev) => (prev[tableViewKey] === view ? prev : { ...prev, [tableViewKey]: view })),
+    [tableViewKey]
+  );
+
+  const refreshSavedSessions = async () => {
+    try {
+      setSavedSessions(await listSessions());
+      setSessionsError(null);
+    } catch (listError) {
+      console.warn('Could not read saved sessions:', listError);
+      setSessionsError(listError.message || String(listError));
+    }
+  };
+
+  const openSessions = async () => {
+    await autosaver.flush();
+    await refreshSavedSessions();
+    setIsSessionsOpen(true);
   };
 
+  const closeSessions = useCallback(() => setIsSessionsOpen(false), []);
+
+  /**
+   * =========================================================================
+   * handleRestoreSession - Reopens an autosaved session
+   * =========================================================================
+   *
+   * Replaces the data, headers, file details, diagnostics and table views
+   * with the saved ones and continues autosaving into that session. The
+   * undo history starts empty. The current work is saved first and stays
+   * in the recent sessions.
+   *
+   * @param {string} id - Session id
+   */
+  const handleRestoreSession = async (id) => {
+    if (data.length > 0 && !window.confirm('Replace the current data with the saved session? The current data stays in the recent sessions.')) {
+      return;
+    }
+    await autosaver.flush();
+
+    let restored;
+    try {
+      restored = await loadSession(id);
+    } catch (loadError) {
+      alert(`Could not restore the session: ${loadError.message}`);
+      await refreshSavedSessions();
+      return;
+    }
+
+    setHeaders(restored.headers);
+    setData(restored.data);
+    setBaseline(restored.baseline);
+    setSheetTabs(restored.sheetTabs || []);
+    setActiveSheet(restored.activeSheet ?? null);
+    setFileName(restored.fileName);
+    setStats(restored.stats);
+    setWarnings(restored.warnings || []);
+    setDiagnostics(restored.diagnostics || emptyDiagnostics());
+    setFieldSources(restored.fieldSources || {});
+    setTableViews(restored.tableViews || {});
+    setDetailRowId(null);
+    setFocusRequest(null);
+    setHistory(emptyHistory());
+    setIsHistoryOpen(false);
+    setError(null);
+
+    // What is stored already is not written again
+    autosaver.prime(restored);
+    setSession({ id: restored.id, createdAt: restored.createdAt });
+    setLastSavedAt(restored.savedAt);
+    setAutosaveError(null);
+    setRestoreOffer(null);
+    setIsSessionsOpen(false);
+  };
+
+  const handleDeleteSession = async (id) => {
+    if (!window.confirm('Delete this saved session? It cannot be restored afterwards.')) return;
+    try {
+      await deleteSession(id);
+    } catch (deleteError) {
+      alert(`Could not delete the session: ${deleteError.message}`);
+    }
+    if (restoreOffer?.id === id) setRestoreOffer(null);
+    await refreshSavedSessions();
+  };
+
+  const handleDeleteAllSessions = async () => {
+    const others = savedSessions.filter((saved) => saved.id !== session?.id);
+    if (!window.confirm(`Delete ${others.length} saved session(s)? They cannot be restored afterwards.`)) return;
+    try {
+      for (const saved of others) {
+        await deleteSession(saved.id);
+      }
+    } catch (deleteError) {
+      alert(`Could not delete every session: ${deleteError.message}`);
+    }
+    setRestoreOffer(null);
+    await refreshSavedSessions();
+  };
+
+  const closeSnapshots = useCallback(() => setIsSnapshotsOpen(false), []);
+
+  const closeCompare = useCallback(() => setIsCompareOpen(false), []);
+
+  /**
+   * =========================================================================
+   * handleRestoreSnapshot - Brings back the rows of a named snapshot
+   * =========================================================================
+   *
+   * A snapshot taken in the current session of the current file (with the
+   * same columns and sheet tabs) is restored as one undoable change, and
+   * change tracking still compares with the import. Any other snapshot
+   * (another file or import) replaces everything like a new import and
+   * starts a new autosaved session; its amounts are re-rounded to the
+   * current amount settings, as an import would read them.
+   *
+   * @param {string} id - Snapshot id
+   */
+  const handleRestoreSnapshot = async (id) => {
+    let snapshot;
+    try {
+      snapshot = await loadSnapshot(id);
+    } catch (loadError) {
+      alert(`Could not restore the snapshot: ${loadError.message}`);
+      return;
+    }
+    if (data.length > 0 && !window.confirm(`Replace the current data with the snapshot "${snapshot.name}"?`)) return;
+
+    const snapshotTabs = snapshot.sheetTabs || [];
+    const sameImport = data.length > 0 &&
+      session !== null &&
+      snapshot.sessionId === session.id &&
+      snapshot.fileName === (fileName || '') &&
+      snapshot.headers.join('\n') === headers.join('\n') &&
+      snapshotTabs.join('\n') === sheetTabs.join('\n');
+
+    if (sameImport) {
+      handleDataChange(reuseUnchangedRows(data, snapshot.rows), `Restored snapshot "${snapshot.name}"`);
+    } else {
+      const rows = rescaleAmounts(snapshot.rows, amountSettings);
+      autosaver.flush();
+      setHeaders(snapshot.headers);
+      setData(rows);
+      setBaseline(rows);
+      setSheetTabs(snapshotTabs);
+      setActiveSheet(snapshotTabs[0] || null);
+      setFileName(snapshot.fileName || snapshot.name);
+      setStats({
+        rowCount: rows.length,
+        columnCount: snapshot.headers.length,
+        fileSize: snapshot.stats?.fileSize ?? '0.00',
+      });
+      setWarnings([]);
+      setDiagnostics(emptyDiagnostics());
+      setFieldSources({});
+      setDetailRowId(null);
+      setFocusRequest(null);
+      setHistory(emptyHistory());
+      setIsHistoryOpen(false);
+      setError(null);
+      setSession({ id: createSessionId(), createdAt: new Date().toISOString() });
+      setTableViews({});
+      setLastSavedAt(null);
+      setAutosaveError(null);
+      setRestoreOffer(null);
+    }
+    setIsSnapshotsOpen(false);
+  };
+
+  // Distinct source sheets in the data, used to offer the multi-sheet export
+  const datasetSheets = useMemo(() => listDatasetSheets(data), [data]);
+
+  // Rows of the active tab and row count per tab (tab mode only)
+  const activeSheetRows = useMemo(
+    () => (sheetTabs.length > 0 ? getRowsOfSheet(data, activeSheet) : data),
+    [data, sheetTabs, activeSheet]
+  );
+  const activeSheetChanges = useMemo(
+    () => (sheetTabs.length > 0 ? changesOfSheet(changes, activeSheet, activeSheetRows) : changes),
+    [changes, sheetTabs, activeSheet, activeSheetRows]
+  );
+  const sheetRowCounts = useMemo(() => {
+    const counts = {};
+    data.forEach((row) => {
+      counts[row._sheet] = (counts[row._sheet] || 0) + 1;
+    });
+    return counts;
+  }, [data]);
+
   return (
     <div className="app-container">
       <header className="app-header">
@@ -296,12 +1095,65 @@ function App() {
               disabled={loading}
               className="file-input"
             />
-            <label htmlFor="file-input" className="file-label">
-              {loading ? '📦 Processing...' : '📁 Click to upload Excel file'}
-            </label>
+            {loading ? (
+              <ImportProgress progress={importProgress} onCancel={handleCancelReading} />
+            ) : (
+              <label htmlFor="file-input" className="file-label">
+                📁 Click to upload Excel file
+              </label>
+            )}
             <p className="upload-hint">Supported formats: XLSX, XLS, CSV</p>
+            {isSessionStoreAvailable() && (
+              <button type="button" className="sessions-link" onClick={openSessions} disabled={loading}>
+                🗂️ Recent sessions
+              </button>
+            )}
+            {sessionsError && (
+              <p className="sessions-error">⚠️ Could not read the saved sessions: {sessionsError}</p>
+            )}
+            <button type="button" className="sessions-link" onClick={() => setIsCompareOpen(true)} disabled={loading}>
+              🔀 Compare two files
+            </button>
+          </div>
+
+          {/* Column mapping profile used to interpret the uploaded file */}
+          <div className="profile-bar">
+            <label htmlFor="profile-select" className="profile-bar-label">
+              🧭 Column mapping:
+            </label>
+            <select
+              id="profile-select"
+              value={activeProfile.id}
+              onChange={(e) => handleProfileChange(e.target.value)}
+              disabled={loading}
+              className="profile-select"
+            >
+              {profiles.map((profile) => (
+                <option key={profile.id} value={profile.id}>
+                  {profile.name}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              className="btn btn-secondary"
+              onClick={() => setIsProfileModalOpen(true)}
+              disabled={loading}
+            >
+              ⚙️ Manage profiles
+            </button>
           </div>
 
+          {/* Reference list the bank, branch and account codes are checked against */}
+          <MasterDataBar
+            masterData={masterData}
+            showNames={showMasterNames}
+            disabled={loading}
+            onLoad={handleLoadMasterData}
+            onRemove={handleRemoveMasterData}
+            onToggleNames={setShowMasterNames}
+          />
+
           {fileName && (
             <div className="file-info">
               <div className="info-item">
@@ -324,30 +1176,215 @@ function App() {
                   </div>
                 </>
               )}
+              {autosaveError ? (
+                <div className="info-item autosave-failed" title={autosaveError}>
+                  <span className="info-label">⚠️ Autosave failed:</span>
+                  <span className="info-value">{autosaveError}</span>
+                </div>
+              ) : lastSavedAt && (
+                <div className="info-item">
+                  <span className="info-label">☁️ Autosaved:</span>
+                  <span className="info-value">{new Date(lastSavedAt).toLocaleTimeString()}</span>
+                </div>
+              )}
             </div>
           )}
         </section>
 
+        {restoreOffer && (
+          <SessionRestorePrompt
+            session={restoreOffer}
+            onRestore={handleRestoreSession}
+            onShowAll={openSessions}
+            onDismiss={() => setRestoreOffer(null)}
+          />
+        )}
+
         {error && <div className="error-message">❌ {error}</div>}
 
+        {warnings.length > 0 && (
+          <div className="warning-message">
+            <strong>⚠️ Import warnings (profile “{activeProfile.name}”):</strong>
+            <ul>
+              {warnings.map((warning) => (
+                <li key={warning}>{warning}</li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {data.length > 0 && (
           <>
+            <ImportDiagnosticsPanel
+              key={fileName}
+              diagnostics={diagnostics}
+              onShowRow={handleShowRow}
+              onDownload={handleDownloadDiagnostics}
+            />
+
             <section className="data-section">
               <div className="section-header">
                 <h2>Parsed Data</h2>
                 <div className="action-buttons">
+                  <div className="history-controls">
+                    <button
+                      onClick={() => handleHistoryJump(history.index - 1)}
+                      disabled={!canUndo}
+                      className="btn btn-history"
+                      title={canUndo ? `Undo: ${history.entries[history.index - 1].label} (Ctrl+Z)` : 'Nothing to undo'}
+                    >
+                      ↶ Undo
+                    </button>
+                    <button
+                      onClick={() => handleHistoryJump(history.index + 1)}
+                      disabled={!canRedo}
+                      className="btn btn-history"
+                      title={canRedo ? `Redo: ${history.entries[history.index].label} (Ctrl+Shift+Z)` : 'Nothing to redo'}
+                    >
+                      ↷ Redo
+                    </button>
+                    <button
+                      onClick={() => setIsHistoryOpen((prev) => !prev)}
+                      className={`btn btn-history ${isHistoryOpen ? 'active' : ''}`}
+                      title="All changes since the import"
+                    >
+                      🕘 History{history.entries.length > 0 && ` (${history.entries.length})`}
+                    </button>
+                    {isHistoryOpen && (
+                      <HistoryPanel history={history} onJump={handleHistoryJump} onClose={closeHistory} />
+                    )}
+                  </div>
+                  <label className="date-format-picker" title="How dates are shown; exports always use YYYYMMDD">
+                    📅
+                    <select
+                      value={dateFormat}
+                      onChange={(e) => handleDateFormatChange(e.target.value)}
+                      className="items-per-page-select"
+                    >
+                      {DATE_DISPLAY_FORMATS.map((format) => (
+                        <option key={format} value={format}>
+                          {formatDate('2025-01-31', format)}
+                        </option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="amount-settings-picker" title="Decimals kept in amounts and how extra decimals are rounded">
+                    💰
+                    <select
+                      value={amountSettings.scale}
+                      onChange={(e) => handleAmountSettingsChange({ scale: Number(e.target.value) })}
+                      className="items-per-page-select"
+                      aria-label="Amount decimals"
+                    >
+                      {AMOUNT_SCALES.map((scale) => (
+                        <option key={scale} value={scale}>{scale} decimal(s)</option>
+                      ))}
+                    </select>
+                    <select
+                      value={amountSettings.rounding}
+                      onChange={(e) => handleAmountSettingsChange({ rounding: e.target.value })}
+                      className="items-per-page-select"
+                      aria-label="Amount rounding"
+                    >
+                      {Object.entries(ROUNDING_LABELS).map(([mode, label]) => (
+                        <option key={mode} value={mode}>{label}</option>
+                      ))}
+                    </select>
+                  </label>
+                  <label className="export-columns-toggle" title="Leave out hidden columns and use the table's column order">
+                    <input
+                      type="checkbox"
+                      checked={exportVisibleColumns}
+                      onChange={(e) => setExportVisibleColumns(e.target.checked)}
+                    />
+                    Visible columns only
+                  </label>
                   <button onClick={handleExportExcel} className="btn btn-export-excel">
                     📊 Export Excel
                   </button>
+                  {datasetSheets.length > 1 && (
+                    <button onClick={handleExportSheets} className="btn btn-export-excel" title="One worksheet per source sheet">
+                      📚 Export Sheets
+                    </button>
+                  )}
                   <button onClick={handleExportCSV} className="btn btn-export">
                     💾 Export CSV
                   </button>
+                  {countChanges(changes) > 0 && (
+                    <span className="change-log-export" title="Every value added, modified or deleted since the import">
+                      📝 Change log:
+                      <button onClick={() => handleExportChangeLog('xlsx')} className="btn btn-history">XLSX</button>
+                      <button onClick={() => handleExportChangeLog('csv')} className="btn btn-history">CSV</button>
+                    </span>
+                  )}
+                  {isSessionStoreAvailable() && (
+                    <button
+                      onClick={() => setIsSnapshotsOpen(true)}
+                      className="btn btn-history"
+                      title="Named checkpoints of the data: take, restore and compare"
+                    >
+                      📸 Snapshots
+                    </button>
+                  )}
                   <button onClick={handleClear} className="btn btn-clear">
                     🗑️ Clear
                   </button>
                 </div>
               </div>
-              <VirtualizedDataTable headers={headers} data={data} onDataChange={handleDataChange} />
+              {/* One tab per sheet when sheets were imported separately */}
+              {sheetTabs.length > 0 && (
+                <div className="sheet-tabs" role="tablist">
+                  {sheetTabs.map((sheetName) => (
+                    <button
+                      key={sheetName}
+                      role="tab"
+                      aria-selected={sheetName === activeSheet}
+                      className={`sheet-tab ${sheetName === activeSheet ? 'active' : ''}`}
+                      onClick={() => handleSelectSheet(sheetName)}
+                    >
+                      {sheetName}
+                      <span className="sheet-tab-count">{(sheetRowCounts[sheetName] || 0).toLocaleString()}</span>
+                    </button>
+                  ))}
+                </div>
+              )}
+              {sheetTabs.length > 0 ? (
+                <VirtualizedDataTable
+                  key={`${session?.id}:${activeSheet}`}
+                  headers={headers}
+                  data={activeSheetRows}
+                  onDataChange={handleSheetDataChange}
+                  dateFormat={dateFormat}
+                  focusRequest={focusRequest}
+                  validationErrors={validation.errorsByRowId}
+                  columnLayout={columnLayout}
+                  onColumnLayoutChange={handleColumnLayoutChange}
+                  changes={activeSheetChanges}
+                  onShowDetails={handleShowDetails}
+                  masterData={masterData}
+                  showMasterNames={showMasterNames}
+                  initialView={tableViews[tableViewKey]}
+                  onViewChange={handleTableViewChange}
+                />
+              ) : (
+                <VirtualizedDataTable
+                  key={session?.id}
+                  headers={headers}
+                  data={data}
+                  onDataChange={handleDataChange}
+                  dateFormat={dateFormat}
+                  focusRequest={focusRequest}
+                  validationErrors={validation.errorsByRowId}
+                  columnLayout={columnLayout}
+                  onColumnLayoutChange={handleColumnLayoutChange}
+                  changes={changes}
+                  onShowDetails={handleShowDetails}
+                  masterData={masterData}
+                  showMasterNames={showMasterNames}
+                  initialView={tableViews[tableViewKey]}
+                  onViewChange={handleTableViewChange}
+                />
+              )}
             </section>
           </>
         )}
@@ -362,6 +1399,80 @@ function App() {
         )}
       </main>
 
+      {isSnapshotsOpen && (
+        <SnapshotManagerModal
+          data={data}
+          headers={headers}
+          sheetTabs={sheetTabs}
+          fileName={fileName}
+          sessionId={session?.id ?? null}
+          stats={stats}
+          dateFormat={dateFormat}
+          onRestore={handleRestoreSnapshot}
+          onClose={closeSnapshots}
+        />
+      )}
+
+      {isCompareOpen && (
+        <FileCompareModal
+          profile={activeProfile}
+          amountSettings={amountSettings}
+          dateFormat={dateFormat}
+          onClose={closeCompare}
+        />
+      )}
+
+      {isSessionsOpen && (
+        <RecentSessionsModal
+          sessions={savedSessions}
+          error={sessionsError}
+          currentId={session?.id ?? null}
+          onOpen={handleRestoreSession}
+          onDelete={handleDeleteSession}
+          onDeleteAll={handleDeleteAllSessions}
+          onClose={closeSessions}
+        />
+      )}
+
+      {pendingImport && (
+        <ImportWizard
+          fileName={pendingImport.fileName}
+          session={pendingImport.session}
+          sheets={pendingImport.sheets}
+          initialPreview={pendingImport.initialPreview}
+          profile={activeProfile}
+          existingRowCount={data.length}
+          masterData={masterData}
+          amountSettings={amountSettings}
+          onImport={handleImportComplete}
+          onCancel={closeImport}
+        />
+      )}
+
+      {detailRow && (
+        <RowDetailDrawer
+          row={detailRow}
+          position={data.indexOf(detailRow) + 1}
+          importedRow={baseline.find((row) => row.id === detailRow.id) || null}
+          fieldSources={fieldSources[detailRow._sheet]}
+          issues={diagnostics.issues.filter((issue) => issue.rowId === detailRow.id)}
+          fields={headers}
+          changeStatus={changes.byId.get(detailRow.id)?.status ?? null}
+          dateFormat={dateFormat}
+          onClose={closeRowDetails}
+        />
+      )}
+
+      {isProfileModalOpen && (
+        <MappingProfileModal
+          isOpen={isProfileModalOpen}
+          profiles={profiles}
+          activeProfileId={activeProfile.id}
+          onSave={handleSaveProfiles}
+          onCancel={() => setIsProfileModalOpen(false)}
+        />
+      )}
+
       <footer className="app-footer">
         <p>ExcelStorm © 2025 | React-based high-performance data processing platform with full row management</p>
       </footer>
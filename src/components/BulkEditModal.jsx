@@ -0,0 +1,146 @@
+import { useState, useMemo } from 'react';
+import EditScopePicker from './EditScopePicker';
+import { getSapField } from '../utils/sapFields';
+import { EDIT_SCOPES, planBulkEdit, applyCellChanges } from '../utils/bulkEdit';
+import { pluralize } from '../utils/history';
+import '../styles/Modal.css';
+import '../styles/BulkEdit.css';
+
+/**
+ * ============================================================================
+ * BulkEditModal Component - Set or clear one field on many rows
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Replaces opening EditRowModal row by row, e.g. to correct a wrong branch
+ * code (A_BANKL) on 3,000 rows at once.
+ *
+ * KEY FEATURES:
+ * - Applies to the selected rows or to every row matching the search and
+ *   filters (selected rows hidden by a filter are included)
+ * - Set a value (date picker for dates, number input for amounts) or clear
+ *   the field
+ * - Live preview of how many cells change; rows that already hold the value
+ *   are not counted
+ * - Changes go through onApply in one step
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - data: All rows
+ * - headers: Fields that can be edited
+ * - selectedIds: Set of selected row ids
+ * - filteredRows: Rows matching the table's search and filters
+ * - onApply: Callback receiving the updated dataset and a history label
+ * - onClose: Callback when the modal is closed
+ *
+ * @component
+ */
+export const BulkEditModal = ({ data, headers, selectedIds, filteredRows, onApply, onClose }) => {
+  const selectedCount = useMemo(
+    () => (selectedIds.size > 0 ? data.filter((row) => selectedIds.has(row.id)).length : 0),
+    [data, selectedIds]
+  );
+
+  const [scope, setScope] = useState(selectedCount > 0 ? EDIT_SCOPES.SELECTED : EDIT_SCOPES.FILTERED);
+  const [field, setField] = useState(headers[0]);
+  const [clear, setClear] = useState(false);
+  const [value, setValue] = useState('');
+
+  const fieldType = getSapField(field)?.type;
+  const newValue = clear ? '' : value;
+
+  // Cells that would change, recomputed as the form changes
+  const changes = useMemo(() => {
+    const targetIds = scope === EDIT_SCOPES.SELECTED ? selectedIds : new Set(filteredRows.map((row) => row.id));
+    return planBulkEdit(data, targetIds, field, newValue);
+  }, [data, scope, selectedIds, filteredRows, field, newValue]);
+
+  const targetCount = scope === EDIT_SCOPES.SELECTED ? selectedCount : filteredRows.length;
+
+  const handleFieldChange = (nextField) => {
+    setField(nextField);
+    setValue('');
+  };
+
+  const handleApply = () => {
+    onApply(applyCellChanges(data, changes), `${clear ? 'Cleared' : 'Set'} ${field} on ${pluralize(changes.length, 'row')}`);
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>✏️ Bulk Edit</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-form">
+          <EditScopePicker
+            scope={scope}
+            selectedCount={selectedCount}
+            filteredCount={filteredRows.length}
+            onChange={setScope}
+          />
+
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="bulk-edit-field" className="form-label">Field</label>
+              <select
+                id="bulk-edit-field"
+                value={field}
+                onChange={(e) => handleFieldChange(e.target.value)}
+                className="form-input"
+              >
+                {headers.map((header) => (
+                  <option key={header} value={header}>{header}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="bulk-edit-value" className="form-label">New value</label>
+              <input
+                id="bulk-edit-value"
+                type={fieldType === 'date' ? 'date' : fieldType === 'amount' ? 'number' : 'text'}
+                step={fieldType === 'amount' ? '0.01' : undefined}
+                maxLength={field === 'NOTES' ? 255 : undefined}
+                value={clear ? '' : value}
+                onChange={(e) => setValue(e.target.value)}
+                disabled={clear}
+                className="form-input"
+                placeholder={clear ? 'Field will be cleared' : `Enter ${field}`}
+              />
+              <label className="bulk-edit-clear">
+                <input type="checkbox" checked={clear} onChange={(e) => setClear(e.target.checked)} />
+                Clear the field instead
+              </label>
+            </div>
+          </div>
+
+          <p className="bulk-edit-preview">
+            {changes.length > 0 ? (
+              <>
+                <strong>{changes.length.toLocaleString()}</strong> of {targetCount.toLocaleString()} row(s) will
+                change {field}
+                {targetCount > changes.length && ` (${(targetCount - changes.length).toLocaleString()} already match)`}.
+              </>
+            ) : (
+              `No cells change — ${targetCount === 0 ? 'no rows in scope' : `every row in scope already has this ${field}`}.`
+            )}
+          </p>
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button type="button" className="btn btn-primary" onClick={handleApply} disabled={changes.length === 0}>
+              {clear ? 'Clear' : 'Set'} {field} on {changes.length.toLocaleString()} row(s)
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BulkEditModal;
@@ -0,0 +1,112 @@
+import { useState, useEffect, useRef } from 'react';
+import { getSapField } from '../utils/sapFields';
+import { validateRowField } from '../utils/validation';
+import { masterOptions } from '../utils/masterData';
+
+/**
+ * ============================================================================
+ * CellEditor Component - In-place editor for one table cell
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Rendered by VirtualizedDataTable inside the cell being edited. Holds the
+ * draft value and turns keys into commit/cancel calls; the table applies the
+ * value and moves to the next cell.
+ *
+ * EDITORS (same as EditRowModal):
+ * - CHAN_AMT: number input with decimal step
+ * - CHALL_DATE: date picker (YYYY-MM-DD)
+ * - NOTES: multi-line textarea (Shift+Enter inserts a line break)
+ * - Other fields: text input; bank, branch and account codes offer the
+ *   valid codes from the master data as a type-ahead list (branches of the
+ *   row's bank only)
+ *
+ * KEYS:
+ * - Enter / Shift+Enter: commit and move down / up
+ * - Tab / Shift+Tab: commit and move right / left
+ * - Escape: cancel
+ * - Leaving the editor (click elsewhere) commits without moving
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - field: Column being edited
+ * - row: Row being edited (for the master data checks and lists)
+ * - initialValue: Starting text (current value, or the key typed to start)
+ * - masterData: Bank master data (see masterData.js), or null
+ * - onCommit: Callback (value, move) where move is { row, col } or null
+ * - onCancel: Callback when the edit is abandoned
+ *
+ * @component
+ */
+export const CellEditor = ({ field, row, initialValue, masterData = null, onCommit, onCancel }) => {
+  // Draft value while the user types
+  const [value, setValue] = useState(initialValue);
+
+  // Set once the edit is committed or cancelled, so blur after Enter does nothing
+  const doneRef = useRef(false);
+  const inputRef = useRef(null);
+
+  const type = getSapField(field)?.type;
+  const multiline = field === 'NOTES';
+  const error = validateRowField(field, { ...row, [field]: value }, masterData);
+  const options = masterOptions(masterData, field, row);
+
+  // Focus on mount with the caret after the text (so typing continues it)
+  useEffect(() => {
+    const input = inputRef.current;
+    if (!input) return;
+    input.focus();
+    if (input.tagName === 'TEXTAREA' || input.type === 'text') {
+      input.setSelectionRange(input.value.length, input.value.length);
+    }
+  }, []);
+
+  const finish = (callback) => {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    callback();
+  };
+
+  const handleKeyDown = (e) => {
+    // Keys belong to the editor, not the table's cell navigation
+    e.stopPropagation();
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      finish(onCancel);
+    } else if (e.key === 'Enter' && !(multiline && e.shiftKey)) {
+      e.preventDefault();
+      finish(() => onCommit(value, { row: e.shiftKey ? -1 : 1, col: 0 }));
+    } else if (e.key === 'Tab') {
+      e.preventDefault();
+      finish(() => onCommit(value, { row: 0, col: e.shiftKey ? -1 : 1 }));
+    }
+  };
+
+  const commonProps = {
+    ref: inputRef,
+    value,
+    onChange: (e) => setValue(e.target.value),
+    onKeyDown: handleKeyDown,
+    onBlur: () => finish(() => onCommit(value, null)),
+    title: error ? `❌ ${error}` : undefined,
+    className: `cell-editor ${multiline ? 'cell-editor-multiline' : ''} ${error ? 'input-invalid' : ''}`,
+  };
+
+  if (multiline) return <textarea {...commonProps} maxLength={getSapField(field)?.maxLength} />;
+  if (type === 'amount') return <input {...commonProps} type="number" step="0.01" />;
+  if (type === 'date') return <input {...commonProps} type="date" />;
+  if (options.length === 0) return <input {...commonProps} type="text" />;
+
+  const listId = `cell-editor-options-${field}`;
+  return (
+    <>
+      <input {...commonProps} type="text" list={listId} />
+      <datalist id={listId}>
+        {options.map(({ code, name }) => <option key={code} value={code}>{name}</option>)}
+      </datalist>
+    </>
+  );
+};
+
+export default CellEditor;
@@ -0,0 +1,110 @@
+import { useEffect, useRef } from 'react';
+import {
+  orderedColumns,
+  toggleColumnHidden,
+  toggleColumnPinned,
+  isCustomLayout,
+  defaultColumnLayout,
+} from '../utils/columnLayout';
+import '../styles/ColumnLayout.css';
+
+/**
+ * ============================================================================
+ * ColumnChooser Component - Show, hide and pin table columns
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Popover opened from the table's "Columns" button. Lists every field in
+ * layout order with a checkbox to show or hide it and a 📌 toggle to pin it
+ * to the left. "Reset layout" restores the header order, default widths
+ * and the default pin (CHALLAN_NO).
+ *
+ * Escape or a click outside closes it; changes apply immediately.
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - headers: Columns of the data
+ * - layout: Current column layout (see columnLayout.js)
+ * - onChange: Callback receiving the new layout
+ * - onClose: Callback when the popover should close
+ *
+ * @component
+ */
+export const ColumnChooser = ({ headers, layout, onChange, onClose }) => {
+  const popoverRef = useRef(null);
+
+  // Close on a click outside the popover or on Escape. The Columns button is
+  // left alone so clicking it toggles instead of closing and reopening.
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (popoverRef.current?.contains(e.target) || e.target.closest?.('.btn-columns')) return;
+      onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const visibleCount = headers.length - layout.hidden.filter((field) => headers.includes(field)).length;
+
+  return (
+    <div
+      ref={popoverRef}
+      className="column-chooser"
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      <div className="column-chooser-title">
+        Columns
+        <span className="column-chooser-count">{visibleCount} of {headers.length} shown</span>
+      </div>
+
+      <ul className="column-chooser-list">
+        {orderedColumns(headers, layout).map((field) => {
+          const isHidden = layout.hidden.includes(field);
+          const isPinned = layout.pinned.includes(field);
+          return (
+            <li key={field}>
+              <label>
+                <input
+                  type="checkbox"
+                  checked={!isHidden}
+                  disabled={!isHidden && visibleCount <= 1}
+                  onChange={() => onChange(toggleColumnHidden(headers, layout, field))}
+                />
+                {field}
+              </label>
+              <button
+                type="button"
+                className={`column-pin-btn ${isPinned ? 'active' : ''}`}
+                onClick={() => onChange(toggleColumnPinned(layout, field))}
+                title={isPinned ? 'Unpin column' : 'Pin column to the left'}
+              >
+                📌
+              </button>
+            </li>
+          );
+        })}
+      </ul>
+
+      <div className="column-chooser-actions">
+        <span className="column-chooser-hint">Drag headers to reorder, drag their edge to resize</span>
+        <button
+          type="button"
+          className="btn-secondary"
+          onClick={() => onChange(defaultColumnLayout())}
+          disabled={!isCustomLayout(layout)}
+        >
+          Reset layout
+        </button>
+      </div>
+    </div>
+  );
+};
+
+export default ColumnChooser;
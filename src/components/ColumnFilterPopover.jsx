@@ -0,0 +1,194 @@
+import { useState, useMemo, useEffect, useRef } from 'react';
+import {
+  FILTER_TYPES,
+  TEXT_OPERATORS,
+  TEXT_OPERATOR_LABELS,
+  emptyFilter,
+  isFilterActive,
+  distinctValues,
+} from '../utils/columnFilters';
+import '../styles/ColumnFilter.css';
+
+// Checklist entries rendered at once (the search box narrows longer lists)
+const CHECKLIST_LIMIT = 300;
+
+/**
+ * ============================================================================
+ * ColumnFilterPopover Component - Filter editor for one column
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Opens under a column header and edits that column's filter. The editor
+ * depends on the field (see filterTypeFor): text operator + value, numeric
+ * min/max, date from/to, or a checklist of distinct values.
+ *
+ * BEHAVIOR:
+ * - Changes are kept as a draft until "Apply" (or Enter)
+ * - "Clear" removes the column's filter
+ * - Escape or a click outside closes without applying
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - field: Column being filtered
+ * - filter: Current filter for the column (or undefined)
+ * - rows: Rows to collect distinct values from (checklist fields)
+ * - onApply: Callback receiving the new filter, or null to remove it
+ * - onClose: Callback when the popover should close
+ *
+ * @component
+ */
+export const ColumnFilterPopover = ({ field, filter, rows, onApply, onClose }) => {
+  // Filter being edited; starts from the applied one
+  const [draft, setDraft] = useState(() => filter || emptyFilter(field));
+
+  // Narrows the checklist
+  const [valueSearch, setValueSearch] = useState('');
+
+  const popoverRef = useRef(null);
+
+  const options = useMemo(
+    () => (draft.type === FILTER_TYPES.VALUES ? distinctValues(rows, field) : []),
+    [draft.type, rows, field]
+  );
+
+  // Close on a click outside the popover or on Escape. The header's filter
+  // button is left alone so clicking it toggles instead of closing and reopening.
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (popoverRef.current?.contains(e.target) || e.target.closest?.('.filter-btn')) return;
+      onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const update = (changes) => setDraft((prev) => ({ ...prev, ...changes }));
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onApply(isFilterActive(draft) ? draft : null);
+  };
+
+  const toggleValue = (value) => {
+    update({
+      values: draft.values.includes(value)
+        ? draft.values.filter((v) => v !== value)
+        : [...draft.values, value],
+    });
+  };
+
+  const visibleOptions = options
+    .filter((option) => option.value.toLowerCase().includes(valueSearch.trim().toLowerCase()))
+    .slice(0, CHECKLIST_LIMIT);
+
+  return (
+    <form
+      ref={popoverRef}
+      className="filter-popover"
+      onSubmit={handleSubmit}
+      onClick={(e) => e.stopPropagation()}
+      onKeyDown={(e) => e.stopPropagation()}
+    >
+      <div className="filter-popover-title">Filter {field}</div>
+
+      {draft.type === FILTER_TYPES.TEXT && (
+        <div className="filter-popover-row">
+          <select value={draft.operator} onChange={(e) => update({ operator: e.target.value })}>
+            {Object.values(TEXT_OPERATORS).map((operator) => (
+              <option key={operator} value={operator}>{TEXT_OPERATOR_LABELS[operator]}</option>
+            ))}
+          </select>
+          <input
+            type="text"
+            value={draft.value}
+            onChange={(e) => update({ value: e.target.value })}
+            placeholder="Value"
+            autoFocus
+          />
+        </div>
+      )}
+
+      {draft.type === FILTER_TYPES.RANGE && (
+        <div className="filter-popover-row">
+          <input
+            type="number"
+            step="0.01"
+            value={draft.min}
+            onChange={(e) => update({ min: e.target.value })}
+            placeholder="Min"
+            autoFocus
+          />
+          <span>to</span>
+          <input
+            type="number"
+            step="0.01"
+            value={draft.max}
+            onChange={(e) => update({ max: e.target.value })}
+            placeholder="Max"
+          />
+        </div>
+      )}
+
+      {draft.type === FILTER_TYPES.DATE_RANGE && (
+        <div className="filter-popover-row">
+          <input type="date" value={draft.from} onChange={(e) => update({ from: e.target.value })} autoFocus />
+          <span>to</span>
+          <input type="date" value={draft.to} onChange={(e) => update({ to: e.target.value })} />
+        </div>
+      )}
+
+      {draft.type === FILTER_TYPES.VALUES && (
+        <>
+          <input
+            type="text"
+            className="filter-popover-search"
+            value={valueSearch}
+            onChange={(e) => setValueSearch(e.target.value)}
+            placeholder={`Search ${options.length.toLocaleString()} values`}
+            autoFocus
+          />
+          <div className="filter-popover-links">
+            <button type="button" onClick={() => update({ values: visibleOptions.map((option) => option.value) })}>
+              Select shown
+            </button>
+            <button type="button" onClick={() => update({ values: [] })}>
+              None
+            </button>
+          </div>
+          <div className="filter-checklist">
+            {visibleOptions.map((option) => (
+              <label key={option.value}>
+                <input
+                  type="checkbox"
+                  checked={draft.values.includes(option.value)}
+                  onChange={() => toggleValue(option.value)}
+                />
+                <span className="filter-checklist-value">{option.value || '(empty)'}</span>
+                <span className="filter-checklist-count">{option.count.toLocaleString()}</span>
+              </label>
+            ))}
+            {visibleOptions.length === 0 && <span className="filter-checklist-empty">No values</span>}
+          </div>
+        </>
+      )}
+
+      <div className="filter-popover-actions">
+        <button type="button" className="btn-secondary" onClick={() => onApply(null)}>
+          Clear
+        </button>
+        <button type="submit" className="btn-primary">
+          Apply
+        </button>
+      </div>
+    </form>
+  );
+};
+
+export default ColumnFilterPopover;
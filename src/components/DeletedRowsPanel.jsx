@@ -0,0 +1,86 @@
+import { useState } from 'react';
+import { getSapField } from '../utils/sapFields';
+import { formatDate } from '../utils/dateUtils';
+import { formatAmount } from '../utils/amountUtils';
+import '../styles/ChangeTracking.css';
+
+// Deleted rows listed at once
+const ROW_LIMIT = 100;
+
+/**
+ * Shows a value the way the table does (dates in the display format,
+ * amounts grouped).
+ */
+const displayValue = (header, value, dateFormat) => {
+  const type = getSapField(header)?.type;
+  if (type === 'date') return formatDate(value, dateFormat);
+  if (type === 'amount') return formatAmount(value);
+  return String(value ?? '');
+};
+
+/**
+ * ============================================================================
+ * DeletedRowsPanel Component - Tombstones of rows deleted since the import
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shown under the table in the "changed rows" view. Deleted rows are no
+ * longer in the data, so they are listed here, struck through, each with a
+ * Restore button that puts the row back near its original place.
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - deleted: [{ row, position }] from trackChanges()
+ * - columns: Columns to show, in table order
+ * - dateFormat: Display format for dates
+ * - onRestore: Callback receiving { row, position } of the row to restore
+ *
+ * @component
+ */
+export const DeletedRowsPanel = ({ deleted, columns, dateFormat, onRestore }) => {
+  const [isOpen, setIsOpen] = useState(true);
+
+  return (
+    <div className="deleted-rows">
+      <button type="button" className="deleted-rows-toggle" onClick={() => setIsOpen((prev) => !prev)}>
+        {isOpen ? '▾' : '▸'} 🗑️ {deleted.length.toLocaleString()} row(s) deleted since import
+      </button>
+
+      {isOpen && (
+        <div className="deleted-rows-table-wrapper">
+          <table className="deleted-rows-table">
+            <thead>
+              <tr>
+                <th>Import row</th>
+                {columns.map((column) => <th key={column}>{column}</th>)}
+                <th />
+              </tr>
+            </thead>
+            <tbody>
+              {deleted.slice(0, ROW_LIMIT).map((tombstone) => (
+                <tr key={tombstone.row.id}>
+                  <td>{tombstone.position.toLocaleString()}</td>
+                  {columns.map((column) => (
+                    <td key={column} className="deleted-value">{displayValue(column, tombstone.row[column], dateFormat)}</td>
+                  ))}
+                  <td>
+                    <button type="button" className="deleted-rows-restore" onClick={() => onRestore(tombstone)}>
+                      ↩️ Restore
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+          {deleted.length > ROW_LIMIT && (
+            <p className="deleted-rows-more">
+              …and {(deleted.length - ROW_LIMIT).toLocaleString()} more (all are listed in the change log)
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default DeletedRowsPanel;
@@ -0,0 +1,323 @@
+import { useState, useMemo } from 'react';
+import { getSapField } from '../utils/sapFields';
+import { formatDate } from '../utils/dateUtils';
+import {
+  DUPLICATE_KEY_PRESETS,
+  RESOLUTIONS,
+  RESOLUTION_LABELS,
+  findDuplicateGroups,
+  applyResolutions,
+} from '../utils/duplicates';
+import '../styles/Modal.css';
+import '../styles/DuplicateFinder.css';
+
+// Groups rendered at once; "Show more" adds another batch
+const GROUPS_PAGE_SIZE = 50;
+
+// Removed rows listed in the summary
+const SUMMARY_ROW_LIMIT = 100;
+
+/**
+ * Shows a value the way the table does (dates in the display format).
+ */
+const displayValue = (header, value, dateFormat) =>
+  getSapField(header)?.type === 'date' ? formatDate(value, dateFormat) : String(value ?? '');
+
+/**
+ * ============================================================================
+ * DuplicateFinderModal Component - Find and resolve duplicate challans
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Groups rows that share a key (CHALLAN_NO, or CHALLAN_NO + A_BANCD + CHAN_AMT,
+ * or any combination of fields) and lets the user decide per group whether to
+ * keep the first row, keep the last, merge them or keep them all.
+ *
+ * KEY FEATURES:
+ * - Key presets plus free choice of key fields
+ * - Each group shown side by side, one column per row; values that differ
+ *   from the group's first row are highlighted
+ * - Per-group resolution, or one choice applied to every group
+ * - Changes go through onApply in one step; a summary lists what was removed
+ *   and the merged rows whose joined NOTES had to be cut
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - data: Rows to search
+ * - headers: Columns to compare and display
+ * - dateFormat: Display format for dates
+ * - onApply: Callback receiving the updated dataset
+ * - onClose: Callback when the modal is closed
+ *
+ * @component
+ */
+export const DuplicateFinderModal = ({ data, headers, dateFormat, onApply, onClose }) => {
+  // Fields that make up the duplicate key
+  const [keyFields, setKeyFields] = useState(DUPLICATE_KEY_PRESETS[0].fields);
+
+  // Resolution chosen per group key (missing = keep all)
+  const [resolutions, setResolutions] = useState({});
+
+  // Number of groups rendered
+  const [visibleCount, setVisibleCount] = useState(GROUPS_PAGE_SIZE);
+
+  // Result of the last apply, shown instead of the groups
+  const [summary, setSummary] = useState(null);
+
+  const groups = useMemo(() => findDuplicateGroups(data, keyFields), [data, keyFields]);
+
+  const pending = groups.reduce(
+    (totals, group) => {
+      const resolution = resolutions[group.key] || RESOLUTIONS.KEEP_ALL;
+      if (resolution === RESOLUTIONS.KEEP_ALL) return totals;
+      return { groups: totals.groups + 1, rows: totals.rows + group.rows.length - 1 };
+    },
+    { groups: 0, rows: 0 }
+  );
+
+  /**
+   * Changes the key; previous choices belonged to other groups and are dropped.
+   */
+  const handleKeyChange = (fields) => {
+    setKeyFields(fields);
+    setResolutions({});
+    setVisibleCount(GROUPS_PAGE_SIZE);
+  };
+
+  const handleToggleKeyField = (field) => {
+    handleKeyChange(
+      keyFields.includes(field)
+        ? keyFields.filter((key) => key !== field)
+        : headers.filter((header) => header === field || keyFields.includes(header))
+    );
+  };
+
+  const handleResolutionChange = (groupKey, resolution) => {
+    setResolutions((prev) => ({ ...prev, [groupKey]: resolution }));
+  };
+
+  const handleResolveAll = (resolution) => {
+    setResolutions(Object.fromEntries(groups.map((group) => [group.key, resolution])));
+  };
+
+  const handleApply = () => {
+    const result = applyResolutions(data, groups, resolutions);
+    onApply(result.data);
+    setResolutions({});
+    setSummary(result.summary);
+  };
+
+  const activePreset = DUPLICATE_KEY_PRESETS.find(
+    (preset) => preset.fields.length === keyFields.length && preset.fields.every((field) => keyFields.includes(field))
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🧬 Duplicate Challans</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-form">
+          {summary ? (
+            <div className="duplicate-summary">
+              <p>
+                ✅ Resolved <strong>{summary.groupsResolved.toLocaleString()}</strong> group(s):
+                removed <strong>{summary.removedRows.length.toLocaleString()}</strong> row(s)
+                {summary.merged > 0 && `, merged ${summary.merged.toLocaleString()} group(s)`}.
+              </p>
+              {summary.truncatedNotes.length > 0 && (
+                <div className="duplicate-truncated">
+                  <p>
+                    ⚠️ The joined NOTES of {summary.truncatedNotes.length.toLocaleString()} merged row(s) were longer
+                    than {getSapField('NOTES')?.maxLength} characters and were cut. Check them in the table:
+                  </p>
+                  <ul>
+                    {summary.truncatedNotes.slice(0, SUMMARY_ROW_LIMIT).map(({ row, droppedChars }) => (
+                      <li key={row.id}>
+                        {row.CHALLAN_NO || '(no CHALLAN_NO)'}: {droppedChars.toLocaleString()} character(s) dropped
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {summary.removedRows.length > 0 && (
+                <table className="duplicate-summary-table">
+                  <thead>
+                    <tr>
+                      {headers.map((header) => <th key={header}>{header}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {summary.removedRows.slice(0, SUMMARY_ROW_LIMIT).map((row) => (
+                      <tr key={row.id}>
+                        {headers.map((header) => (
+                          <td key={header}>{displayValue(header, row[header], dateFormat)}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {summary.removedRows.length > SUMMARY_ROW_LIMIT && (
+                <p className="duplicate-more-note">
+                  …and {(summary.removedRows.length - SUMMARY_ROW_LIMIT).toLocaleString()} more
+                </p>
+              )}
+            </div>
+          ) : (
+            <>
+              {/* Key selection */}
+              <div className="duplicate-key">
+                <span className="form-label">Rows are duplicates when they share:</span>
+                <div className="duplicate-key-presets">
+                  {DUPLICATE_KEY_PRESETS.map((preset) => (
+                    <button
+                      key={preset.id}
+                      type="button"
+                      className={`duplicate-preset ${activePreset?.id === preset.id ? 'active' : ''}`}
+                      onClick={() => handleKeyChange(preset.fields)}
+                    >
+                      {preset.label}
+                    </button>
+                  ))}
+                </div>
+                <div className="duplicate-key-fields">
+                  {headers.map((header) => (
+                    <label key={header}>
+                      <input
+                        type="checkbox"
+                        checked={keyFields.includes(header)}
+                        onChange={() => handleToggleKeyField(header)}
+                      />
+                      {header}
+                    </label>
+                  ))}
+                </div>
+              </div>
+
+              {groups.length === 0 ? (
+                <p className="duplicate-none">
+                  {keyFields.length === 0 ? 'Pick at least one key field.' : '✅ No duplicates found for this key.'}
+                </p>
+              ) : (
+                <>
+                  <div className="duplicate-toolbar">
+                    <span>
+                      {groups.length.toLocaleString()} group(s),{' '}
+                      {groups.reduce((total, group) => total + group.rows.length, 0).toLocaleString()} rows
+                    </span>
+                    <span className="duplicate-toolbar-label">Apply to all:</span>
+                    {Object.values(RESOLUTIONS).map((resolution) => (
+                      <button
+                        key={resolution}
+                        type="button"
+                        className="btn btn-secondary"
+                        onClick={() => handleResolveAll(resolution)}
+                      >
+                        {RESOLUTION_LABELS[resolution]}
+                      </button>
+                    ))}
+                  </div>
+
+                  <div className="duplicate-groups">
+                    {groups.slice(0, visibleCount).map((group) => {
+                      const resolution = resolutions[group.key] || RESOLUTIONS.KEEP_ALL;
+                      const [first] = group.rows;
+                      const last = group.rows.length - 1;
+
+                      return (
+                        <div key={group.key} className="duplicate-group">
+                          <div className="duplicate-group-header">
+                            <strong>
+                              {keyFields.map((field) => `${field}: ${displayValue(field, first[field], dateFormat)}`).join(' · ')}
+                            </strong>
+                            <span>{group.rows.length} rows</span>
+                            <div className="duplicate-resolutions" role="radiogroup">
+                              {Object.values(RESOLUTIONS).map((option) => (
+                                <label key={option} className={resolution === option ? 'active' : ''}>
+                                  <input
+                                    type="radio"
+                                    name={`resolution-${group.key}`}
+                                    checked={resolution === option}
+                                    onChange={() => handleResolutionChange(group.key, option)}
+                                  />
+                                  {RESOLUTION_LABELS[option]}
+                                </label>
+                              ))}
+                            </div>
+                          </div>
+
+                          <div className="duplicate-group-table-wrapper">
+                            <table className="duplicate-group-table">
+                              <thead>
+                                <tr>
+                                  <th>Field</th>
+                                  {group.rows.map((row, index) => (
+                                    <th key={row.id}>
+                                      Row {(group.positions[index] + 1).toLocaleString()}
+                                      {index === 0 && ' (first)'}
+                                      {index === last && ' (last)'}
+                                    </th>
+                                  ))}
+                                </tr>
+                              </thead>
+                              <tbody>
+                                {headers.map((header) => (
+                                  <tr key={header} className={keyFields.includes(header) ? 'duplicate-key-row' : ''}>
+                                    <th>{header}</th>
+                                    {group.rows.map((row) => {
+                                      const value = displayValue(header, row[header], dateFormat);
+                                      const differs = value !== displayValue(header, first[header], dateFormat);
+                                      return (
+                                        <td key={row.id} className={differs ? 'duplicate-diff' : ''} title={value}>
+                                          {value}
+                                        </td>
+                                      );
+                                    })}
+                                  </tr>
+                                ))}
+                              </tbody>
+                            </table>
+                          </div>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  {groups.length > visibleCount && (
+                    <button
+                      type="button"
+                      className="btn btn-secondary duplicate-more"
+                      onClick={() => setVisibleCount((prev) => prev + GROUPS_PAGE_SIZE)}
+                    >
+                      Show more ({(groups.length - visibleCount).toLocaleString()} remaining)
+                    </button>
+                  )}
+                </>
+              )}
+            </>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              {summary ? 'Close' : 'Cancel'}
+            </button>
+            {summary ? (
+              <button type="button" className="btn btn-primary" onClick={() => setSummary(null)}>
+                Review again
+              </button>
+            ) : (
+              <button type="button" className="btn btn-primary" onClick={handleApply} disabled={pending.groups === 0}>
+                Apply to {pending.groups.toLocaleString()} group(s) · remove {pending.rows.toLocaleString()} row(s)
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default DuplicateFinderModal;
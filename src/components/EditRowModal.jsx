@@ -1,4 +1,7 @@
-import { useState, useEffect } from 'react';
+import { useState } from 'react';
+import { isIsoDate, recheckDateIssue } from '../utils/dateUtils';
+import { validateRowField } from '../utils/validation';
+import { masterName, masterOptions } from '../utils/masterData';
 import '../styles/Modal.css';
 
 /**
@@ -16,12 +19,17 @@ import '../styles/Modal.css';
  * - Special input types for different fields:
  *   • NOTES: Textarea with 255 character limit
  *   • CHAN_AMT: Number input with decimal step
- *   • CHALL_DATE: Text input with YYYYMMDD format placeholder
+ *   • CHALL_DATE: Date picker storing the canonical YYYY-MM-DD value
+ *   • A_BANCD / A_BANKL / ACCOUNT_CODE: Text inputs with a type-ahead list
+ *     of the valid codes when master data is loaded (branches of the chosen
+ *     bank only), and the name of the chosen code below
  *   • Other fields: Standard text inputs
  * - Modal overlay that closes when clicking outside
  * - Save and Cancel buttons
  * - Supports both "Add New Row" and "Edit Existing Row" modes
- * - Form validation through HTML5 input attributes
+ * - Form validation through HTML5 input attributes, plus the SAP field rules
+ *   from validation.js shown under each field (saving is still allowed; the
+ *   table keeps highlighting whatever remains invalid)
  *
  * USAGE:
  * Parent passes these props:
@@ -31,24 +39,19 @@ import '../styles/Modal.css';
  * - onSave: Callback function when user submits form
  * - onCancel: Callback function when user cancels/closes modal
  * - isNewRow: Boolean indicating if adding new or editing existing
+ * - masterData: Bank master data (see masterData.js), or null
+ *
+ * The form state is initialised from `row` when the modal mounts, so the
+ * parent mounts it only while open and gives it a key per edited row.
  *
  * @component
  */
-export const EditRowModal = ({ isOpen, row, headers, onSave, onCancel, isNewRow = false }) => {
+export const EditRowModal = ({ isOpen, row, headers, onSave, onCancel, isNewRow = false, masterData = null }) => {
   // Store the current form state as user types
-  // Updates whenever row prop changes or modal opens
   const [formData, setFormData] = useState(row || {});
 
-  /**
-   * Sync form data whenever the row prop changes
-   * This ensures the form shows the correct data when modal opens
-   * or when switching between different rows
-   */
-  useEffect(() => {
-    if (row) {
-      setFormData(row);
-    }
-  }, [row, isOpen]);
+  // Fields the user has changed; a new row only shows errors for these
+  const [touched, setTouched] = useState(() => new Set());
 
   // Don't render anything if modal is not open
   if (!isOpen) return null;
@@ -78,8 +81,19 @@ export const EditRowModal = ({ isOpen, row, headers, onSave, onCancel, isNewRow
       ...prev,
       [field]: value,
     }));
+    setTouched(prev => new Set(prev).add(field));
   };
 
+  /**
+   * Validation message for a field, or null. Blank new rows are not
+   * flagged until the user has typed into the field.
+   *
+   * @param {string} field - Field name
+   * @returns {string|null} Error message
+   */
+  const fieldError = (field) =>
+    isNewRow && !touched.has(field) ? null : validateRowField(field, formData, masterData);
+
   /**
    * ====================================================================
    * handleSubmit - Submits the form and saves the row
@@ -91,7 +105,8 @@ export const EditRowModal = ({ isOpen, row, headers, onSave, onCancel, isNewRow
    * 
    * HOW IT WORKS:
    * 1. Prevents default form submission behavior
-   * 2. Passes the current formData to parent's onSave callback
+   * 2. Re-checks the date flag if CHALL_DATE was changed, then passes the
+   *    form data to parent's onSave callback
    * 3. Parent decides if it's a new row (insert) or edit (update)
    * 4. Modal closes after submit (handled by parent)
    * 
@@ -104,7 +119,7 @@ export const EditRowModal = ({ isOpen, row, headers, onSave, onCancel, isNewRow
    */
   const handleSubmit = (e) => {
     e.preventDefault();
-    onSave(formData);
+    onSave(formData.CHALL_DATE === row?.CHALL_DATE ? formData : recheckDateIssue(formData));
   };
 
   return (
@@ -119,59 +134,87 @@ export const EditRowModal = ({ isOpen, row, headers, onSave, onCancel, isNewRow
         <form onSubmit={handleSubmit} className="modal-form">
           {/* Generate form fields dynamically based on headers */}
           <div className="form-grid">
-            {headers.map((header) => (
-              <div key={header} className="form-group">
-                <label htmlFor={header} className="form-label">
-                  {header}
-                </label>
+            {headers.map((header) => {
+              const error = fieldError(header);
+              const options = masterOptions(masterData, header, formData);
+              const name = masterName(masterData, header, formData);
+              const unreadableDate = header === 'CHALL_DATE' && formData[header] && !isIsoDate(formData[header]);
+              const inputClass = (base) => `${base} ${error ? 'input-invalid' : ''}`;
+
+              return (
+                <div key={header} className="form-group">
+                  <label htmlFor={header} className="form-label">
+                    {header}
+                  </label>
                 
-                {/* NOTES field: Textarea with character limit */}
-                {header === 'NOTES' ? (
-                  <textarea
-                    id={header}
-                    value={formData[header] || ''}
-                    onChange={(e) => handleChange(header, e.target.value)}
-                    className="form-textarea"
-                    maxLength={255}
-                    placeholder={`Max 255 characters`}
-                  />
-                ) 
-                /* CHAN_AMT field: Number input with decimal support */
-                : header === 'CHAN_AMT' ? (
-                  <input
-                    id={header}
-                    type="number"
-                    value={formData[header] || ''}
-                    onChange={(e) => handleChange(header, e.target.value)}
-                    className="form-input"
-                    step="0.01"
-                    placeholder="Enter amount"
-                  />
-                ) 
-                /* CHALL_DATE field: Date in YYYYMMDD format */
-                : header === 'CHALL_DATE' ? (
-                  <input
-                    id={header}
-                    type="text"
-                    value={formData[header] || ''}
-                    onChange={(e) => handleChange(header, e.target.value)}
-                    className="form-input"
-                    placeholder="YYYYMMDD format"
-                  />
-                ) 
-                /* All other fields: Standard text input */
-                : (
-                  <input
-                    id={header}
-                    type="text"
-                    value={formData[header] || ''}
-                    onChange={(e) => handleChange(header, e.target.value)}
-                    className="form-input"
-                    placeholder={`Enter ${header}`}
-                  />
-                )}
-              </div>
-            ))}
+                  {/* NOTES field: Textarea with character limit */}
+                  {header === 'NOTES' ? (
+                    <textarea
+                      id={header}
+                      value={formData[header] || ''}
+                      onChange={(e) => handleChange(header, e.target.value)}
+                      className={inputClass('form-textarea')}
+                      maxLength={255}
+                      placeholder={`Max 255 characters`}
+                    />
+                  ) 
+                  /* CHAN_AMT field: Number input with decimal support */
+                  : header === 'CHAN_AMT' ? (
+                    <input
+                      id={header}
+                      type="number"
+                      value={formData[header] || ''}
+                      onChange={(e) => handleChange(header, e.target.value)}
+                      className={inputClass('form-input')}
+                      step="0.01"
+                      placeholder="Enter amount"
+                    />
+                  ) 
+                  /* CHALL_DATE field: Date picker, stored as YYYY-MM-DD */
+                  : header === 'CHALL_DATE' ? (
+                    <>
+                      <input
+                        id={header}
+                        type="date"
+                        value={isIsoDate(formData[header]) ? formData[header] : ''}
+                        onChange={(e) => handleChange(header, e.target.value)}
+                        className={inputClass('form-input')}
+                      />
+                      {unreadableDate && (
+                        <span className="form-hint form-hint-warning">
+                          ⚠️ Imported value "{formData[header]}" is not a valid date — pick one to replace it
+                        </span>
+                      )}
+                    </>
+                  ) 
+                  /* All other fields: Standard text input, with master data codes as type-ahead */
+                  : (
+                    <>
+                      <input
+                        id={header}
+                        type="text"
+                        value={formData[header] || ''}
+                        onChange={(e) => handleChange(header, e.target.value)}
+                        className={inputClass('form-input')}
+                        placeholder={`Enter ${header}`}
+                        list={options.length > 0 ? `${header}-options` : undefined}
+                      />
+                      {options.length > 0 && (
+                        <datalist id={`${header}-options`}>
+                          {options.map((option) => <option key={option.code} value={option.code}>{option.name}</option>)}
+                        </datalist>
+                      )}
+                      {name && !error && <span className="form-hint">🏦 {name}</span>}
+                    </>
+                  )}
+
+                  {/* Schema validation message (see validation.js) */}
+                  {error && !unreadableDate && (
+                    <span className="form-hint form-hint-error">❌ {error}</span>
+                  )}
+                </div>
+              );
+            })}
           </div>
 
           {/* Footer with Cancel and Save buttons */}
@@ -0,0 +1,47 @@
+import { EDIT_SCOPES } from '../utils/bulkEdit';
+import '../styles/BulkEdit.css';
+
+/**
+ * ============================================================================
+ * EditScopePicker Component - Which rows a bulk edit or replace applies to
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Radio choice between the selected rows and every row matching the table's
+ * search and filters, each with its row count. Used by BulkEditModal and
+ * FindReplaceModal. The selected option is disabled when nothing is selected.
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - scope: Current scope (see EDIT_SCOPES)
+ * - selectedCount / filteredCount: Rows in each scope
+ * - onChange: Callback receiving the new scope
+ *
+ * @component
+ */
+export const EditScopePicker = ({ scope, selectedCount, filteredCount, onChange }) => (
+  <div className="edit-scope" role="radiogroup">
+    <span className="form-label">Apply to</span>
+    <label className={selectedCount === 0 ? 'disabled' : ''}>
+      <input
+        type="radio"
+        name="edit-scope"
+        checked={scope === EDIT_SCOPES.SELECTED}
+        disabled={selectedCount === 0}
+        onChange={() => onChange(EDIT_SCOPES.SELECTED)}
+      />
+      Selected rows ({selectedCount.toLocaleString()})
+    </label>
+    <label>
+      <input
+        type="radio"
+        name="edit-scope"
+        checked={scope === EDIT_SCOPES.FILTERED}
+        onChange={() => onChange(EDIT_SCOPES.FILTERED)}
+      />
+      All rows matching the search and filters ({filteredCount.toLocaleString()})
+    </label>
+  </div>
+);
+
+export default EditScopePicker;
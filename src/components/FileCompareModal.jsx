@@ -0,0 +1,295 @@
+import { useState, useEffect, useMemo } from 'react';
+import VirtualizedDataTable from './VirtualizedDataTable';
+import ImportProgress from './ImportProgress';
+import { parseExcelFile, exportComparisonReport } from '../utils/excelParser';
+import { SAP_FIELDS } from '../utils/sapFields';
+import { formatAmount } from '../utils/amountUtils';
+import { diffFields } from '../utils/snapshots';
+import {
+  COMPARE_STATUS,
+  COMPARE_STATUS_LABELS,
+  DEFAULT_COMPARE_KEY,
+  compareDatasets,
+  comparisonTable,
+} from '../utils/fileCompare';
+import '../styles/Modal.css';
+import '../styles/FileCompare.css';
+
+const STATUS_ORDER = [COMPARE_STATUS.ADDED, COMPARE_STATUS.REMOVED, COMPARE_STATUS.CHANGED, COMPARE_STATUS.UNCHANGED];
+
+/**
+ * File name without its extension, e.g. "bank_march.xlsx" → "bank_march".
+ */
+const baseName = (name) => name.replace(/\.[^.]+$/, '');
+
+/**
+ * Amount difference with its sign, e.g. "+1,250.00" or "-30.00".
+ */
+const signedAmount = (value) => (value === null ? '–' : `${value.startsWith('-') ? '' : '+'}${formatAmount(value)}`);
+
+/**
+ * ============================================================================
+ * FileCompareModal Component - What a re-sent bank file changed
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Opened from "Compare files" under the upload area. Reads an original and
+ * a re-sent file with the selected column mapping and matches their rows
+ * on the chosen key fields (see fileCompare.js). Independent of the data
+ * being edited.
+ *
+ * KEY FEATURES:
+ * - Two file pickers and the key fields (CHALLAN_NO by default)
+ * - Progress of each file while it is read, with Cancel
+ * - Chips with the count of added, removed, changed and unchanged rows;
+ *   clicking one shows only that category
+ * - Results in a read-only VirtualizedDataTable: search, column filters,
+ *   sorting and grouping work as usual, changed cells show the original
+ *   value in their tooltip, CHANGED_FIELDS and CHAN_AMT_DIFF columns
+ * - Amount totals of both files with their difference, and warnings for
+ *   rows without a key or keys occurring more than once
+ * - Export of an XLSX report with one sheet per category
+ * - Escape or a click outside closes it (cancelling a running read)
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - profile: Column mapping profile both files are read with
+ * - amountSettings: { scale, rounding } amounts are read with, as on import
+ * - dateFormat: Display format for dates in the results table
+ * - onClose: Callback when the modal is closed
+ *
+ * @component
+ */
+export const FileCompareModal = ({ profile, amountSettings, dateFormat, onClose }) => {
+  // Picked files: the original and its corrected re-send
+  const [olderFile, setOlderFile] = useState(null);
+  const [newerFile, setNewerFile] = useState(null);
+
+  // Fields the rows are matched on
+  const [keyFields, setKeyFields] = useState(DEFAULT_COMPARE_KEY);
+
+  // While reading: the controller to cancel with, and { fileName, ...progress }
+  const [controller, setController] = useState(null);
+  const [progress, setProgress] = useState(null);
+
+  // Last result: { comparison, table, olderName, newerName, runId } or null
+  const [result, setResult] = useState(null);
+
+  // Category shown (null = all)
+  const [statusFilter, setStatusFilter] = useState(null);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // A read still running when the modal closes is cancelled
+  useEffect(() => () => controller?.abort(), [controller]);
+
+  const rows = useMemo(() => {
+    if (!result) return [];
+    const { rows: all } = result.table;
+    return statusFilter ? all.filter((row) => row._compareStatus === statusFilter) : all;
+  }, [result, statusFilter]);
+
+  const toggleKeyField = (field) => {
+    setKeyFields((prev) => (prev.includes(field)
+      ? prev.filter((key) => key !== field)
+      : SAP_FIELDS.map(({ key }) => key).filter((key) => key === field || prev.includes(key))));
+  };
+
+  /**
+   * Reads one file with the selected profile; null when cancelled.
+   */
+  const readFile = async (file, signal) => {
+    const parsed = await parseExcelFile(file, profile, {
+      signal,
+      amountSettings,
+      onProgress: (update) => setProgress({ ...update, fileName: file.name }),
+    });
+    if (parsed.cancelled) return null;
+    if (parsed.error) throw new Error(`${file.name}: ${parsed.error}`);
+    return parsed;
+  };
+
+  const handleCompare = async () => {
+    const abort = new AbortController();
+    setController(abort);
+    setProgress({ phase: 'read', fileName: olderFile.name });
+    try {
+      // One after the other: a single parsing worker at a time
+      const older = await readFile(olderFile, abort.signal);
+      const newer = older && await readFile(newerFile, abort.signal);
+      if (newer) {
+        const comparison = compareDatasets(older.data, newer.data, keyFields, diffFields(older.headers, newer.headers));
+        setResult({
+          comparison,
+          table: comparisonTable(comparison),
+          olderName: olderFile.name,
+          newerName: newerFile.name,
+          runId: Date.now(),
+        });
+        setStatusFilter(null);
+      }
+    } catch (compareError) {
+      alert(`Could not compare the files: ${compareError.message}`);
+    }
+    setProgress(null);
+    setController(null);
+  };
+
+  const handleExport = () => {
+    const { comparison, olderName, newerName } = result;
+    const { counts, totals, warnings } = comparison;
+    exportComparisonReport(comparison, [
+      { Item: 'Original file', Value: olderName },
+      { Item: 'Re-sent file', Value: newerName },
+      { Item: 'Matched on', Value: comparison.keyFields.join(' + ') },
+      { Item: 'Column mapping', Value: profile.name },
+      { Item: 'Exported at', Value: new Date().toLocaleString() },
+      ...STATUS_ORDER.map((status) => ({ Item: `Rows ${COMPARE_STATUS_LABELS[status].toLowerCase()}`, Value: counts[status] })),
+      ...totals.flatMap(({ field, older, newer, difference }) => [
+        { Item: `${field} total (original)`, Value: older ?? '' },
+        { Item: `${field} total (re-sent)`, Value: newer ?? '' },
+        { Item: `${field} difference`, Value: difference ?? '' },
+      ]),
+      { Item: 'Rows without a key', Value: warnings.blankKeys },
+      { Item: 'Keys occurring more than once', Value: warnings.duplicateKeys },
+    ], `comparison_${baseName(olderName)}_vs_${baseName(newerName)}.xlsx`);
+  };
+
+  const isReading = controller !== null;
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content file-compare-modal" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🔀 Compare Files</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-form">
+          {/* Files and key */}
+          <div className="file-compare-setup">
+            <label className="file-compare-file">
+              Original file
+              <input
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                onChange={(e) => setOlderFile(e.target.files[0] || null)}
+                disabled={isReading}
+              />
+            </label>
+            <label className="file-compare-file">
+              Re-sent file
+              <input
+                type="file"
+                accept=".xlsx,.xls,.csv"
+                onChange={(e) => setNewerFile(e.target.files[0] || null)}
+                disabled={isReading}
+              />
+            </label>
+
+            <fieldset className="file-compare-keys" disabled={isReading}>
+              <legend>Match rows on</legend>
+              {SAP_FIELDS.map(({ key, label }) => (
+                <label key={key} title={label}>
+                  <input
+                    type="checkbox"
+                    checked={keyFields.includes(key)}
+                    onChange={() => toggleKeyField(key)}
+                    disabled={keyFields.length === 1 && keyFields.includes(key)}
+                  />
+                  {key}
+                </label>
+              ))}
+            </fieldset>
+
+            <div className="file-compare-run">
+              <span className="file-compare-hint">
+                Both files are read with the column mapping “{profile.name}” (first sheet), amounts
+                rounded to {amountSettings.scale} decimal(s) as on import.
+              </span>
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleCompare}
+                disabled={isReading || !olderFile || !newerFile}
+              >
+                🔀 Compare
+              </button>
+            </div>
+          </div>
+
+          {progress && (
+            <>
+              <p className="file-compare-progress-file">Reading {progress.fileName}</p>
+              <ImportProgress progress={progress} onCancel={() => controller?.abort()} />
+            </>
+          )}
+
+          {/* Results */}
+          {result && !isReading && (
+            <>
+              <div className="file-compare-summary">
+                <span className="file-compare-title">
+                  <strong>{result.olderName}</strong> → <strong>{result.newerName}</strong>
+                </span>
+                {STATUS_ORDER.map((status) => (
+                  <button
+                    key={status}
+                    type="button"
+                    className={`file-compare-chip file-compare-chip-${status} ${statusFilter === status ? 'active' : ''}`}
+                    onClick={() => setStatusFilter((prev) => (prev === status ? null : status))}
+                    disabled={result.comparison.counts[status] === 0}
+                  >
+                    {COMPARE_STATUS_LABELS[status]}: {result.comparison.counts[status].toLocaleString()}
+                  </button>
+                ))}
+                <button type="button" className="btn btn-history" onClick={handleExport}>
+                  📤 Export XLSX
+                </button>
+              </div>
+
+              {result.comparison.totals.map(({ field, older, newer, difference }) => (
+                <p key={field} className="file-compare-totals">
+                  <strong>{field}</strong> total: {older === null ? '–' : formatAmount(older)}
+                  {' → '}{newer === null ? '–' : formatAmount(newer)} (difference {signedAmount(difference)})
+                </p>
+              ))}
+
+              {(result.comparison.warnings.blankKeys > 0 || result.comparison.warnings.duplicateKeys > 0) && (
+                <p className="file-compare-warnings">
+                  ⚠️
+                  {result.comparison.warnings.blankKeys > 0 &&
+                    ` ${result.comparison.warnings.blankKeys.toLocaleString()} row(s) have no ${result.comparison.keyFields.join(' + ')} and could not be matched.`}
+                  {result.comparison.warnings.duplicateKeys > 0 &&
+                    ` ${result.comparison.warnings.duplicateKeys.toLocaleString()} key(s) occur more than once; their rows were matched in file order.`}
+                </p>
+              )}
+
+              <VirtualizedDataTable
+                key={result.runId}
+                headers={result.table.headers}
+                data={rows}
+                dateFormat={dateFormat}
+                changes={result.table.changes}
+              />
+            </>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FileCompareModal;
@@ -0,0 +1,232 @@
+import { useState, useMemo } from 'react';
+import EditScopePicker from './EditScopePicker';
+import { getSapField } from '../utils/sapFields';
+import {
+  EDIT_SCOPES,
+  compileFindPattern,
+  planReplace,
+  applyCellChanges,
+  countChangedRows,
+} from '../utils/bulkEdit';
+import { pluralize } from '../utils/history';
+import '../styles/Modal.css';
+import '../styles/BulkEdit.css';
+
+// Example changes listed in the preview
+const PREVIEW_LIMIT = 5;
+
+/**
+ * ============================================================================
+ * FindReplaceModal Component - Find and replace text across rows
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Replaces text in the chosen columns of the selected or filtered rows,
+ * e.g. renaming a bank code prefix or reformatting challan numbers with a
+ * regular expression.
+ *
+ * KEY FEATURES:
+ * - Column scope: any combination of columns (all by default)
+ * - Partial or whole-cell matching, optional case sensitivity
+ * - Regular expressions with capture groups ($1, $<name>) in the replacement
+ * - Live preview: matched cells, changed cells and rows, and a few
+ *   before → after examples
+ * - Changes go through onApply in one step
+ *
+ * Dates are searched as stored (YYYY-MM-DD), not in the display format.
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - data: All rows
+ * - headers: Columns that can be searched
+ * - selectedIds: Set of selected row ids
+ * - filteredRows: Rows matching the table's search and filters
+ * - onApply: Callback receiving the updated dataset and a history label
+ * - onClose: Callback when the modal is closed
+ *
+ * @component
+ */
+export const FindReplaceModal = ({ data, headers, selectedIds, filteredRows, onApply, onClose }) => {
+  const selectedCount = useMemo(
+    () => (selectedIds.size > 0 ? data.filter((row) => selectedIds.has(row.id)).length : 0),
+    [data, selectedIds]
+  );
+
+  const [scope, setScope] = useState(selectedCount > 0 ? EDIT_SCOPES.SELECTED : EDIT_SCOPES.FILTERED);
+  const [fields, setFields] = useState(headers);
+  const [find, setFind] = useState('');
+  const [replacement, setReplacement] = useState('');
+  const [matchCase, setMatchCase] = useState(false);
+  const [wholeCell, setWholeCell] = useState(false);
+  const [useRegex, setUseRegex] = useState(false);
+
+  const pattern = useMemo(
+    () => compileFindPattern({ find, matchCase, wholeCell, useRegex }),
+    [find, matchCase, wholeCell, useRegex]
+  );
+
+  // Planned changes, recomputed as the form changes
+  const plan = useMemo(() => {
+    if (!pattern.regex || fields.length === 0) return { changes: [], matchedCells: 0 };
+    const targetIds = scope === EDIT_SCOPES.SELECTED ? selectedIds : new Set(filteredRows.map((row) => row.id));
+    return planReplace(data, targetIds, fields, pattern.regex, replacement, useRegex);
+  }, [data, scope, selectedIds, filteredRows, fields, pattern, replacement, useRegex]);
+
+  const changedRows = useMemo(() => countChangedRows(plan.changes), [plan]);
+
+  const samples = plan.changes.slice(0, PREVIEW_LIMIT).map((change) => ({
+    ...change,
+    position: data.findIndex((row) => row.id === change.rowId) + 1,
+  }));
+
+  const handleToggleField = (field) => {
+    setFields((prev) => (prev.includes(field) ? prev.filter((f) => f !== field) : [...prev, field]));
+  };
+
+  const handleApply = () => {
+    onApply(
+      applyCellChanges(data, plan.changes),
+      `Replaced "${find}" with "${replacement}" in ${pluralize(plan.changes.length, 'cell')}`
+    );
+  };
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🔁 Find &amp; Replace</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-form">
+          <EditScopePicker
+            scope={scope}
+            selectedCount={selectedCount}
+            filteredCount={filteredRows.length}
+            onChange={setScope}
+          />
+
+          <div className="find-replace-columns">
+            <span className="form-label">
+              In columns
+              <button type="button" onClick={() => setFields(fields.length === headers.length ? [] : headers)}>
+                {fields.length === headers.length ? 'None' : 'All'}
+              </button>
+            </span>
+            <div className="find-replace-fields">
+              {headers.map((header) => (
+                <label key={header}>
+                  <input
+                    type="checkbox"
+                    checked={fields.includes(header)}
+                    onChange={() => handleToggleField(header)}
+                  />
+                  {header}
+                  {getSapField(header)?.type === 'date' && <span className="form-hint"> (YYYY-MM-DD)</span>}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-grid">
+            <div className="form-group">
+              <label htmlFor="find-text" className="form-label">Find</label>
+              <input
+                id="find-text"
+                type="text"
+                value={find}
+                onChange={(e) => setFind(e.target.value)}
+                className={`form-input ${pattern.error ? 'input-invalid' : ''}`}
+                placeholder={useRegex ? 'Regular expression, e.g. ^BR(\\d+)$' : 'Text to find'}
+                autoFocus
+              />
+              {pattern.error && <span className="form-hint form-hint-error">❌ {pattern.error}</span>}
+              {!pattern.error && wholeCell && find === '' && (
+                <span className="form-hint">Empty search with whole cell finds blank cells</span>
+              )}
+            </div>
+
+            <div className="form-group">
+              <label htmlFor="replace-text" className="form-label">Replace with</label>
+              <input
+                id="replace-text"
+                type="text"
+                value={replacement}
+                onChange={(e) => setReplacement(e.target.value)}
+                className="form-input"
+                placeholder={useRegex ? 'Replacement, e.g. BRANCH-$1' : 'Replacement text'}
+              />
+              {useRegex && <span className="form-hint">$1, $2… or $&lt;name&gt; insert capture groups, $&amp; the match</span>}
+            </div>
+          </div>
+
+          <div className="find-replace-options">
+            <label>
+              <input type="checkbox" checked={matchCase} onChange={(e) => setMatchCase(e.target.checked)} />
+              Match case
+            </label>
+            <label>
+              <input type="checkbox" checked={wholeCell} onChange={(e) => setWholeCell(e.target.checked)} />
+              Whole cell
+            </label>
+            <label>
+              <input type="checkbox" checked={useRegex} onChange={(e) => setUseRegex(e.target.checked)} />
+              Regular expression
+            </label>
+          </div>
+
+          {pattern.regex && fields.length > 0 && (
+            <div className="bulk-edit-preview">
+              <p>
+                {plan.matchedCells.toLocaleString()} matching cell(s) ·{' '}
+                <strong>{plan.changes.length.toLocaleString()}</strong> will change in{' '}
+                {changedRows.toLocaleString()} row(s)
+              </p>
+              {samples.length > 0 && (
+                <table className="find-replace-samples">
+                  <thead>
+                    <tr>
+                      <th>Row</th>
+                      <th>Column</th>
+                      <th>Before</th>
+                      <th>After</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {samples.map((sample) => (
+                      <tr key={`${sample.rowId}-${sample.field}`}>
+                        <td>{sample.position.toLocaleString()}</td>
+                        <td>{sample.field}</td>
+                        <td className="find-replace-before">{sample.before}</td>
+                        <td className="find-replace-after">{sample.after}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              )}
+              {plan.changes.length > PREVIEW_LIMIT && (
+                <p className="form-hint">…and {(plan.changes.length - PREVIEW_LIMIT).toLocaleString()} more</p>
+              )}
+            </div>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Cancel
+            </button>
+            <button
+              type="button"
+              className="btn btn-primary"
+              onClick={handleApply}
+              disabled={plan.changes.length === 0}
+            >
+              Replace in {plan.changes.length.toLocaleString()} cell(s)
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default FindReplaceModal;
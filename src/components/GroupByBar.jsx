@@ -0,0 +1,77 @@
+import '../styles/GroupBy.css';
+
+/**
+ * ============================================================================
+ * GroupByBar Component - Group-by fields and group actions above the table
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Picks the fields the table groups its rows by, outermost first
+ * (e.g. A_BANCD → A_BANKL), shown as removable chips. While grouped it also
+ * offers expanding/collapsing every group and the Excel export with
+ * subtotal rows.
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - fields: Fields that can be grouped by
+ * - groupFields: Current group-by fields, outermost first
+ * - groupCount: Number of top-level groups (shown while grouped)
+ * - onAdd / onRemove: Callbacks receiving the field to add or remove
+ * - onExpandAll / onCollapseAll: Callbacks for the expand/collapse buttons
+ * - onExport: Callback for "Export with subtotals"
+ *
+ * @component
+ */
+export const GroupByBar = ({
+  fields,
+  groupFields,
+  groupCount,
+  onAdd,
+  onRemove,
+  onExpandAll,
+  onCollapseAll,
+  onExport,
+}) => {
+  const available = fields.filter((field) => !groupFields.includes(field));
+  const isGrouped = groupFields.length > 0;
+
+  return (
+    <div className="group-by-bar">
+      <span className="group-by-label">Group by:</span>
+
+      {groupFields.map((field, index) => (
+        <span key={field} className="group-by-chip">
+          {index > 0 && <span className="group-by-arrow">→</span>}
+          {field}
+          <button onClick={() => onRemove(field)} title={`Stop grouping by ${field}`}>✕</button>
+        </span>
+      ))}
+
+      {available.length > 0 && (
+        <select
+          value=""
+          onChange={(e) => e.target.value && onAdd(e.target.value)}
+          className="group-by-select"
+        >
+          <option value="">{isGrouped ? '+ Add level' : 'None'}</option>
+          {available.map((field) => (
+            <option key={field} value={field}>{field}</option>
+          ))}
+        </select>
+      )}
+
+      {isGrouped && (
+        <div className="group-by-actions">
+          <span className="group-by-count">{groupCount.toLocaleString()} group(s)</span>
+          <button onClick={onExpandAll}>Expand all</button>
+          <button onClick={onCollapseAll}>Collapse all</button>
+          <button onClick={onExport} title="Excel file with a subtotal row after every group and a grand total">
+            ⬇️ Export with subtotals
+          </button>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default GroupByBar;
@@ -0,0 +1,88 @@
+import { useEffect, useRef } from 'react';
+import { pluralize } from '../utils/history';
+import '../styles/History.css';
+
+/**
+ * Clock time of a history step, e.g. "14:03:27".
+ */
+const formatTime = (timestamp) =>
+  new Date(timestamp).toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+
+/**
+ * ============================================================================
+ * HistoryPanel Component - Labeled undo history with jump-to-point
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Popover opened from the "History" button. Lists every recorded change,
+ * oldest first, starting with the data as imported. The current point is
+ * highlighted and undone steps are greyed out; clicking any line undoes or
+ * redoes as many steps as needed to get back (or forward) to it.
+ *
+ * Escape or a click outside closes it.
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - history: History from history.js ({ entries, index, dropped })
+ * - onJump: Callback receiving the number of steps that should be applied
+ * - onClose: Callback when the popover should close
+ *
+ * @component
+ */
+export const HistoryPanel = ({ history, onJump, onClose }) => {
+  const popoverRef = useRef(null);
+
+  // Close on a click outside the popover or on Escape. The History button is
+  // left alone so clicking it toggles instead of closing and reopening.
+  useEffect(() => {
+    const handleMouseDown = (e) => {
+      if (popoverRef.current?.contains(e.target) || e.target.closest?.('.btn-history')) return;
+      onClose();
+    };
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('mousedown', handleMouseDown);
+    document.addEventListener('keydown', handleKeyDown);
+    return () => {
+      document.removeEventListener('mousedown', handleMouseDown);
+      document.removeEventListener('keydown', handleKeyDown);
+    };
+  }, [onClose]);
+
+  const lineClass = (target) =>
+    `history-line ${target === history.index ? 'current' : ''} ${target > history.index ? 'undone' : ''}`;
+
+  return (
+    <div ref={popoverRef} className="history-panel">
+      <div className="history-panel-title">
+        History
+        <span className="history-panel-count">{pluralize(history.entries.length, 'step')}</span>
+      </div>
+
+      <ol className="history-list">
+        <li>
+          <button type="button" className={lineClass(0)} onClick={() => onJump(0)}>
+            <span className="history-label">
+              {history.dropped > 0
+                ? `Oldest kept point (${pluralize(history.dropped, 'older step')} dropped)`
+                : 'Data as imported'}
+            </span>
+          </button>
+        </li>
+        {history.entries.map((entry, index) => (
+          <li key={`${entry.at}-${index}`}>
+            <button type="button" className={lineClass(index + 1)} onClick={() => onJump(index + 1)}>
+              <span className="history-label">{entry.label}</span>
+              <span className="history-time">{formatTime(entry.at)}</span>
+            </button>
+          </li>
+        ))}
+      </ol>
+
+      <div className="history-panel-hint">Ctrl+Z undo · Ctrl+Shift+Z redo · click a step to go back to it</div>
+    </div>
+  );
+};
+
+export default HistoryPanel;
@@ -0,0 +1,193 @@
+import { useState, useMemo } from 'react';
+import { DIAGNOSTIC_LABELS, summarizeDiagnostics } from '../utils/importDiagnostics';
+import '../styles/ImportDiagnostics.css';
+
+// Issues rendered at once; "Show more" adds another batch
+const ISSUES_PAGE_SIZE = 200;
+
+/**
+ * ============================================================================
+ * ImportDiagnosticsPanel Component - What the last import changed
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lists every value the import did not take over verbatim (truncated,
+ * defaulted, type-converted or unreadable) and every source column that
+ * was not mapped, so nothing is changed silently.
+ *
+ * KEY FEATURES:
+ * - Collapsed summary line with counts, expandable into the full list
+ * - Filter by issue kind (chips) and by field
+ * - "Show" jumps to the affected row in the data table
+ * - "Download report" writes all issues to an Excel workbook
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - diagnostics: { issues, unmappedColumns } from the import (see importDiagnostics.js)
+ * - onShowRow: Callback receiving the rowId of the row to show
+ * - onDownload: Callback when the user clicks "Download report"
+ *
+ * @component
+ */
+export const ImportDiagnosticsPanel = ({ diagnostics, onShowRow, onDownload }) => {
+  // Whether the issue list is visible
+  const [isExpanded, setIsExpanded] = useState(false);
+
+  // Active filters ('' = all)
+  const [kindFilter, setKindFilter] = useState('');
+  const [fieldFilter, setFieldFilter] = useState('');
+
+  // Number of issues currently rendered
+  const [visibleCount, setVisibleCount] = useState(ISSUES_PAGE_SIZE);
+
+  const { issues, unmappedColumns } = diagnostics;
+  const { byKind, byField } = useMemo(() => summarizeDiagnostics(diagnostics), [diagnostics]);
+  const multipleSheets = issues.some((issue) => issue.sheet !== undefined) ||
+    unmappedColumns.some((column) => column.sheet !== undefined);
+
+  const filteredIssues = useMemo(
+    () => issues.filter((issue) =>
+      (!kindFilter || issue.kind === kindFilter) && (!fieldFilter || issue.field === fieldFilter)
+    ),
+    [issues, kindFilter, fieldFilter]
+  );
+
+  if (issues.length === 0 && unmappedColumns.length === 0) {
+    return (
+      <div className="diagnostics-panel diagnostics-clean">
+        ✅ Import diagnostics: every value was imported as-is and every source column was mapped.
+      </div>
+    );
+  }
+
+  const handleKindFilter = (kind) => {
+    setKindFilter((prev) => (prev === kind ? '' : kind));
+    setVisibleCount(ISSUES_PAGE_SIZE);
+  };
+
+  const handleFieldFilter = (field) => {
+    setFieldFilter(field);
+    setVisibleCount(ISSUES_PAGE_SIZE);
+  };
+
+  return (
+    <section className="diagnostics-panel">
+      <div className="diagnostics-header">
+        <strong>🩺 Import diagnostics</strong>
+        <span className="diagnostics-totals">
+          {issues.length.toLocaleString()} changed value(s) · {unmappedColumns.length} unmapped column(s)
+        </span>
+        <div className="diagnostics-actions">
+          <button type="button" className="btn btn-secondary" onClick={onDownload}>
+            ⬇️ Download report
+          </button>
+          <button type="button" className="btn btn-secondary" onClick={() => setIsExpanded((prev) => !prev)}>
+            {isExpanded ? '▲ Hide details' : '▼ Show details'}
+          </button>
+        </div>
+      </div>
+
+      {isExpanded && (
+        <div className="diagnostics-body">
+          {issues.length > 0 && (
+            <>
+              <div className="diagnostics-filters">
+                {Object.entries(byKind).map(([kind, count]) => (
+                  <button
+                    key={kind}
+                    type="button"
+                    className={`diagnostics-chip ${kindFilter === kind ? 'active' : ''}`}
+                    onClick={() => handleKindFilter(kind)}
+                  >
+                    {DIAGNOSTIC_LABELS[kind]} <span>{count.toLocaleString()}</span>
+                  </button>
+                ))}
+                <select
+                  value={fieldFilter}
+                  onChange={(e) => handleFieldFilter(e.target.value)}
+                  className="items-per-page-select"
+                >
+                  <option value="">All fields</option>
+                  {Object.entries(byField).map(([field, count]) => (
+                    <option key={field} value={field}>
+                      {field} ({count.toLocaleString()})
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <div className="diagnostics-table-wrapper">
+                <table className="diagnostics-table">
+                  <thead>
+                    <tr>
+                      {multipleSheets && <th>Sheet</th>}
+                      <th>Row</th>
+                      <th>Field</th>
+                      <th>Issue</th>
+                      <th>Original</th>
+                      <th>Imported</th>
+                      <th>Note</th>
+                      <th />
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {filteredIssues.slice(0, visibleCount).map((issue, index) => (
+                      <tr key={`${issue.rowId}-${issue.field}-${index}`}>
+                        {multipleSheets && <td>{issue.sheet}</td>}
+                        <td>{issue.sourceRow}</td>
+                        <td>{issue.field}</td>
+                        <td>{DIAGNOSTIC_LABELS[issue.kind]}</td>
+                        <td title={String(issue.original ?? '')}>{String(issue.original ?? '')}</td>
+                        <td title={String(issue.value ?? '')}>{String(issue.value ?? '')}</td>
+                        <td>{issue.note}</td>
+                        <td>
+                          <button
+                            type="button"
+                            className="diagnostics-show-btn"
+                            onClick={() => onShowRow(issue.rowId)}
+                            title="Show this row in the table"
+                          >
+                            🔎 Show
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {filteredIssues.length > visibleCount && (
+                <button
+                  type="button"
+                  className="btn btn-secondary diagnostics-more"
+                  onClick={() => setVisibleCount((prev) => prev + ISSUES_PAGE_SIZE)}
+                >
+                  Show more ({(filteredIssues.length - visibleCount).toLocaleString()} remaining)
+                </button>
+              )}
+            </>
+          )}
+
+          {unmappedColumns.length > 0 && (
+            <div className="diagnostics-columns">
+              <h4>Source columns not imported</h4>
+              <ul>
+                {unmappedColumns.map((column) => (
+                  <li key={`${column.sheet ?? ''}-${column.column}`}>
+                    {multipleSheets && <span className="diagnostics-sheet">{column.sheet}: </span>}
+                    <strong>{column.column}</strong> {column.header ? `“${column.header}”` : '(no header)'}
+                    {' — '}
+                    {column.filledCount.toLocaleString()} filled cell(s)
+                    {column.filledCount > 0 && `, e.g. “${String(column.sample)}”`}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default ImportDiagnosticsPanel;
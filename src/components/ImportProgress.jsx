@@ -0,0 +1,70 @@
+import '../styles/ImportWizard.css';
+
+const PHASE_LABELS = {
+  read: '📦 Reading file',
+  parse: '🧮 Parsing workbook',
+  rows: '📄 Reading rows',
+  transform: '🔄 Transforming rows',
+};
+
+/**
+ * Formats a byte count as KB/MB for the progress text.
+ */
+const formatBytes = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / (1024 * 1024)).toFixed(1)} MB` : `${(bytes / 1024).toFixed(0)} KB`;
+
+/**
+ * ============================================================================
+ * ImportProgress Component - Progress bar for worker-based parsing
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shows what the parsing worker is doing (bytes read, rows transformed) and
+ * offers a Cancel button that aborts the job.
+ *
+ * PHASES:
+ * - read / transform: determinate bar (loaded/total bytes, done/total rows)
+ * - parse / rows: indeterminate bar, XLSX gives no progress for these steps
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - progress: Latest progress object from parserClient's onProgress
+ * - onCancel: Callback when the user clicks Cancel
+ *
+ * @component
+ */
+export const ImportProgress = ({ progress, onCancel }) => {
+  const phase = progress?.phase || 'read';
+
+  let percent = null;
+  let detail = '';
+  if (phase === 'read' && progress?.total) {
+    percent = (progress.loaded / progress.total) * 100;
+    detail = `${formatBytes(progress.loaded)} of ${formatBytes(progress.total)}`;
+  } else if (phase === 'transform' && progress?.total) {
+    percent = (progress.done / progress.total) * 100;
+    detail = `${progress.done.toLocaleString()} of ${progress.total.toLocaleString()} rows`;
+  }
+
+  return (
+    <div className="import-progress" role="status">
+      <div className="import-progress-header">
+        <span className="import-progress-label">{PHASE_LABELS[phase]}…</span>
+        <span className="import-progress-detail">{detail}</span>
+      </div>
+      <div className="import-progress-track">
+        <div
+          className={`import-progress-bar ${percent === null ? 'indeterminate' : ''}`}
+          style={percent === null ? undefined : { width: `${percent}%` }}
+        />
+      </div>
+      {onCancel && (
+        <button type="button" className="btn btn-secondary import-progress-cancel" onClick={onCancel}>
+          ✕ Cancel
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default ImportProgress;
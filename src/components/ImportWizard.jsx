@@ -0,0 +1,657 @@
+import { useState, useMemo } from 'react';
+import { SAP_FIELDS } from '../utils/sapFields';
+import { suggestColumnMatches } from '../utils/columnMatching';
+import { profileFromMatches, columnIndexToLetter } from '../utils/mappingProfiles';
+import { DATE_ORDERS } from '../utils/dateUtils';
+import { DECIMAL_SEPARATORS, DEFAULT_AMOUNT_SETTINGS } from '../utils/amountUtils';
+import { validateDataset } from '../utils/validation';
+import { combineSheetResults, SHEET_MODES, SOURCE_SHEET_FIELD } from '../utils/sheetDatasets';
+import ImportProgress from './ImportProgress';
+import '../styles/Modal.css';
+import '../styles/ImportWizard.css';
+
+const STEPS = [
+  { id: 'sheet', label: 'Sheet' },
+  { id: 'header', label: 'Header row' },
+  { id: 'match', label: 'Match columns' },
+  { id: 'summary', label: 'Summary' },
+];
+
+const PREVIEW_ROW_OPTIONS = [10, 25, 50];
+
+// Rows fetched from the worker per sheet preview (the largest preview option)
+export const PREVIEW_FETCH_LIMIT = PREVIEW_ROW_OPTIONS[PREVIEW_ROW_OPTIONS.length - 1];
+
+// Number of transformed rows shown in the dry-run summary
+const SUMMARY_SAMPLE_ROWS = 5;
+
+/**
+ * Returns a printable header for a source column ("Column C" when blank).
+ */
+const columnLabel = (header, index) => header || `Column ${columnIndexToLetter(index)}`;
+
+/**
+ * ============================================================================
+ * ImportWizard Component - Multi-step import with preview and column matching
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Sits between reading a workbook and replacing the current dataset, so a
+ * wrong file or a wrong mapping never silently wipes the working set.
+ *
+ * STEPS:
+ * 1. Sheet: choose one or several sheets (with their row counts). Several
+ *    sheets are either combined into one table (with a SOURCE_SHEET column)
+ *    or kept as separate tabs
+ * 2. Header row: preview the first N raw rows of the first selected sheet
+ *    and pick the row with headers
+ * 3. Match columns: drag source columns onto SAP fields (or use the dropdowns).
+ *    Matches are pre-filled from the active profile plus fuzzy suggestions.
+ * 4. Summary: dry run of the transformation - row count, warnings, defaulted
+ *    and truncated values, and a sample of the resulting rows
+ *
+ * Nothing is handed to the parent until the user clicks "Import" on the last
+ * step. Optionally the matches can be saved as a new mapping profile.
+ *
+ * The first selected sheet defines the layout: it is imported with the exact
+ * columns matched in step 3, the other selected sheets are matched by the
+ * same header names (they may order their columns differently).
+ *
+ * The workbook itself lives in the parsing worker: previews and the dry run
+ * are requested through the import session, so large files never block the UI.
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - fileName: Name of the uploaded file (for display)
+ * - session: Import session from createImportSession(), already opened
+ * - sheets: Sheet list returned by session.open()
+ * - initialPreview: { sheetName, rows } preview of the first sheet
+ * - profile: Active mapping profile used for suggestions and defaults
+ * - existingRowCount: Rows currently loaded (to warn before replacing them)
+ * - masterData: Bank master data the dry run also validates against, or null
+ * - amountSettings: { scale, rounding } amounts are rounded to (see amountUtils)
+ * - onImport: Callback receiving (result, savedProfile|null), where result is
+ *   the output of combineSheetResults() (headers, data, warnings, sheetTabs...)
+ * - onCancel: Callback when the wizard is closed (also cancels a running dry run)
+ *
+ * @component
+ */
+export const ImportWizard = ({
+  fileName,
+  session,
+  sheets,
+  initialPreview,
+  profile,
+  existingRowCount = 0,
+  masterData = null,
+  amountSettings = DEFAULT_AMOUNT_SETTINGS,
+  onImport,
+  onCancel,
+}) => {
+  // Index into STEPS
+  const [stepIndex, setStepIndex] = useState(0);
+
+  // Sheets to import, in workbook order (defaults to the first sheet)
+  const [selectedSheets, setSelectedSheets] = useState([initialPreview.sheetName]);
+
+  // How several sheets are imported: combined into one table or as tabs
+  const [sheetMode, setSheetMode] = useState(SHEET_MODES.COMBINE);
+
+  // Sheet whose layout is previewed and matched (first selected sheet)
+  const [sheetName, setSheetName] = useState(initialPreview.sheetName);
+
+  // First PREVIEW_FETCH_LIMIT raw rows of that sheet, fetched from the worker
+  const [rows, setRows] = useState(initialPreview.rows);
+  const [previewError, setPreviewError] = useState(null);
+
+  // How many raw rows to show in the header-row preview
+  const [previewCount, setPreviewCount] = useState(PREVIEW_ROW_OPTIONS[0]);
+
+  // Zero-based index of the row holding the column headers
+  const [headerRowIndex, setHeaderRowIndex] = useState(0);
+
+  // Column index per SAP field (-1 = not matched) and suggestion confidence
+  const [matches, setMatches] = useState({});
+  const [scores, setScores] = useState({});
+
+  // How to read dates like 03/04/2025, starting from the profile's setting
+  const [dateOrder, setDateOrder] = useState(profile.dateOrder || DATE_ORDERS.DAY_FIRST);
+
+  // How to read amounts like 1,250 (thousands or decimal comma), from the profile's setting
+  const [decimalSeparator, setDecimalSeparator] = useState(profile.decimalSeparator || DECIMAL_SEPARATORS.POINT);
+
+  // Optional: store the matches as a reusable mapping profile
+  const [saveAsProfile, setSaveAsProfile] = useState(false);
+  const [profileName, setProfileName] = useState('');
+
+  // Dry-run result of the full transformation and its progress while running.
+  // dryRun = combined dataset + sheetResults (one transform result per sheet)
+  const [dryRun, setDryRun] = useState(null);
+  const [dryRunProgress, setDryRunProgress] = useState(null);
+  const [dryRunSheetIndex, setDryRunSheetIndex] = useState(0);
+
+  const sourceHeaders = useMemo(
+    () => (rows[headerRowIndex] || []).map((cell) => String(cell ?? '').trim()),
+    [rows, headerRowIndex]
+  );
+
+  // Selected profile with the date order and decimal separator chosen in the wizard
+  const baseProfile = useMemo(
+    () => ({ ...profile, dateOrder, decimalSeparator }),
+    [profile, dateOrder, decimalSeparator]
+  );
+
+  // Profile pinned to the matched columns, used for the dry run and the import
+  const importProfile = useMemo(
+    () => profileFromMatches(baseProfile, matches, sourceHeaders, { byColumn: true }),
+    [baseProfile, matches, sourceHeaders]
+  );
+
+  // Schema validation of the dry-run rows, shown in the summary
+  const dryRunValidation = useMemo(
+    () => (dryRun ? validateDataset(dryRun.data, masterData) : null),
+    [dryRun, masterData]
+  );
+
+  const step = STEPS[stepIndex].id;
+  const dryRunning = step === 'summary' && !dryRun;
+
+  /**
+   * Runs the full transformation in the worker for the summary step, one
+   * selected sheet after the other. Progress is shown in the wizard; Cancel
+   * closes the whole import.
+   */
+  const startDryRun = async () => {
+    setDryRun(null);
+    setDryRunProgress(null);
+
+    // Other sheets are matched by header name rather than column position
+    const headerProfile = profileFromMatches(baseProfile, matches, sourceHeaders, { byColumn: false });
+
+    try {
+      const sheetResults = [];
+      for (const [index, name] of selectedSheets.entries()) {
+        setDryRunSheetIndex(index);
+        const result = await session.transform(name, index === 0 ? importProfile : headerProfile, {
+          headerRowIndex,
+          amountSettings,
+          onProgress: setDryRunProgress,
+        });
+        sheetResults.push({ ...result, sheetName: name });
+      }
+      setDryRun({ ...combineSheetResults(sheetResults, sheetMode, fileName), sheetResults });
+    } catch (error) {
+      if (!error.cancelled) setPreviewError(error.message);
+    }
+  };
+
+  /**
+   * Moves to the next step. Entering the match step (re)computes suggestions,
+   * because they depend on the sheet and header row chosen before it.
+   * Entering the summary step starts the dry run.
+   */
+  const handleNext = () => {
+    const nextStep = STEPS[stepIndex + 1].id;
+    if (nextStep === 'match') {
+      const suggestion = suggestColumnMatches(sourceHeaders, profile);
+      setMatches(suggestion.matches);
+      setScores(suggestion.scores);
+    }
+    if (nextStep === 'summary') startDryRun();
+    setStepIndex((prev) => prev + 1);
+  };
+
+  const handleBack = () => {
+    setDryRun(null);
+    setStepIndex((prev) => prev - 1);
+  };
+
+  /**
+   * Switches the previewed sheet and fetches its rows from the worker.
+   */
+  const loadPreview = (name) => {
+    setSheetName(name);
+    setHeaderRowIndex(0);
+    setPreviewError(null);
+    session
+      .preview(name, PREVIEW_FETCH_LIMIT)
+      .then((previewRows) => setRows(previewRows))
+      .catch((error) => {
+        if (!error.cancelled) setPreviewError(error.message);
+      });
+  };
+
+  /**
+   * Adds or removes a sheet from the selection. Selection stays in workbook
+   * order; when the first selected sheet changes, its preview is loaded.
+   *
+   * @param {string} name - Sheet name
+   */
+  const handleToggleSheet = (name) => {
+    const isSelected = selectedSheets.includes(name);
+    if (isSelected && selectedSheets.length === 1) return; // at least one sheet
+
+    const next = sheets
+      .map((sheet) => sheet.name)
+      .filter((sheetOption) => (sheetOption === name ? !isSelected : selectedSheets.includes(sheetOption)));
+
+    setSelectedSheets(next);
+    if (next[0] !== sheetName) loadPreview(next[0]);
+  };
+
+  /**
+   * Assigns a source column to a SAP field. A column can only feed one field,
+   * so it is removed from whichever field held it before.
+   *
+   * @param {string} fieldKey - SAP field key
+   * @param {number} columnIndex - Source column index (-1 clears the match)
+   */
+  const handleMatch = (fieldKey, columnIndex) => {
+    setMatches((prev) => {
+      const next = { ...prev };
+      if (columnIndex !== -1) {
+        Object.keys(next).forEach((key) => {
+          if (next[key] === columnIndex) next[key] = -1;
+        });
+      }
+      next[fieldKey] = columnIndex;
+      return next;
+    });
+    setScores((prev) => ({ ...prev, [fieldKey]: columnIndex === -1 ? 0 : 1 }));
+  };
+
+  const handleDrop = (e, fieldKey) => {
+    e.preventDefault();
+    const columnIndex = Number(e.dataTransfer.getData('text/plain'));
+    if (!Number.isNaN(columnIndex)) handleMatch(fieldKey, columnIndex);
+  };
+
+  const handleImport = () => {
+    const savedProfile = saveAsProfile
+      ? profileFromMatches(baseProfile, matches, sourceHeaders, {
+          byColumn: false,
+          name: profileName.trim() || `${fileName} layout`,
+        })
+      : null;
+
+    const { sheetResults: _sheetResults, ...result } = dryRun;
+    onImport(result, savedProfile);
+  };
+
+  const matchedColumns = new Set(Object.values(matches).filter((index) => index !== -1));
+  const previewRows = rows.slice(0, previewCount);
+  const columnCount = Math.max(0, ...previewRows.map((row) => row.length));
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📥 Import “{fileName}”</h2>
+          <button className="modal-close" onClick={onCancel}>✕</button>
+        </div>
+
+        <div className="modal-form">
+          {/* Step indicator */}
+          <ol className="wizard-steps">
+            {STEPS.map((item, index) => (
+              <li
+                key={item.id}
+                className={`wizard-step ${index === stepIndex ? 'active' : ''} ${index < stepIndex ? 'done' : ''}`}
+              >
+                <span className="wizard-step-number">{index + 1}</span>
+                {item.label}
+              </li>
+            ))}
+          </ol>
+
+          {/* Step 1: choose the sheets */}
+          {step === 'sheet' && (
+            <div className="wizard-panel">
+              <p className="wizard-hint">Choose the sheet(s) that hold the challan data.</p>
+              <div className="sheet-list">
+                {sheets.map((sheet) => {
+                  const checked = selectedSheets.includes(sheet.name);
+                  return (
+                    <label key={sheet.name} className={`sheet-option ${checked ? 'active' : ''}`}>
+                      <input
+                        type="checkbox"
+                        checked={checked}
+                        onChange={() => handleToggleSheet(sheet.name)}
+                      />
+                      <span className="sheet-name">{sheet.name}</span>
+                      <span className="sheet-rows">{sheet.rowCount.toLocaleString()} rows</span>
+                    </label>
+                  );
+                })}
+              </div>
+
+              {selectedSheets.length > 1 && (
+                <div className="sheet-mode">
+                  <label>
+                    <input
+                      type="radio"
+                      name="wizard-sheet-mode"
+                      checked={sheetMode === SHEET_MODES.COMBINE}
+                      onChange={() => setSheetMode(SHEET_MODES.COMBINE)}
+                    />
+                    Combine into one table (adds a {SOURCE_SHEET_FIELD} column)
+                  </label>
+                  <label>
+                    <input
+                      type="radio"
+                      name="wizard-sheet-mode"
+                      checked={sheetMode === SHEET_MODES.TABS}
+                      onChange={() => setSheetMode(SHEET_MODES.TABS)}
+                    />
+                    Keep each sheet in its own tab
+                  </label>
+                  <p className="wizard-hint">
+                    “{selectedSheets[0]}” defines the layout; the other sheets are matched by the same header names.
+                  </p>
+                </div>
+              )}
+            </div>
+          )}
+
+          {previewError && <div className="error-message">❌ {previewError}</div>}
+
+          {/* Step 2: preview raw rows and pick the header row */}
+          {step === 'header' && (
+            <div className="wizard-panel">
+              <div className="wizard-toolbar">
+                <p className="wizard-hint">Click the row that contains the column headers.</p>
+                <label className="wizard-inline-label">
+                  Preview
+                  <select
+                    value={previewCount}
+                    onChange={(e) => setPreviewCount(Number(e.target.value))}
+                    className="items-per-page-select"
+                  >
+                    {PREVIEW_ROW_OPTIONS.map((option) => (
+                      <option key={option} value={option}>{option} rows</option>
+                    ))}
+                  </select>
+                </label>
+              </div>
+              <div className="wizard-preview">
+                <table className="wizard-preview-table">
+                  <tbody>
+                    {previewRows.map((row, rowIndex) => (
+                      <tr
+                        key={rowIndex}
+                        className={rowIndex === headerRowIndex ? 'header-row' : rowIndex < headerRowIndex ? 'skipped-row' : ''}
+                        onClick={() => setHeaderRowIndex(rowIndex)}
+                      >
+                        <td className="row-number">
+                          <input
+                            type="radio"
+                            name="wizard-header-row"
+                            checked={rowIndex === headerRowIndex}
+                            onChange={() => setHeaderRowIndex(rowIndex)}
+                          />
+                          {rowIndex + 1}
+                        </td>
+                        {Array.from({ length: columnCount }, (_, cellIndex) => (
+                          <td key={cellIndex} title={String(row[cellIndex] ?? '')}>
+                            {String(row[cellIndex] ?? '')}
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                    {previewRows.length === 0 && (
+                      <tr>
+                        <td className="no-data">This sheet is empty</td>
+                      </tr>
+                    )}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+
+          {/* Step 3: match source columns to SAP fields */}
+          {step === 'match' && (
+            <div className="wizard-panel">
+              <p className="wizard-hint">
+                Drag a source column onto a SAP field, or pick it from the dropdown.
+                Suggestions are marked with their confidence.
+              </p>
+              <label className="wizard-inline-option">
+                Read ambiguous dates (e.g. 03/04/2025) as
+                <select
+                  value={dateOrder}
+                  onChange={(e) => setDateOrder(e.target.value)}
+                  className="items-per-page-select"
+                >
+                  <option value={DATE_ORDERS.DAY_FIRST}>day/month/year</option>
+                  <option value={DATE_ORDERS.MONTH_FIRST}>month/day/year</option>
+                </select>
+              </label>
+              <label className="wizard-inline-option">
+                Decimal separator in amounts
+                <select
+                  value={decimalSeparator}
+                  onChange={(e) => setDecimalSeparator(e.target.value)}
+                  className="items-per-page-select"
+                >
+                  <option value={DECIMAL_SEPARATORS.POINT}>point (1,250.50)</option>
+                  <option value={DECIMAL_SEPARATORS.COMMA}>comma (1.250,50)</option>
+                </select>
+              </label>
+              <div className="match-layout">
+                <div className="source-columns">
+                  <h4>Source columns</h4>
+                  {sourceHeaders.map((header, index) => (
+                    <div
+                      key={index}
+                      className={`source-chip ${matchedColumns.has(index) ? 'used' : ''}`}
+                      draggable
+                      onDragStart={(e) => e.dataTransfer.setData('text/plain', String(index))}
+                      title={`Sample: ${String(rows[headerRowIndex + 1]?.[index] ?? '')}`}
+                    >
+                      {columnLabel(header, index)}
+                    </div>
+                  ))}
+                </div>
+
+                <div className="target-fields">
+                  <h4>SAP fields</h4>
+                  {SAP_FIELDS.map(({ key, label }) => {
+                    const index = matches[key] ?? -1;
+                    const score = scores[key] || 0;
+                    return (
+                      <div
+                        key={key}
+                        className={`target-field ${index === -1 ? 'unmatched' : ''}`}
+                        onDragOver={(e) => e.preventDefault()}
+                        onDrop={(e) => handleDrop(e, key)}
+                      >
+                        <div className="target-field-name">
+                          <strong>{key}</strong>
+                          <span>{label}</span>
+                        </div>
+                        <select
+                          value={index}
+                          onChange={(e) => handleMatch(key, Number(e.target.value))}
+                          className="items-per-page-select"
+                        >
+                          <option value={-1}>— not mapped —</option>
+                          {sourceHeaders.map((header, columnIndex) => (
+                            <option key={columnIndex} value={columnIndex}>
+                              {columnLabel(header, columnIndex)}
+                            </option>
+                          ))}
+                        </select>
+                        {index !== -1 && score < 1 && (
+                          <span className="match-confidence" title="Fuzzy suggestion">
+                            ~{Math.round(score * 100)}%
+                          </span>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+              </div>
+            </div>
+          )}
+
+          {/* Step 4: dry run running in the worker */}
+          {dryRunning && !previewError && (
+            <div className="wizard-panel">
+              {selectedSheets.length > 1 && (
+                <p className="wizard-hint">
+                  Sheet {dryRunSheetIndex + 1} of {selectedSheets.length}: {selectedSheets[dryRunSheetIndex]}
+                </p>
+              )}
+              <ImportProgress progress={dryRunProgress} onCancel={onCancel} />
+            </div>
+          )}
+
+          {/* Step 4: dry-run summary */}
+          {step === 'summary' && dryRun && (
+            <div className="wizard-panel">
+              <div className="summary-stats">
+                <div className="info-item">
+                  <span className="info-label">Rows to import</span>
+                  <span className="info-value">{dryRun.data.length.toLocaleString()}</span>
+                </div>
+                <div className="info-item">
+                  <span className="info-label">Fields mapped</span>
+                  <span className="info-value">
+                    {matchedColumns.size} / {SAP_FIELDS.length}
+                  </span>
+                </div>
+                <div className="info-item">
+                  <span className="info-label">Rows with errors</span>
+                  <span className={`info-value ${dryRunValidation.invalidRowCount > 0 ? 'summary-invalid' : ''}`}>
+                    {dryRunValidation.invalidRowCount.toLocaleString()}
+                  </span>
+                </div>
+                <div className="info-item">
+                  <span className="info-label">{selectedSheets.length > 1 ? 'Sheets' : 'Sheet'}</span>
+                  <span className="info-value">
+                    {selectedSheets.length > 1 ? selectedSheets.length : sheetName}
+                  </span>
+                </div>
+              </div>
+
+              {dryRun.sheetResults.length > 1 && (
+                <ul className="summary-sheets">
+                  {dryRun.sheetResults.map((result) => (
+                    <li key={result.sheetName}>
+                      <span className="sheet-name">{result.sheetName}</span>
+                      <span className="sheet-rows">{result.data.length.toLocaleString()} rows</span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {(dryRun.warnings.length > 0 ||
+                dryRunValidation.errorCount > 0 ||
+                Object.keys(dryRun.summary.defaulted).length > 0 ||
+                Object.keys(dryRun.summary.truncated).length > 0) && (
+                <ul className="summary-warnings">
+                  {dryRun.warnings.map((warning) => (
+                    <li key={warning}>⚠️ {warning}</li>
+                  ))}
+                  {Object.entries(dryRun.summary.defaulted).map(([key, count]) => (
+                    <li key={`defaulted-${key}`}>
+                      ℹ️ {count.toLocaleString()} empty {key} value(s) will use the default
+                      {importProfile.fields[key].defaultValue !== '' && ` “${importProfile.fields[key].defaultValue}”`}
+                    </li>
+                  ))}
+                  {Object.entries(dryRunValidation.byField).map(([key, count]) => (
+                    <li key={`invalid-${key}`}>
+                      ❌ {count.toLocaleString()} {key} value(s) fail validation (highlighted in the table after import)
+                    </li>
+                  ))}
+                  {Object.entries(dryRun.summary.truncated).map(([key, count]) => (
+                    <li key={`truncated-${key}`}>
+                      ✂️ {count.toLocaleString()} {key} value(s) exceed the SAP length and will be truncated
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              <div className="wizard-preview">
+                <table className="wizard-preview-table">
+                  <thead>
+                    <tr>
+                      {dryRun.headers.map((header) => <th key={header}>{header}</th>)}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {dryRun.data.slice(0, SUMMARY_SAMPLE_ROWS).map((row) => (
+                      <tr key={row.id}>
+                        {dryRun.headers.map((header) => (
+                          <td key={header} title={String(row[header] ?? '')}>{String(row[header] ?? '')}</td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              <label className="wizard-save-profile">
+                <input
+                  type="checkbox"
+                  checked={saveAsProfile}
+                  onChange={(e) => setSaveAsProfile(e.target.checked)}
+                />
+                Save these matches as a mapping profile
+                {saveAsProfile && (
+                  <input
+                    type="text"
+                    value={profileName}
+                    onChange={(e) => setProfileName(e.target.value)}
+                    placeholder={`${fileName} layout`}
+                    className="form-input"
+                  />
+                )}
+              </label>
+
+              {existingRowCount > 0 && (
+                <p className="summary-replace-warning">
+                  Importing replaces the {existingRowCount.toLocaleString()} row(s) currently loaded.
+                </p>
+              )}
+            </div>
+          )}
+
+          {/* Navigation */}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onCancel}>
+              Cancel
+            </button>
+            {stepIndex > 0 && (
+              <button type="button" className="btn btn-secondary" onClick={handleBack} disabled={dryRunning}>
+                ◀ Back
+              </button>
+            )}
+            {step !== 'summary' ? (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleNext}
+                disabled={rows.length === 0}
+              >
+                Next ▶
+              </button>
+            ) : (
+              <button
+                type="button"
+                className="btn btn-primary"
+                onClick={handleImport}
+                disabled={!dryRun || dryRun.data.length === 0}
+              >
+                📥 Import {dryRun ? dryRun.data.length.toLocaleString() : ''} rows
+              </button>
+            )}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default ImportWizard;
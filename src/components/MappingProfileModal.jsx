@@ -0,0 +1,282 @@
+import { useState } from 'react';
+import { SAP_FIELDS } from '../utils/sapFields';
+import { createProfile, parseAliasList, columnLetterToIndex } from '../utils/mappingProfiles';
+import { DATE_ORDERS } from '../utils/dateUtils';
+import { DECIMAL_SEPARATORS } from '../utils/amountUtils';
+import '../styles/Modal.css';
+import '../styles/MappingProfile.css';
+
+/**
+ * Converts a stored profile into the editable draft shape.
+ * Header aliases are edited as free text so commas can be typed naturally.
+ */
+const toDraft = (profile) => ({
+  ...profile,
+  fields: Object.fromEntries(
+    SAP_FIELDS.map(({ key }) => {
+      const field = profile.fields[key] || {};
+      return [key, {
+        headersText: (field.headers || []).join(', '),
+        column: field.column || '',
+        defaultValue: field.defaultValue ?? '',
+      }];
+    })
+  ),
+});
+
+/**
+ * Converts an editable draft back into the stored profile shape.
+ */
+const fromDraft = (draft) => ({
+  ...draft,
+  name: draft.name.trim() || 'Untitled profile',
+  fields: Object.fromEntries(
+    SAP_FIELDS.map(({ key }) => {
+      const field = draft.fields[key];
+      return [key, {
+        headers: parseAliasList(field.headersText),
+        column: field.column.trim().toUpperCase(),
+        defaultValue: field.defaultValue,
+      }];
+    })
+  ),
+});
+
+/**
+ * ============================================================================
+ * MappingProfileModal Component - Create, edit and delete column mappings
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lets users describe each bank partner's spreadsheet layout once and reuse
+ * it on every upload. A profile maps every SAP field to a list of header
+ * aliases or a fixed column letter, plus a default value for empty cells.
+ * It also records how the bank writes dates such as 03/04/2025.
+ *
+ * KEY FEATURES:
+ * - Profile list on the left, field editor on the right
+ * - "New" copies the currently selected profile as a starting point
+ * - Built-in profile is read-only (copy it to customise)
+ * - Changes are only applied when the user clicks "Save Profiles"
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - isOpen: Boolean to show/hide modal
+ * - profiles: Array of all mapping profiles
+ * - activeProfileId: Profile selected in the upload area
+ * - onSave: Callback receiving (profiles, selectedProfileId)
+ * - onCancel: Callback when the user closes without saving
+ *
+ * @component
+ */
+export const MappingProfileModal = ({ isOpen, profiles, activeProfileId, onSave, onCancel }) => {
+  // Editable copies of every profile, only written back on save
+  const [drafts, setDrafts] = useState(() => profiles.map(toDraft));
+
+  // Id of the profile being edited in the right-hand panel
+  const [selectedId, setSelectedId] = useState(activeProfileId);
+
+  if (!isOpen) return null;
+
+  const selected = drafts.find((draft) => draft.id === selectedId) || drafts[0];
+
+  /**
+   * Updates one property of the selected profile (or of one of its fields).
+   *
+   * @param {string|null} fieldKey - SAP field key, or null for profile-level properties
+   * @param {string} property - Property name to update
+   * @param {string} value - New value
+   */
+  const handleChange = (fieldKey, property, value) => {
+    setDrafts((prev) =>
+      prev.map((draft) => {
+        if (draft.id !== selected.id) return draft;
+        if (!fieldKey) return { ...draft, [property]: value };
+        return {
+          ...draft,
+          fields: {
+            ...draft.fields,
+            [fieldKey]: { ...draft.fields[fieldKey], [property]: value },
+          },
+        };
+      })
+    );
+  };
+
+  // Creates a copy of the selected profile and switches to it
+  const handleNewProfile = () => {
+    const profile = toDraft(createProfile(`${selected.name} (copy)`, fromDraft(selected)));
+    setDrafts((prev) => [...prev, profile]);
+    setSelectedId(profile.id);
+  };
+
+  // Removes the selected profile after confirmation
+  const handleDeleteProfile = () => {
+    if (selected.builtIn) return;
+    if (!window.confirm(`Delete profile "${selected.name}"?`)) return;
+    const remaining = drafts.filter((draft) => draft.id !== selected.id);
+    setDrafts(remaining);
+    setSelectedId(remaining[0].id);
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSave(drafts.map(fromDraft), selected.id);
+  };
+
+  const readOnly = selected.builtIn;
+
+  return (
+    <div className="modal-overlay" onClick={onCancel}>
+      <div className="modal-content modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🧭 Column Mapping Profiles</h2>
+          <button className="modal-close" onClick={onCancel}>✕</button>
+        </div>
+
+        <form onSubmit={handleSubmit} className="modal-form">
+          <div className="profile-layout">
+            {/* Profile list */}
+            <div className="profile-list">
+              {drafts.map((draft) => (
+                <button
+                  key={draft.id}
+                  type="button"
+                  className={`profile-list-item ${draft.id === selected.id ? 'active' : ''}`}
+                  onClick={() => setSelectedId(draft.id)}
+                >
+                  {draft.name}
+                  {draft.builtIn && <span className="profile-badge">built-in</span>}
+                </button>
+              ))}
+              <button type="button" className="btn btn-secondary" onClick={handleNewProfile}>
+                ➕ New from selected
+              </button>
+            </div>
+
+            {/* Field editor for the selected profile */}
+            <div className="profile-editor">
+              <div className="form-group">
+                <label htmlFor="profile-name" className="form-label">Profile name</label>
+                <input
+                  id="profile-name"
+                  type="text"
+                  value={selected.name}
+                  onChange={(e) => handleChange(null, 'name', e.target.value)}
+                  className="form-input"
+                  disabled={readOnly}
+                />
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="profile-date-order" className="form-label">Ambiguous dates (e.g. 03/04/2025)</label>
+                <select
+                  id="profile-date-order"
+                  value={selected.dateOrder || DATE_ORDERS.DAY_FIRST}
+                  onChange={(e) => handleChange(null, 'dateOrder', e.target.value)}
+                  className="form-input"
+                  disabled={readOnly}
+                >
+                  <option value={DATE_ORDERS.DAY_FIRST}>Day first (DD/MM/YYYY)</option>
+                  <option value={DATE_ORDERS.MONTH_FIRST}>Month first (MM/DD/YYYY)</option>
+                </select>
+              </div>
+
+              <div className="form-group">
+                <label htmlFor="profile-decimal-separator" className="form-label">Decimal separator in amounts</label>
+                <select
+                  id="profile-decimal-separator"
+                  value={selected.decimalSeparator || DECIMAL_SEPARATORS.POINT}
+                  onChange={(e) => handleChange(null, 'decimalSeparator', e.target.value)}
+                  className="form-input"
+                  disabled={readOnly}
+                >
+                  <option value={DECIMAL_SEPARATORS.POINT}>Point (1,250.50)</option>
+                  <option value={DECIMAL_SEPARATORS.COMMA}>Comma (1.250,50)</option>
+                </select>
+              </div>
+
+              {readOnly && (
+                <p className="profile-hint">
+                  The built-in profile cannot be changed. Use “New from selected” to customise a copy.
+                </p>
+              )}
+
+              <table className="profile-fields-table">
+                <thead>
+                  <tr>
+                    <th>SAP field</th>
+                    <th>Source headers (comma separated)</th>
+                    <th>Column</th>
+                    <th>Default</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {SAP_FIELDS.map(({ key, label }) => {
+                    const field = selected.fields[key];
+                    const invalidColumn = field.column.trim() !== '' && columnLetterToIndex(field.column) === -1;
+                    return (
+                      <tr key={key}>
+                        <td>
+                          <strong>{key}</strong>
+                          <div className="profile-field-label">{label}</div>
+                        </td>
+                        <td>
+                          <input
+                            type="text"
+                            value={field.headersText}
+                            onChange={(e) => handleChange(key, 'headersText', e.target.value)}
+                            className="form-input"
+                            placeholder="e.g. Challan No., Challan Number"
+                            disabled={readOnly}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="text"
+                            value={field.column}
+                            onChange={(e) => handleChange(key, 'column', e.target.value)}
+                            className={`form-input profile-column-input ${invalidColumn ? 'input-invalid' : ''}`}
+                            placeholder="A"
+                            maxLength={3}
+                            title="Optional column letter; takes priority over header names"
+                            disabled={readOnly}
+                          />
+                        </td>
+                        <td>
+                          <input
+                            type="text"
+                            value={field.defaultValue}
+                            onChange={(e) => handleChange(key, 'defaultValue', e.target.value)}
+                            className="form-input"
+                            disabled={readOnly}
+                          />
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </div>
+
+          <div className="modal-footer">
+            {!readOnly && (
+              <button type="button" className="btn btn-secondary btn-danger-outline" onClick={handleDeleteProfile}>
+                🗑️ Delete Profile
+              </button>
+            )}
+            <button type="button" className="btn btn-secondary" onClick={onCancel}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary">
+              Save Profiles
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+};
+
+export default MappingProfileModal;
@@ -0,0 +1,86 @@
+import { summarizeMasterData } from '../utils/masterData';
+import '../styles/MasterData.css';
+
+/**
+ * ============================================================================
+ * MasterDataBar Component - Loads and shows the bank master data
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Sits under the column mapping selector. Without master data, bank, branch
+ * and account codes are only checked for their format; with it, every row is
+ * checked against the reference list (see masterData.js).
+ *
+ * KEY FEATURES:
+ * - Load a master file (XLSX, XLS, CSV or JSON); loading another replaces it
+ * - Shows the file and how many banks, branches and accounts it holds
+ * - Toggle to show bank, branch and account names inside the table cells
+ *   (they are always in the cell tooltips)
+ * - Remove forgets the master data
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - masterData: Loaded master data, or null
+ * - showNames: Whether names are shown in the table cells
+ * - disabled: Disables the controls (e.g. while a file is being read)
+ * - onLoad: Callback receiving the chosen File
+ * - onRemove: Callback to forget the master data
+ * - onToggleNames: Callback receiving the new showNames value
+ *
+ * @component
+ */
+export const MasterDataBar = ({ masterData, showNames, disabled, onLoad, onRemove, onToggleNames }) => {
+  const counts = masterData ? summarizeMasterData(masterData) : null;
+
+  const handleFileChange = (e) => {
+    const file = e.target.files[0];
+    e.target.value = ''; // Choosing the same file again should reload it
+    if (file) onLoad(file);
+  };
+
+  return (
+    <div className="master-data-bar">
+      <span className="master-data-label">🏦 Bank master:</span>
+
+      {masterData ? (
+        <>
+          <span className="master-data-summary" title={`Loaded ${new Date(masterData.loadedAt).toLocaleString()}`}>
+            <strong>{masterData.fileName}</strong>
+            {' · '}{counts.banks.toLocaleString()} bank(s)
+            {' · '}{counts.branches.toLocaleString()} branch(es)
+            {counts.accounts !== null && <>{' · '}{counts.accounts.toLocaleString()} account code(s)</>}
+          </span>
+          <label className="master-data-toggle">
+            <input
+              type="checkbox"
+              checked={showNames}
+              onChange={(e) => onToggleNames(e.target.checked)}
+            />
+            Show names in table
+          </label>
+        </>
+      ) : (
+        <span className="master-data-summary">none — codes are only checked for their format</span>
+      )}
+
+      <input
+        type="file"
+        id="master-data-input"
+        accept=".xlsx,.xls,.csv,.json"
+        onChange={handleFileChange}
+        disabled={disabled}
+        className="file-input"
+      />
+      <label htmlFor="master-data-input" className={`btn btn-secondary master-data-load ${disabled ? 'disabled' : ''}`}>
+        📂 {masterData ? 'Replace' : 'Load master file'}
+      </label>
+      {masterData && (
+        <button type="button" className="btn btn-secondary" onClick={onRemove} disabled={disabled}>
+          Remove
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default MasterDataBar;
@@ -0,0 +1,136 @@
+import { useState, useRef } from 'react';
+import { suggestFields } from '../utils/searchQuery';
+import '../styles/QuerySearchBox.css';
+
+// Shown as the input's tooltip
+const SYNTAX_HELP = [
+  'Search syntax:',
+  'word or "a phrase" – any column',
+  'A_BANCD:BANK02 – one column (contains)',
+  'CHAN_AMT:>5000, CHAN_AMT:100..500 – compare amounts',
+  'CHALL_DATE:2025-01..2025-03 – date range',
+  '-NOTES:test – exclude',
+  'A_BANCD:B1 OR A_BANCD:B2, ( … ) – alternatives',
+  '/^CHK\\d+$/ – regular expression',
+].join('\n');
+
+/**
+ * ============================================================================
+ * QuerySearchBox Component - Search input with query syntax support
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The table's search box. The query itself is parsed by searchQuery.js; this
+ * component adds what typing a query needs:
+ * - Field name autocomplete: while a word could become "FIELD:", matching
+ *   field names are offered (↑/↓ to choose, Tab or Enter to accept)
+ * - Inline syntax errors with a caret under the offending position
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - value: Current query text
+ * - onChange: Callback receiving the new query text
+ * - fields: Field names offered for completion
+ * - error: { message, position } from compileSearchQuery, or null
+ *
+ * @component
+ */
+export const QuerySearchBox = ({ value, onChange, fields, error }) => {
+  // Field completion for the word at the caret (null when closed)
+  const [suggestions, setSuggestions] = useState(null);
+  const [highlighted, setHighlighted] = useState(0);
+
+  const inputRef = useRef(null);
+
+  const updateSuggestions = (text, cursor) => {
+    const result = suggestFields(text, cursor, fields);
+    setSuggestions(result.matches.length > 0 ? result : null);
+    setHighlighted(0);
+  };
+
+  const handleChange = (e) => {
+    onChange(e.target.value);
+    updateSuggestions(e.target.value, e.target.selectionStart);
+  };
+
+  /**
+   * Replaces the word at the caret with "FIELD:" and puts the caret after it.
+   */
+  const acceptSuggestion = (field) => {
+    const { start, end } = suggestions;
+    const completed = `${field}:`;
+    const next = value.slice(0, start) + completed + value.slice(end);
+    onChange(next);
+    setSuggestions(null);
+
+    const caret = start + completed.length;
+    requestAnimationFrame(() => {
+      inputRef.current?.focus();
+      inputRef.current?.setSelectionRange(caret, caret);
+    });
+  };
+
+  const handleKeyDown = (e) => {
+    if (!suggestions) return;
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      setHighlighted((prev) => (prev + step + suggestions.matches.length) % suggestions.matches.length);
+    } else if (e.key === 'Tab' || e.key === 'Enter') {
+      e.preventDefault();
+      acceptSuggestion(suggestions.matches[highlighted]);
+    } else if (e.key === 'Escape') {
+      setSuggestions(null);
+    }
+  };
+
+  return (
+    <div className="query-search">
+      <input
+        ref={inputRef}
+        type="text"
+        placeholder="Search data… (e.g. A_BANCD:BANK02 CHAN_AMT:>5000)"
+        value={value}
+        onChange={handleChange}
+        onKeyDown={handleKeyDown}
+        onBlur={() => setSuggestions(null)}
+        className={`search-input ${error ? 'search-input-error' : ''}`}
+        title={SYNTAX_HELP}
+        spellCheck={false}
+      />
+
+      {/* Field name completion */}
+      {suggestions && (
+        <ul className="query-suggestions">
+          {suggestions.matches.map((field, index) => (
+            <li
+              key={field}
+              className={index === highlighted ? 'active' : ''}
+              // mousedown (not click) so the input's blur does not close the list first
+              onMouseDown={(e) => {
+                e.preventDefault();
+                acceptSuggestion(field);
+              }}
+            >
+              {field}:
+            </li>
+          ))}
+        </ul>
+      )}
+
+      {/* Syntax error with a caret under the position */}
+      {error && !suggestions && (
+        <div className="query-error">
+          <code className="query-error-text">
+            {value}
+            {'\n'}
+            {' '.repeat(error.position)}^
+          </code>
+          <span>⚠️ {error.message} — search not applied</span>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default QuerySearchBox;
@@ -0,0 +1,106 @@
+import { useEffect } from 'react';
+import '../styles/Modal.css';
+import '../styles/Sessions.css';
+
+/**
+ * ============================================================================
+ * RecentSessionsModal Component - Reopen or purge autosaved sessions
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Lists the sessions kept by the autosave (see sessionStore.js), most
+ * recently saved first, with their file, size and times.
+ *
+ * KEY FEATURES:
+ * - Open replaces the current data with the saved session
+ * - Delete removes one session, Delete all removes every other session
+ * - The session being worked on is marked and cannot be deleted
+ * - Escape or a click outside closes it
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - sessions: Session records from listSessions()
+ * - error: Why the list could not be read (shown above it), or null
+ * - currentId: Id of the session being autosaved, or null
+ * - onOpen: Callback receiving the id of the session to open
+ * - onDelete: Callback receiving the id of the session to delete
+ * - onDeleteAll: Callback to delete every session except the current one
+ * - onClose: Callback when the modal is closed
+ *
+ * @component
+ */
+export const RecentSessionsModal = ({ sessions, error, currentId, onOpen, onDelete, onDeleteAll, onClose }) => {
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const others = sessions.filter((session) => session.id !== currentId);
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🗂️ Recent Sessions</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-form">
+          {error && <p className="sessions-error">⚠️ Could not read the saved sessions: {error}</p>}
+          {sessions.length === 0 ? (
+            !error && <p className="session-empty">No saved sessions yet. Imported data is saved automatically as you work.</p>
+          ) : (
+            <ul className="session-list">
+              {sessions.map((session) => {
+                const isCurrent = session.id === currentId;
+                return (
+                  <li key={session.id} className={`session-item ${isCurrent ? 'current' : ''}`}>
+                    <div className="session-info">
+                      <strong>{session.fileName || 'Untitled'}</strong>
+                      {isCurrent && <span className="session-current-badge">open now</span>}
+                      <span className="session-meta">
+                        {session.rowCount.toLocaleString()} row(s)
+                        {session.sheetTabs?.length > 0 && ` · ${session.sheetTabs.length} sheet tab(s)`}
+                        {' · '}saved {new Date(session.savedAt).toLocaleString()}
+                        {' · '}imported {new Date(session.createdAt).toLocaleString()}
+                      </span>
+                    </div>
+                    {!isCurrent && (
+                      <div className="session-actions">
+                        <button type="button" className="btn btn-primary" onClick={() => onOpen(session.id)}>
+                          Open
+                        </button>
+                        <button type="button" className="btn btn-danger-outline" onClick={() => onDelete(session.id)}>
+                          Delete
+                        </button>
+                      </div>
+                    )}
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+
+          <div className="modal-footer">
+            <button
+              type="button"
+              className="btn btn-danger-outline"
+              onClick={onDeleteAll}
+              disabled={others.length === 0}
+            >
+              Delete all{currentId ? ' others' : ''}
+            </button>
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecentSessionsModal;
@@ -0,0 +1,214 @@
+import { useEffect, useMemo } from 'react';
+import { getSapField } from '../utils/sapFields';
+import { formatDate } from '../utils/dateUtils';
+import { formatAmount } from '../utils/amountUtils';
+import { DIAGNOSTIC_LABELS } from '../utils/importDiagnostics';
+import { CHANGE_STATUS } from '../utils/changeTracking';
+import { explainRow, unmappedSourceCells } from '../utils/provenance';
+import '../styles/Modal.css';
+import '../styles/RowDetail.css';
+
+/**
+ * Shows a stored value the way the table does (dates in the display format,
+ * amounts grouped).
+ */
+const displayValue = (field, value, dateFormat) => {
+  const type = getSapField(field)?.type;
+  if (type === 'date') return formatDate(value, dateFormat);
+  if (type === 'amount') return formatAmount(value);
+  return String(value ?? '');
+};
+
+/**
+ * A value cell; empty values are shown as a muted "empty".
+ */
+const ValueCell = ({ value }) => (
+  <td>
+    {value === '' ? <span className="row-detail-empty">empty</span> : value}
+  </td>
+);
+
+/**
+ * Where the import read a field from.
+ */
+const sourceLabel = ({ origin, source }) => {
+  if (origin === 'column') return `${source.column}${source.header ? ` · ${source.header}` : ''}`;
+  if (origin === 'sheet-name') return 'Sheet name';
+  return '— no column';
+};
+
+/**
+ * ============================================================================
+ * RowDetailDrawer Component - Provenance of one row
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Explains where every value of a row came from: the file, sheet and
+ * spreadsheet row it was imported from, and per SAP field the source column,
+ * the raw cell, what the import made of it and the value that will be
+ * exported now.
+ *
+ * KEY FEATURES:
+ * - Fields the import changed (truncated, default used, reformatted, not
+ *   readable) are highlighted with the reason from the import diagnostics
+ * - Fields edited since the import are marked separately
+ * - Source cells no SAP field reads from are listed below the fields, so the
+ *   whole source row is visible
+ * - Closes with Escape, the ✕ button or a click beside the drawer
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - row: Current row
+ * - position: 1-based position of the row in the dataset
+ * - importedRow: The row as imported, or null for rows added later
+ * - fieldSources: Field → source column of the row's sheet (see provenance.js)
+ * - issues: Import diagnostics of the row
+ * - fields: Fields to show, in table order
+ * - changeStatus: Status since the import (see changeTracking.js), or null
+ * - dateFormat: Display format for dates
+ * - onClose: Callback when the drawer is closed
+ *
+ * @component
+ */
+export const RowDetailDrawer = ({
+  row,
+  position,
+  importedRow,
+  fieldSources,
+  issues,
+  fields,
+  changeStatus,
+  dateFormat,
+  onClose,
+}) => {
+  const lines = useMemo(
+    () => explainRow({ row, importedRow, fieldSources, issues, fields }),
+    [row, importedRow, fieldSources, issues, fields]
+  );
+  const otherCells = useMemo(() => unmappedSourceCells(row, fieldSources), [row, fieldSources]);
+
+  const transformedCount = lines.filter((line) => line.issues.length > 0).length;
+  const editedCount = lines.filter((line) => line.edited).length;
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  const statusText = () => {
+    if (changeStatus === CHANGE_STATUS.NEW) {
+      return row._source ? 'Added after the import as a copy of this source row' : 'Added after the import';
+    }
+    if (changeStatus === CHANGE_STATUS.MODIFIED) return 'Edited since the import';
+    return 'Unchanged since the import';
+  };
+
+  return (
+    <div className="row-detail-overlay" onClick={onClose}>
+      <aside className="row-detail-drawer" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>🔎 Row {position.toLocaleString()}{row.CHALLAN_NO ? ` · ${row.CHALLAN_NO}` : ''}</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="row-detail-body">
+          {row._source ? (
+            <dl className="row-detail-origin">
+              <dt>File</dt>
+              <dd>{row._source.file || '—'}</dd>
+              <dt>Sheet</dt>
+              <dd>{row._source.sheet || '—'}</dd>
+              <dt>Spreadsheet row</dt>
+              <dd>{row._source.row ?? '—'}</dd>
+              <dt>Status</dt>
+              <dd>{statusText()}</dd>
+            </dl>
+          ) : (
+            <p className="row-detail-note">
+              This row was added after the import and has no source row.
+            </p>
+          )}
+
+          {row._source && (
+            <p className="row-detail-summary">
+              <span className="row-detail-key row-detail-key-transformed">
+                {transformedCount} field(s) changed by the import
+              </span>
+              <span className="row-detail-key row-detail-key-edited">
+                {editedCount} field(s) edited since
+              </span>
+            </p>
+          )}
+
+          <table className="row-detail-table">
+            <thead>
+              <tr>
+                <th>Field</th>
+                <th>Source column</th>
+                <th>Raw value</th>
+                <th>Imported</th>
+                <th>Current</th>
+              </tr>
+            </thead>
+            <tbody>
+              {lines.map((line) => {
+                const transformed = line.issues.length > 0;
+                const current = displayValue(line.field, line.current, dateFormat);
+                return (
+                  <tr
+                    key={line.field}
+                    className={`${transformed ? 'row-detail-transformed' : ''} ${line.edited ? 'row-detail-edited' : ''}`}
+                  >
+                    <td className="row-detail-field">
+                      {line.field}
+                      {line.issues.map((issue, index) => (
+                        <span key={index} className="row-detail-reason">
+                          {DIAGNOSTIC_LABELS[issue.kind]}{issue.note ? `: ${issue.note}` : ''}
+                        </span>
+                      ))}
+                      {line.edited && <span className="row-detail-reason">✏️ Edited since the import</span>}
+                    </td>
+                    <td className="row-detail-source">{row._source ? sourceLabel(line) : '—'}</td>
+                    {!row._source || line.origin === 'none'
+                      ? <td>—</td>
+                      : <ValueCell value={line.origin === 'sheet-name' ? row._source.sheet ?? '' : String(line.raw)} />}
+                    {line.imported === null
+                      ? <td>—</td>
+                      : <ValueCell value={displayValue(line.field, line.imported, dateFormat)} />}
+                    <td>
+                      {current === '' ? <span className="row-detail-empty">empty</span> : current}
+                      {String(line.exported) !== current && line.exported !== '' && (
+                        <span className="row-detail-export">exported as {line.exported}</span>
+                      )}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+
+          {otherCells.length > 0 && (
+            <>
+              <h3 className="row-detail-heading">Other source columns (not imported)</h3>
+              <table className="row-detail-table">
+                <tbody>
+                  {otherCells.map(([header, value]) => (
+                    <tr key={header}>
+                      <td className="row-detail-field">{header}</td>
+                      <ValueCell value={String(value)} />
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </>
+          )}
+        </div>
+      </aside>
+    </div>
+  );
+};
+
+export default RowDetailDrawer;
@@ -0,0 +1,43 @@
+import '../styles/Sessions.css';
+
+/**
+ * ============================================================================
+ * SessionRestorePrompt Component - Offers to reopen the last saved session
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shown on start-up when an autosaved session exists (see sessionStore.js),
+ * so work lost to a reload or crash is one click away.
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - session: Session record from listSessions() (the most recent one)
+ * - onRestore: Callback receiving the session id
+ * - onShowAll: Callback to open the list of recent sessions
+ * - onDismiss: Callback to hide the prompt
+ *
+ * @component
+ */
+export const SessionRestorePrompt = ({ session, onRestore, onShowAll, onDismiss }) => (
+  <div className="session-restore-prompt" role="alert">
+    <span>
+      ↺ Restore previous session from <strong>{new Date(session.savedAt).toLocaleString()}</strong>?
+      <span className="session-restore-detail">
+        {' '}{session.fileName || 'Untitled'} · {session.rowCount.toLocaleString()} row(s)
+      </span>
+    </span>
+    <div className="session-restore-actions">
+      <button type="button" className="btn btn-primary" onClick={() => onRestore(session.id)}>
+        Restore
+      </button>
+      <button type="button" className="btn btn-secondary" onClick={onShowAll}>
+        Recent sessions…
+      </button>
+      <button type="button" className="btn btn-secondary" onClick={onDismiss}>
+        Dismiss
+      </button>
+    </div>
+  </div>
+);
+
+export default SessionRestorePrompt;
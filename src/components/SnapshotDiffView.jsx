@@ -0,0 +1,144 @@
+import { useState, useMemo } from 'react';
+import { getSapField } from '../utils/sapFields';
+import { formatDate } from '../utils/dateUtils';
+import { formatAmount } from '../utils/amountUtils';
+import { CHANGE_STATUS } from '../utils/changeTracking';
+import { DIFF_STATUS_LABELS } from '../utils/snapshots';
+import '../styles/Snapshots.css';
+
+// Differing rows rendered at once; "Show more" adds another batch
+const ENTRY_PAGE_SIZE = 200;
+
+const STATUS_ORDER = [CHANGE_STATUS.NEW, CHANGE_STATUS.DELETED, CHANGE_STATUS.MODIFIED];
+
+/**
+ * Shows a value the way the table does (dates in the display format,
+ * amounts grouped).
+ */
+const displayValue = (field, value, dateFormat) => {
+  const type = getSapField(field)?.type;
+  if (type === 'date') return formatDate(value, dateFormat);
+  if (type === 'amount') return formatAmount(value);
+  return String(value ?? '');
+};
+
+/**
+ * ============================================================================
+ * SnapshotDiffView Component - Row-by-row differences of two versions
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Shown in the snapshot manager after two versions were compared. Lists the
+ * rows added, removed and changed from the older to the newer version (see
+ * diffVersions in snapshots.js), one table row each.
+ *
+ * KEY FEATURES:
+ * - Chips with the count per kind; clicking one shows only that kind
+ * - Changed fields are highlighted with the old value struck through
+ *   above the new one; added rows are green, removed rows red
+ * - Export of the differences (XLSX with a summary sheet, or CSV)
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - diff: diffVersions() result
+ * - fields: Compared fields (table columns)
+ * - olderName / newerName: Names of the compared versions
+ * - dateFormat: Display format for dates
+ * - onExport: Callback receiving 'xlsx' or 'csv'
+ * - onBack: Callback to return to the snapshot list
+ *
+ * @component
+ */
+export const SnapshotDiffView = ({ diff, fields, olderName, newerName, dateFormat, onExport, onBack }) => {
+  // Kind of difference shown (null = all)
+  const [statusFilter, setStatusFilter] = useState(null);
+
+  // Number of entries rendered
+  const [visibleCount, setVisibleCount] = useState(ENTRY_PAGE_SIZE);
+
+  const entries = useMemo(
+    () => (statusFilter ? diff.entries.filter((entry) => entry.status === statusFilter) : diff.entries),
+    [diff, statusFilter]
+  );
+
+  const chooseFilter = (status) => {
+    setStatusFilter((prev) => (prev === status ? null : status));
+    setVisibleCount(ENTRY_PAGE_SIZE);
+  };
+
+  return (
+    <div className="snapshot-diff">
+      <div className="snapshot-diff-header">
+        <button type="button" className="btn btn-secondary" onClick={onBack}>← Snapshots</button>
+        <span className="snapshot-diff-title">
+          <strong>{olderName}</strong> → <strong>{newerName}</strong>
+        </span>
+      </div>
+
+      <div className="snapshot-diff-chips">
+        {STATUS_ORDER.map((status) => (
+          <button
+            key={status}
+            type="button"
+            className={`snapshot-diff-chip snapshot-diff-chip-${status} ${statusFilter === status ? 'active' : ''}`}
+            onClick={() => chooseFilter(status)}
+            disabled={diff.counts[status] === 0}
+          >
+            {DIFF_STATUS_LABELS[status]}: {diff.counts[status].toLocaleString()}
+          </button>
+        ))}
+        <span className="snapshot-diff-export">
+          Export:
+          <button type="button" className="btn btn-history" onClick={() => onExport('xlsx')}>XLSX</button>
+          <button type="button" className="btn btn-history" onClick={() => onExport('csv')}>CSV</button>
+        </span>
+      </div>
+
+      {diff.entries.length === 0 ? (
+        <p className="snapshot-empty">✅ The two versions are identical.</p>
+      ) : (
+        <div className="snapshot-diff-table-wrapper">
+          <table className="snapshot-diff-table">
+            <thead>
+              <tr>
+                <th>Difference</th>
+                <th title="Row number in the older version">Row</th>
+                {fields.map((field) => <th key={field}>{field}</th>)}
+              </tr>
+            </thead>
+            <tbody>
+              {entries.slice(0, visibleCount).map(({ status, row, fields: changedFields, position }) => (
+                <tr key={`${status}-${row.id}`} className={`snapshot-diff-${status}`}>
+                  <td className="snapshot-diff-status">{DIFF_STATUS_LABELS[status]}</td>
+                  <td>{position ?? '—'}</td>
+                  {fields.map((field) => {
+                    const change = changedFields[field];
+                    if (!change) return <td key={field}>{displayValue(field, row[field], dateFormat)}</td>;
+                    return (
+                      <td key={field} className="snapshot-diff-changed">
+                        <del>{displayValue(field, change.from, dateFormat) || '(blank)'}</del>
+                        <ins>{displayValue(field, change.to, dateFormat) || '(blank)'}</ins>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {entries.length > visibleCount && (
+        <button
+          type="button"
+          className="btn btn-secondary snapshot-show-more"
+          onClick={() => setVisibleCount((count) => count + ENTRY_PAGE_SIZE)}
+        >
+          Show more ({(entries.length - visibleCount).toLocaleString()} left)
+        </button>
+      )}
+    </div>
+  );
+};
+
+export default SnapshotDiffView;
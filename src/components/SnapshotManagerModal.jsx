@@ -0,0 +1,316 @@
+import { useState, useEffect } from 'react';
+import {
+  SNAPSHOT_NAME_SUGGESTIONS,
+  listSnapshots,
+  createSnapshot,
+  loadSnapshot,
+  deleteSnapshot,
+  diffFields,
+  diffVersions,
+  diffExportRows,
+} from '../utils/snapshots';
+import { CHANGE_STATUS } from '../utils/changeTracking';
+import { exportChangeLog, exportDataAsCSV } from '../utils/excelParser';
+import SnapshotDiffView from './SnapshotDiffView';
+import '../styles/Modal.css';
+import '../styles/Snapshots.css';
+
+// Stands for the data being edited in the compare pickers
+const CURRENT_VERSION = 'current';
+
+/**
+ * Reads the snapshot list into `onList` (an empty list when it cannot be read).
+ */
+const readSnapshotList = (onList) =>
+  listSnapshots()
+    .then(onList)
+    .catch((listError) => {
+      onList([]);
+      alert(`Could not read the snapshots: ${listError.message}`);
+    });
+
+/**
+ * File-name-safe form of a version name, e.g. "After bank cleanup" → "after_bank_cleanup".
+ */
+const slug = (name) => name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'version';
+
+/**
+ * ============================================================================
+ * SnapshotManagerModal Component - Named checkpoints, restore and compare
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Opened from the "Snapshots" button next to the exports. Takes named
+ * snapshots of the current data (see snapshots.js), restores them and
+ * compares any two versions.
+ *
+ * KEY FEATURES:
+ * - Take a snapshot with a name (suggestions: As received, After bank
+ *   cleanup, Submitted) and an optional note
+ * - Snapshot list with time, rows and note; Restore and Delete per snapshot
+ * - Compare any two snapshots, or a snapshot with the current data; the
+ *   differences open in SnapshotDiffView and can be exported
+ * - Escape or a click outside closes it
+ *
+ * USAGE:
+ * Parent passes these props:
+ * - data, headers, sheetTabs: Current rows and their layout
+ * - fileName, sessionId, stats: Details stored with a new snapshot (the
+ *   session tells a restore whether the snapshot is of the current import)
+ * - dateFormat: Display format for dates in the diff
+ * - onRestore: Callback receiving the id of the snapshot to restore
+ * - onClose: Callback when the modal is closed
+ *
+ * @component
+ */
+export const SnapshotManagerModal = ({
+  data,
+  headers,
+  sheetTabs,
+  fileName,
+  sessionId,
+  stats,
+  dateFormat,
+  onRestore,
+  onClose,
+}) => {
+  // Stored snapshots, newest first (null while loading)
+  const [snapshots, setSnapshots] = useState(null);
+
+  // New snapshot form
+  const [name, setName] = useState('');
+  const [note, setNote] = useState('');
+
+  // Versions picked for comparing (snapshot ids or CURRENT_VERSION)
+  const [olderId, setOlderId] = useState('');
+  const [newerId, setNewerId] = useState(CURRENT_VERSION);
+
+  // Result of the last comparison: { diff, fields, older, newer } or null
+  const [comparison, setComparison] = useState(null);
+
+  // True while the database is being read or written
+  const [busy, setBusy] = useState(false);
+
+  const refresh = () => readSnapshotList(setSnapshots);
+
+  useEffect(() => {
+    readSnapshotList(setSnapshots);
+  }, []);
+
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') onClose();
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [onClose]);
+
+  // Older version defaults to the newest snapshot once the list is known
+  const olderChoice = olderId || snapshots?.[0]?.id || '';
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await createSnapshot({ name, note, fileName: fileName || '', sessionId, headers, sheetTabs, stats, rows: data });
+      setName('');
+      setNote('');
+      await refresh();
+    } catch (createError) {
+      alert(`Could not take the snapshot: ${createError.message}`);
+    }
+    setBusy(false);
+  };
+
+  const handleDelete = async (snapshot) => {
+    if (!window.confirm(`Delete the snapshot "${snapshot.name}"? It cannot be restored afterwards.`)) return;
+    try {
+      await deleteSnapshot(snapshot.id);
+    } catch (deleteError) {
+      alert(`Could not delete the snapshot: ${deleteError.message}`);
+    }
+    if (olderId === snapshot.id) setOlderId('');
+    if (newerId === snapshot.id) setNewerId(CURRENT_VERSION);
+    await refresh();
+  };
+
+  /**
+   * Rows, fields and display name of a version picked for comparing.
+   */
+  const readVersion = async (id) => {
+    if (id === CURRENT_VERSION) return { name: 'Current data', createdAt: new Date().toISOString(), headers, rows: data };
+    return loadSnapshot(id);
+  };
+
+  const handleCompare = async () => {
+    setBusy(true);
+    try {
+      const [older, newer] = await Promise.all([readVersion(olderChoice), readVersion(newerId)]);
+      const fields = diffFields(older.headers, newer.headers);
+      setComparison({ diff: diffVersions(older.rows, newer.rows, fields), fields, older, newer });
+    } catch (compareError) {
+      alert(`Could not compare: ${compareError.message}`);
+    }
+    setBusy(false);
+  };
+
+  const handleExportDiff = (format) => {
+    const { diff, fields, older, newer } = comparison;
+    const lines = diffExportRows(diff, newer.rows, fields);
+    const baseName = `diff_${slug(older.name)}_vs_${slug(newer.name)}`;
+
+    if (format === 'csv') {
+      exportDataAsCSV(lines, `${baseName}.csv`);
+      return;
+    }
+    exportChangeLog(lines, [
+      { Item: 'Older version', Value: `${older.name} (${new Date(older.createdAt).toLocaleString()})` },
+      { Item: 'Newer version', Value: `${newer.name} (${new Date(newer.createdAt).toLocaleString()})` },
+      { Item: 'Exported at', Value: new Date().toLocaleString() },
+      { Item: 'Rows in older version', Value: older.rows.length },
+      { Item: 'Rows in newer version', Value: newer.rows.length },
+      { Item: 'Rows added', Value: diff.counts[CHANGE_STATUS.NEW] },
+      { Item: 'Rows removed', Value: diff.counts[CHANGE_STATUS.DELETED] },
+      { Item: 'Rows changed', Value: diff.counts[CHANGE_STATUS.MODIFIED] },
+      { Item: 'Differing values', Value: lines.length },
+    ], `${baseName}.xlsx`, { sheetName: 'Differences', emptyNote: 'The two versions are identical' });
+  };
+
+  const versionOptions = (
+    <>
+      <option value={CURRENT_VERSION}>Current data</option>
+      {(snapshots || []).map((snapshot) => (
+        <option key={snapshot.id} value={snapshot.id}>
+          {snapshot.name} · {new Date(snapshot.createdAt).toLocaleString()}
+        </option>
+      ))}
+    </>
+  );
+
+  return (
+    <div className="modal-overlay" onClick={onClose}>
+      <div className="modal-content modal-wide" onClick={(e) => e.stopPropagation()}>
+        <div className="modal-header">
+          <h2>📸 Snapshots</h2>
+          <button className="modal-close" onClick={onClose}>✕</button>
+        </div>
+
+        <div className="modal-form">
+          {comparison ? (
+            <SnapshotDiffView
+              diff={comparison.diff}
+              fields={comparison.fields}
+              olderName={comparison.older.name}
+              newerName={comparison.newer.name}
+              dateFormat={dateFormat}
+              onExport={handleExportDiff}
+              onBack={() => setComparison(null)}
+            />
+          ) : (
+            <>
+              {/* Take a snapshot of the current data */}
+              <form className="snapshot-create" onSubmit={handleCreate}>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="Snapshot name, e.g. After bank cleanup"
+                  list="snapshot-name-suggestions"
+                  value={name}
+                  onChange={(e) => setName(e.target.value)}
+                  maxLength={80}
+                  aria-label="Snapshot name"
+                />
+                <datalist id="snapshot-name-suggestions">
+                  {SNAPSHOT_NAME_SUGGESTIONS.map((suggestion) => <option key={suggestion} value={suggestion} />)}
+                </datalist>
+                <input
+                  type="text"
+                  className="form-input"
+                  placeholder="Note (optional)"
+                  value={note}
+                  onChange={(e) => setNote(e.target.value)}
+                  maxLength={500}
+                  aria-label="Snapshot note"
+                />
+                <button type="submit" className="btn btn-primary" disabled={busy || !name.trim() || data.length === 0}>
+                  📸 Take snapshot ({data.length.toLocaleString()} rows)
+                </button>
+              </form>
+
+              {/* Stored snapshots */}
+              {snapshots === null ? (
+                <p className="snapshot-empty">Loading snapshots…</p>
+              ) : snapshots.length === 0 ? (
+                <p className="snapshot-empty">No snapshots yet. Take one before each step you may want to go back to.</p>
+              ) : (
+                <ul className="snapshot-list">
+                  {snapshots.map((snapshot) => (
+                    <li key={snapshot.id} className="snapshot-item">
+                      <div className="snapshot-info">
+                        <strong>{snapshot.name}</strong>
+                        <span className="snapshot-meta">
+                          {new Date(snapshot.createdAt).toLocaleString()}
+                          {' · '}{snapshot.rowCount.toLocaleString()} row(s)
+                          {snapshot.fileName && ` · ${snapshot.fileName}`}
+                        </span>
+                        {snapshot.note && <span className="snapshot-note">{snapshot.note}</span>}
+                      </div>
+                      <div className="snapshot-actions">
+                        <button type="button" className="btn btn-primary" onClick={() => onRestore(snapshot.id)} disabled={busy}>
+                          Restore
+                        </button>
+                        <button type="button" className="btn btn-danger-outline" onClick={() => handleDelete(snapshot)} disabled={busy}>
+                          Delete
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+              )}
+
+              {/* Compare two versions */}
+              {snapshots?.length > 0 && (
+                <div className="snapshot-compare">
+                  <span>Compare</span>
+                  <select
+                    value={olderChoice}
+                    onChange={(e) => setOlderId(e.target.value)}
+                    className="form-input"
+                    aria-label="Older version"
+                  >
+                    {versionOptions}
+                  </select>
+                  <span>with</span>
+                  <select
+                    value={newerId}
+                    onChange={(e) => setNewerId(e.target.value)}
+                    className="form-input"
+                    aria-label="Newer version"
+                  >
+                    {versionOptions}
+                  </select>
+                  <button
+                    type="button"
+                    className="btn btn-secondary"
+                    onClick={handleCompare}
+                    disabled={busy || olderChoice === newerId}
+                  >
+                    🔀 Compare
+                  </button>
+                </div>
+              )}
+            </>
+          )}
+
+          <div className="modal-footer">
+            <button type="button" className="btn btn-secondary" onClick={onClose}>
+              Close
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SnapshotManagerModal;
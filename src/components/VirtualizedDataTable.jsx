@@ -1,11 +1,104 @@
-import { useState, useEffect, useRef, useCallback } from 'react';
+import { useState, useEffect, useRef, useMemo } from 'react';
 import EditRowModal from './EditRowModal';
-import { createNewRow } from '../utils/excelParser';
+import CellEditor from './CellEditor';
+import DuplicateFinderModal from './DuplicateFinderModal';
+import ColumnFilterPopover from './ColumnFilterPopover';
+import QuerySearchBox from './QuerySearchBox';
+import ColumnChooser from './ColumnChooser';
+import GroupByBar from './GroupByBar';
+import BulkEditModal from './BulkEditModal';
+import FindReplaceModal from './FindReplaceModal';
+import DeletedRowsPanel from './DeletedRowsPanel';
+import { createNewRow, exportGroupedAsExcel } from '../utils/excelParser';
+import { getSapField } from '../utils/sapFields';
+import { formatAmount, sameAmount } from '../utils/amountUtils';
+import { rowRange, summarizeSelection } from '../utils/selection';
+import { pluralize, describeRow, describeRowEdit } from '../utils/history';
+import { emptyChanges, countChanges, CHANGE_STATUS, CHANGE_STATUS_LABELS } from '../utils/changeTracking';
+import { describeSource } from '../utils/provenance';
+import { nextRowId } from '../utils/rowIds';
+import { masterName } from '../utils/masterData';
+import { DATE_ISSUES, DEFAULT_DATE_DISPLAY_FORMAT, formatDate, isIsoDate, recheckDateIssue } from '../utils/dateUtils';
+import { applyColumnFilters, describeFilter } from '../utils/columnFilters';
+import { compileSearchQuery } from '../utils/searchQuery';
+import { sortRows, nextSortKeys, NULLS_POSITIONS, DEFAULT_NULLS_POSITION } from '../utils/sorting';
+import {
+  defaultColumnLayout,
+  visibleColumns,
+  columnWidth,
+  pinnedOffsets,
+  moveColumn,
+  setColumnWidth,
+  MIN_COLUMN_WIDTH,
+  CHECKBOX_COLUMN_WIDTH,
+  ACTIONS_COLUMN_WIDTH,
+} from '../utils/columnLayout';
+import {
+  groupRows,
+  flattenGroups,
+  isGroupLine,
+  allGroupKeys,
+  aggregateRows,
+  numericFields,
+  formatAggregate,
+} from '../utils/grouping';
 import '../styles/DataTable.css';
 
 const ITEMS_PER_PAGE_OPTIONS = [10, 25, 50, 100];
+
+// Continuous scrolling renders only the visible rows; pages is the classic view
+const VIEW_MODES = {
+  SCROLL: 'scroll',
+  PAGES: 'pages',
+};
+
+// Row height in scroll mode (px). DataTable.css pins rows of .table-windowed
+// to exactly this height, so the offsets below stay exact for 200k rows.
 const ITEM_HEIGHT = 50;
 
+// Rows rendered above and below the viewport to avoid blank flashes while scrolling
+const OVERSCAN = 10;
+
+// Viewport height used until the table wrapper has been measured
+const DEFAULT_VIEWPORT_HEIGHT = 600;
+
+const DATE_ISSUE_TITLES = {
+  [DATE_ISSUES.INVALID]: 'This date could not be interpreted — edit the row to fix it',
+  [DATE_ISSUES.AMBIGUOUS]: 'Ambiguous date (day and month could be swapped) — please check it',
+};
+
+// Default for tables rendered without validation results
+const EMPTY_ERRORS = new Map();
+
+// Layout of tables rendered without column management
+const DEFAULT_LAYOUT = defaultColumnLayout();
+
+// Collapsed groups when nothing is collapsed
+const NO_COLLAPSED_GROUPS = new Set();
+
+// Default for tables rendered without change tracking
+const NO_CHANGES = emptyChanges();
+
+/**
+ * Returns the text shown for a cell: date fields use the chosen display
+ * format, amounts are grouped (1,250.00), everything else is shown as stored.
+ */
+const formatCellValue = (row, header, dateFormat) => {
+  const type = getSapField(header)?.type;
+  if (type === 'date') return formatDate(row[header], dateFormat);
+  if (type === 'amount') return formatAmount(row[header]);
+  return row[header];
+};
+
+/**
+ * One-line summary of aggregates, e.g. "CHAN_AMT Σ 1,200 · min 100 · max 700 · avg 400".
+ */
+const describeAggregates = (aggregates) =>
+  Object.entries(aggregates.fields)
+    .map(([field, { sum, min, max, avg }]) =>
+      `${field} Σ ${formatAggregate(sum)} · min ${formatAggregate(min)} · max ${formatAggregate(max)} · avg ${formatAggregate(avg)}`)
+    .join('   ');
+
 /**
  * ============================================================================
  * VirtualizedDataTable Component - Main Data Display & Management Component
@@ -13,14 +106,43 @@ const ITEM_HEIGHT = 50;
  * 
  * PURPOSE:
  * This is the core component that displays parsed Excel data in an interactive,
- * performant table. It handles pagination (virtualization), searching, sorting,
- * row selection, and CRUD operations (Create, Read, Update, Delete).
+ * performant table. It handles windowed rendering (or pagination), searching,
+ * sorting, row selection, and CRUD operations (Create, Read, Update, Delete).
  *
  * KEY FEATURES:
- * - Pagination with configurable rows per page (10, 25, 50, 100)
- * - Full-text search across all columns
- * - Sortable columns (ascending/descending toggle)
- * - Multi-row selection with select-all checkbox
+ * - Continuous scrolling through the whole dataset, rendering only the rows
+ *   in the viewport plus OVERSCAN (sticky header, full-size scrollbar)
+ * - Optional pagination mode with configurable rows per page (10, 25, 50, 100)
+ * - Search box with a query language (see searchQuery.js): plain words
+ *   search all columns (dates match as displayed), FIELD:value targets one
+ *   column, plus comparisons, ranges, negation, OR groups and /regex/;
+ *   syntax errors are shown inline and field names autocomplete
+ * - Per-column filter popovers (text operators, amount range, date range,
+ *   checklist of bank/branch codes) combined with AND and listed as
+ *   removable chips above the table
+ * - Dates shown in the chosen display format, with a ⚠️ marker on rows
+ *   whose date was ambiguous or could not be interpreted on import
+ * - Cells failing validation are highlighted (message in the tooltip), with
+ *   an error counter that toggles "show only invalid rows"
+ * - Spreadsheet-style editing in place: click or arrow keys select a cell,
+ *   F2 / typing / double-click edit it (see CellEditor), Enter and Tab
+ *   commit and move on, Escape cancels
+ * - Sortable columns: click sorts by one column (again to flip direction),
+ *   Shift+click adds secondary/tertiary keys shown with priority badges;
+ *   comparisons follow the field type (see sorting.js), blanks go first or
+ *   last as chosen, and ties keep their import order
+ * - Group by one or more fields (e.g. A_BANCD → A_BANKL): collapsible group
+ *   header lines with row count and sum/min/max/average of amount fields,
+ *   a grand total under the table and an Excel export with subtotal rows
+ *   (see grouping.js); groups follow the filters, search and sort
+ * - Column management (see columnLayout.js): drag headers to reorder, drag
+ *   a header's right edge to resize (double-click it to reset), hide/show
+ *   and pin fields in the column chooser; pinned columns (CHALLAN_NO by
+ *   default) and the checkbox column stay on the left when scrolling sideways
+ * - Multi-row selection that survives sorting, searching and paging:
+ *   select-all checkbox (plus "select all N matching rows" in pages mode),
+ *   Shift+click ranges, Ctrl/Cmd+click toggles, and a summary bar with the
+ *   count, CHAN_AMT total and date span of the selection
  * - Add new rows with modal form
  * - Edit existing rows with modal form
  * - Delete rows (with confirmation)
@@ -30,39 +152,124 @@ const ITEM_HEIGHT = 50;
  * - Responsive layout with fixed headers
  *
  * PERFORMANCE OPTIMIZATION:
- * - Uses pagination to render only current page data (not all rows)
- * - useCallback hooks to prevent unnecessary re-renders
- * - Virtual scrolling through pagination reduces DOM elements
+ * - Scroll mode: every row is exactly ITEM_HEIGHT tall, so the rows in view
+ *   are computed from scrollTop alone; two spacer rows give the table its
+ *   full height so the scrollbar reflects the whole dataset
+ * - Scroll position is tracked in whole rows, so scrolling within a row
+ *   does not re-render
+ * - Filtering and sorting are memoized and only rerun when their inputs change
  *
  * STATE MANAGEMENT:
  * - searchTerm: Current search filter
- * - sortConfig: Current sort column and direction
+ * - columnFilters: Active filter per column ({ [field]: filter }, see columnFilters.js)
+ * - openFilterField: Column whose filter popover is open
+ * - sortKeys: Sort columns in priority order ([{ key, direction }])
+ * - nullsPosition: Whether blank values sort 'first' or 'last'
  * - selectedRows: Set of row IDs that are checked
+ * - selectionAnchor: Row last clicked for selection (start of Shift ranges)
  * - currentPage: Current page number (1-based)
  * - itemsPerPage: Rows displayed per page
+ * - viewMode: 'scroll' (windowed) or 'pages' (paginated)
+ * - scrollRow / viewportHeight: First row at the top of the viewport and the
+ *   viewport's height, which together decide the rendered window
  * - editingRow: Row object currently being edited
  * - isModalOpen: Whether edit/add modal is visible
  * - isNewRow: Whether modal is for adding new or editing existing
+ * - isDuplicateFinderOpen: Whether the duplicate finder is visible
+ * - isBulkEditOpen / isFindReplaceOpen: Whether the bulk-edit or
+ *   find-and-replace dialog is visible
+ * - activeCell: { rowId, header } of the selected cell (keyboard navigation)
+ * - editingCell: { rowId, header, initialValue, typed } of the cell being
+ *   edited in place, or null
+ * - isColumnChooserOpen: Whether the column chooser popover is visible
+ * - dragField / dropTarget: Header being dragged and the header under it
+ * - resizeDraft: { field, width } while a column edge is being dragged
+ * - groupFields: Fields the rows are grouped by, outermost first
+ * - collapsedGroups: Set of keys of collapsed groups
+ * - showChangedOnly: Whether only rows added or modified since the import
+ *   are listed (deleted rows are then shown under the table)
+ *
+ * PROPS:
+ * - headers, data: Columns and rows to display
+ * - onDataChange: Called with the full updated dataset after any edit, and
+ *   a label for the undo history (e.g. "Deleted 42 rows"); without it the
+ *   table is read-only (no add, edit, delete or bulk tools)
+ * - dateFormat: Display format for date fields (see DATE_DISPLAY_FORMATS)
+ * - focusRequest: { rowId } object; each new object clears the search, scrolls
+ *   (or jumps to the page holding) that row and highlights it (e.g. from diagnostics)
+ * - validationErrors: Map rowId → { field: message } from validateDataset
+ * - columnLayout: Order, widths, hidden and pinned fields (see columnLayout.js)
+ * - onColumnLayoutChange: Called with the new layout; without it the columns
+ *   cannot be rearranged
+ * - changes: Row status since the import (see changeTracking.js), shown as
+ *   row markers, changed-cell marks with the original value, and tombstones
+ * - onShowDetails: Called with a row to show where its values came from
+ *   (see RowDetailDrawer); without it the row has no details button
+ * - masterData: Bank master data (see masterData.js); bank, branch and account
+ *   names appear in the cell tooltips and the editors offer the valid codes
+ * - showMasterNames: Whether those names are also shown inside the cells
+ * - initialView: View state to start from (see TABLE VIEW), e.g. from a
+ *   restored session; only read when the table mounts
+ * - onViewChange: Called with the TABLE VIEW whenever one of its parts changes
+ *
+ * TABLE VIEW:
+ * { searchTerm, columnFilters, sortKeys, nullsPosition, groupFields,
+ *   showInvalidOnly, showChangedOnly, viewMode, itemsPerPage, currentPage }
+ * Plain data, so it can be saved with the session (see sessionStore.js).
  *
  * @component
  */
-export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
+export const VirtualizedDataTable = ({
+  headers,
+  data,
+  onDataChange,
+  dateFormat = DEFAULT_DATE_DISPLAY_FORMAT,
+  focusRequest = null,
+  validationErrors = EMPTY_ERRORS,
+  columnLayout = DEFAULT_LAYOUT,
+  onColumnLayoutChange = null,
+  changes = NO_CHANGES,
+  onShowDetails = null,
+  masterData = null,
+  showMasterNames = false,
+  initialView = null,
+  onViewChange = null,
+}) => {
   // ========== STATE DECLARATIONS ==========
   
   // Stores the current search filter text (case-insensitive)
-  const [searchTerm, setSearchTerm] = useState('');
+  const [searchTerm, setSearchTerm] = useState(initialView?.searchTerm ?? '');
+
+  // Active per-column filters, and the column whose popover is open
+  const [columnFilters, setColumnFilters] = useState(initialView?.columnFilters ?? {});
+  const [openFilterField, setOpenFilterField] = useState(null);
   
-  // Stores current sort configuration: { key: columnName, direction: 'asc'|'desc' }
-  const [sortConfig, setSortConfig] = useState({ key: null, direction: 'asc' });
+  // Sort keys in priority order: [{ key: columnName, direction: 'asc'|'desc' }]
+  const [sortKeys, setSortKeys] = useState(initialView?.sortKeys ?? []);
+
+  // Where blank values sort, independent of direction
+  const [nullsPosition, setNullsPosition] = useState(initialView?.nullsPosition ?? DEFAULT_NULLS_POSITION);
   
-  // Set of row IDs that are currently selected/checked by user
+  // Set of row IDs that are currently selected/checked by user. Kept across
+  // sorting, searching, filtering and paging; cleared only by the user or
+  // after bulk actions.
   const [selectedRows, setSelectedRows] = useState(new Set());
+
+  // Row last clicked for selection: the start of a Shift+click range
+  const [selectionAnchor, setSelectionAnchor] = useState(null);
   
   // Current page number (1-based, not 0-based)
-  const [currentPage, setCurrentPage] = useState(1);
+  const [currentPage, setCurrentPage] = useState(initialView?.currentPage ?? 1);
   
   // Number of rows to display per page (10, 25, 50, or 100)
-  const [itemsPerPage, setItemsPerPage] = useState(10);
+  const [itemsPerPage, setItemsPerPage] = useState(initialView?.itemsPerPage ?? 10);
+
+  // Continuous scrolling or pagination (see VIEW_MODES)
+  const [viewMode, setViewMode] = useState(initialView?.viewMode ?? VIEW_MODES.SCROLL);
+
+  // Index of the row at the top of the viewport, and the viewport's height (scroll mode)
+  const [scrollRow, setScrollRow] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(DEFAULT_VIEWPORT_HEIGHT);
   
   // The row object currently being edited in the modal (null if modal closed)
   const [editingRow, setEditingRow] = useState(null);
@@ -73,165 +280,517 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
   // True if modal is for adding new row, false if editing existing
   const [isNewRow, setIsNewRow] = useState(false);
   
-  // Reference to the table container for scroll-to-top on page change
+  // Whether the duplicate finder modal is open
+  const [isDuplicateFinderOpen, setIsDuplicateFinderOpen] = useState(false);
+
+  // Tracks whether the bulk-edit and find-and-replace dialogs are visible
+  const [isBulkEditOpen, setIsBulkEditOpen] = useState(false);
+  const [isFindReplaceOpen, setIsFindReplaceOpen] = useState(false);
+
+  // Selected cell for keyboard navigation, and the cell being edited in place
+  const [activeCell, setActiveCell] = useState(null);
+  const [editingCell, setEditingCell] = useState(null);
+
+  // Column chooser popover, header drag-and-drop and the edge being resized
+  const [isColumnChooserOpen, setIsColumnChooserOpen] = useState(false);
+  const [dragField, setDragField] = useState(null);
+  const [dropTarget, setDropTarget] = useState(null);
+  const [resizeDraft, setResizeDraft] = useState(null);
+
+  // Fields to group by (outermost first) and the keys of collapsed groups
+  const [groupFields, setGroupFields] = useState(initialView?.groupFields ?? []);
+  const [collapsedGroups, setCollapsedGroups] = useState(NO_COLLAPSED_GROUPS);
+
+  // When true only rows with validation errors are listed
+  const [showInvalidOnly, setShowInvalidOnly] = useState(initialView?.showInvalidOnly ?? false);
+
+  // Whether only rows changed since the import are shown
+  const [showChangedOnly, setShowChangedOnly] = useState(initialView?.showChangedOnly ?? false);
+
+  // Last focusRequest acted upon, the row it highlighted and where to scroll
+  const [handledFocusRequest, setHandledFocusRequest] = useState(null);
+  const [highlightedRowId, setHighlightedRowId] = useState(null);
+  const [scrollTarget, setScrollTarget] = useState(null);
+
+  // The scrolling table wrapper (viewport in scroll mode)
   const tableContainerRef = useRef(null);
 
+  // Start of the current column resize: { field, startX, startWidth }
+  const resizeRef = useRef(null);
+
+  const isPaged = viewMode === VIEW_MODES.PAGES;
+
+  // ========== COLUMN LAYOUT ==========
+
+  const canManageColumns = Boolean(onColumnLayoutChange);
+
+  // Without onDataChange the table only displays (e.g. a file comparison)
+  const canEdit = Boolean(onDataChange);
+
+  // Layout as shown, including the width of a column being resized right now
+  const layout = resizeDraft ? setColumnWidth(columnLayout, resizeDraft.field, resizeDraft.width) : columnLayout;
+
+  // Visible fields in display order (pinned first) and the pinned ones' left offsets
+  const columns = useMemo(() => visibleColumns(headers, columnLayout), [headers, columnLayout]);
+  const pinnedLeft = pinnedOffsets(columns, layout);
+  const lastPinned = columns.filter((field) => pinnedLeft.has(field)).pop();
+  const hiddenCount = headers.length - columns.length;
+
+  /**
+   * Class and style shared by a column's header and body cells when it is pinned.
+   */
+  const pinnedCellProps = (field) =>
+    pinnedLeft.has(field)
+      ? { className: field === lastPinned ? 'col-pinned col-pinned-last' : 'col-pinned', style: { left: pinnedLeft.get(field) } }
+      : { className: '', style: undefined };
+
+  // Report the view state (see TABLE VIEW) so the parent can save it
+  const view = useMemo(
+    () => ({
+      searchTerm,
+      columnFilters,
+      sortKeys,
+      nullsPosition,
+      groupFields,
+      showInvalidOnly,
+      showChangedOnly,
+      viewMode,
+      itemsPerPage,
+      currentPage,
+    }),
+    [searchTerm, columnFilters, sortKeys, nullsPosition, groupFields, showInvalidOnly, showChangedOnly, viewMode, itemsPerPage, currentPage]
+  );
+  useEffect(() => {
+    onViewChange?.(view);
+  }, [view, onViewChange]);
+
+  // Track the viewport height so the window covers the visible area
+  useEffect(() => {
+    const container = tableContainerRef.current;
+    if (!container || typeof ResizeObserver === 'undefined') return;
+    const observer = new ResizeObserver(() => setViewportHeight(container.clientHeight));
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  /**
+   * ====================================================================
+   * Focus requests - Jump to a row asked for by the parent
+   * ====================================================================
+   * Handled while rendering (not in an effect) so the search, page and
+   * highlight change together. The row's position is looked up in the
+   * sorted, unfiltered data (with every group expanded) because the search,
+   * filters, invalid/changed-only views and collapsed groups are cleared;
+   * the effect below then scrolls it into view.
+   */
+  if (focusRequest && focusRequest !== handledFocusRequest) {
+    setHandledFocusRequest(focusRequest);
+    const sorted = sortRows(data, sortKeys, { nulls: nullsPosition });
+    const lines = groupFields.length > 0
+      ? flattenGroups(groupRows(sorted, groupFields, { numeric: [], sortKeys, nulls: nullsPosition }), NO_COLLAPSED_GROUPS)
+      : sorted;
+    const index = lines.findIndex((line) => line.id === focusRequest.rowId);
+    if (index !== -1) {
+      setSearchTerm('');
+      setColumnFilters({});
+      setShowInvalidOnly(false);
+      setShowChangedOnly(false);
+      setCollapsedGroups(NO_COLLAPSED_GROUPS);
+      setCurrentPage(Math.floor(index / itemsPerPage) + 1);
+      setHighlightedRowId(focusRequest.rowId);
+      setScrollTarget({ rowId: focusRequest.rowId, index, paged: isPaged });
+    }
+  }
+
+  // Bring the requested row into view: in scroll mode it may not be rendered
+  // yet, so the viewport is moved to its offset and the window follows
+  useEffect(() => {
+    const container = tableContainerRef.current;
+    if (!scrollTarget || !container) return;
+    if (scrollTarget.paged) {
+      container
+        .querySelector(`[data-row-id="${scrollTarget.rowId}"]`)
+        ?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      return;
+    }
+    container.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+    container.scrollTop = Math.max(0, scrollTarget.index * ITEM_HEIGHT - (container.clientHeight - ITEM_HEIGHT) / 2);
+  }, [scrollTarget]);
+
+  // Keep the active cell in view horizontally (and vertically in pages mode;
+  // scroll mode moves the viewport itself in ensureRowVisible)
+  useEffect(() => {
+    if (!activeCell) return;
+    tableContainerRef.current
+      ?.querySelector(`[data-row-id="${activeCell.rowId}"] [data-field="${activeCell.header}"]`)
+      ?.scrollIntoView({ block: 'nearest', inline: 'nearest' });
+  }, [activeCell]);
+
+  // Parsed search query; an invalid query is reported and not applied
+  const searchQuery = useMemo(
+    () => compileSearchQuery(searchTerm, { fields: headers, dateFormat }),
+    [searchTerm, headers, dateFormat]
+  );
+
   /**
    * ====================================================================
-   * filteredData - Filter data based on search term (memoized)
+   * filteredData - Filter data based on search query (memoized)
    * ====================================================================
    * 
    * PURPOSE:
-   * Creates a filtered copy of data that matches the current search term.
-   * Searches across ALL columns for case-insensitive matches.
-   * Memoized with useCallback to prevent unnecessary recalculations.
+   * Creates a filtered copy of data that matches the current filters and
+   * search query. Memoized with useMemo so scrolling does not re-filter
+   * 200k rows.
+   * 
+   * PIPELINE:
+   * invalid-only toggle → column filters (AND) → search query; the result
+   * feeds sorting and then pagination / the scroll window.
    * 
-   * SEARCH LOGIC:
-   * - If no search term: return all data unchanged
-   * - Otherwise: return only rows where ANY column matches the search term
-   * - Search is case-insensitive
-   * - Searches through string representations of all values
+   * SEARCH LOGIC (see searchQuery.js for the full syntax):
+   * - Empty or invalid query: no search filtering
+   * - Plain words: rows where ANY column contains every word
+   *   (case-insensitive; dates match as stored and as displayed)
+   * - FIELD:value, comparisons, ranges, -negation, OR, /regex/ narrow it down
    * 
    * EXAMPLE:
-   * Data: [{CHALLAN_NO: 'CHK001', A_BANCD: 'BANK123', ...}, ...]
-   * Search term: 'chk'
+   * Data: [{CHALLAN_NO: 'CHK001', A_BANCD: 'BANK123', CHAN_AMT: 6000}, ...]
+   * Search: 'chk A_BANCD:bank1 CHAN_AMT:>5000'
    * Result: [{CHALLAN_NO: 'CHK001', ...}]
    * 
    * DEPENDENCIES:
-   * - Recalculates when: data, headers, or searchTerm changes
-   * - Returns memoized function to avoid recreating on every render
+   * - Recalculates when: data, the query, column filters or the invalid-only
+   *   or changed-only toggle changes
    */
-  const filteredData = useCallback(() => {
-    if (!searchTerm) return data;
-    
-    return data.filter((row) =>
-      headers.some((header) =>
-        String(row[header] || '').toLowerCase().includes(searchTerm.toLowerCase())
-      )
-    );
-  }, [data, headers, searchTerm]);
+  const filtered = useMemo(() => {
+    const invalidRows = showInvalidOnly ? data.filter((row) => validationErrors.has(row.id)) : data;
+    const changedRows = showChangedOnly ? invalidRows.filter((row) => changes.byId.has(row.id)) : invalidRows;
+    const rows = applyColumnFilters(changedRows, columnFilters);
+    return searchQuery.match ? rows.filter(searchQuery.match) : rows;
+  }, [data, searchQuery, columnFilters, showInvalidOnly, validationErrors, showChangedOnly, changes]);
+
+  // Active column filters in header order, for the chips above the table
+  const activeFilters = headers.filter((header) => columnFilters[header]);
 
-  // Execute the filter function to get current filtered data
-  const filtered = filteredData();
+  // Validation errors among the rows of this table (all rows, not just filtered)
+  const errorSummary = useMemo(() => {
+    let rows = 0;
+    let errors = 0;
+    data.forEach((row) => {
+      const rowErrors = validationErrors.get(row.id);
+      if (!rowErrors) return;
+      rows += 1;
+      errors += Object.keys(rowErrors).length;
+    });
+    return { rows, errors };
+  }, [data, validationErrors]);
+
+  // Leave the invalid-only view once everything is fixed
+  if (showInvalidOnly && errorSummary.rows === 0) {
+    setShowInvalidOnly(false);
+  }
+
+  // Rows added, modified or deleted since the import; the changed-only view
+  // ends once everything is back as imported
+  const changeCount = countChanges(changes);
+  if (showChangedOnly && changeCount === 0) {
+    setShowChangedOnly(false);
+  }
 
   /**
    * ====================================================================
-   * sortedData - Sort filtered data by selected column (memoized)
+   * sortedData - Sort filtered data by the sort keys (memoized)
    * ====================================================================
    * 
    * PURPOSE:
-   * Applies sorting to the filtered data based on current sort configuration.
-   * Handles both numeric and string comparisons intelligently.
-   * Memoized with useCallback to prevent unnecessary recalculations.
+   * Applies the sort keys to the filtered data (see sorting.js).
+   * Memoized with useMemo to prevent unnecessary recalculations.
    * 
    * SORT LOGIC:
    * - If no sort key selected: return data unchanged
-   * - Numeric fields: sort by numeric value
-   * - String fields: sort alphabetically (case-insensitive)
-   * - Null/undefined values: pushed to end
-   * - Direction: ascending or descending based on sortConfig
+   * - Keys apply in priority order; later keys break ties of earlier ones
+   * - CHAN_AMT: numeric; CHALL_DATE: chronological; codes and text:
+   *   natural order ("BR2" before "BR10")
+   * - Blank values: first or last per nullsPosition, in either direction
+   * - Rows equal on every key keep their import order (stable)
    * 
    * EXAMPLE SORT:
-   * Column: CHAN_AMT, Direction: asc
-   * Before: [500, 100, 1000, 50]
-   * After: [50, 100, 500, 1000]
+   * Keys: A_BANCD asc, CHAN_AMT desc
+   * Before: [B10 100, B2 50, B10 900, B2 700]
+   * After: [B2 700, B2 50, B10 900, B10 100]
    * 
    * DEPENDENCIES:
-   * - Recalculates when: filtered data or sortConfig changes
+   * - Recalculates when: filtered data, sortKeys or nullsPosition changes
    */
-  const sortedData = useCallback(() => {
-    if (!sortConfig.key) return filtered;
-
-    const sorted = [...filtered].sort((a, b) => {
-      const aValue = a[sortConfig.key];
-      const bValue = b[sortConfig.key];
-
-      // Push null values to end
-      if (aValue == null) return 1;
-      if (bValue == null) return -1;
-
-      // Numeric comparison for numeric values
-      if (!isNaN(aValue) && !isNaN(bValue)) {
-        return sortConfig.direction === 'asc' ? aValue - bValue : bValue - aValue;
-      }
+  const displayData = useMemo(
+    () => sortRows(filtered, sortKeys, { nulls: nullsPosition }),
+    [filtered, sortKeys, nullsPosition]
+  );
 
-      // String comparison for non-numeric values
-      const strA = String(aValue).toLowerCase();
-      const strB = String(bValue).toLowerCase();
+  /**
+   * ====================================================================
+   * lines - What the table body lists (memoized)
+   * ====================================================================
+   * Without grouping these are simply the sorted rows. With grouping, each
+   * group's header line is followed by its sub-groups or rows unless it is
+   * collapsed (see grouping.js). Every line is one row tall, so pages and
+   * the scroll window work on lines the same way in both cases.
+   */
+  const numericColumns = useMemo(() => numericFields(headers), [headers]);
+  const groups = useMemo(
+    () => (groupFields.length > 0
+      ? groupRows(displayData, groupFields, { numeric: numericColumns, sortKeys, nulls: nullsPosition })
+      : null),
+    [displayData, groupFields, numericColumns, sortKeys, nullsPosition]
+  );
+  const lines = useMemo(
+    () => (groups ? flattenGroups(groups, collapsedGroups) : displayData),
+    [groups, collapsedGroups, displayData]
+  );
 
-      if (sortConfig.direction === 'asc') {
-        return strA.localeCompare(strB);
-      } else {
-        return strB.localeCompare(strA);
-      }
-    });
+  // Totals over every grouped row (shown under the table)
+  const grandTotals = useMemo(
+    () => (groups ? aggregateRows(displayData, numericColumns) : null),
+    [groups, displayData, numericColumns]
+  );
 
-    return sorted;
-  }, [filtered, sortConfig]);
+  // Count, amount total and date span of the selection (summary bar); rows
+  // deleted since they were selected no longer count
+  const selectionSummary = useMemo(
+    () => summarizeSelection(data, selectedRows, headers),
+    [data, selectedRows, headers]
+  );
 
-  // Execute the sort function to get current sorted data
-  const displayData = sortedData();
+  // Selected rows the current search/filters do not list
+  const selectedHiddenCount = useMemo(() => {
+    if (selectedRows.size === 0) return 0;
+    const shown = displayData.reduce((count, row) => count + (selectedRows.has(row.id) ? 1 : 0), 0);
+    return selectionSummary.count - shown;
+  }, [displayData, selectedRows, selectionSummary]);
 
   // ========== PAGINATION CALCULATIONS ==========
   
-  // Total number of pages based on filtered/sorted data
-  const totalPages = Math.ceil(displayData.length / itemsPerPage);
+  // Total number of pages based on the listed lines
+  const totalPages = Math.ceil(lines.length / itemsPerPage);
   
   // Starting index for current page (0-based)
-  const startIndex = (currentPage - 1) * itemsPerPage;
+  const pageStart = (currentPage - 1) * itemsPerPage;
   
   // Ending index for current page (exclusive)
-  const endIndex = startIndex + itemsPerPage;
+  const pageEnd = pageStart + itemsPerPage;
   
-  // The actual rows to display on current page
-  const paginatedData = displayData.slice(startIndex, endIndex);
+  // The actual lines to display on current page
+  const paginatedData = lines.slice(pageStart, pageEnd);
+
+  // ========== WINDOW CALCULATIONS (scroll mode) ==========
+
+  // Rows fully or partly in the viewport (the sticky header covers about one row)
+  const rowsInView = Math.ceil(viewportHeight / ITEM_HEIGHT);
+
+  // Rendered window: rows in view plus OVERSCAN on each side
+  const windowStart = Math.min(Math.max(0, scrollRow - OVERSCAN), lines.length);
+  const windowEnd = Math.min(lines.length, scrollRow + rowsInView + OVERSCAN);
+
+  // Lines rendered in the table body, and the index of the first one
+  const startIndex = isPaged ? pageStart : windowStart;
+  const visibleRows = isPaged ? paginatedData : lines.slice(windowStart, windowEnd);
+
+  // Spacers standing in for the lines above and below the window
+  const topSpacerHeight = isPaged ? 0 : windowStart * ITEM_HEIGHT;
+  const bottomSpacerHeight = isPaged ? 0 : (lines.length - windowEnd) * ITEM_HEIGHT;
+
+  // Range reported under the table ("Showing X to Y of N")
+  const shownFrom = isPaged ? pageStart + 1 : Math.min(scrollRow + 1, lines.length);
+  const shownTo = isPaged
+    ? Math.min(pageEnd, lines.length)
+    : Math.min(scrollRow + Math.max(1, rowsInView - 1), lines.length);
 
   /**
    * ====================================================================
-   * Effect: Reset to first page when search changes
+   * Validate current page doesn't exceed total pages
    * ====================================================================
-   * When user enters a search term, reset to page 1 to show filtered results
+   * If user deletes rows and current page exceeds total pages,
+   * automatically go to the last available page
    */
-  useEffect(() => {
+  if (currentPage > totalPages && totalPages > 0) {
+    setCurrentPage(totalPages);
+  }
+
+  // ========== EVENT HANDLERS ==========
+
+  /**
+   * ====================================================================
+   * handleScroll - Track the viewport position (scroll mode)
+   * ====================================================================
+   * Stored in whole rows so the table re-renders only when a new row
+   * reaches the top of the viewport.
+   *
+   * @param {Event} e - Scroll event of the table wrapper
+   */
+  const handleScroll = (e) => {
+    if (isPaged) return;
+    setScrollRow(Math.floor(e.currentTarget.scrollTop / ITEM_HEIGHT));
+  };
+
+  /**
+   * Moves the viewport back to the first row, e.g. after the rows changed order.
+   */
+  const scrollToTop = () => {
+    if (tableContainerRef.current) tableContainerRef.current.scrollTop = 0;
+    setScrollRow(0);
+  };
+
+  /**
+   * ====================================================================
+   * handleSearchChange - Update the search term
+   * ====================================================================
+   * Resets to the first page / top of the list to show filtered results.
+   * The selection is kept, including rows the search hides.
+   *
+   * @param {string} value - New search text
+   */
+  const handleSearchChange = (value) => {
+    setSearchTerm(value);
     setCurrentPage(1);
-    setSelectedRows(new Set()); // Also clear selection on search
-  }, [searchTerm]);
+    scrollToTop();
+  };
 
   /**
    * ====================================================================
-   * Effect: Validate current page doesn't exceed total pages
+   * handleToggleInvalidOnly - Show only rows with validation errors
    * ====================================================================
-   * If user deletes rows and current page exceeds total pages,
-   * automatically go to the last available page
    */
-  useEffect(() => {
-    if (currentPage > totalPages && totalPages > 0) {
-      setCurrentPage(totalPages);
-    }
-  }, [currentPage, totalPages]);
+  const handleToggleInvalidOnly = () => {
+    setShowInvalidOnly((prev) => !prev);
+    setCurrentPage(1);
+    scrollToTop();
+  };
 
-  // ========== EVENT HANDLERS ==========
+  /**
+   * Shows only rows added or modified since the import (and the deleted
+   * ones under the table), or everything again.
+   */
+  const handleToggleChangedOnly = () => {
+    setShowChangedOnly((prev) => !prev);
+    setCurrentPage(1);
+    scrollToTop();
+  };
 
   /**
    * ====================================================================
-   * handleSort - Toggle sort column and direction
+   * handleApplyFilter - Set or remove one column's filter
+   * ====================================================================
+   * Like a new search, goes back to the first row and keeps the selection.
+   *
+   * @param {string} field - Column name
+   * @param {Object|null} filter - New filter, or null to remove it
+   */
+  const handleApplyFilter = (field, filter) => {
+    setColumnFilters((prev) => {
+      const next = { ...prev };
+      if (filter) {
+        next[field] = filter;
+      } else {
+        delete next[field];
+      }
+      return next;
+    });
+    setOpenFilterField(null);
+    setCurrentPage(1);
+    scrollToTop();
+  };
+
+  /**
+   * Removes every column filter (the "Clear all" chip action).
+   */
+  const handleClearFilters = () => {
+    setColumnFilters({});
+    setCurrentPage(1);
+    scrollToTop();
+  };
+
+  const closeFilterPopover = () => setOpenFilterField(null);
+
+  /**
+   * ====================================================================
+   * handleSort - Update the sort keys after a header click
    * ====================================================================
    * 
    * PURPOSE:
    * Called when user clicks on a column header to sort by that column.
    * 
-   * BEHAVIOR:
-   * - If clicking new column: sort by that column ascending
-   * - If clicking same column again: toggle direction (asc ↔ desc)
-   * - Resets page to 1 when sorting changes
+   * BEHAVIOR (see nextSortKeys):
+   * - Click: sort by that column only; again on the same column toggles
+   *   direction (asc ↔ desc)
+   * - Shift+click: add the column as the next sort key; on an existing
+   *   key, asc → desc → removed
+   * - Scrolls back to the first row when sorting changes
    * 
    * @param {string} header - The column name to sort by
+   * @param {boolean} additive - Whether Shift was held
    */
-  const handleSort = (header) => {
-    setSortConfig((prev) => ({
-      key: header,
-      direction: prev.key === header && prev.direction === 'asc' ? 'desc' : 'asc',
-    }));
+  const handleSort = (header, additive) => {
+    setSortKeys((prev) => nextSortKeys(prev, header, additive));
+    scrollToTop();
+  };
+
+  /**
+   * Changes where blank values sort and returns to the first row.
+   *
+   * @param {string} position - One of NULLS_POSITIONS
+   */
+  const handleNullsPositionChange = (position) => {
+    setNullsPosition(position);
+    scrollToTop();
+  };
+
+  /**
+   * ====================================================================
+   * Grouping - Change the group-by fields, collapse and export groups
+   * ====================================================================
+   * Changing the fields expands every group and returns to the first line.
+   */
+  const changeGroupFields = (fields) => {
+    setGroupFields(fields);
+    setCollapsedGroups(NO_COLLAPSED_GROUPS);
+    setCurrentPage(1);
+    scrollToTop();
+  };
+
+  const handleAddGroupField = (field) => changeGroupFields([...groupFields, field]);
+
+  const handleRemoveGroupField = (field) => changeGroupFields(groupFields.filter((name) => name !== field));
+
+  /**
+   * Collapses or expands one group (click on its header line).
+   *
+   * @param {string} key - Group key from groupRows()
+   */
+  const handleToggleGroup = (key) => {
+    setCollapsedGroups((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) {
+        next.delete(key);
+      } else {
+        next.add(key);
+      }
+      return next;
+    });
+  };
+
+  const handleExpandAllGroups = () => setCollapsedGroups(NO_COLLAPSED_GROUPS);
+
+  const handleCollapseAllGroups = () => {
+    setCollapsedGroups(new Set(allGroupKeys(groups)));
+    setCurrentPage(1);
+    scrollToTop();
+  };
+
+  /**
+   * Exports the grouped rows (as filtered and sorted, every group expanded)
+   * with subtotal rows, using the visible columns in table order.
+   */
+  const handleExportGroups = () => {
+    exportGroupedAsExcel(groups, grandTotals, columns);
   };
 
   /**
@@ -240,8 +799,9 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
    * ====================================================================
    * 
    * PURPOSE:
-   * Called when user clicks checkbox for a row to select/deselect it.
-   * Uses a Set data structure for O(1) lookup performance.
+   * Called when user clicks checkbox for a row to select/deselect it, or
+   * Ctrl/Cmd+clicks one of its cells. Uses a Set data structure for O(1)
+   * lookup performance. The row becomes the anchor for Shift+click ranges.
    * 
    * BEHAVIOR:
    * - If row already selected: remove from set
@@ -259,30 +819,95 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
       }
       return newSet;
     });
+    setSelectionAnchor(rowId);
   };
 
   /**
    * ====================================================================
-   * handleSelectAll - Select or deselect all rows on current page
+   * handleSelectRange - Shift+click: select every row up to this one
+   * ====================================================================
+   * Selects the listed rows between the anchor (last row clicked) and this
+   * row, in the order they are shown (see rowRange). Rows selected before
+   * stay selected. Without an anchor it selects just this row.
+   *
+   * @param {number|string} rowId - Row Shift+clicked
+   */
+  const handleSelectRange = (rowId) => {
+    const ids = selectionAnchor === null ? [rowId] : rowRange(lines, selectionAnchor, rowId);
+    setSelectedRows((prev) => new Set([...prev, ...ids]));
+    if (selectionAnchor === null) setSelectionAnchor(rowId);
+  };
+
+  /**
+   * Row checkbox click: Shift extends the selection as a range, otherwise
+   * the row is toggled.
+   *
+   * @param {MouseEvent} e - Click on the checkbox
+   * @param {number|string} rowId - Row of the checkbox
+   */
+  const handleRowCheckboxClick = (e, rowId) => {
+    if (e.shiftKey) {
+      handleSelectRange(rowId);
+    } else {
+      handleSelectRow(rowId);
+    }
+  };
+
+  /**
+   * Cell click: Ctrl/Cmd toggles the row's selection and Shift selects a
+   * range; a plain click only makes the cell active.
+   *
+   * @param {MouseEvent} e - Click on the cell
+   * @param {Object} row - Row of the cell
+   * @param {string} header - Column of the cell
+   */
+  const handleCellClick = (e, row, header) => {
+    if (e.ctrlKey || e.metaKey) {
+      handleSelectRow(row.id);
+    } else if (e.shiftKey) {
+      // Keep the browser from extending a text selection across the rows
+      window.getSelection()?.removeAllRanges();
+      handleSelectRange(row.id);
+    }
+    setActiveCell({ rowId: row.id, header });
+  };
+
+  /**
+   * ====================================================================
+   * handleSelectAll - Select or deselect all listed rows
    * ====================================================================
    * 
    * PURPOSE:
    * Called when user clicks the "select all" checkbox in table header.
-   * Only selects/deselects rows on the current page, not all rows.
+   * In pages mode the current page is selected (a banner then offers every
+   * matching row); in scroll mode every row matching the current
+   * search/filter (not just the rendered window).
    * 
    * BEHAVIOR:
-   * - If checkbox checked: select all rows visible on current page
-   * - If checkbox unchecked: deselect all rows
+   * - If checkbox checked: add all selectable rows to the selection
+   * - If checkbox unchecked: remove them; rows selected elsewhere (other
+   *   pages, hidden by the search) stay selected
    * 
    * @param {boolean} checked - Whether the select-all checkbox is checked
    */
   const handleSelectAll = (checked) => {
-    if (checked) {
-      const allRowIds = new Set(paginatedData.map(row => row.id));
-      setSelectedRows(allRowIds);
-    } else {
-      setSelectedRows(new Set());
-    }
+    setSelectedRows((prev) => {
+      const next = new Set(prev);
+      selectableRows.forEach((row) => (checked ? next.add(row.id) : next.delete(row.id)));
+      return next;
+    });
+  };
+
+  /**
+   * Selects every row matching the current search and filters, on all pages.
+   */
+  const handleSelectAllMatching = () => {
+    setSelectedRows((prev) => new Set([...prev, ...displayData.map((row) => row.id)]));
+  };
+
+  const handleClearSelection = () => {
+    setSelectedRows(new Set());
+    setSelectionAnchor(null);
   };
 
   /**
@@ -354,9 +979,12 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
       alert('Please select rows to delete');
       return;
     }
-    if (window.confirm(`Delete ${selectedRows.size} row(s)?`)) {
+    const hiddenNote = selectedHiddenCount > 0
+      ? `\n\n${selectedHiddenCount} of them are not shown by the current search or filters.`
+      : '';
+    if (window.confirm(`Delete ${selectionSummary.count} row(s)?${hiddenNote}`)) {
       const updatedData = data.filter(row => !selectedRows.has(row.id));
-      onDataChange(updatedData);
+      onDataChange(updatedData, `Deleted ${pluralize(data.length - updatedData.length, 'row')}`);
       setSelectedRows(new Set());
     }
   };
@@ -373,7 +1001,7 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
    * PROCESS:
    * 1. Validate that at least one row is selected
    * 2. Extract the selected rows from data
-   * 3. Create duplicates with new IDs (using Date.now() + random)
+   * 3. Create duplicates with new IDs (see rowIds.js)
    * 4. Prepend duplicates to the TOP of data
    * 5. Call onDataChange() to update parent component
    * 6. Clear selection
@@ -390,13 +1018,48 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
     // Create duplicates with new IDs
     const duplicates = selected.map((row) => ({
       ...row,
-      id: Date.now() + Math.random(),
+      id: nextRowId(),
     }));
     // Prepend duplicates to the TOP of the table
-    onDataChange([...duplicates, ...data]);
+    onDataChange([...duplicates, ...data], `Duplicated ${pluralize(duplicates.length, 'row')}`);
+    setSelectedRows(new Set());
+  };
+
+  /**
+   * Applies the duplicate finder's result. Selected rows may be gone, so the
+   * selection is cleared like after any bulk action.
+   *
+   * @param {Array} updatedData - Dataset with duplicate groups resolved
+   */
+  const handleApplyDuplicates = (updatedData) => {
+    onDataChange(updatedData, `Resolved duplicates (removed ${pluralize(data.length - updatedData.length, 'row')})`);
     setSelectedRows(new Set());
   };
 
+  /**
+   * Applies a bulk edit or find-and-replace. The edited rows still exist,
+   * so the selection is kept for follow-up edits.
+   *
+   * @param {Array} updatedData - Dataset with the cell changes applied
+   * @param {string} label - Description for the undo history
+   */
+  const handleApplyCellChanges = (updatedData, label) => {
+    onDataChange(updatedData, label);
+    setIsBulkEditOpen(false);
+    setIsFindReplaceOpen(false);
+  };
+
+  /**
+   * Puts a deleted row back near its place in the import (its import
+   * position, or the end when fewer rows are left).
+   *
+   * @param {{row: Object, position: number}} tombstone - Deleted row from changes.deleted
+   */
+  const handleRestoreRow = ({ row, position }) => {
+    const index = Math.min(position - 1, data.length);
+    onDataChange([...data.slice(0, index), row, ...data.slice(index)], `Restored ${describeRow(row, position)}`);
+  };
+
   /**
    * ====================================================================
    * handleDeleteRow - Delete a single row with confirmation
@@ -415,8 +1078,9 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
    */
   const handleDeleteRow = (rowId) => {
     if (window.confirm('Delete this row?')) {
+      const index = data.findIndex((row) => row.id === rowId);
       const updatedData = data.filter(row => row.id !== rowId);
-      onDataChange(updatedData);
+      onDataChange(updatedData, `Deleted ${describeRow(data[index], index + 1)}`);
     }
   };
 
@@ -434,17 +1098,339 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
   const handleSaveRow = (row) => {
     if (isNewRow) {
       // Add new row to the TOP of the table
-      onDataChange([row, ...data]);
+      onDataChange([row, ...data], `Added ${describeRow(row, 1)}`);
     } else {
       // Update existing row in place
+      const index = data.findIndex((r) => r.id === row.id);
       const updatedData = data.map((r) => (r.id === row.id ? row : r));
-      onDataChange(updatedData);
+      onDataChange(updatedData, describeRowEdit(data[index], row, headers, index + 1));
     }
     setIsModalOpen(false);
     setEditingRow(null);
     setIsNewRow(false);
   };
 
+  // ========== COLUMN MANAGEMENT ==========
+
+  const closeColumnChooser = () => setIsColumnChooserOpen(false);
+
+  /**
+   * ====================================================================
+   * Header drag-and-drop - Reorder columns
+   * ====================================================================
+   * A header dropped on another takes its place (see moveColumn). Pinned
+   * and unpinned columns are reordered separately, because pinned ones are
+   * always shown first.
+   */
+  const handleColumnDragStart = (e, header) => {
+    // A drag starting on the resize handle resizes instead
+    if (resizeRef.current) {
+      e.preventDefault();
+      return;
+    }
+    e.dataTransfer.effectAllowed = 'move';
+    e.dataTransfer.setData('text/plain', header);
+    setDragField(header);
+  };
+
+  const handleColumnDragOver = (e, header) => {
+    if (!dragField || dragField === header) return;
+    if (columnLayout.pinned.includes(dragField) !== columnLayout.pinned.includes(header)) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    if (dropTarget !== header) setDropTarget(header);
+  };
+
+  const handleColumnDragEnd = () => {
+    setDragField(null);
+    setDropTarget(null);
+  };
+
+  const handleColumnDrop = (e, header) => {
+    e.preventDefault();
+    if (dragField && dragField !== header) {
+      onColumnLayoutChange(moveColumn(headers, columnLayout, dragField, header));
+    }
+    handleColumnDragEnd();
+  };
+
+  /**
+   * ====================================================================
+   * Column resizing - Drag the right edge of a header
+   * ====================================================================
+   * The handle captures the pointer, so the drag keeps working outside the
+   * header. The width is shown live (resizeDraft) and saved to the layout
+   * when the pointer is released. Clicks on the handle never sort.
+   */
+  const handleResizeStart = (e, header) => {
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    const startWidth = columnWidth(columnLayout, header);
+    resizeRef.current = { field: header, startX: e.clientX, startWidth };
+    setResizeDraft({ field: header, width: startWidth });
+  };
+
+  const handleResizeMove = (e) => {
+    const resize = resizeRef.current;
+    if (!resize) return;
+    const width = Math.max(MIN_COLUMN_WIDTH, resize.startWidth + e.clientX - resize.startX);
+    setResizeDraft({ field: resize.field, width });
+  };
+
+  const handleResizeEnd = (e) => {
+    const resize = resizeRef.current;
+    if (!resize) return;
+    resizeRef.current = null;
+    setResizeDraft(null);
+    const width = Math.max(MIN_COLUMN_WIDTH, resize.startWidth + e.clientX - resize.startX);
+    if (width !== resize.startWidth) {
+      onColumnLayoutChange(setColumnWidth(columnLayout, resize.field, width));
+    }
+  };
+
+  // ========== INLINE EDITING & CELL NAVIGATION ==========
+
+  /**
+   * Gives keyboard focus back to the table so navigation keys keep working
+   * after an in-place edit.
+   */
+  const focusTable = () => {
+    tableContainerRef.current?.focus({ preventScroll: true });
+  };
+
+  /**
+   * ====================================================================
+   * ensureRowVisible - Bring a listed line into view
+   * ====================================================================
+   * Pages mode switches to the page holding the row. Scroll mode moves the
+   * viewport just enough that the row is not hidden under the sticky header
+   * or below the bottom edge, and updates the window right away so the row
+   * is rendered before the scroll event arrives.
+   *
+   * @param {number} index - Index in lines
+   */
+  const ensureRowVisible = (index) => {
+    if (isPaged) {
+      const page = Math.floor(index / itemsPerPage) + 1;
+      if (page !== currentPage) setCurrentPage(page);
+      return;
+    }
+
+    const container = tableContainerRef.current;
+    if (!container) return;
+    const headerHeight = container.querySelector('thead')?.offsetHeight ?? ITEM_HEIGHT;
+    const rowTop = index * ITEM_HEIGHT;
+    let scrollTop = container.scrollTop;
+    if (rowTop < scrollTop) {
+      scrollTop = rowTop;
+    } else if (rowTop + ITEM_HEIGHT + headerHeight > scrollTop + container.clientHeight) {
+      scrollTop = rowTop + ITEM_HEIGHT + headerHeight - container.clientHeight;
+    }
+    if (scrollTop !== container.scrollTop) {
+      container.scrollTop = scrollTop;
+      setScrollRow(Math.floor(scrollTop / ITEM_HEIGHT));
+    }
+  };
+
+  /**
+   * ====================================================================
+   * moveActiveCell - Move the selected cell by rows/columns
+   * ====================================================================
+   * 
+   * BEHAVIOR:
+   * - Positions come from the listed lines and the visible columns, so
+   *   moving follows the current sort, search and column order; group
+   *   header lines are skipped
+   * - With wrap (Tab), moving past the last column continues on the next
+   *   row, and before the first column on the previous row
+   * - Without a selected cell (or when it was filtered away, collapsed or
+   *   its column hidden) the first cell is selected
+   * 
+   * @param {{row: number, col: number, wrap?: boolean}} move - Offsets to apply
+   */
+  const moveActiveCell = ({ row: rowStep, col: colStep, wrap = false }) => {
+    const firstRowIndex = lines.findIndex((line) => !isGroupLine(line));
+    if (firstRowIndex === -1 || columns.length === 0) return;
+
+    let rowIndex = activeCell ? lines.findIndex((line) => line.id === activeCell.rowId) : -1;
+    let colIndex = activeCell ? columns.indexOf(activeCell.header) : -1;
+
+    if (rowIndex === -1 || colIndex === -1) {
+      rowIndex = firstRowIndex;
+      colIndex = 0;
+    } else {
+      let rowDelta = rowStep;
+      colIndex += colStep;
+      if (wrap && colIndex >= columns.length) {
+        colIndex = 0;
+        rowDelta += 1;
+      } else if (wrap && colIndex < 0) {
+        colIndex = columns.length - 1;
+        rowDelta -= 1;
+      }
+      // Step over group header lines; stop at the first/last row
+      const direction = Math.sign(rowDelta);
+      for (let remaining = Math.abs(rowDelta); remaining > 0; remaining--) {
+        let next = rowIndex + direction;
+        while (next >= 0 && next < lines.length && isGroupLine(lines[next])) next += direction;
+        if (next < 0 || next >= lines.length) break;
+        rowIndex = next;
+      }
+      colIndex = Math.min(Math.max(colIndex, 0), columns.length - 1);
+    }
+
+    setActiveCell({ rowId: lines[rowIndex].id, header: columns[colIndex] });
+    ensureRowVisible(rowIndex);
+  };
+
+  /**
+   * ====================================================================
+   * startCellEdit - Open the in-place editor on a cell
+   * ====================================================================
+   * 
+   * PURPOSE:
+   * Called on F2, double-click or when the user starts typing on a selected
+   * cell. Typing replaces the value with the typed key (like a spreadsheet);
+   * dates always start from the current value because the date picker
+   * cannot take a single key, and amounts only take keys that can start a
+   * number.
+   * 
+   * @param {Object} row - Row holding the cell
+   * @param {string} header - Column of the cell
+   * @param {string|null} typedKey - Key that started the edit, if any
+   */
+  const startCellEdit = (row, header, typedKey = null) => {
+    if (!canEdit) return;
+    const type = getSapField(header)?.type;
+    const current = row[header] == null ? '' : String(row[header]);
+    let initialValue = current;
+    let typed = false;
+
+    if (type === 'date') {
+      // The picker can only show ISO dates; unreadable imports start empty
+      initialValue = isIsoDate(current) ? current : '';
+    } else if (typedKey !== null && (type !== 'amount' || /^[\d.-]$/.test(typedKey))) {
+      initialValue = typedKey;
+      typed = true;
+    }
+
+    setActiveCell({ rowId: row.id, header });
+    setEditingCell({ rowId: row.id, header, initialValue, typed });
+  };
+
+  /**
+   * ====================================================================
+   * handleCommitEdit - Save an in-place edit
+   * ====================================================================
+   * 
+   * PROCESS:
+   * 1. Skip unchanged values (an untouched editor commits its start value,
+   *    which for unreadable dates is empty and must not wipe the import;
+   *    amounts compare by value, so "500" over "500.00" is no edit)
+   * 2. Replace the row (re-checking the date flag for CHALL_DATE) and call
+   *    onDataChange() like a modal save
+   * 3. After Enter/Tab, move to the next cell and refocus the table
+   * 
+   * @param {string} value - Value from the editor
+   * @param {{row: number, col: number}|null} move - Where to go next
+   */
+  const handleCommitEdit = (value, move) => {
+    const { rowId, header, initialValue, typed } = editingCell;
+    setEditingCell(null);
+
+    const row = data.find((r) => r.id === rowId);
+    const sameAsStored = getSapField(header)?.type === 'amount'
+      ? sameAmount(value, row?.[header])
+      : value === String(row?.[header] ?? '');
+    const unchanged = (value === initialValue && !typed) || sameAsStored;
+    if (row && !unchanged) {
+      const updatedRow = { ...row, [header]: value };
+      const savedRow = header === 'CHALL_DATE' ? recheckDateIssue(updatedRow) : updatedRow;
+      onDataChange(
+        data.map((r) => (r.id === rowId ? savedRow : r)),
+        `Edited ${header} on ${describeRow(savedRow, data.indexOf(row) + 1)}`
+      );
+    }
+
+    // Keyboard commits continue navigating; a blur (click elsewhere) leaves focus where the user put it
+    if (move) {
+      moveActiveCell({ ...move, wrap: move.col !== 0 });
+      focusTable();
+    }
+  };
+
+  /**
+   * Abandons an in-place edit (Escape) and returns to navigation.
+   */
+  const handleCancelCellEdit = () => {
+    setEditingCell(null);
+    focusTable();
+  };
+
+  /**
+   * ====================================================================
+   * handleTableKeyDown - Spreadsheet keys on the selected cell
+   * ====================================================================
+   * 
+   * KEYS (while no cell is being edited):
+   * - Arrow keys: move one cell
+   * - Tab / Shift+Tab: move right / left, wrapping to the next/previous row
+   * - Enter / Shift+Enter: move down / up
+   * - F2: edit the cell with its current value
+   * - Any character (or Backspace): edit the cell starting from that key
+   * - Escape: clear the cell selection
+   * 
+   * Only keys aimed at the table itself are handled, so checkboxes and
+   * buttons inside it behave normally.
+   * 
+   * @param {KeyboardEvent} e - Key event from the table wrapper
+   */
+  const handleTableKeyDown = (e) => {
+    if (e.target !== e.currentTarget || editingCell) return;
+
+    const moves = {
+      ArrowUp: { row: -1, col: 0 },
+      ArrowDown: { row: 1, col: 0 },
+      ArrowLeft: { row: 0, col: -1 },
+      ArrowRight: { row: 0, col: 1 },
+      Enter: { row: e.shiftKey ? -1 : 1, col: 0 },
+    };
+
+    if (moves[e.key]) {
+      e.preventDefault();
+      moveActiveCell(moves[e.key]);
+      return;
+    }
+
+    if (!activeCell) return;
+
+    if (e.key === 'Tab') {
+      e.preventDefault();
+      moveActiveCell({ row: 0, col: e.shiftKey ? -1 : 1, wrap: true });
+      return;
+    }
+
+    if (e.key === 'Escape') {
+      setActiveCell(null);
+      return;
+    }
+
+    const row = displayData.find((r) => r.id === activeCell.rowId);
+    if (!row) return;
+
+    if (e.key === 'F2') {
+      e.preventDefault();
+      startCellEdit(row, activeCell.header);
+    } else if (e.key === 'Backspace' || e.key === 'Delete') {
+      e.preventDefault();
+      startCellEdit(row, activeCell.header, '');
+    } else if (e.key.length === 1 && !e.ctrlKey && !e.metaKey && !e.altKey) {
+      e.preventDefault();
+      startCellEdit(row, activeCell.header, e.key);
+    }
+  };
+
   /**
    * ====================================================================
    * handleCancelEdit - Close modal without saving
@@ -499,16 +1485,36 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
     setCurrentPage(1); // Reset to page 1 when changing items per page
   };
 
+  /**
+   * ====================================================================
+   * handleViewModeChange - Switch between continuous scrolling and pages
+   * ====================================================================
+   * Both modes start from the top; the selection is kept.
+   *
+   * @param {string} mode - One of VIEW_MODES
+   */
+  const handleViewModeChange = (mode) => {
+    setViewMode(mode);
+    setCurrentPage(1);
+    scrollToTop();
+  };
+
   /**
    * ====================================================================
    * isAllSelected - Determines if select-all checkbox should be checked
    * ====================================================================
    * 
-   * True only if all rows on current page are selected
-   * Updates select-all checkbox visually
+   * True only if every selectable row (current page, or all listed rows in
+   * scroll mode) is selected. Updates select-all checkbox visually
    */
-  const isAllSelected = paginatedData.length > 0 && 
-    paginatedData.every(row => selectedRows.has(row.id));
+  const selectableRows = isPaged ? paginatedData.filter((line) => !isGroupLine(line)) : displayData;
+  const isAllSelected = selectableRows.length > 0 &&
+    selectedRows.size >= selectableRows.length &&
+    selectableRows.every(row => selectedRows.has(row.id));
+
+  // Whether every row matching the search/filters is selected (pages mode banner)
+  const isAllMatchingSelected = isAllSelected && selectedRows.size >= displayData.length &&
+    displayData.every((row) => selectedRows.has(row.id));
 
   return (
     <div className="data-table-container">
@@ -520,81 +1526,260 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
       */}
       <div className="table-controls">
         <div className="controls-left">
-          {/* Search input - filters data across all columns in real-time */}
-          <input
-            type="text"
-            placeholder="Search data..."
+          {/* Search box - query language with field autocomplete and inline errors */}
+          <QuerySearchBox
             value={searchTerm}
-            onChange={(e) => setSearchTerm(e.target.value)}
-            className="search-input"
+            onChange={handleSearchChange}
+            fields={headers}
+            error={searchQuery.error}
           />
-          {/* Add Row Button - opens modal to create new row */}
-          <button onClick={handleAddRow} className="btn btn-add">
-            ➕ Add Row
-          </button>
+          {canEdit && (
+            <>
+              {/* Add Row Button - opens modal to create new row */}
+              <button onClick={handleAddRow} className="btn btn-add">
+                ➕ Add Row
+              </button>
+              {/* Duplicate finder - groups rows sharing a challan key */}
+              <button onClick={() => setIsDuplicateFinderOpen(true)} className="btn btn-find-duplicates">
+                🧬 Find Duplicates
+              </button>
+              {/* Bulk edit and find & replace - selected or filtered rows */}
+              <button onClick={() => setIsBulkEditOpen(true)} className="btn btn-edit-tool">
+                ✏️ Bulk Edit
+              </button>
+              <button onClick={() => setIsFindReplaceOpen(true)} className="btn btn-edit-tool">
+                🔁 Find &amp; Replace
+              </button>
+            </>
+          )}
+          {/* Column chooser - hide/show and pin columns */}
+          {canManageColumns && (
+            <div className="column-chooser-anchor">
+              <button
+                onClick={() => setIsColumnChooserOpen((prev) => !prev)}
+                className={`btn btn-columns ${isColumnChooserOpen ? 'active' : ''}`}
+              >
+                🧱 Columns{hiddenCount > 0 && ` (${hiddenCount} hidden)`}
+              </button>
+              {isColumnChooserOpen && (
+                <ColumnChooser
+                  headers={headers}
+                  layout={columnLayout}
+                  onChange={onColumnLayoutChange}
+                  onClose={closeColumnChooser}
+                />
+              )}
+            </div>
+          )}
+          {/* Change counter - toggles the changed-rows-only view */}
+          {changeCount > 0 && (
+            <button
+              onClick={handleToggleChangedOnly}
+              className={`btn btn-changes ${showChangedOnly ? 'active' : ''}`}
+              title={showChangedOnly ? 'Show all rows' : 'Show only rows changed since the import (green bar: added, amber: modified)'}
+            >
+              ✳️ {changes.counts[CHANGE_STATUS.NEW].toLocaleString()} added · {changes.counts[CHANGE_STATUS.MODIFIED].toLocaleString()} modified · {changes.counts[CHANGE_STATUS.DELETED].toLocaleString()} deleted
+              {showChangedOnly && ' · showing changed only ✕'}
+            </button>
+          )}
+          {/* Validation counter - toggles the invalid-rows-only view */}
+          {errorSummary.rows > 0 && (
+            <button
+              onClick={handleToggleInvalidOnly}
+              className={`btn btn-validation ${showInvalidOnly ? 'active' : ''}`}
+              title={showInvalidOnly ? 'Show all rows' : 'Show only invalid rows'}
+            >
+              ❌ {errorSummary.errors.toLocaleString()} error(s) in {errorSummary.rows.toLocaleString()} row(s)
+              {showInvalidOnly && ' · showing invalid only ✕'}
+            </button>
+          )}
         </div>
 
         {/* Bulk Action Buttons - Show only when rows are selected */}
-        {selectedRows.size > 0 && (
+        {selectionSummary.count > 0 && (
           <div className="bulk-actions">
-            <span className="selected-count">{selectedRows.size} selected</span>
-            {/* Duplicate selected rows button */}
-            <button onClick={handleDuplicateSelected} className="btn btn-bulk-duplicate">
-              📋 Duplicate
-            </button>
-            {/* Delete selected rows button */}
-            <button onClick={handleDeleteSelected} className="btn btn-bulk-delete">
-              🗑️ Delete
-            </button>
+            <span className="selected-count">{selectionSummary.count.toLocaleString()} selected</span>
+            {canEdit && (
+              <>
+                {/* Duplicate selected rows button */}
+                <button onClick={handleDuplicateSelected} className="btn btn-bulk-duplicate">
+                  📋 Duplicate
+                </button>
+                {/* Delete selected rows button */}
+                <button onClick={handleDeleteSelected} className="btn btn-bulk-delete">
+                  🗑️ Delete
+                </button>
+              </>
+            )}
           </div>
         )}
 
         {/* Record counter - shows total and filtered counts */}
-        {selectedRows.size === 0 && (
+        {selectionSummary.count === 0 && (
           <span className="record-count">
             {displayData.length} records
-            {searchTerm && ` (filtered from ${data.length})`}
+            {(searchTerm || showInvalidOnly || showChangedOnly || activeFilters.length > 0) && ` (filtered from ${data.length})`}
           </span>
         )}
       </div>
 
+      {/* Active column filters - click ✕ to remove one */}
+      {activeFilters.length > 0 && (
+        <div className="filter-chips">
+          {activeFilters.map((field) => (
+            <span key={field} className="filter-chip">
+              {describeFilter(field, columnFilters[field], dateFormat)}
+              <button onClick={() => handleApplyFilter(field, null)} title="Remove filter">✕</button>
+            </span>
+          ))}
+          <button className="filter-chips-clear" onClick={handleClearFilters}>
+            Clear all filters
+          </button>
+        </div>
+      )}
+
+      {/* Group by - nests rows by fields with subtotal lines */}
+      <GroupByBar
+        fields={headers}
+        groupFields={groupFields}
+        groupCount={groups?.length ?? 0}
+        onAdd={handleAddGroupField}
+        onRemove={handleRemoveGroupField}
+        onExpandAll={handleExpandAllGroups}
+        onCollapseAll={handleCollapseAllGroups}
+        onExport={handleExportGroups}
+      />
+
+      {/* Pages mode: the header checkbox selected this page - offer every matching row */}
+      {isPaged && isAllSelected && displayData.length > selectableRows.length && (
+        <div className="selection-banner">
+          {isAllMatchingSelected ? (
+            <>
+              All {displayData.length.toLocaleString()} matching rows are selected.
+              <button onClick={handleClearSelection}>Clear selection</button>
+            </>
+          ) : (
+            <>
+              All {selectableRows.length.toLocaleString()} rows on this page are selected.
+              <button onClick={handleSelectAllMatching}>
+                Select all {displayData.length.toLocaleString()} matching rows
+              </button>
+            </>
+          )}
+        </div>
+      )}
+
       {/* =========================================================
           MAIN DATA TABLE SECTION
           ========================================================= 
           Displays the actual data in a table format with sortable headers,
           selectable rows, and action buttons (edit/delete per row)
       */}
-      <div className="table-wrapper" ref={tableContainerRef}>
-        <table className="data-table">
+      <div
+        className="table-wrapper"
+        ref={tableContainerRef}
+        onScroll={handleScroll}
+        onKeyDown={handleTableKeyDown}
+        tabIndex={0}
+      >
+        <table className={`data-table table-columns-fixed ${isPaged ? '' : 'table-windowed'}`}>
+          {/* Column widths from the layout (the table uses fixed layout) */}
+          <colgroup>
+            <col style={{ width: CHECKBOX_COLUMN_WIDTH }} />
+            {columns.map((header) => (
+              <col key={header} style={{ width: columnWidth(layout, header) }} />
+            ))}
+            <col style={{ width: ACTIONS_COLUMN_WIDTH }} />
+          </colgroup>
           <thead className="table-header-sticky">
             <tr>
-              {/* Select All Checkbox - allows selecting/deselecting all rows on current page */}
+              {/* Select All Checkbox - selects the current page, or every listed row in scroll mode */}
               <th className="checkbox-header">
                 <input
                   type="checkbox"
                   checked={isAllSelected}
                   onChange={(e) => handleSelectAll(e.target.checked)}
                   className="select-all-checkbox"
-                  title="Select all on this page"
+                  title={isPaged ? 'Select all on this page' : `Select all ${displayData.length.toLocaleString()} rows`}
                 />
               </th>
               
-              {/* Dynamic Column Headers - Click to sort, shows sort direction indicator */}
-              {headers.map((header) => (
-                <th
-                  key={header}
-                  onClick={() => handleSort(header)}
-                  className={`sortable ${sortConfig.key === header ? `sort-${sortConfig.direction}` : ''}`}
-                >
-                  {header}
-                  {/* Sort Direction Indicator - Shows if column is sorted */}
-                  {sortConfig.key === header && (
-                    <span className="sort-indicator">
-                      {sortConfig.direction === 'asc' ? ' ▲' : ' ▼'}
-                    </span>
-                  )}
-                </th>
-              ))}
+              {/* Dynamic Column Headers - Click to sort, ▾ opens the column filter,
+                  drag to reorder, drag the right edge to resize */}
+              {columns.map((header) => {
+                const sortIndex = sortKeys.findIndex((sortKey) => sortKey.key === header);
+                const sortKey = sortKeys[sortIndex];
+                const pinned = pinnedCellProps(header);
+                const dropSide = columns.indexOf(dragField) < columns.indexOf(header) ? 'after' : 'before';
+
+                return (
+                  <th
+                    key={header}
+                    onClick={(e) => handleSort(header, e.shiftKey)}
+                    className={[
+                      'sortable filterable',
+                      sortKey && `sort-${sortKey.direction}`,
+                      pinned.className,
+                      header === dragField && 'column-dragging',
+                      header === dropTarget && `column-drop-${dropSide}`,
+                    ].filter(Boolean).join(' ')}
+                    style={pinned.style}
+                    title="Click to sort, Shift+click to add as next sort key"
+                    draggable={canManageColumns && openFilterField !== header}
+                    onDragStart={(e) => handleColumnDragStart(e, header)}
+                    onDragOver={(e) => handleColumnDragOver(e, header)}
+                    onDrop={(e) => handleColumnDrop(e, header)}
+                    onDragEnd={handleColumnDragEnd}
+                  >
+                    <div className="th-content">
+                      <span className="th-label">{header}</span>
+                      {/* Sort Direction Indicator - with the key's priority when sorting by several columns */}
+                      {sortKey && (
+                        <span className="sort-indicator">
+                          {sortKey.direction === 'asc' ? ' ▲' : ' ▼'}
+                          {sortKeys.length > 1 && <span className="sort-priority">{sortIndex + 1}</span>}
+                        </span>
+                      )}
+                      {/* Filter toggle - highlighted while the column has a filter */}
+                      <button
+                        className={`filter-btn ${columnFilters[header] ? 'active' : ''}`}
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setOpenFilterField((prev) => (prev === header ? null : header));
+                        }}
+                        title={`Filter ${header}`}
+                      >
+                        ▾
+                      </button>
+                    </div>
+                    {openFilterField === header && (
+                      <ColumnFilterPopover
+                        field={header}
+                        filter={columnFilters[header]}
+                        rows={data}
+                        onApply={(filter) => handleApplyFilter(header, filter)}
+                        onClose={closeFilterPopover}
+                      />
+                    )}
+                    {/* Resize handle - double-click restores the default width */}
+                    {canManageColumns && (
+                      <span
+                        className={`column-resize-handle ${resizeDraft?.field === header ? 'active' : ''}`}
+                        onPointerDown={(e) => handleResizeStart(e, header)}
+                        onPointerMove={handleResizeMove}
+                        onPointerUp={handleResizeEnd}
+                        onPointerCancel={handleResizeEnd}
+                        onClick={(e) => e.stopPropagation()}
+                        onDoubleClick={(e) => {
+                          e.stopPropagation();
+                          onColumnLayoutChange(setColumnWidth(columnLayout, header, null));
+                        }}
+                        title="Drag to resize, double-click to reset"
+                      />
+                    )}
+                  </th>
+                );
+              })}
               
               {/* Actions Column Header */}
               <th className="actions-header">Actions</th>
@@ -602,55 +1787,175 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
           </thead>
           
           <tbody>
-            {/* Render paginated rows - Only displays rows for current page */}
-            {paginatedData.map((row, index) => (
-              <tr key={row.id} className={index % 2 === 0 ? 'even' : 'odd'}>
-                {/* Checkbox for row selection */}
-                <td className="checkbox-cell">
+            {/* Spacer for the lines scrolled past (scroll mode) */}
+            {topSpacerHeight > 0 && (
+              <tr className="spacer-row" style={{ height: topSpacerHeight }} aria-hidden="true">
+                <td colSpan={columns.length + 2} />
+              </tr>
+            )}
+
+            {/* Render the current page, or the lines in and around the viewport */}
+            {visibleRows.map((row, index) => isGroupLine(row) ? (
+              // Group header line - click to collapse or expand
+              <tr
+                key={row.key}
+                className="group-row"
+                onClick={() => handleToggleGroup(row.key)}
+                title={collapsedGroups.has(row.key) ? 'Expand group' : 'Collapse group'}
+              >
+                <td colSpan={columns.length + 2}>
+                  <div className="group-row-content" style={{ paddingLeft: `${row.depth * 1.5}rem` }}>
+                    <span className="group-toggle">{collapsedGroups.has(row.key) ? '▸' : '▾'}</span>
+                    <span>
+                      {row.field}:{' '}
+                      <strong>{row.value === '' ? '(blank)' : formatCellValue({ [row.field]: row.value }, row.field, dateFormat)}</strong>
+                    </span>
+                    <span className="group-count">{row.aggregates.count.toLocaleString()} row(s)</span>
+                    <span className="group-aggregates">{describeAggregates(row.aggregates)}</span>
+                  </div>
+                </td>
+              </tr>
+            ) : (
+              <tr
+                key={row.id}
+                data-row-id={row.id}
+                className={[
+                  (startIndex + index) % 2 === 0 ? 'even' : 'odd',
+                  row.id === highlightedRowId && 'row-highlighted',
+                  validationErrors.has(row.id) && 'row-invalid',
+                  changes.byId.has(row.id) && `row-status-${changes.byId.get(row.id).status}`,
+                ].filter(Boolean).join(' ')}
+              >
+                {/* Checkbox for row selection (its left edge marks added/modified rows) */}
+                <td
+                  className="checkbox-cell"
+                  title={changes.byId.has(row.id) ? `${CHANGE_STATUS_LABELS[changes.byId.get(row.id).status]} since import` : undefined}
+                >
                   <input
                     type="checkbox"
                     checked={selectedRows.has(row.id)}
-                    onChange={() => handleSelectRow(row.id)}
+                    onClick={(e) => handleRowCheckboxClick(e, row.id)}
+                    readOnly
                     className="row-checkbox"
+                    title="Shift+click to select a range"
                   />
                 </td>
                 
                 {/* Data Cells - Display each column's value for this row */}
-                {headers.map((header) => (
-                  <td key={`${row.id}-${header}`} title={row[header]}>
-                    {row[header]}
-                  </td>
-                ))}
+                {columns.map((header) => {
+                  const value = formatCellValue(row, header, dateFormat);
+                  const dateIssue = row._dateIssue && getSapField(header)?.type === 'date' ? row._dateIssue : null;
+                  const error = validationErrors.get(row.id)?.[header];
+                  const change = changes.byId.get(row.id)?.fields[header];
+                  const lookupName = masterName(masterData, header, row);
+                  const isActive = activeCell?.rowId === row.id && activeCell.header === header;
+                  const isEditing = isActive && editingCell?.rowId === row.id && editingCell.header === header;
+                  const pinned = pinnedCellProps(header);
+
+                  // In-place editor replaces the cell content while editing
+                  if (isEditing) {
+                    return (
+                      <td
+                        key={`${row.id}-${header}`}
+                        data-field={header}
+                        className={['cell-active cell-editing', pinned.className].filter(Boolean).join(' ')}
+                        style={pinned.style}
+                      >
+                        <CellEditor
+                          field={header}
+                          row={row}
+                          initialValue={editingCell.initialValue}
+                          masterData={masterData}
+                          onCommit={handleCommitEdit}
+                          onCancel={handleCancelCellEdit}
+                        />
+                      </td>
+                    );
+                  }
+
+                  const className = [
+                    getSapField(header)?.type === 'amount' && 'cell-amount',
+                    dateIssue && `cell-date-issue cell-date-${dateIssue}`,
+                    error && 'cell-invalid',
+                    change && 'cell-changed',
+                    isActive && 'cell-active',
+                    pinned.className,
+                  ].filter(Boolean).join(' ');
+
+                  return (
+                    <td
+                      key={`${row.id}-${header}`}
+                      data-field={header}
+                      title={[
+                        value,
+                        lookupName,
+                        change && `Original: ${formatCellValue({ [header]: change.from }, header, dateFormat) || '(blank)'}`,
+                        error && `❌ ${error}`,
+                        dateIssue && DATE_ISSUE_TITLES[dateIssue],
+                      ].filter(Boolean).join(' — ')}
+                      className={className || undefined}
+                      style={pinned.style}
+                      onClick={(e) => handleCellClick(e, row, header)}
+                      onDoubleClick={() => startCellEdit(row, header)}
+                    >
+                      {dateIssue && <span className="cell-issue-marker">⚠️</span>}
+                      {value}
+                      {showMasterNames && lookupName && <span className="cell-lookup-name">{lookupName}</span>}
+                    </td>
+                  );
+                })}
                 
-                {/* Action Buttons - Edit and Delete per row */}
+                {/* Action Buttons - Details, Edit and Delete per row */}
                 <td className="actions-cell">
                   <div className="action-buttons-row">
-                    {/* Edit Button - Opens modal to edit this row */}
-                    <button
-                      className="action-btn edit-btn"
-                      onClick={() => handleEditRow(row)}
-                      title="Edit row"
-                    >
-                      ✏️
-                    </button>
-                    
-                    {/* Delete Button - Deletes this row with confirmation */}
-                    <button
-                      className="action-btn delete-btn"
-                      onClick={() => handleDeleteRow(row.id)}
-                      title="Delete row"
-                    >
-                      🗑️
-                    </button>
+                    {/* Details Button - Shows the row's source and how it was imported */}
+                    {onShowDetails && (
+                      <button
+                        className="action-btn details-btn"
+                        onClick={() => onShowDetails(row)}
+                        title={row._source ? `Where this row came from (${describeSource(row._source)})` : 'Row details'}
+                      >
+                        🔎
+                      </button>
+                    )}
+
+                    {canEdit && (
+                      <>
+                        {/* Edit Button - Opens modal to edit this row */}
+                        <button
+                          className="action-btn edit-btn"
+                          onClick={() => handleEditRow(row)}
+                          title="Edit row"
+                        >
+                          ✏️
+                        </button>
+
+                        {/* Delete Button - Deletes this row with confirmation */}
+                        <button
+                          className="action-btn delete-btn"
+                          onClick={() => handleDeleteRow(row.id)}
+                          title="Delete row"
+                        >
+                          🗑️
+                        </button>
+                      </>
+                    )}
                   </div>
                 </td>
               </tr>
             ))}
 
+            {/* Spacer for the lines below the window (scroll mode) */}
+            {bottomSpacerHeight > 0 && (
+              <tr className="spacer-row" style={{ height: bottomSpacerHeight }} aria-hidden="true">
+                <td colSpan={columns.length + 2} />
+              </tr>
+            )}
+
             {/* No Data Message - Shows when no rows to display after filtering */}
-            {paginatedData.length === 0 && (
+            {displayData.length === 0 && (
               <tr>
-                <td colSpan={headers.length + 2} className="no-data">
+                <td colSpan={columns.length + 2} className="no-data">
                   No data found
                 </td>
               </tr>
@@ -659,130 +1964,216 @@ export const VirtualizedDataTable = ({ headers, data, onDataChange }) => {
         </table>
       </div>
 
+      {/* Grand total of every grouped row */}
+      {grandTotals && (
+        <div className="group-grand-total">
+          <strong>Grand total:</strong> {grandTotals.count.toLocaleString()} row(s)
+          {numericColumns.length > 0 && `   ${describeAggregates(grandTotals)}`}
+        </div>
+      )}
+
+      {/* Rows deleted since the import (changed-rows view) */}
+      {showChangedOnly && changes.deleted.length > 0 && (
+        <DeletedRowsPanel
+          deleted={changes.deleted}
+          columns={columns}
+          dateFormat={dateFormat}
+          onRestore={handleRestoreRow}
+        />
+      )}
+
+      {/* Selection summary - cross-check a batch before posting */}
+      {selectionSummary.count > 0 && (
+        <div className="selection-summary">
+          <strong>{selectionSummary.count.toLocaleString()} selected</strong>
+          {Object.entries(selectionSummary.totals).map(([field, { sum }]) => (
+            <span key={field}>Σ {field} {formatAggregate(sum)}</span>
+          ))}
+          <span>
+            {selectionSummary.dateFrom
+              ? `📅 ${formatDate(selectionSummary.dateFrom, dateFormat)} – ${formatDate(selectionSummary.dateTo, dateFormat)}`
+              : '📅 no valid dates'}
+          </span>
+          {selectedHiddenCount > 0 && (
+            <span className="selection-hidden">
+              {selectedHiddenCount.toLocaleString()} not shown by the current search or filters
+            </span>
+          )}
+          <button onClick={handleClearSelection}>Clear selection</button>
+        </div>
+      )}
+
       {/* =========================================================
           PAGINATION CONTROLS SECTION
           ========================================================= 
-          Allows user to navigate between pages and set rows per page
+          Switches between continuous scrolling and pages; in pages mode
+          allows user to navigate between pages and set rows per page
       */}
       <div className="pagination-wrapper">
-        {/* Rows Per Page Selector */}
         <div className="pagination-section">
-          <label htmlFor="items-per-page" className="items-per-page-label">
-            Rows per page:
+          {/* View Mode Selector */}
+          <label htmlFor="view-mode" className="items-per-page-label">
+            View:
           </label>
           <select
-            id="items-per-page"
-            value={itemsPerPage}
-            onChange={(e) => handleItemsPerPageChange(Number(e.target.value))}
+            id="view-mode"
+            value={viewMode}
+            onChange={(e) => handleViewModeChange(e.target.value)}
             className="items-per-page-select"
           >
-            {ITEMS_PER_PAGE_OPTIONS.map(option => (
-              <option key={option} value={option}>
-                {option}
-              </option>
-            ))}
+            <option value={VIEW_MODES.SCROLL}>Continuous scroll</option>
+            <option value={VIEW_MODES.PAGES}>Pages</option>
+          </select>
+
+          {/* Blank values position in sorting */}
+          <label htmlFor="nulls-position" className="items-per-page-label">
+            Blanks:
+          </label>
+          <select
+            id="nulls-position"
+            value={nullsPosition}
+            onChange={(e) => handleNullsPositionChange(e.target.value)}
+            className="items-per-page-select"
+          >
+            <option value={NULLS_POSITIONS.FIRST}>Sort first</option>
+            <option value={NULLS_POSITIONS.LAST}>Sort last</option>
           </select>
+
+          {/* Rows Per Page Selector */}
+          {isPaged && (
+            <>
+              <label htmlFor="items-per-page" className="items-per-page-label">
+                Rows per page:
+              </label>
+              <select
+                id="items-per-page"
+                value={itemsPerPage}
+                onChange={(e) => handleItemsPerPageChange(Number(e.target.value))}
+                className="items-per-page-select"
+              >
+                {ITEMS_PER_PAGE_OPTIONS.map(option => (
+                  <option key={option} value={option}>
+                    {option}
+                  </option>
+                ))}
+              </select>
+            </>
+          )}
         </div>
 
         {/* Pagination Info - Shows which rows are currently displayed */}
         <div className="pagination-info">
           <span className="pagination-text">
-            Showing {displayData.length === 0 ? 0 : startIndex + 1} to {Math.min(endIndex, displayData.length)} of {displayData.length} rows
+            Showing {lines.length === 0 ? 0 : shownFrom.toLocaleString()} to {shownTo.toLocaleString()} of {lines.length.toLocaleString()} {groups ? 'lines' : 'rows'}
           </span>
         </div>
 
         {/* Pagination Buttons - Navigate between pages */}
-        <div className="pagination-controls">
-          {/* First Page Button */}
-          <button
-            onClick={() => handlePageChange(1)}
-            disabled={currentPage === 1}
-            className="pagination-btn"
-            title="First page"
-          >
-            ⏮️
-          </button>
+        {isPaged && (
+          <div className="pagination-controls">
+            {/* First Page Button */}
+            <button
+              onClick={() => handlePageChange(1)}
+              disabled={currentPage === 1}
+              className="pagination-btn"
+              title="First page"
+            >
+              ⏮️
+            </button>
           
-          {/* Previous Page Button */}
-          <button
-            onClick={() => handlePageChange(currentPage - 1)}
-            disabled={currentPage === 1}
-            className="pagination-btn"
-            title="Previous page"
-          >
-            ◀️
-          </button>
+            {/* Previous Page Button */}
+            <button
+              onClick={() => handlePageChange(currentPage - 1)}
+              disabled={currentPage === 1}
+              className="pagination-btn"
+              title="Previous page"
+            >
+              ◀️
+            </button>
 
-          {/* Page Number Input - Jump to specific page */}
-          <div className="page-input-wrapper">
-            <input
-              type="number"
-              min="1"
-              max={totalPages}
-              value={currentPage}
-              onChange={(e) => handlePageChange(Number(e.target.value))}
-              className="page-input"
-            />
-            <span className="pagination-divider">/</span>
-            <span className="total-pages">{totalPages}</span>
-          </div>
+            {/* Page Number Input - Jump to specific page */}
+            <div className="page-input-wrapper">
+              <input
+                type="number"
+                min="1"
+                max={totalPages}
+                value={currentPage}
+                onChange={(e) => handlePageChange(Number(e.target.value))}
+                className="page-input"
+              />
+              <span className="pagination-divider">/</span>
+              <span className="total-pages">{totalPages}</span>
+            </div>
 
-          {/* Next Page Button */}
-          <button
-            onClick={() => handlePageChange(currentPage + 1)}
-            disabled={currentPage === totalPages}
-            className="pagination-btn"
-            title="Next page"
-          >
-            ▶️
-          </button>
+            {/* Next Page Button */}
+            <button
+              onClick={() => handlePageChange(currentPage + 1)}
+              disabled={currentPage === totalPages}
+              className="pagination-btn"
+              title="Next page"
+            >
+              ▶️
+            </button>
           
-          {/* Last Page Button */}
-          <button
-            onClick={() => handlePageChange(totalPages)}
-            disabled={currentPage === totalPages}
-            className="pagination-btn"
-            title="Last page"
-          >
-            ⏭️
-          </button>
-        </div>
+            {/* Last Page Button */}
+            <button
+              onClick={() => handlePageChange(totalPages)}
+              disabled={currentPage === totalPages}
+              className="pagination-btn"
+              title="Last page"
+            >
+              ⏭️
+            </button>
+          </div>
+        )}
       </div>
 
-      {/* =========================================================
-          EDIT/ADD ROW MODAL
-          ========================================================= 
-          Modal dialog for adding new rows or editing existing rows
-          Shows form fields for all columns
-     
-          <button
-            onClick={() => handlePageChange(currentPage + 1)}
-            disabled={currentPage === totalPages}
-            className="pagination-btn"
-            title="Next page"
-          >
-            ▶️
-          </button>
-          <button
-            onClick={() => handlePageChange(totalPages)}
-            disabled={currentPage === totalPages}
-            className="pagination-btn"
-            title="Last page"
-          >
-            ⏭️
-          </button>
-        </div>
-      </div>
+      {/* Edit Modal - keyed per row so its form starts from that row */}
+      {isModalOpen && (
+        <EditRowModal
+          key={editingRow?.id}
+          isOpen={isModalOpen}
+          row={editingRow}
+          headers={headers}
+          onSave={handleSaveRow}
+          onCancel={handleCancelEdit}
+          isNewRow={isNewRow}
+          masterData={masterData}
+        />
+      )}
 
-      {/* Edit Modal */}
-      <EditRowModal
-        isOpen={isModalOpen}
-        row={editingRow}
-        headers={headers}
-        onSave={handleSaveRow}
-        onCancel={handleCancelEdit}
-        isNewRow={isNewRow}
-      />
+      {/* Duplicate finder - mounted only while open so it starts fresh */}
+      {isDuplicateFinderOpen && (
+        <DuplicateFinderModal
+          data={data}
+          headers={headers}
+          dateFormat={dateFormat}
+          onApply={handleApplyDuplicates}
+          onClose={() => setIsDuplicateFinderOpen(false)}
+        />
+      )}
+
+      {/* Bulk edit and find & replace - mounted only while open */}
+      {isBulkEditOpen && (
+        <BulkEditModal
+          data={data}
+          headers={headers}
+          selectedIds={selectedRows}
+          filteredRows={displayData}
+          onApply={handleApplyCellChanges}
+          onClose={() => setIsBulkEditOpen(false)}
+        />
+      )}
+      {isFindReplaceOpen && (
+        <FindReplaceModal
+          data={data}
+          headers={headers}
+          selectedIds={selectedRows}
+          filteredRows={displayData}
+          onApply={handleApplyCellChanges}
+          onClose={() => setIsFindReplaceOpen(false)}
+        />
+      )}
     </div>
   );
 };
@@ -0,0 +1,467 @@
+import { SAP_FIELDS } from './sapFields';
+
+/**
+ * ============================================================================
+ * Amount Utilities - One numeric layer for CHAN_AMT
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Amounts arrive as Excel numbers with float noise (43871.92837461), as text
+ * with grouping ("1,250.00", "৳ 1 250"), with a decimal comma ("1.250,00")
+ * or as accounting negatives ("(500)"). Everything goes through this module
+ * so that:
+ * - the dataset stores ONE canonical form: a decimal string with a fixed
+ *   number of decimals ('1250.00', '-500.00'), never a float
+ * - the table displays it grouped ('1,250.00') and right-aligned
+ * - totals are added up exactly (BigInt on the scaled digits)
+ * - exports write the stored decimal unchanged
+ *
+ * DETECTED INPUTS:
+ * - Numbers, rounded to the scale
+ * - Currency symbols and codes (৳ $ € £ ₹ ¥, BDT, Tk, USD, EUR, GBP, INR)
+ * - Grouping with ',' '.' spaces or apostrophes, including Indian lakh
+ *   grouping (1,25,000.00)
+ * - Decimal point or decimal comma: when both separators appear the last one
+ *   is the decimal separator; a single separator is read the way the mapping
+ *   profile says (decimalSeparator), unless it cannot be a thousands separator
+ * - Negatives as -500, 500-, or (500)
+ *
+ * SETTINGS (remembered between visits):
+ * { scale: 2, rounding: 'half-up' } - decimals kept and how extra decimals
+ * are rounded (see ROUNDING_MODES). Changing the scale re-rounds the data.
+ */
+
+export const ROUNDING_MODES = {
+  HALF_UP: 'half-up',
+  HALF_EVEN: 'half-even',
+  DOWN: 'down',
+};
+
+export const ROUNDING_LABELS = {
+  [ROUNDING_MODES.HALF_UP]: 'Half up (0.125 → 0.13)',
+  [ROUNDING_MODES.HALF_EVEN]: 'Half even (0.125 → 0.12)',
+  [ROUNDING_MODES.DOWN]: 'Truncate (0.129 → 0.12)',
+};
+
+// Separator read as decimal in amounts such as 1,250 where either reading is possible
+export const DECIMAL_SEPARATORS = {
+  POINT: '.',
+  COMMA: ',',
+};
+
+export const AMOUNT_SCALES = [0, 1, 2, 3, 4];
+
+// SAP amounts are CURR 13,2
+export const DEFAULT_AMOUNT_SETTINGS = { scale: 2, rounding: ROUNDING_MODES.HALF_UP };
+
+const AMOUNT_SETTINGS_STORAGE_KEY = 'excelstorm.amountSettings';
+
+const CANONICAL_PATTERN = /^-?\d+(?:\.\d+)?$/;
+
+// Currency symbols and codes removed before reading the number
+const CURRENCY_PATTERN = /[৳$€£₹¥]|(?<![A-Z])(?:BDT|TK|USD|EUR|GBP|INR)(?![A-Z])\.?/gi;
+
+// Spaces and apostrophes used as thousands separators
+const SPACE_GROUPING_PATTERN = /[\s'’]/g;
+
+// How a rounding mode is named in diagnostics notes
+const ROUNDING_NOTES = {
+  [ROUNDING_MODES.HALF_UP]: 'half up',
+  [ROUNDING_MODES.HALF_EVEN]: 'half even',
+  [ROUNDING_MODES.DOWN]: 'truncated',
+};
+
+const AMOUNT_FIELDS = SAP_FIELDS.filter(({ type }) => type === 'amount').map(({ key }) => key);
+
+/**
+ * Whether a value is a canonical amount ('1250.00', '-3', '0.5').
+ *
+ * @param {*} value - Stored value
+ * @returns {boolean}
+ */
+export const isCanonicalAmount = (value) => typeof value === 'string' && CANONICAL_PATTERN.test(value);
+
+/**
+ * Whether the integer part uses a valid grouping with `separator`
+ * (1,250,000 or the Indian 12,50,000).
+ */
+const isValidGrouping = (integer, separator) => {
+  const sep = separator === '.' ? '\\.' : separator;
+  return new RegExp(`^\\d{1,3}(?:${sep}\\d{3})+$`).test(integer) ||
+    new RegExp(`^\\d{1,2}(?:${sep}\\d{2})*${sep}\\d{3}$`).test(integer);
+};
+
+/**
+ * Rounds a digit string with decimals to `scale` decimals.
+ *
+ * @returns {{units: bigint, rounded: boolean}} Value × 10^scale, and whether digits were dropped
+ */
+const roundDigits = (integer, fraction, scale, rounding) => {
+  if (fraction.length <= scale) {
+    return { units: BigInt(integer + fraction.padEnd(scale, '0')), rounded: false };
+  }
+  const kept = fraction.slice(0, scale);
+  const rest = fraction.slice(scale);
+  let units = BigInt(integer + kept);
+  if (/^0*$/.test(rest)) return { units, rounded: false };
+
+  const beyondHalf = rest[0] > '5' || (rest[0] === '5' && /[1-9]/.test(rest.slice(1)));
+  const exactlyHalf = rest[0] === '5' && !beyondHalf;
+  const roundUp = rounding === ROUNDING_MODES.DOWN
+    ? false
+    : beyondHalf || (exactlyHalf && (rounding === ROUNDING_MODES.HALF_UP || units % 2n === 1n));
+  if (roundUp) units += 1n;
+  return { units, rounded: true };
+};
+
+/**
+ * Writes value × 10^scale as a canonical decimal string.
+ *
+ * @param {bigint} units - Scaled value
+ * @param {number} scale - Decimals
+ * @returns {string} e.g. fromUnits(-125050n, 2) → '-1250.50'
+ */
+export const fromUnits = (units, scale) => {
+  const negative = units < 0n;
+  const digits = (negative ? -units : units).toString().padStart(scale + 1, '0');
+  const integer = scale > 0 ? digits.slice(0, -scale) : digits;
+  const text = scale > 0 ? `${integer}.${digits.slice(-scale)}` : integer;
+  return negative ? `-${text}` : text;
+};
+
+/**
+ * Reads a canonical amount as value × 10^scale (scale ≥ its decimals).
+ *
+ * @param {string} value - Canonical amount
+ * @param {number} scale - Decimals to scale to
+ * @returns {bigint}
+ */
+export const toUnits = (value, scale) => {
+  const [integer, fraction = ''] = value.replace('-', '').split('.');
+  const units = BigInt(integer + fraction.padEnd(scale, '0'));
+  return value.startsWith('-') ? -units : units;
+};
+
+/**
+ * Number of decimals of a canonical amount.
+ */
+const decimalsOf = (value) => {
+  const point = value.indexOf('.');
+  return point === -1 ? 0 : value.length - point - 1;
+};
+
+/**
+ * ============================================================================
+ * parseAmountValue - Reads any supported amount into the canonical form
+ * ============================================================================
+ *
+ * EXAMPLES (scale 2, half up):
+ * parseAmountValue('1,250.00')       → { value: '1250.00', notes: ['thousands separators removed'] }
+ * parseAmountValue('(500)')          → { value: '-500.00', notes: ['accounting negative'] }
+ * parseAmountValue('1.250,5')        → { value: '1250.50', notes: ['thousands separators removed', 'decimal comma'] }
+ * parseAmountValue(43871.92837461)   → { value: '43871.93', notes: ['rounded to 2 decimals (half up)'] }
+ * parseAmountValue('abc')            → { value: null, notes: [] }
+ *
+ * @param {*} value - Raw cell or typed value (not empty)
+ * @param {Object} options - { decimalSeparator: '.' | ',', scale: number, rounding: ROUNDING_MODES }
+ * @returns {{value: string|null, notes: Array<string>}} Canonical amount (null when
+ *          unreadable) and what had to be done to read it
+ */
+export const parseAmountValue = (
+  value,
+  { decimalSeparator = DECIMAL_SEPARATORS.POINT, scale = DEFAULT_AMOUNT_SETTINGS.scale, rounding = DEFAULT_AMOUNT_SETTINGS.rounding } = {}
+) => {
+  const notes = [];
+  let text;
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value) || Math.abs(value) >= 1e21) return { value: null, notes };
+    text = String(value);
+    if (/e/i.test(text)) text = value.toFixed(20);
+  } else {
+    text = String(value ?? '').trim();
+  }
+
+  let negative = false;
+  const accounting = text.match(/^\((.*)\)$/);
+  if (accounting) {
+    negative = true;
+    text = accounting[1].trim();
+    notes.push('accounting negative');
+  }
+
+  const withoutCurrency = text.replace(CURRENCY_PATTERN, '');
+  if (withoutCurrency !== text) notes.push('currency removed');
+  text = withoutCurrency.trim();
+
+  const trailingMinus = text.match(/^(.*\d)\s*-$/);
+  if (trailingMinus) {
+    negative = !negative;
+    text = trailingMinus[1];
+    notes.push('trailing minus');
+  }
+  const sign = text.match(/^[+-]/);
+  if (sign) {
+    if (sign[0] === '-') negative = !negative;
+    text = text.slice(1);
+  }
+
+  const withoutSpaces = text.replace(SPACE_GROUPING_PATTERN, '');
+  const spaceGrouped = withoutSpaces !== text;
+  text = withoutSpaces;
+  if (!/^[\d.,]*\d[\d.,]*$/.test(text)) return { value: null, notes: [] };
+
+  // Which separator is the decimal one (null = none, all separators group)
+  const hasPoint = text.includes('.');
+  const hasComma = text.includes(',');
+  let decimal = null;
+  if (hasPoint && hasComma) {
+    decimal = text.lastIndexOf('.') > text.lastIndexOf(',') ? '.' : ',';
+  } else if (hasPoint || hasComma) {
+    const separator = hasPoint ? '.' : ',';
+    const once = text.indexOf(separator) === text.lastIndexOf(separator);
+    if (once && (separator === decimalSeparator || !isValidGrouping(text, separator))) decimal = separator;
+  }
+
+  const decimalIndex = decimal ? text.lastIndexOf(decimal) : -1;
+  const groupedInteger = decimalIndex === -1 ? text : text.slice(0, decimalIndex);
+  const fraction = decimalIndex === -1 ? '' : text.slice(decimalIndex + 1);
+  if (/[.,]/.test(fraction)) return { value: null, notes: [] };
+
+  const grouping = /[.,]/.test(groupedInteger) ? groupedInteger.replace(/\d/g, '')[0] : null;
+  if (grouping && !isValidGrouping(groupedInteger, grouping)) return { value: null, notes: [] };
+  if (grouping || spaceGrouped) notes.push('thousands separators removed');
+  if (decimal === ',') notes.push('decimal comma');
+
+  const integer = groupedInteger.replace(/[.,]/g, '') || '0';
+  const { units, rounded } = roundDigits(integer, fraction, scale, rounding);
+  if (rounded) notes.push(`rounded to ${scale} decimal${scale === 1 ? '' : 's'} (${ROUNDING_NOTES[rounding]})`);
+
+  return { value: fromUnits(negative ? -units : units, scale), notes };
+};
+
+/**
+ * Canonical form of a typed or edited amount; values that cannot be read
+ * are returned unchanged so validation can flag them.
+ *
+ * @param {*} value - Amount as typed
+ * @param {Object} settings - { scale, rounding }
+ * @returns {*} Canonical amount, '' for empty, or the value unchanged
+ */
+export const normalizeAmount = (value, settings = DEFAULT_AMOUNT_SETTINGS) => {
+  if (value == null || String(value).trim() === '') return '';
+  return parseAmountValue(value, settings).value ?? value;
+};
+
+/**
+ * ============================================================================
+ * formatAmount - Displays a canonical amount with thousands separators
+ * ============================================================================
+ *
+ * Values that are not canonical amounts (e.g. an unreadable import) are
+ * returned unchanged so the user still sees what came in.
+ *
+ * EXAMPLE:
+ * formatAmount('-1250000.50') → '-1,250,000.50'
+ *
+ * @param {*} value - Stored value
+ * @returns {string} Formatted amount
+ */
+export const formatAmount = (value) => {
+  if (!isCanonicalAmount(value)) return value == null ? '' : String(value);
+  const [integer, fraction] = value.split('.');
+  const grouped = integer.replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+  return fraction === undefined ? grouped : `${grouped}.${fraction}`;
+};
+
+/**
+ * Canonical decimal of a stored value for totals (numbers are accepted for
+ * rows that predate the amount layer), or null when it is not numeric.
+ */
+const decimalOf = (value) => {
+  if (isCanonicalAmount(value)) return value;
+  if (typeof value === 'number' && Number.isFinite(value) && !/e/i.test(String(value))) return String(value);
+  const text = String(value ?? '').trim();
+  return CANONICAL_PATTERN.test(text) ? text : null;
+};
+
+/**
+ * ============================================================================
+ * aggregateAmounts - Exact sum, min, max and average of amounts
+ * ============================================================================
+ *
+ * Blank and non-numeric values are skipped. Results are canonical decimal
+ * strings at the largest number of decimals among the values (the average
+ * is rounded half up to that scale), or null when no value was numeric.
+ *
+ * @param {Array} values - Stored values
+ * @returns {{sum: string|null, min: string|null, max: string|null, avg: string|null, count: number}}
+ */
+export const aggregateAmounts = (values) => {
+  const decimals = [];
+  let scale = 0;
+  values.forEach((value) => {
+    const decimal = decimalOf(value);
+    if (decimal === null) return;
+    decimals.push(decimal);
+    scale = Math.max(scale, decimalsOf(decimal));
+  });
+  if (decimals.length === 0) return { sum: null, min: null, max: null, avg: null, count: 0 };
+
+  let sum = 0n;
+  let min = null;
+  let max = null;
+  decimals.forEach((decimal) => {
+    const units = toUnits(decimal, scale);
+    sum += units;
+    if (min === null || units < min) min = units;
+    if (max === null || units > max) max = units;
+  });
+
+  const count = BigInt(decimals.length);
+  const half = (sum < 0n ? -sum : sum) * 2n + count;
+  const avg = (sum < 0n ? -1n : 1n) * (half / (2n * count));
+
+  return {
+    sum: fromUnits(sum, scale),
+    min: fromUnits(min, scale),
+    max: fromUnits(max, scale),
+    avg: fromUnits(avg, scale),
+    count: decimals.length,
+  };
+};
+
+/**
+ * Exact difference of two amounts, at the larger of their scales.
+ *
+ * EXAMPLE:
+ * subtractAmounts('1300.00', '1250.5') → '49.50'
+ *
+ * @param {*} newer - Stored value subtracted from
+ * @param {*} older - Stored value subtracted
+ * @returns {string|null} Canonical difference, or null when either value
+ *          is blank or not numeric
+ */
+export const subtractAmounts = (newer, older) => {
+  const left = decimalOf(newer);
+  const right = decimalOf(older);
+  if (left === null || right === null) return null;
+  const scale = Math.max(decimalsOf(left), decimalsOf(right));
+  return fromUnits(toUnits(left, scale) - toUnits(right, scale), scale);
+};
+
+/**
+ * Whether two stored amounts are the same number, whatever their decimals
+ * ('1250.50' and '1250.500' after the scale was raised). Values that are
+ * not numeric are compared as text.
+ *
+ * @param {*} a - Stored value
+ * @param {*} b - Stored value
+ * @returns {boolean}
+ */
+export const sameAmount = (a, b) => {
+  const left = decimalOf(a);
+  const right = decimalOf(b);
+  if (left === null || right === null) return String(a ?? '') === String(b ?? '');
+  const scale = Math.max(decimalsOf(left), decimalsOf(right));
+  return toUnits(left, scale) === toUnits(right, scale);
+};
+
+/**
+ * Text that is the same for every spelling of one amount, for grouping by
+ * amount: '1250.50', '1250.500' and '01250.5' all give '1250.5'. Exact for
+ * any size (no conversion to a float).
+ *
+ * @param {*} value - Stored value
+ * @returns {string|null} Key, or null when the value is not numeric
+ */
+export const amountKey = (value) => {
+  const decimal = decimalOf(value);
+  if (decimal === null) return null;
+  const scale = decimalsOf(decimal);
+  const key = fromUnits(toUnits(decimal, scale), scale).replace(/(\.\d*?)0+$/, '$1').replace(/\.$/, '');
+  return key === '-0' ? '0' : key;
+};
+
+/**
+ * ============================================================================
+ * normalizeEditedAmounts - Brings amounts of edited rows into canonical form
+ * ============================================================================
+ *
+ * Rows that are the same objects as before the edit are left alone; in the
+ * others every amount field is normalized (typed '1250.5' → '1250.50').
+ * Rows whose amounts were already canonical keep their object.
+ *
+ * @param {Array} before - Rows before the edit
+ * @param {Array} after - Rows after the edit
+ * @param {Object} settings - { scale, rounding }
+ * @returns {Array} `after`, or a copy with normalized rows
+ */
+export const normalizeEditedAmounts = (before, after, settings) => {
+  const unchanged = new Set(before);
+  let changed = false;
+  const rows = after.map((row) => {
+    if (unchanged.has(row)) return row;
+    const normalized = normalizeRowAmounts(row, settings);
+    if (normalized !== row) changed = true;
+    return normalized;
+  });
+  return changed ? rows : after;
+};
+
+/**
+ * Normalizes the amount fields of one row.
+ *
+ * @param {Object} row - Row
+ * @param {Object} settings - { scale, rounding }
+ * @returns {Object} The same row when nothing changed, otherwise a new row
+ */
+export const normalizeRowAmounts = (row, settings) => {
+  let updated = row;
+  AMOUNT_FIELDS.forEach((field) => {
+    if (!(field in row)) return;
+    const value = normalizeAmount(row[field], settings);
+    if (value !== row[field]) updated = { ...updated, [field]: value };
+  });
+  return updated;
+};
+
+/**
+ * Re-rounds every amount of the dataset to new settings (after the scale
+ * was changed). Unreadable values are left as they are.
+ *
+ * @param {Array} data - All rows
+ * @param {Object} settings - { scale, rounding }
+ * @returns {Array} `data`, or a copy where changed rows are new objects
+ */
+export const rescaleAmounts = (data, settings) => normalizeEditedAmounts([], data, settings);
+
+/**
+ * Loads the amount settings remembered from a previous visit.
+ *
+ * @returns {{scale: number, rounding: string}}
+ */
+export const loadAmountSettings = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(AMOUNT_SETTINGS_STORAGE_KEY) || 'null');
+    return {
+      scale: AMOUNT_SCALES.includes(saved?.scale) ? saved.scale : DEFAULT_AMOUNT_SETTINGS.scale,
+      rounding: Object.values(ROUNDING_MODES).includes(saved?.rounding) ? saved.rounding : DEFAULT_AMOUNT_SETTINGS.rounding,
+    };
+  } catch {
+    return DEFAULT_AMOUNT_SETTINGS;
+  }
+};
+
+/**
+ * Remembers the amount settings.
+ *
+ * @param {{scale: number, rounding: string}} settings
+ */
+export const saveAmountSettings = (settings) => {
+  try {
+    localStorage.setItem(AMOUNT_SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Could not save amount settings:', error);
+  }
+};
@@ -0,0 +1,169 @@
+import { getSapField } from './sapFields';
+import { recheckDateIssue } from './dateUtils';
+import { sameAmount } from './amountUtils';
+
+/**
+ * ============================================================================
+ * Bulk Edit - Setting and replacing cell values across many rows
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Backs the bulk-edit dialog (set or clear one field on every targeted row)
+ * and find-and-replace (text or regex across chosen columns). Both work in
+ * two steps so the dialogs can preview before anything changes:
+ * 1. plan: list the cell changes as { rowId, field, before, after }
+ * 2. applyCellChanges: build the updated dataset from that list
+ *
+ * Rows whose cells do not change keep their object, so cached validation
+ * results of untouched rows stay valid. Rows whose date changed get their
+ * date flag rechecked, like a modal edit.
+ */
+
+/**
+ * Rows a bulk edit or replace applies to: the selected rows, or every row
+ * matching the table's current search and filters.
+ */
+export const EDIT_SCOPES = {
+  SELECTED: 'selected',
+  FILTERED: 'filtered',
+};
+
+// Characters with a meaning in regular expressions
+const REGEX_SPECIAL_CHARS = /[.*+?^${}()|[\]\\]/g;
+
+/**
+ * Escapes text so it matches literally inside a regular expression.
+ *
+ * @param {string} text - Plain text
+ * @returns {string} Regex source matching exactly that text
+ */
+export const escapeRegex = (text) => text.replace(REGEX_SPECIAL_CHARS, '\\$&');
+
+/**
+ * ============================================================================
+ * planBulkEdit - Cells changed by setting a field on many rows
+ * ============================================================================
+ *
+ * Rows that already hold the value are left out, so the plan's length is
+ * the number of cells that actually change (amounts compare as numbers, so
+ * 500 does not change '500.00'). An empty value clears the field.
+ *
+ * @param {Array} data - All rows
+ * @param {Set} targetIds - Ids of the rows to edit
+ * @param {string} field - Field to set
+ * @param {string} value - New value ('' clears it)
+ * @returns {Array<{rowId, field, before, after}>} Cell changes in data order
+ */
+export const planBulkEdit = (data, targetIds, field, value) => {
+  const changes = [];
+  data.forEach((row) => {
+    if (!targetIds.has(row.id)) return;
+    const before = row[field] ?? '';
+    const unchanged = getSapField(field)?.type === 'amount' ? sameAmount(before, value) : String(before) === value;
+    if (unchanged) return;
+    changes.push({ rowId: row.id, field, before, after: value });
+  });
+  return changes;
+};
+
+/**
+ * ============================================================================
+ * compileFindPattern - Regular expression for a find-and-replace search
+ * ============================================================================
+ *
+ * OPTIONS:
+ * - matchCase: Case-sensitive search (otherwise case-insensitive)
+ * - wholeCell: The search must match the whole cell, not part of it. An empty
+ *   search then finds blank cells
+ * - useRegex: The search is a regular expression; the replacement may use
+ *   $1, $<name> and $& for its capture groups
+ *
+ * @param {Object} options
+ * @param {string} options.find - Search text or pattern
+ * @param {boolean} options.matchCase
+ * @param {boolean} options.wholeCell
+ * @param {boolean} options.useRegex
+ * @returns {{regex: RegExp|null, error: string|null}} regex is null when
+ *   there is nothing to search for or the pattern is invalid
+ */
+export const compileFindPattern = ({ find, matchCase, wholeCell, useRegex }) => {
+  if (find === '' && !wholeCell) return { regex: null, error: null };
+
+  const source = useRegex ? find : escapeRegex(find);
+  try {
+    const regex = new RegExp(wholeCell ? `^(?:${source})$` : source, matchCase ? 'g' : 'gi');
+    return { regex, error: null };
+  } catch (error) {
+    return { regex: null, error: error.message };
+  }
+};
+
+/**
+ * ============================================================================
+ * planReplace - Cells changed by a find-and-replace
+ * ============================================================================
+ *
+ * Every occurrence in a cell is replaced. Without useRegex the replacement
+ * is inserted literally ("$1" stays "$1").
+ *
+ * @param {Array} data - All rows
+ * @param {Set} targetIds - Ids of the rows to search
+ * @param {Array<string>} fields - Columns to search
+ * @param {RegExp} regex - Pattern from compileFindPattern()
+ * @param {string} replacement - Replacement text
+ * @param {boolean} useRegex - Whether the replacement may reference groups
+ * @returns {{changes: Array<{rowId, field, before, after}>, matchedCells: number}}
+ *   matchedCells also counts cells where the replacement gives the same text
+ */
+export const planReplace = (data, targetIds, fields, regex, replacement, useRegex) => {
+  const tester = new RegExp(regex.source, regex.flags.replace('g', ''));
+  const replaceWith = useRegex ? replacement : () => replacement;
+  const changes = [];
+  let matchedCells = 0;
+
+  data.forEach((row) => {
+    if (!targetIds.has(row.id)) return;
+    fields.forEach((field) => {
+      const before = String(row[field] ?? '');
+      if (!tester.test(before)) return;
+      matchedCells += 1;
+      const after = before.replace(regex, replaceWith);
+      if (after !== before) changes.push({ rowId: row.id, field, before, after });
+    });
+  });
+
+  return { changes, matchedCells };
+};
+
+/**
+ * ============================================================================
+ * applyCellChanges - Dataset with planned cell changes applied
+ * ============================================================================
+ *
+ * @param {Array} data - All rows
+ * @param {Array<{rowId, field, after}>} changes - From planBulkEdit/planReplace
+ * @returns {Array} Updated rows (unchanged rows keep their object)
+ */
+export const applyCellChanges = (data, changes) => {
+  const byRow = new Map();
+  changes.forEach(({ rowId, field, after }) => {
+    if (!byRow.has(rowId)) byRow.set(rowId, {});
+    byRow.get(rowId)[field] = after;
+  });
+
+  return data.map((row) => {
+    const updates = byRow.get(row.id);
+    if (!updates) return row;
+    const updatedRow = { ...row, ...updates };
+    const datesChanged = Object.keys(updates).some((field) => getSapField(field)?.type === 'date');
+    return datesChanged ? recheckDateIssue(updatedRow) : updatedRow;
+  });
+};
+
+/**
+ * Number of distinct rows touched by a list of cell changes.
+ *
+ * @param {Array<{rowId}>} changes - Cell changes
+ * @returns {number}
+ */
+export const countChangedRows = (changes) => new Set(changes.map((change) => change.rowId)).size;
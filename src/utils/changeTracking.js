@@ -0,0 +1,216 @@
+import { getSapField } from './sapFields';
+import { toSapDate } from './dateUtils';
+import { sameAmount } from './amountUtils';
+
+/**
+ * ============================================================================
+ * Change Tracking - What changed since the import
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Compares the current rows with the rows as the import produced them (the
+ * baseline) and gives every row a status:
+ * - new: not in the baseline (added or duplicated after import)
+ * - modified: in the baseline with at least one different field value, with
+ *   the old → new value of every such field
+ * - deleted: in the baseline but gone (kept as a tombstone for restoring
+ *   and for the change log)
+ *
+ * The status is derived, not recorded, so it stays right through undo/redo:
+ * a value edited and then set back is no longer "modified".
+ *
+ * CHANGES SHAPE:
+ * {
+ *   byId: Map(rowId → { status, fields: { CHAN_AMT: { from, to } }, position }),
+ *   deleted: [{ row, position }],         // baseline order
+ *   counts: { new, modified, deleted },
+ * }
+ * position is the row's 1-based place in the import (null for new rows).
+ */
+
+export const CHANGE_STATUS = {
+  NEW: 'new',
+  MODIFIED: 'modified',
+  DELETED: 'deleted',
+};
+
+// Wording in the table and the change log
+export const CHANGE_STATUS_LABELS = {
+  [CHANGE_STATUS.NEW]: 'Added',
+  [CHANGE_STATUS.MODIFIED]: 'Modified',
+  [CHANGE_STATUS.DELETED]: 'Deleted',
+};
+
+/**
+ * Changes when nothing changed (or nothing was imported).
+ *
+ * @returns {Object} Empty changes (see CHANGES SHAPE)
+ */
+export const emptyChanges = () => ({
+  byId: new Map(),
+  deleted: [],
+  counts: { [CHANGE_STATUS.NEW]: 0, [CHANGE_STATUS.MODIFIED]: 0, [CHANGE_STATUS.DELETED]: 0 },
+});
+
+/**
+ * Whether a field holds the same value in two rows. Values are compared as
+ * text, so 500 and '500' are the same value; amount fields are compared as
+ * numbers, so a rescale ('1250.50' → '1250.500') changes nothing.
+ *
+ * @param {*} a - One value
+ * @param {*} b - The other value
+ * @param {string|null} field - Field of the values (null compares as text)
+ * @returns {boolean}
+ */
+export const sameValue = (a, b, field = null) =>
+  (field !== null && getSapField(field)?.type === 'amount'
+    ? sameAmount(a, b)
+    : String(a ?? '') === String(b ?? ''));
+
+/**
+ * ============================================================================
+ * trackChanges - Status of every row compared to the baseline
+ * ============================================================================
+ *
+ * Rows are matched by id. A row object that is still the baseline object is
+ * unchanged without comparing its fields (edits always create new objects).
+ *
+ * @param {Array} baseline - Rows as imported
+ * @param {Array} data - Current rows
+ * @param {Array<string>} fields - Fields to compare (internal fields are ignored)
+ * @returns {Object} Changes (see CHANGES SHAPE)
+ */
+export const trackChanges = (baseline, data, fields) => {
+  const changes = emptyChanges();
+  if (baseline.length === 0 && data.length === 0) return changes;
+
+  const baselineById = new Map();
+  baseline.forEach((row, index) => baselineById.set(row.id, { row, position: index + 1 }));
+
+  const currentIds = new Set();
+  data.forEach((row) => {
+    currentIds.add(row.id);
+    const original = baselineById.get(row.id);
+    if (!original) {
+      changes.byId.set(row.id, { status: CHANGE_STATUS.NEW, fields: {}, position: null });
+      changes.counts[CHANGE_STATUS.NEW] += 1;
+      return;
+    }
+    if (original.row === row) return;
+
+    const changedFields = {};
+    fields.forEach((field) => {
+      if (!sameValue(original.row[field], row[field], field)) {
+        changedFields[field] = { from: original.row[field] ?? '', to: row[field] ?? '' };
+      }
+    });
+    if (Object.keys(changedFields).length === 0) return;
+    changes.byId.set(row.id, { status: CHANGE_STATUS.MODIFIED, fields: changedFields, position: original.position });
+    changes.counts[CHANGE_STATUS.MODIFIED] += 1;
+  });
+
+  baseline.forEach((row, index) => {
+    if (!currentIds.has(row.id)) changes.deleted.push({ row, position: index + 1 });
+  });
+  changes.counts[CHANGE_STATUS.DELETED] = changes.deleted.length;
+
+  return changes;
+};
+
+/**
+ * Total number of changed rows (new, modified and deleted).
+ *
+ * @param {Object} changes - Changes from trackChanges()
+ * @returns {number}
+ */
+export const countChanges = (changes) =>
+  changes.counts[CHANGE_STATUS.NEW] + changes.counts[CHANGE_STATUS.MODIFIED] + changes.counts[CHANGE_STATUS.DELETED];
+
+/**
+ * Changes limited to the rows of one sheet tab: the table of a tab counts
+ * and lists (and restores) only that sheet's changes.
+ *
+ * @param {Object} changes - Changes from trackChanges()
+ * @param {string} sheetName - Sheet of the tab
+ * @param {Array} sheetRows - Current rows of the sheet
+ * @returns {Object} Changes with `deleted` and `counts` for the sheet
+ */
+export const changesOfSheet = (changes, sheetName, sheetRows) => {
+  const deleted = changes.deleted.filter(({ row }) => row._sheet === sheetName);
+  const counts = { ...emptyChanges().counts, [CHANGE_STATUS.DELETED]: deleted.length };
+  sheetRows.forEach((row) => {
+    const change = changes.byId.get(row.id);
+    if (change) counts[change.status] += 1;
+  });
+  return { ...changes, deleted, counts };
+};
+
+// Values in the change log use the export form (dates as YYYYMMDD)
+const logValue = (field, value) => (getSapField(field)?.type === 'date' ? toSapDate(value) : value ?? '');
+
+/**
+ * ============================================================================
+ * changeLogRows - One line per changed value, for the change-log export
+ * ============================================================================
+ *
+ * COLUMNS:
+ * Change | Sheet (multi-sheet imports) | Import Row | CHALLAN_NO | Field |
+ * Original Value | New Value
+ *
+ * Added rows list every filled field (original empty), deleted rows every
+ * filled field (new empty), modified rows only the fields that differ.
+ * Lines follow the table order; deleted rows come last in import order.
+ * The snapshot diff export (see snapshots.js) passes its own status labels
+ * and position header.
+ *
+ * @param {Object} changes - Changes from trackChanges()
+ * @param {Array} data - Current rows
+ * @param {Array<string>} fields - Fields of the data
+ * @param {Object} options - { labels: status → wording, positionHeader: column of the baseline position }
+ * @returns {Array<Object>} Lines ready for export
+ */
+export const changeLogRows = (
+  changes,
+  data,
+  fields,
+  { labels = CHANGE_STATUS_LABELS, positionHeader = 'Import Row' } = {}
+) => {
+  const withSheet = data.some((row) => row._sheet !== undefined) || changes.deleted.some(({ row }) => row._sheet !== undefined);
+  const lines = [];
+
+  const line = (status, row, position, field, from, to) => {
+    lines.push({
+      Change: labels[status],
+      ...(withSheet && { Sheet: row._sheet ?? '' }),
+      [positionHeader]: position ?? '',
+      CHALLAN_NO: row.CHALLAN_NO ?? '',
+      Field: field,
+      'Original Value': logValue(field, from),
+      'New Value': logValue(field, to),
+    });
+  };
+
+  // Every filled field of an added or deleted row (one line even when all are empty)
+  const wholeRow = (status, row, position) => {
+    const filled = fields.filter((field) => !sameValue(row[field], ''));
+    if (filled.length === 0) line(status, row, position, '(empty row)', '', '');
+    filled.forEach((field) => (status === CHANGE_STATUS.NEW
+      ? line(status, row, position, field, '', row[field])
+      : line(status, row, position, field, row[field], '')));
+  };
+
+  data.forEach((row) => {
+    const change = changes.byId.get(row.id);
+    if (!change) return;
+    if (change.status === CHANGE_STATUS.NEW) {
+      wholeRow(change.status, row, null);
+    } else {
+      Object.entries(change.fields).forEach(([field, { from, to }]) =>
+        line(change.status, row, change.position, field, from, to));
+    }
+  });
+
+  changes.deleted.forEach(({ row, position }) => wholeRow(CHANGE_STATUS.DELETED, row, position));
+
+  return lines;
+};
@@ -0,0 +1,205 @@
+import { getSapField } from './sapFields';
+import { isIsoDate, formatDate } from './dateUtils';
+
+/**
+ * ============================================================================
+ * Column Filters - Per-column filter definitions and matching
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Each column of the table can carry one filter. The kind of filter follows
+ * the field: codes get text operators, CHAN_AMT a numeric range, CHALL_DATE
+ * a date range, and bank/branch codes a checklist of their distinct values.
+ * Filters on different columns combine with AND.
+ *
+ * FILTER SHAPES (stored per field in an object { [field]: filter }):
+ * - { type: 'text', operator: 'contains'|'equals'|'starts-with', value }
+ * - { type: 'range', min, max }          (either bound may be '')
+ * - { type: 'date-range', from, to }     (YYYY-MM-DD, either may be '')
+ * - { type: 'values', values: [...] }    (rows whose value is in the list)
+ */
+
+export const FILTER_TYPES = {
+  TEXT: 'text',
+  RANGE: 'range',
+  DATE_RANGE: 'date-range',
+  VALUES: 'values',
+};
+
+export const TEXT_OPERATORS = {
+  CONTAINS: 'contains',
+  EQUALS: 'equals',
+  STARTS_WITH: 'starts-with',
+};
+
+export const TEXT_OPERATOR_LABELS = {
+  [TEXT_OPERATORS.CONTAINS]: 'contains',
+  [TEXT_OPERATORS.EQUALS]: 'equals',
+  [TEXT_OPERATORS.STARTS_WITH]: 'starts with',
+};
+
+// Fields filtered by picking from their distinct values
+const CHECKLIST_FIELDS = ['A_BANCD', 'A_BANKL'];
+
+const normalizeText = (value) => String(value ?? '').trim().toLowerCase();
+
+const toNumber = (value) => {
+  if (value === '' || value == null) return null;
+  const number = Number(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Returns the filter type used for a column.
+ *
+ * @param {string} field - Column name
+ * @returns {string} One of FILTER_TYPES
+ */
+export const filterTypeFor = (field) => {
+  if (CHECKLIST_FIELDS.includes(field)) return FILTER_TYPES.VALUES;
+  const type = getSapField(field)?.type;
+  if (type === 'amount') return FILTER_TYPES.RANGE;
+  if (type === 'date') return FILTER_TYPES.DATE_RANGE;
+  return FILTER_TYPES.TEXT;
+};
+
+/**
+ * Empty filter of the right type for a column (the popover's starting point).
+ *
+ * @param {string} field - Column name
+ * @returns {Object} Filter with no conditions set
+ */
+export const emptyFilter = (field) => {
+  switch (filterTypeFor(field)) {
+    case FILTER_TYPES.RANGE:
+      return { type: FILTER_TYPES.RANGE, min: '', max: '' };
+    case FILTER_TYPES.DATE_RANGE:
+      return { type: FILTER_TYPES.DATE_RANGE, from: '', to: '' };
+    case FILTER_TYPES.VALUES:
+      return { type: FILTER_TYPES.VALUES, values: [] };
+    default:
+      return { type: FILTER_TYPES.TEXT, operator: TEXT_OPERATORS.CONTAINS, value: '' };
+  }
+};
+
+/**
+ * Whether a filter actually restricts anything.
+ *
+ * @param {Object|null} filter - Column filter
+ * @returns {boolean}
+ */
+export const isFilterActive = (filter) => {
+  if (!filter) return false;
+  switch (filter.type) {
+    case FILTER_TYPES.RANGE:
+      return toNumber(filter.min) !== null || toNumber(filter.max) !== null;
+    case FILTER_TYPES.DATE_RANGE:
+      return isIsoDate(filter.from) || isIsoDate(filter.to);
+    case FILTER_TYPES.VALUES:
+      return filter.values.length > 0;
+    default:
+      return normalizeText(filter.value) !== '';
+  }
+};
+
+/**
+ * ============================================================================
+ * matchesFilter - Tests one cell value against a column filter
+ * ============================================================================
+ *
+ * RULES:
+ * - Text: case-insensitive, surrounding spaces ignored
+ * - Range: bounds are inclusive; values that are not numbers never match
+ * - Date range: bounds are inclusive; dates that could not be read never match
+ * - Values: exact match on the trimmed value
+ *
+ * @param {*} value - Cell value
+ * @param {Object} filter - Column filter
+ * @returns {boolean}
+ */
+export const matchesFilter = (value, filter) => {
+  switch (filter.type) {
+    case FILTER_TYPES.RANGE: {
+      const number = toNumber(value);
+      if (number === null) return false;
+      const min = toNumber(filter.min);
+      const max = toNumber(filter.max);
+      return (min === null || number >= min) && (max === null || number <= max);
+    }
+    case FILTER_TYPES.DATE_RANGE:
+      if (!isIsoDate(value)) return false;
+      return (!isIsoDate(filter.from) || value >= filter.from) && (!isIsoDate(filter.to) || value <= filter.to);
+    case FILTER_TYPES.VALUES:
+      return filter.values.includes(String(value ?? '').trim());
+    default: {
+      const text = normalizeText(value);
+      const term = normalizeText(filter.value);
+      if (filter.operator === TEXT_OPERATORS.EQUALS) return text === term;
+      if (filter.operator === TEXT_OPERATORS.STARTS_WITH) return text.startsWith(term);
+      return text.includes(term);
+    }
+  }
+};
+
+/**
+ * Keeps the rows matching every active column filter (AND).
+ *
+ * @param {Array} rows - Rows to filter
+ * @param {Object<string, Object>} filters - Filter per field
+ * @returns {Array} Matching rows (the same array when no filter is active)
+ */
+export const applyColumnFilters = (rows, filters) => {
+  const active = Object.entries(filters).filter(([, filter]) => isFilterActive(filter));
+  if (active.length === 0) return rows;
+  return rows.filter((row) => active.every(([field, filter]) => matchesFilter(row[field], filter)));
+};
+
+/**
+ * Distinct trimmed values of a column with their counts, for the checklist.
+ *
+ * @param {Array} rows - Rows to collect from
+ * @param {string} field - Column name
+ * @returns {Array<{value: string, count: number}>} Sorted by value (empty first)
+ */
+export const distinctValues = (rows, field) => {
+  const counts = new Map();
+  rows.forEach((row) => {
+    const value = String(row[field] ?? '').trim();
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+  return [...counts.entries()]
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => a.value.localeCompare(b.value, undefined, { numeric: true }));
+};
+
+/**
+ * Short text for a filter chip, e.g. "CHAN_AMT ≥ 100 and ≤ 5000".
+ *
+ * @param {string} field - Column name
+ * @param {Object} filter - Active column filter
+ * @param {string} dateFormat - Display format for dates
+ * @returns {string}
+ */
+export const describeFilter = (field, filter, dateFormat) => {
+  switch (filter.type) {
+    case FILTER_TYPES.RANGE: {
+      const parts = [];
+      if (toNumber(filter.min) !== null) parts.push(`≥ ${toNumber(filter.min).toLocaleString()}`);
+      if (toNumber(filter.max) !== null) parts.push(`≤ ${toNumber(filter.max).toLocaleString()}`);
+      return `${field} ${parts.join(' and ')}`;
+    }
+    case FILTER_TYPES.DATE_RANGE: {
+      const parts = [];
+      if (isIsoDate(filter.from)) parts.push(`from ${formatDate(filter.from, dateFormat)}`);
+      if (isIsoDate(filter.to)) parts.push(`to ${formatDate(filter.to, dateFormat)}`);
+      return `${field} ${parts.join(' ')}`;
+    }
+    case FILTER_TYPES.VALUES: {
+      const shown = filter.values.slice(0, 3).map((value) => value || '(empty)').join(', ');
+      const more = filter.values.length > 3 ? ` +${filter.values.length - 3}` : '';
+      return `${field} in ${shown}${more}`;
+    }
+    default:
+      return `${field} ${TEXT_OPERATOR_LABELS[filter.operator]} "${filter.value.trim()}"`;
+  }
+};
@@ -0,0 +1,243 @@
+/**
+ * ============================================================================
+ * Column Layout - Order, width, visibility and pinning of table columns
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The table shows the SAP fields in the order parseExcelFile produced them.
+ * A layout lets the user rearrange that view without touching the data:
+ * - order: preferred field order (fields missing from it keep header order
+ *   after the listed ones, so new fields still show up)
+ * - hidden: fields left out of the table
+ * - widths: column widths in px set by resizing (others use a default)
+ * - pinned: fields kept on the left while scrolling sideways; they are
+ *   always shown first, in this order, after the checkbox column
+ *
+ * Layouts are saved in localStorage per mapping profile, so every profile
+ * keeps its own arrangement:
+ * { [profileId]: { order, hidden, widths, pinned } }
+ */
+
+const COLUMN_LAYOUTS_STORAGE_KEY = 'excelstorm.columnLayouts';
+
+// Fields pinned until the user changes it
+const DEFAULT_PINNED = ['CHALLAN_NO'];
+
+// Widths (px) of columns that were never resized
+const DEFAULT_COLUMN_WIDTH = 150;
+const DEFAULT_COLUMN_WIDTHS = {
+  CHALL_DATE: 130,
+  CHAN_AMT: 130,
+  NOTES: 260,
+};
+
+// Narrowest a column can be resized to (px)
+export const MIN_COLUMN_WIDTH = 60;
+
+// Fixed columns around the data columns (px)
+export const CHECKBOX_COLUMN_WIDTH = 50;
+export const ACTIONS_COLUMN_WIDTH = 140;
+
+/**
+ * Layout of a profile that has not been customized.
+ *
+ * @returns {Object} Layout with header order, nothing hidden, CHALLAN_NO pinned
+ */
+export const defaultColumnLayout = () => ({
+  order: [],
+  hidden: [],
+  widths: {},
+  pinned: [...DEFAULT_PINNED],
+});
+
+/**
+ * Whether a layout differs from the default one (enables "Reset layout").
+ *
+ * @param {Object} layout - Column layout
+ * @returns {boolean}
+ */
+export const isCustomLayout = (layout) =>
+  layout.order.length > 0 ||
+  layout.hidden.length > 0 ||
+  Object.keys(layout.widths).length > 0 ||
+  layout.pinned.join('|') !== DEFAULT_PINNED.join('|');
+
+/**
+ * ============================================================================
+ * orderedColumns - Every field in layout order (hidden ones included)
+ * ============================================================================
+ *
+ * Pinned fields come first, then the layout's order, then any remaining
+ * headers in their original order. Fields the layout mentions but the data
+ * does not have are skipped.
+ *
+ * @param {Array<string>} headers - Columns of the data
+ * @param {Object} layout - Column layout
+ * @returns {Array<string>} Fields in display order
+ */
+export const orderedColumns = (headers, layout) => {
+  const available = new Set(headers);
+  const seen = new Set();
+  const result = [];
+  const add = (field) => {
+    if (!available.has(field) || seen.has(field)) return;
+    seen.add(field);
+    result.push(field);
+  };
+
+  layout.pinned.forEach(add);
+  layout.order.forEach(add);
+  headers.forEach(add);
+  return result;
+};
+
+/**
+ * Fields shown in the table, in display order.
+ *
+ * @param {Array<string>} headers - Columns of the data
+ * @param {Object} layout - Column layout
+ * @returns {Array<string>}
+ */
+export const visibleColumns = (headers, layout) =>
+  orderedColumns(headers, layout).filter((field) => !layout.hidden.includes(field));
+
+/**
+ * Width of a column in px: the resized width, or the field's default.
+ *
+ * @param {Object} layout - Column layout
+ * @param {string} field - Column name
+ * @returns {number}
+ */
+export const columnWidth = (layout, field) =>
+  layout.widths[field] ?? DEFAULT_COLUMN_WIDTHS[field] ?? DEFAULT_COLUMN_WIDTH;
+
+/**
+ * Left offsets (px) of the pinned columns among the visible ones, measured
+ * from the table's left edge after the checkbox column.
+ *
+ * @param {Array<string>} columns - Visible columns from visibleColumns()
+ * @param {Object} layout - Column layout
+ * @returns {Map<string, number>} field → left offset (only pinned fields)
+ */
+export const pinnedOffsets = (columns, layout) => {
+  const offsets = new Map();
+  let left = CHECKBOX_COLUMN_WIDTH;
+  columns.forEach((field) => {
+    if (!layout.pinned.includes(field)) return;
+    offsets.set(field, left);
+    left += columnWidth(layout, field);
+  });
+  return offsets;
+};
+
+/**
+ * ============================================================================
+ * moveColumn - Moves a column onto another column's position (drag & drop)
+ * ============================================================================
+ *
+ * The dragged column takes the target's place: dropped on a column to its
+ * right it ends up after that column, on one to its left before it.
+ *
+ * @param {Array<string>} headers - Columns of the data
+ * @param {Object} layout - Column layout
+ * @param {string} field - Dragged column
+ * @param {string} target - Column it was dropped on
+ * @returns {Object} New layout
+ */
+export const moveColumn = (headers, layout, field, target) => {
+  const order = orderedColumns(headers, layout);
+  const from = order.indexOf(field);
+  const to = order.indexOf(target);
+  if (from === -1 || to === -1 || from === to) return layout;
+
+  order.splice(from, 1);
+  order.splice(to, 0, field);
+
+  // Pinned fields follow the same relative order so a drop among them sticks
+  const pinned = order.filter((name) => layout.pinned.includes(name));
+  return { ...layout, order, pinned: [...pinned, ...layout.pinned.filter((name) => !pinned.includes(name))] };
+};
+
+/**
+ * Stores a resized column width (clamped to MIN_COLUMN_WIDTH), or removes it
+ * with null so the column goes back to its default width.
+ *
+ * @param {Object} layout - Column layout
+ * @param {string} field - Column name
+ * @param {number|null} width - New width in px
+ * @returns {Object} New layout
+ */
+export const setColumnWidth = (layout, field, width) => {
+  const widths = { ...layout.widths };
+  if (width == null) {
+    delete widths[field];
+  } else {
+    widths[field] = Math.max(MIN_COLUMN_WIDTH, Math.round(width));
+  }
+  return { ...layout, widths };
+};
+
+/**
+ * Shows or hides a column. The last visible column cannot be hidden.
+ *
+ * @param {Array<string>} headers - Columns of the data
+ * @param {Object} layout - Column layout
+ * @param {string} field - Column name
+ * @returns {Object} New layout (unchanged when it would hide every column)
+ */
+export const toggleColumnHidden = (headers, layout, field) => {
+  if (layout.hidden.includes(field)) {
+    return { ...layout, hidden: layout.hidden.filter((name) => name !== field) };
+  }
+  if (visibleColumns(headers, layout).length <= 1) return layout;
+  return { ...layout, hidden: [...layout.hidden, field] };
+};
+
+/**
+ * Pins a column to the left (after the pinned ones) or unpins it.
+ *
+ * @param {Object} layout - Column layout
+ * @param {string} field - Column name
+ * @returns {Object} New layout
+ */
+export const toggleColumnPinned = (layout, field) => ({
+  ...layout,
+  pinned: layout.pinned.includes(field)
+    ? layout.pinned.filter((name) => name !== field)
+    : [...layout.pinned, field],
+});
+
+/**
+ * Reads the saved layout of a mapping profile.
+ *
+ * @param {string} profileId - Mapping profile id
+ * @returns {Object} Saved layout, or the default layout
+ */
+export const loadColumnLayout = (profileId) => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(COLUMN_LAYOUTS_STORAGE_KEY) || '{}')[profileId];
+    return saved ? { ...defaultColumnLayout(), ...saved } : defaultColumnLayout();
+  } catch {
+    return defaultColumnLayout();
+  }
+};
+
+/**
+ * Saves the layout of a mapping profile; a default layout removes the entry.
+ *
+ * @param {string} profileId - Mapping profile id
+ * @param {Object} layout - Column layout
+ */
+export const saveColumnLayout = (profileId, layout) => {
+  try {
+    const layouts = JSON.parse(localStorage.getItem(COLUMN_LAYOUTS_STORAGE_KEY) || '{}');
+    if (isCustomLayout(layout)) {
+      layouts[profileId] = layout;
+    } else {
+      delete layouts[profileId];
+    }
+    localStorage.setItem(COLUMN_LAYOUTS_STORAGE_KEY, JSON.stringify(layouts));
+  } catch (error) {
+    console.warn('Could not save column layout:', error);
+  }
+};
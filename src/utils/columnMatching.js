@@ -0,0 +1,127 @@
+import { SAP_FIELDS } from './sapFields';
+import { normalizeHeader, resolveFieldColumns } from './mappingProfiles';
+
+// Minimum similarity (0..1) before a fuzzy match is suggested
+const SUGGESTION_THRESHOLD = 0.5;
+
+/**
+ * Splits a normalized string into overlapping character pairs ('date' → da, at, te).
+ */
+const bigrams = (text) => {
+  const pairs = [];
+  for (let i = 0; i < text.length - 1; i++) {
+    pairs.push(text.slice(i, i + 2));
+  }
+  return pairs;
+};
+
+/**
+ * ============================================================================
+ * headerSimilarity - Fuzzy similarity between two header names
+ * ============================================================================
+ *
+ * Uses the Dice coefficient over character bigrams of the normalized headers,
+ * with a bonus when one name fully contains the other ("Amt" in "Txn Amt").
+ *
+ * EXAMPLES:
+ * headerSimilarity('Challan No.', 'Challan Number') → ~0.78
+ * headerSimilarity('Txn Date', 'Date')             → 0.9 (containment)
+ * headerSimilarity('Amount', 'Notes')              → 0
+ *
+ * @param {string} a - First header
+ * @param {string} b - Second header
+ * @returns {number} Similarity between 0 (unrelated) and 1 (identical)
+ */
+export const headerSimilarity = (a, b) => {
+  const left = normalizeHeader(a);
+  const right = normalizeHeader(b);
+  if (!left || !right) return 0;
+  if (left === right) return 1;
+
+  const containment = left.length >= 3 && right.length >= 3 &&
+    (left.includes(right) || right.includes(left)) ? 0.9 : 0;
+
+  const leftPairs = bigrams(left);
+  const rightPairs = bigrams(right);
+  if (leftPairs.length === 0 || rightPairs.length === 0) return containment;
+
+  const remaining = [...rightPairs];
+  let shared = 0;
+  leftPairs.forEach((pair) => {
+    const index = remaining.indexOf(pair);
+    if (index !== -1) {
+      shared++;
+      remaining.splice(index, 1);
+    }
+  });
+
+  const dice = (2 * shared) / (leftPairs.length + rightPairs.length);
+  return Math.max(dice, containment);
+};
+
+/**
+ * ============================================================================
+ * suggestColumnMatches - Proposes a source column for every SAP field
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Pre-fills the column matching step of the import wizard so the user only
+ * has to correct the exceptions.
+ *
+ * HOW IT WORKS:
+ * 1. Exact matches from the mapping profile (aliases / column letters) win
+ * 2. Remaining fields are scored against every unused source column using
+ *    the profile aliases, the field key and its label
+ * 3. Best-scoring pairs are assigned greedily so one column maps to one field
+ * 4. Pairs below SUGGESTION_THRESHOLD are left unmatched (-1)
+ *
+ * @param {Array<string>} sourceHeaders - Header row of the selected sheet
+ * @param {Object} profile - Mapping profile providing aliases
+ * @returns {{matches: Object<string, number>, scores: Object<string, number>}}
+ *          Column index per field (-1 = none) and the confidence of each match
+ */
+export const suggestColumnMatches = (sourceHeaders, profile) => {
+  const { columns } = resolveFieldColumns(sourceHeaders, profile);
+  const matches = {};
+  const scores = {};
+  const usedColumns = new Set();
+
+  SAP_FIELDS.forEach(({ key }) => {
+    const index = columns[key];
+    if (index !== -1 && index < sourceHeaders.length && !usedColumns.has(index)) {
+      matches[key] = index;
+      scores[key] = 1;
+      usedColumns.add(index);
+    } else {
+      matches[key] = -1;
+      scores[key] = 0;
+    }
+  });
+
+  // Score every remaining field/column pair
+  const candidates = [];
+  SAP_FIELDS.forEach(({ key, label }) => {
+    if (matches[key] !== -1) return;
+    const names = [key, label, ...(profile.fields[key]?.headers || [])];
+
+    sourceHeaders.forEach((header, index) => {
+      if (usedColumns.has(index) || !header) return;
+      const score = Math.max(...names.map((name) => headerSimilarity(header, name)));
+      if (score >= SUGGESTION_THRESHOLD) {
+        candidates.push({ key, index, score });
+      }
+    });
+  });
+
+  // Greedy assignment, best matches first
+  candidates
+    .sort((a, b) => b.score - a.score)
+    .forEach(({ key, index, score }) => {
+      if (matches[key] !== -1 || usedColumns.has(index)) return;
+      matches[key] = index;
+      scores[key] = score;
+      usedColumns.add(index);
+    });
+
+  return { matches, scores };
+};
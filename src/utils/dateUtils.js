@@ -0,0 +1,266 @@
+import * as XLSX from 'xlsx';
+import { SAP_FIELDS } from './sapFields';
+
+/**
+ * ============================================================================
+ * Date Utilities - One date layer for CHALL_DATE
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Dates arrive as Excel serial numbers, JS Dates or strings in several
+ * layouts. Everything goes through this module so that:
+ * - the dataset stores ONE canonical form: ISO 'YYYY-MM-DD'
+ * - the table displays it in the format the user picked (DATE_DISPLAY_FORMATS)
+ * - exports always write the SAP form 'YYYYMMDD'
+ *
+ * DETECTED INPUTS:
+ * - Excel serial numbers (45659 → 2025-01-02), also as numeric strings
+ * - JS Date objects
+ * - ISO 'YYYY-MM-DD' (optionally with a time part) and 'YYYY/MM/DD'
+ * - SAP 'YYYYMMDD'
+ * - 'DD/MM/YYYY' and 'MM/DD/YYYY' (also with '-' or '.'); when both readings
+ *   are valid the configured order wins and the value is flagged ambiguous
+ *
+ * ROW FLAGS:
+ * Rows whose date could not be interpreted, or was ambiguous, carry
+ * `_dateIssue: 'invalid' | 'ambiguous'` so the table can mark them.
+ */
+
+export const DATE_ISSUES = {
+  INVALID: 'invalid',
+  AMBIGUOUS: 'ambiguous',
+};
+
+// Order used to read dates such as 03/04/2025 where day and month are both <= 12
+export const DATE_ORDERS = {
+  DAY_FIRST: 'dmy',
+  MONTH_FIRST: 'mdy',
+};
+
+export const DATE_DISPLAY_FORMATS = ['DD/MM/YYYY', 'MM/DD/YYYY', 'YYYY-MM-DD', 'DD-MMM-YYYY', 'YYYYMMDD'];
+
+export const DEFAULT_DATE_DISPLAY_FORMAT = 'DD/MM/YYYY';
+
+const DATE_FORMAT_STORAGE_KEY = 'excelstorm.dateDisplayFormat';
+
+const MONTH_NAMES = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+// Excel serials between 1 (1900-01-01) and 2958465 (9999-12-31)
+const MAX_EXCEL_SERIAL = 2958465;
+
+const ISO_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+
+const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+/**
+ * Builds an ISO date if year/month/day form a real calendar date.
+ *
+ * @returns {string|null} 'YYYY-MM-DD', or null for dates like 31/02
+ */
+const toIso = (year, month, day) => {
+  if (year < 1000 || year > 9999 || month < 1 || month > 12 || day < 1) return null;
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day > daysInMonth) return null;
+  return `${pad(year, 4)}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Expands two-digit years: 00-49 → 2000s, 50-99 → 1900s.
+ */
+const expandYear = (year) => {
+  if (year >= 100) return year;
+  return year < 50 ? 2000 + year : 1900 + year;
+};
+
+/**
+ * Converts an Excel serial number to an ISO date.
+ */
+const fromExcelSerial = (serial) => {
+  if (serial < 1 || serial > MAX_EXCEL_SERIAL) return null;
+  const parsed = XLSX.SSF.parse_date_code(serial);
+  return parsed ? toIso(parsed.y, parsed.m, parsed.d) : null;
+};
+
+/**
+ * Checks whether a value is already a canonical ISO date.
+ *
+ * @param {*} value - Any cell value
+ * @returns {boolean}
+ */
+export const isIsoDate = (value) => {
+  const match = typeof value === 'string' && ISO_PATTERN.exec(value);
+  return Boolean(match) && toIso(Number(match[1]), Number(match[2]), Number(match[3])) === value;
+};
+
+/**
+ * ============================================================================
+ * parseDateValue - Detects the format of a date value and normalizes it
+ * ============================================================================
+ *
+ * @param {*} value - Raw cell value (number, Date, string)
+ * @param {Object} options - { order: DATE_ORDERS value used for ambiguous dd/mm vs mm/dd }
+ * @returns {{value: string|null, format: string, issue: string|null}}
+ *          value: ISO date or null if empty/unreadable
+ *          format: detected input format ('serial', 'date', 'iso', 'sap', 'dmy', 'mdy', 'empty', 'unknown')
+ *          issue: null, DATE_ISSUES.AMBIGUOUS or DATE_ISSUES.INVALID
+ */
+export const parseDateValue = (value, { order = DATE_ORDERS.DAY_FIRST } = {}) => {
+  const invalid = { value: null, format: 'unknown', issue: DATE_ISSUES.INVALID };
+
+  if (value === null || value === undefined || value === '') {
+    return { value: null, format: 'empty', issue: null };
+  }
+
+  if (value instanceof Date) {
+    if (Number.isNaN(value.getTime())) return invalid;
+    const iso = toIso(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    return iso ? { value: iso, format: 'date', issue: null } : invalid;
+  }
+
+  if (typeof value === 'number') {
+    // 8-digit numbers are SAP dates typed into a numeric cell (20250131)
+    if (Number.isInteger(value) && value >= 10000101 && value <= 99991231) {
+      return parseDateValue(String(value), { order });
+    }
+    const iso = fromExcelSerial(value);
+    return iso ? { value: iso, format: 'serial', issue: null } : invalid;
+  }
+
+  const text = String(value).trim();
+  let match;
+
+  // ISO, optionally with a time part (2025-01-31T00:00:00)
+  if ((match = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s].*)?$/.exec(text)) ||
+      (match = /^(\d{4})\/(\d{1,2})\/(\d{1,2})$/.exec(text))) {
+    const iso = toIso(Number(match[1]), Number(match[2]), Number(match[3]));
+    return iso ? { value: iso, format: 'iso', issue: null } : invalid;
+  }
+
+  // SAP YYYYMMDD
+  if ((match = /^(\d{4})(\d{2})(\d{2})$/.exec(text))) {
+    const iso = toIso(Number(match[1]), Number(match[2]), Number(match[3]));
+    return iso ? { value: iso, format: 'sap', issue: null } : invalid;
+  }
+
+  // Excel serial stored as text
+  if (/^\d{1,7}(\.\d+)?$/.test(text)) {
+    const iso = fromExcelSerial(Number(text));
+    return iso ? { value: iso, format: 'serial', issue: null } : invalid;
+  }
+
+  // dd/mm/yyyy or mm/dd/yyyy with '/', '-' or '.' separators
+  if ((match = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2}|\d{4})$/.exec(text))) {
+    const first = Number(match[1]);
+    const second = Number(match[2]);
+    const year = expandYear(Number(match[3]));
+    const dayFirst = toIso(year, second, first);
+    const monthFirst = toIso(year, first, second);
+
+    if (dayFirst && monthFirst) {
+      const preferred = order === DATE_ORDERS.MONTH_FIRST ? monthFirst : dayFirst;
+      return {
+        value: preferred,
+        format: order,
+        // 05/05/2025 reads the same both ways
+        issue: dayFirst === monthFirst ? null : DATE_ISSUES.AMBIGUOUS,
+      };
+    }
+    if (dayFirst) return { value: dayFirst, format: DATE_ORDERS.DAY_FIRST, issue: null };
+    if (monthFirst) return { value: monthFirst, format: DATE_ORDERS.MONTH_FIRST, issue: null };
+    return invalid;
+  }
+
+  return invalid;
+};
+
+/**
+ * ============================================================================
+ * formatDate - Displays a canonical date in one of DATE_DISPLAY_FORMATS
+ * ============================================================================
+ *
+ * Values that are not ISO dates (e.g. an unreadable import) are returned
+ * unchanged so the user still sees what came in.
+ *
+ * EXAMPLE:
+ * formatDate('2025-01-31', 'DD-MMM-YYYY') → '31-Jan-2025'
+ *
+ * @param {*} value - Stored CHALL_DATE value
+ * @param {string} pattern - One of DATE_DISPLAY_FORMATS
+ * @returns {string} Formatted date
+ */
+export const formatDate = (value, pattern = DEFAULT_DATE_DISPLAY_FORMAT) => {
+  if (!isIsoDate(value)) return value == null ? '' : String(value);
+  const [year, month, day] = value.split('-');
+
+  return pattern
+    .replace('YYYY', year)
+    .replace('MMM', MONTH_NAMES[Number(month) - 1])
+    .replace('MM', month)
+    .replace('DD', day);
+};
+
+/**
+ * Converts a stored date to the SAP export form 'YYYYMMDD'.
+ * Non-ISO values are returned unchanged.
+ *
+ * @param {*} value - Stored CHALL_DATE value
+ * @returns {*} 'YYYYMMDD' or the original value
+ */
+export const toSapDate = (value) => (isIsoDate(value) ? value.replace(/-/g, '') : value);
+
+/**
+ * ============================================================================
+ * recheckDateIssue - Refreshes the `_dateIssue` flag of an edited row
+ * ============================================================================
+ *
+ * Call this when the user changed a date field. A date picked by the user is
+ * never ambiguous, so the flag is either dropped or set to 'invalid' when a
+ * date field still holds something that is not an ISO date.
+ *
+ * @param {Object} row - Row after editing
+ * @returns {Object} Row with an up-to-date `_dateIssue` (a new object)
+ */
+export const recheckDateIssue = (row) => {
+  const { _dateIssue, ...rest } = row;
+  const invalid = SAP_FIELDS.some(
+    ({ key, type }) => type === 'date' && rest[key] !== '' && rest[key] != null && !isIsoDate(rest[key])
+  );
+  return invalid ? { ...rest, _dateIssue: DATE_ISSUES.INVALID } : rest;
+};
+
+/**
+ * Today's date in canonical form (local time).
+ *
+ * @returns {string} 'YYYY-MM-DD'
+ */
+export const todayIso = () => {
+  const now = new Date();
+  return toIso(now.getFullYear(), now.getMonth() + 1, now.getDate());
+};
+
+/**
+ * Reads the display format chosen during a previous visit.
+ *
+ * @returns {string} One of DATE_DISPLAY_FORMATS
+ */
+export const loadDateDisplayFormat = () => {
+  try {
+    const saved = localStorage.getItem(DATE_FORMAT_STORAGE_KEY);
+    return DATE_DISPLAY_FORMATS.includes(saved) ? saved : DEFAULT_DATE_DISPLAY_FORMAT;
+  } catch {
+    return DEFAULT_DATE_DISPLAY_FORMAT;
+  }
+};
+
+/**
+ * Remembers the chosen display format.
+ *
+ * @param {string} format - One of DATE_DISPLAY_FORMATS
+ */
+export const saveDateDisplayFormat = (format) => {
+  try {
+    localStorage.setItem(DATE_FORMAT_STORAGE_KEY, format);
+  } catch (error) {
+    console.warn('Could not save date format:', error);
+  }
+};
@@ -0,0 +1,197 @@
+import { getSapField } from './sapFields';
+import { amountKey } from './amountUtils';
+
+/**
+ * ============================================================================
+ * Duplicates - Finding and resolving rows that share a challan key
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Bank files often repeat rows, and "Duplicate" in the table creates exact
+ * copies on purpose. SAP rejects a challan number posted twice, so rows are
+ * grouped by a configurable key and each group is resolved by the user.
+ *
+ * KEYS:
+ * A key is a list of fields; rows whose values match on all of them form a
+ * group. Text compares trimmed and case-insensitive, amounts numerically
+ * (so 500, '500' and '500.00' match). Rows whose key fields are all empty
+ * are never grouped.
+ *
+ * RESOLUTIONS (per group):
+ * - keep-first: keep the first row of the group, remove the others
+ * - keep-last: keep the last row, remove the others
+ * - merge: one row built from the first, blanks filled from later rows,
+ *   distinct NOTES joined with " | " (cut to the NOTES length, which the
+ *   summary reports)
+ * - keep-all: leave the group as it is
+ */
+
+export const DUPLICATE_KEY_PRESETS = [
+  { id: 'challan', label: 'CHALLAN_NO', fields: ['CHALLAN_NO'] },
+  { id: 'challan-bank-amount', label: 'CHALLAN_NO + A_BANCD + CHAN_AMT', fields: ['CHALLAN_NO', 'A_BANCD', 'CHAN_AMT'] },
+];
+
+export const RESOLUTIONS = {
+  KEEP_FIRST: 'keep-first',
+  KEEP_LAST: 'keep-last',
+  MERGE: 'merge',
+  KEEP_ALL: 'keep-all',
+};
+
+export const RESOLUTION_LABELS = {
+  [RESOLUTIONS.KEEP_FIRST]: 'Keep first',
+  [RESOLUTIONS.KEEP_LAST]: 'Keep last',
+  [RESOLUTIONS.MERGE]: 'Merge',
+  [RESOLUTIONS.KEEP_ALL]: 'Keep all',
+};
+
+const NOTES_SEPARATOR = ' | ';
+
+const isBlank = (value) => value === '' || value == null;
+
+/**
+ * Normalizes one key value so that equivalent spellings compare equal
+ * (amounts exactly, '500' and '500.00' alike, see amountKey).
+ */
+const keyValue = (field, value) => {
+  if (isBlank(value)) return '';
+  if (getSapField(field)?.type === 'amount') {
+    const key = amountKey(value);
+    if (key !== null) return key;
+  }
+  return String(value).trim().toLowerCase();
+};
+
+/**
+ * ============================================================================
+ * findDuplicateGroups - Groups rows sharing the same key
+ * ============================================================================
+ *
+ * @param {Array} data - Rows to search
+ * @param {Array<string>} fields - Key fields
+ * @returns {Array<{key: string, rows: Array<Object>, positions: Array<number>}>}
+ *          Groups of two or more rows in data order; positions are indexes in data
+ */
+export const findDuplicateGroups = (data, fields) => {
+  if (fields.length === 0) return [];
+  const groups = new Map();
+
+  data.forEach((row, position) => {
+    const values = fields.map((field) => keyValue(field, row[field]));
+    if (values.every((value) => value === '')) return;
+
+    const key = JSON.stringify(values);
+    const group = groups.get(key);
+    if (group) {
+      group.rows.push(row);
+      group.positions.push(position);
+    } else {
+      groups.set(key, { key, rows: [row], positions: [position] });
+    }
+  });
+
+  return [...groups.values()].filter((group) => group.rows.length > 1);
+};
+
+/**
+ * Distinct NOTES of a group joined with " | ", cut to the field's maximum
+ * length; null when there is nothing to join. droppedChars counts what the
+ * cut removed.
+ *
+ * @param {Array<Object>} rows - Rows of one group
+ * @returns {{text: string, droppedChars: number}|null}
+ */
+const joinNotes = (rows) => {
+  const notes = [...new Set(rows.map((row) => String(row.NOTES ?? '').trim()).filter(Boolean))];
+  if (notes.length < 2) return null;
+  const maxLength = getSapField('NOTES')?.maxLength;
+  const joined = notes.join(NOTES_SEPARATOR);
+  if (!maxLength || joined.length <= maxLength) return { text: joined, droppedChars: 0 };
+  return { text: joined.substring(0, maxLength), droppedChars: joined.length - maxLength };
+};
+
+/**
+ * ============================================================================
+ * mergeRows - Combines the rows of one group into a single row
+ * ============================================================================
+ *
+ * The first row wins wherever it has a value; its blanks are filled from the
+ * later rows in order. NOTES are the exception: all distinct notes are kept,
+ * joined with " | " and cut to the field's maximum length (applyResolutions
+ * reports the groups where that lost text).
+ *
+ * @param {Array<Object>} rows - Rows of one group, in data order
+ * @returns {Object} Merged row (keeps the first row's id)
+ */
+export const mergeRows = (rows) => {
+  const [first, ...rest] = rows;
+  const merged = { ...first };
+
+  rest.forEach((row) => {
+    Object.keys(row).forEach((field) => {
+      if (field === 'id' || field.startsWith('_')) return;
+      if (isBlank(merged[field]) && !isBlank(row[field])) merged[field] = row[field];
+    });
+  });
+
+  const notes = joinNotes(rows);
+  if (notes) merged.NOTES = notes.text;
+
+  return merged;
+};
+
+/**
+ * ============================================================================
+ * applyResolutions - Applies the chosen resolution to every group
+ * ============================================================================
+ *
+ * HOW IT WORKS:
+ * 1. Works out, per group, which row survives (or the merged replacement)
+ * 2. Builds the new dataset in one pass: removed rows are skipped, a merged
+ *    row takes the place of the group's first row
+ * 3. Returns a summary of what changed for the confirmation screen,
+ *    including merged rows whose joined NOTES were cut
+ *    (truncatedNotes: [{ row, droppedChars }])
+ *
+ * @param {Array} data - Full dataset the groups were found in
+ * @param {Array<Object>} groups - Result of findDuplicateGroups
+ * @param {Object<string, string>} resolutions - Resolution per group key (missing = keep-all)
+ * @returns {{data: Array, summary: {groupsResolved: number, merged: number, removedRows: Array<Object>, truncatedNotes: Array<Object>}}}
+ */
+export const applyResolutions = (data, groups, resolutions) => {
+  const removedIds = new Set();
+  const replacements = new Map();
+  const removedRows = [];
+  const truncatedNotes = [];
+  let groupsResolved = 0;
+  let merged = 0;
+
+  groups.forEach((group) => {
+    const resolution = resolutions[group.key] || RESOLUTIONS.KEEP_ALL;
+    if (resolution === RESOLUTIONS.KEEP_ALL) return;
+
+    groupsResolved += 1;
+    const keepIndex = resolution === RESOLUTIONS.KEEP_LAST ? group.rows.length - 1 : 0;
+    group.rows.forEach((row, index) => {
+      if (index === keepIndex) return;
+      removedIds.add(row.id);
+      removedRows.push(row);
+    });
+
+    if (resolution === RESOLUTIONS.MERGE) {
+      const mergedRow = mergeRows(group.rows);
+      replacements.set(group.rows[0].id, mergedRow);
+      merged += 1;
+      const droppedChars = joinNotes(group.rows)?.droppedChars;
+      if (droppedChars > 0) truncatedNotes.push({ row: mergedRow, droppedChars });
+    }
+  });
+
+  const updatedData = [];
+  data.forEach((row) => {
+    if (removedIds.has(row.id)) return;
+    updatedData.push(replacements.get(row.id) || row);
+  });
+
+  return { data: updatedData, summary: { groupsResolved, merged, removedRows, truncatedNotes } };
+};
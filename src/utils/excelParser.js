@@ -1,4 +1,15 @@
 import * as XLSX from 'xlsx';
+import { DEFAULT_PROFILE } from './mappingProfiles';
+import { createImportSession } from './parserClient';
+import { getSapField } from './sapFields';
+import { todayIso, toSapDate } from './dateUtils';
+import { diagnosticsReportRows } from './importDiagnostics';
+import { isCanonicalAmount } from './amountUtils';
+import { COMPARE_STATUS } from './fileCompare';
+import { nextRowId } from './rowIds';
+
+// Sheet helpers live in sheetTransform.js so the parsing worker can use them too
+export { listSheets, getSheetRows, getSheetRowsWithNumbers, getSheetPreview, transformRows } from './sheetTransform';
 
 /**
  * ============================================================================
@@ -10,21 +21,24 @@ import * as XLSX from 'xlsx';
  * standardized format that the data table can consume.
  *
  * HOW IT WORKS:
- * 1. Uses FileReader API to read the file as a binary array buffer
- * 2. Passes the buffer to XLSX library for parsing
+ * 1. Starts an import session on the parsing Web Worker (parserClient.js),
+ *    so reading and transforming never blocks the UI thread
+ * 2. The worker streams the file (reporting bytes read) and parses it with XLSX
  * 3. Reads the first sheet from the workbook
- * 4. Converts sheet data to JSON format
- * 5. Maps each row to a standardized object with SAP-compliant fields
+ * 4. Converts sheet data to raw row arrays
+ * 5. Maps each row to a standardized object with SAP-compliant fields,
+ *    using the selected column mapping profile (see mappingProfiles.js)
  * 6. Returns headers and transformed data for display
  *
- * EXPECTED INPUT COLUMNS (from Excel):
- * - Date: Transaction date (will use this column for CHALL_DATE)
+ * EXPECTED INPUT COLUMNS (from Excel, default profile):
+ * - Date / Challan Date: Transaction date (will use this column for CHALL_DATE)
  * - Challan Number: Reference number (max 11 chars)
  * - Bank Code: Bank identifier
  * - Branch Code: Branch identifier
  * - Account Code: Account/GL account code
  * - Amount: Transaction amount
  * - Notes: Additional remarks (max 255 chars)
+ * Other bank layouts are handled by choosing a different mapping profile.
  *
  * OUTPUT FORMAT:
  * Returns Promise with object containing:
@@ -33,77 +47,47 @@ import * as XLSX from 'xlsx';
  *   data: Array of transformed row objects with IDs
  *   error: Error message if parsing failed, null if successful
  *   rowCount: Total number of rows parsed
+ *   warnings: Mapping problems worth showing to the user (e.g. unmatched fields)
+ *   diagnostics: Per-row truncations, defaults and conversions plus unused
+ *                source columns (see importDiagnostics.js)
+ *   cancelled: true when the job was aborted through options.signal
  * }
  *
  * @param {File} file - Excel file to parse (XLSX, XLS, or CSV format)
- * @returns {Promise<{headers: Array, data: Array, error: string | null, rowCount: number}>}
+ * @param {Object} profile - Column mapping profile (defaults to the built-in layout)
+ * @param {Object} options - { onProgress: Function, signal: AbortSignal, amountSettings: { scale, rounding }
+ *                            amounts are rounded to (see amountUtils, default 2 decimals half up) }
+ * @returns {Promise<{headers: Array, data: Array, error: string | null, rowCount: number, warnings: Array<string>, diagnostics: Object}>}
  */
-export const parseExcelFile = async (file) => {
+export const parseExcelFile = async (file, profile = DEFAULT_PROFILE, { onProgress, signal, amountSettings } = {}) => {
+  const session = createImportSession(file, { onProgress });
+  const abort = () => session.cancel();
+  signal?.addEventListener('abort', abort);
+
   try {
-    const reader = new FileReader();
-
-    return new Promise((resolve) => {
-      reader.onload = (event) => {
-        try {
-          const workbook = XLSX.read(event.target.result, { type: 'array' });
-          const firstSheet = workbook.SheetNames[0];
-          const worksheet = workbook.Sheets[firstSheet];
-
-          // Get all data including headers
-          const rawData = XLSX.utils.sheet_to_json(worksheet);
-
-          // Transform data according to specification
-          const transformedData = rawData.map((item, index) => {
-            // Use "Date" column from Excel, fallback to current date if not available
-            const sapModelDate = item['Date'] || new Date();
-
-            return {
-              id: Date.now() + index, // Unique ID for row management
-              CHALLAN_NO: (item['Challan Number'] || '').toString().substring(0, 11),
-              A_BANCD: item['Bank Code'] || '',
-              A_BANKL: item['Branch Code'] || '',
-              CHALL_DATE: item['Date'],
-              ACCOUNT_CODE: item['Account Code'] || '',
-              CHAN_AMT: item['Amount'] || '0',
-              NOTES: (item['Notes'] || '').toString().substring(0, 255),
-              // Keep original data for reference
-              _originalData: item,
-            };
-          });
-
-          const headers = Object.keys(transformedData[0] || {}).filter(h => !h.startsWith('_') && h !== 'id');
-
-          resolve({
-            headers,
-            data: transformedData,
-            error: null,
-            rowCount: transformedData.length,
-          });
-        } catch (error) {
-          resolve({
-            headers: [],
-            data: [],
-            error: `Error parsing Excel file: ${error.message}`,
-          });
-        }
-      };
+    if (signal?.aborted) session.cancel();
 
-      reader.onerror = () => {
-        resolve({
-          headers: [],
-          data: [],
-          error: 'Error reading file',
-        });
-      };
+    const { sheets } = await session.open();
+    const { headers, data, warnings, diagnostics } = await session.transform(sheets[0].name, profile, { amountSettings });
 
-      reader.readAsArrayBuffer(file);
-    });
+    return {
+      headers,
+      data,
+      error: null,
+      rowCount: data.length,
+      warnings,
+      diagnostics,
+    };
   } catch (error) {
     return {
       headers: [],
       data: [],
-      error: `Error processing file: ${error.message}`,
+      error: error.cancelled ? error.message : `Error parsing Excel file: ${error.message}`,
+      cancelled: Boolean(error.cancelled),
     };
+  } finally {
+    signal?.removeEventListener('abort', abort);
+    session.dispose();
   }
 };
 
@@ -119,8 +103,9 @@ export const parseExcelFile = async (file) => {
  * HOW IT WORKS:
  * 1. Validates that data exists before proceeding
  * 2. Extracts all column headers (excluding internal fields starting with _)
- * 3. Converts each row to CSV format (comma-separated values)
- * 4. Properly escapes values containing commas or quotes:
+ * 3. Converts each row to CSV format (comma-separated values), writing dates
+ *    in SAP format (YYYYMMDD)
+ * 4. Properly escapes values containing commas, quotes or line breaks:
  *    - Wraps them in double quotes
  *    - Escapes internal quotes by doubling them
  * 5. Creates a Blob (binary data) from the CSV content
@@ -130,6 +115,8 @@ export const parseExcelFile = async (file) => {
  * CSV FORMATTING RULES:
  * - Values with commas: wrapped in quotes → "value, with comma"
  * - Values with quotes: quotes doubled → "say ""hello"""
+ * - Values with line breaks (multi-line NOTES): wrapped in quotes, so the
+ *   row does not split
  * - File defaults to: excelstorm_export.csv (unless filename provided)
  *
  * EXAMPLE OUTPUT:
@@ -138,21 +125,22 @@ export const parseExcelFile = async (file) => {
  *
  * @param {Array} data - Array of row objects to export
  * @param {string} filename - Output filename (default: 'excelstorm_export.csv')
+ * @param {Array<string>|null} columns - Columns to write, in this order (default: all)
  */
-export const exportDataAsCSV = (data, filename = 'excelstorm_export.csv') => {
+export const exportDataAsCSV = (data, filename = 'excelstorm_export.csv', columns = null) => {
   if (!data || data.length === 0) {
     alert('No data to export');
     return;
   }
 
-  const headers = Object.keys(data[0]).filter(h => !h.startsWith('_') && h !== 'id');
+  const headers = columns || Object.keys(data[0]).filter(h => !h.startsWith('_') && h !== 'id');
   const csvContent = [
     headers.join(','),
     ...data.map((row) =>
       headers.map((header) => {
-        const value = row[header];
-        // Handle commas and quotes in CSV
-        if (typeof value === 'string' && (value.includes(',') || value.includes('"'))) {
+        const value = toExportValue(header, row[header]);
+        // Handle commas, quotes and line breaks in CSV
+        if (typeof value === 'string' && /[",\r\n]/.test(value)) {
           return `"${value.replace(/"/g, '""')}"`;
         }
         return value;
@@ -169,6 +157,107 @@ export const exportDataAsCSV = (data, filename = 'excelstorm_export.csv') => {
   window.URL.revokeObjectURL(url);
 };
 
+/**
+ * Converts a stored value to its export form. Date fields are written in SAP
+ * format (YYYYMMDD); values that are not valid dates are exported unchanged.
+ *
+ * @param {string} key - Field name
+ * @param {*} value - Stored value
+ * @returns {*} Value to write to the file
+ */
+const toExportValue = (key, value) => (getSapField(key)?.type === 'date' ? toSapDate(value) : value);
+
+/**
+ * Strips internal fields (starting with _ or named 'id') and converts values
+ * to their export form for the Excel exports.
+ *
+ * @param {Array} data - Rows to export
+ * @param {Array<string>|null} columns - Columns to keep, in this order (default: all)
+ * @returns {Array<Object>} Plain objects ready for json_to_sheet
+ */
+const prepareExportRows = (data, columns = null) =>
+  data.map(row => {
+    const newRow = {};
+    const keys = columns || Object.keys(row).filter(key => !key.startsWith('_') && key !== 'id');
+    keys.forEach(key => {
+      newRow[key] = toExportValue(key, row[key]);
+    });
+    return newRow;
+  });
+
+/**
+ * Whether a canonical amount survives as an Excel number: Excel keeps 15
+ * significant digits, and the float must read back as the same text.
+ *
+ * @param {string} text - Canonical amount, e.g. '1250.50'
+ * @param {number} decimals - Its number of decimals
+ * @returns {boolean}
+ */
+const isExactAsNumber = (text, decimals) =>
+  text.replace(/[-.]/g, '').replace(/^0+/, '').length <= 15 && Number(text).toFixed(decimals) === text;
+
+/**
+ * Turns the amount cells of a worksheet into numeric cells with a number
+ * format matching their decimals, so Excel can total them. Values that are
+ * not canonical amounts, or that a number cannot hold exactly (more than 15
+ * significant digits), stay text.
+ *
+ * @param {Object} worksheet - XLSX worksheet from json_to_sheet
+ * @param {Array<string>} columns - Header of every column, in sheet order
+ * @param {number} rowCount - Number of data rows
+ */
+const writeAmountsAsNumbers = (worksheet, columns, rowCount) => {
+  columns.forEach((column, index) => {
+    if (getSapField(column)?.type !== 'amount') return;
+    const letter = XLSX.utils.encode_col(index);
+    for (let r = 2; r <= rowCount + 1; r++) {
+      const cell = worksheet[`${letter}${r}`];
+      if (!cell || !isCanonicalAmount(cell.v)) continue;
+      const decimals = cell.v.split('.')[1]?.length || 0;
+      if (!isExactAsNumber(cell.v, decimals)) continue;
+      worksheet[`${letter}${r}`] = {
+        t: 'n',
+        v: Number(cell.v),
+        z: decimals > 0 ? `#,##0.${'0'.repeat(decimals)}` : '#,##0',
+      };
+    }
+  });
+};
+
+/**
+ * Builds a worksheet with auto-sized columns and a styled header row.
+ * Amount columns are written as numbers (see writeAmountsAsNumbers).
+ *
+ * @param {Array<Object>} exportData - Rows from prepareExportRows()
+ * @returns {Object} XLSX worksheet
+ */
+const buildFormattedSheet = (exportData) => {
+  const worksheet = XLSX.utils.json_to_sheet(exportData);
+
+  // Set column widths for better readability (reduce, not spread: 100k+ rows overflow the stack)
+  const columns = Object.keys(exportData[0] || {});
+  writeAmountsAsNumbers(worksheet, columns, exportData.length);
+  worksheet['!cols'] = columns.map(col => ({
+    wch: exportData.reduce(
+      (width, row) => Math.max(width, String(row[col] || '').length + 2),
+      col.length + 2
+    ),
+  }));
+
+  // Add borders and formatting to header
+  for (let i = 0; i < columns.length; i++) {
+    const cellAddress = XLSX.utils.encode_col(i) + '1';
+    if (!worksheet[cellAddress]) continue;
+    worksheet[cellAddress].s = {
+      font: { bold: true, color: { rgb: 'FFFFFF' } },
+      fill: { fgColor: { rgb: '3b82f6' } },
+      alignment: { horizontal: 'center', vertical: 'center' },
+    };
+  }
+
+  return worksheet;
+};
+
 /**
  * ============================================================================
  * exportDataAsExcel - Downloads parsed data as a formatted Excel file
@@ -200,56 +289,228 @@ export const exportDataAsCSV = (data, filename = 'excelstorm_export.csv') => {
  *
  * @param {Array} data - Array of row objects to export
  * @param {string} filename - Output filename (default: 'excelstorm_export.xlsx')
+ * @param {Array<string>|null} columns - Columns to write, in this order (default: all)
  */
-export const exportDataAsExcel = (data, filename = 'excelstorm_export.xlsx') => {
+export const exportDataAsExcel = (data, filename = 'excelstorm_export.xlsx', columns = null) => {
   if (!data || data.length === 0) {
     alert('No data to export');
     return;
   }
 
-  // Prepare data for Excel, excluding internal fields and reformatting dates
-  const exportData = data.map(row => {
-    const newRow = {};
-    Object.keys(row).forEach(key => {
-      if (!key.startsWith('_') && key !== 'id') {
-        let value = row[key];
-        // Check if the value is a date in dd/mm/yyyy format
-        if (typeof value === 'string' && /^\d{2}\/\d{2}\/\d{4}$/.test(value)) {
-          const [day, month, year] = value.split('/');
-          value = `${year}-${month}-${day}`; // Convert to YYYY-MM-DD format
-        }
-        newRow[key] = value;
-      }
-    });
-    return newRow;
-  });
-
   // Create workbook and worksheet
   const workbook = XLSX.utils.book_new();
-  const worksheet = XLSX.utils.json_to_sheet(exportData);
+  const worksheet = buildFormattedSheet(prepareExportRows(data, columns));
 
-  // Set column widths for better readability
-  const columns = Object.keys(exportData[0] || {});
-  worksheet['!cols'] = columns.map(col => ({
-    wch: Math.max(
-      col.length + 2,
-      Math.max(...exportData.map(row => String(row[col] || '').length)) + 2
-    ),
-  }));
+  XLSX.utils.book_append_sheet(workbook, worksheet, 'Parsed Data');
+  XLSX.writeFile(workbook, filename);
+};
 
-  // Add borders and formatting to header
-  const headerRowCells = XLSX.utils.encode_col(0) + '1';
-  for (let i = 0; i < columns.length; i++) {
-    const cellAddress = XLSX.utils.encode_col(i) + '1';
-    if (!worksheet[cellAddress]) continue;
-    worksheet[cellAddress].s = {
-      font: { bold: true, color: { rgb: 'FFFFFF' } },
-      fill: { fgColor: { rgb: '3b82f6' } },
-      alignment: { horizontal: 'center', vertical: 'center' },
-    };
+/**
+ * ============================================================================
+ * exportSheetsAsExcel - Downloads a multi-sheet workbook, one sheet per source
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Writes data imported from several sheets back out the way it came in.
+ * Rows are grouped by their `_sheet` (see sheetDatasets.js); rows without a
+ * sheet, e.g. added manually in combine mode, go to "Parsed Data".
+ *
+ * Excel limits sheet names to 31 characters and forbids : \ / ? * [ ], so
+ * names are cleaned up and de-duplicated before writing.
+ *
+ * @param {Array} data - Array of row objects to export
+ * @param {string} filename - Output filename (default: 'excelstorm_export.xlsx')
+ * @param {Array<string>|null} columns - Columns to write, in this order (default: all)
+ */
+export const exportSheetsAsExcel = (data, filename = 'excelstorm_export.xlsx', columns = null) => {
+  if (!data || data.length === 0) {
+    alert('No data to export');
+    return;
   }
 
-  XLSX.utils.book_append_sheet(workbook, worksheet, 'Parsed Data');
+  // Group rows by source sheet, keeping the order sheets first appear in
+  const groups = new Map();
+  data.forEach((row) => {
+    const sheetName = row._sheet || 'Parsed Data';
+    if (!groups.has(sheetName)) groups.set(sheetName, []);
+    groups.get(sheetName).push(row);
+  });
+
+  const workbook = XLSX.utils.book_new();
+  const usedNames = new Set();
+
+  groups.forEach((rows, sheetName) => {
+    const baseName = sheetName.replace(/[:\\/?*[\]]/g, '_').substring(0, 31) || 'Sheet';
+    let name = baseName;
+    for (let suffix = 2; usedNames.has(name.toLowerCase()); suffix++) {
+      name = `${baseName.substring(0, 28)}_${suffix}`;
+    }
+    usedNames.add(name.toLowerCase());
+
+    XLSX.utils.book_append_sheet(workbook, buildFormattedSheet(prepareExportRows(rows, columns)), name);
+  });
+
+  XLSX.writeFile(workbook, filename);
+};
+
+/**
+ * ============================================================================
+ * exportGroupedAsExcel - Downloads grouped rows with subtotal rows
+ * ============================================================================
+ *
+ * Writes each group's rows followed by a subtotal line ("Subtotal A_BANCD
+ * BANK01 (12 rows)" with the exact sum of every numeric field); nested groups get
+ * their own subtotals before their parent's. A grand total line closes the
+ * sheet. The label goes into the first non-numeric column.
+ *
+ * @param {Array<Object>} groups - Groups from groupRows() (see grouping.js)
+ * @param {Object} totals - aggregateRows() result for all grouped rows
+ * @param {Array<string>} columns - Columns to write, in this order
+ * @param {string} filename - Output filename (default: 'excelstorm_grouped.xlsx')
+ */
+export const exportGroupedAsExcel = (groups, totals, columns, filename = 'excelstorm_grouped.xlsx') => {
+  const numeric = columns.filter((column) => totals.fields[column]);
+  const labelColumn = columns.find((column) => !numeric.includes(column)) || columns[0];
+
+  const totalLine = (label, aggregates) => {
+    const line = Object.fromEntries(columns.map((column) => [column, '']));
+    numeric.forEach((column) => {
+      line[column] = aggregates.fields[column].sum ?? '';
+    });
+    line[labelColumn] = `${label} (${aggregates.count} rows)`;
+    return line;
+  };
+
+  const lines = [];
+  const visit = (group) => {
+    if (group.children) {
+      group.children.forEach(visit);
+    } else {
+      lines.push(...prepareExportRows(group.rows, columns));
+    }
+    lines.push(totalLine(`Subtotal ${group.field} ${toExportValue(group.field, group.value) || '(blank)'}`, group.aggregates));
+  };
+  groups.forEach(visit);
+  lines.push(totalLine('Grand total', totals));
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, buildFormattedSheet(lines), 'Grouped Data');
+  XLSX.writeFile(workbook, filename);
+};
+
+/**
+ * ============================================================================
+ * exportDiagnosticsReport - Downloads the import diagnostics as a workbook
+ * ============================================================================
+ *
+ * Writes two sheets: "Changed Values" (one line per truncated, defaulted,
+ * converted or unreadable value, with its source row) and "Unmapped Columns"
+ * (source columns the import did not use).
+ *
+ * @param {Object} diagnostics - Diagnostics from the last import (see importDiagnostics.js)
+ * @param {string} filename - Output filename (default: 'excelstorm_import_report.xlsx')
+ */
+export const exportDiagnosticsReport = (diagnostics, filename = 'excelstorm_import_report.xlsx') => {
+  const { issueRows, columnRows } = diagnosticsReportRows(diagnostics);
+  const workbook = XLSX.utils.book_new();
+
+  XLSX.utils.book_append_sheet(
+    workbook,
+    buildFormattedSheet(issueRows.length ? issueRows : [{ Note: 'No values were changed during import' }]),
+    'Changed Values'
+  );
+  XLSX.utils.book_append_sheet(
+    workbook,
+    buildFormattedSheet(columnRows.length ? columnRows : [{ Note: 'Every source column was mapped' }]),
+    'Unmapped Columns'
+  );
+
+  XLSX.writeFile(workbook, filename);
+};
+
+/**
+ * ============================================================================
+ * exportChangeLog - Downloads the change log as a workbook
+ * ============================================================================
+ *
+ * Writes two sheets: "Summary" (file, export time and counts, one
+ * { Item, Value } line each) and "Change Log" (one line per changed value,
+ * see changeLogRows in changeTracking.js). The snapshot diff export uses
+ * the same layout under its own sheet name and empty-sheet note.
+ *
+ * @param {Array<Object>} lines - Change-log lines
+ * @param {Array<{Item: string, Value: *}>} summary - Summary lines
+ * @param {string} filename - Output filename (default: 'excelstorm_change_log.xlsx')
+ * @param {Object} options - { sheetName, emptyNote }
+ */
+export const exportChangeLog = (
+  lines,
+  summary,
+  filename = 'excelstorm_change_log.xlsx',
+  { sheetName = 'Change Log', emptyNote = 'No changes since import' } = {}
+) => {
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, buildFormattedSheet(summary), 'Summary');
+  XLSX.utils.book_append_sheet(
+    workbook,
+    buildFormattedSheet(lines.length ? lines : [{ Note: emptyNote }]),
+    sheetName
+  );
+  XLSX.writeFile(workbook, filename);
+};
+
+/**
+ * ============================================================================
+ * exportComparisonReport - Downloads a file comparison as a workbook
+ * ============================================================================
+ *
+ * SHEETS:
+ * - Summary: files, key and counts ({ Item, Value } lines from the caller)
+ * - Added / Removed / Unchanged: the rows of each category with their row
+ *   number in the file(s) they come from
+ * - Changed: one line per changed value (rows, key, Field, Old Value,
+ *   New Value, and the Difference for amounts)
+ *
+ * @param {Object} comparison - compareDatasets() result (see fileCompare.js)
+ * @param {Array<{Item: string, Value: *}>} summary - Summary lines
+ * @param {string} filename - Output filename (default: 'excelstorm_comparison.xlsx')
+ */
+export const exportComparisonReport = (comparison, summary, filename = 'excelstorm_comparison.xlsx') => {
+  const { entries, fields, keyFields } = comparison;
+  const ofStatus = (status) => entries.filter((entry) => entry.status === status);
+
+  // Rows of a category, preceded by their row numbers
+  const rowLines = (status, { older = false, newer = false }) =>
+    ofStatus(status).map((entry) => ({
+      ...(older && { 'Old Row': entry.olderPosition }),
+      ...(newer && { 'New Row': entry.newerPosition }),
+      ...prepareExportRows([entry.row], fields)[0],
+    }));
+
+  const keyHeader = keyFields.join(' / ');
+  const changeLines = ofStatus(COMPARE_STATUS.CHANGED).flatMap((entry) =>
+    Object.entries(entry.fields).map(([field, { from, to }]) => ({
+      'Old Row': entry.olderPosition,
+      'New Row': entry.newerPosition,
+      [keyHeader]: entry.key,
+      Field: field,
+      'Old Value': toExportValue(field, from) ?? '',
+      'New Value': toExportValue(field, to) ?? '',
+      Difference: entry.differences[field] ?? '',
+    })));
+
+  const sheets = [
+    ['Added', rowLines(COMPARE_STATUS.ADDED, { newer: true }), 'No rows were added'],
+    ['Removed', rowLines(COMPARE_STATUS.REMOVED, { older: true }), 'No rows were removed'],
+    ['Changed', changeLines, 'No rows were changed'],
+    ['Unchanged', rowLines(COMPARE_STATUS.UNCHANGED, { older: true, newer: true }), 'No row is unchanged'],
+  ];
+
+  const workbook = XLSX.utils.book_new();
+  XLSX.utils.book_append_sheet(workbook, buildFormattedSheet(summary), 'Summary');
+  sheets.forEach(([name, lines, emptyNote]) => {
+    XLSX.utils.book_append_sheet(workbook, buildFormattedSheet(lines.length ? lines : [{ Note: emptyNote }]), name);
+  });
   XLSX.writeFile(workbook, filename);
 };
 
@@ -264,20 +525,21 @@ export const exportDataAsExcel = (data, filename = 'excelstorm_export.xlsx') =>
  * a new record into the data table.
  *
  * HOW IT WORKS:
- * 1. Generates a unique ID based on current timestamp
+ * 1. Takes a new unique ID (see rowIds.js)
  * 2. Initializes all SAP-compliant fields with empty/default values:
  *    - CHALLAN_NO: Challan/reference number (empty)
  *    - A_BANCD: Bank code (empty)
  *    - A_BANKL: Branch code (empty)
- *    - CHALL_DATE: Settlement date (today's date in YYYYMMDD format)
+ *    - CHALL_DATE: Settlement date (today's date, canonical YYYY-MM-DD)
  *    - ACCOUNT_CODE: GL/Account code (empty)
  *    - CHAN_AMT: Amount (defaults to '0')
  *    - NOTES: Additional notes (empty)
  *
  * DEFAULT VALUES:
  * - All text fields start empty except CHALL_DATE and CHAN_AMT
- * - CHALL_DATE is set to today's date in YYYYMMDD format
- * - CHAN_AMT defaults to '0' (string, not number)
+ * - CHALL_DATE is set to today's date in YYYY-MM-DD format (exported as YYYYMMDD)
+ * - CHAN_AMT defaults to '0' (string, not number); it is brought to the
+ *   chosen number of decimals ('0.00') when the row is added (see amountUtils.js)
  *
  * RETURN EXAMPLE:
  * {
@@ -285,7 +547,7 @@ export const exportDataAsExcel = (data, filename = 'excelstorm_export.xlsx') =>
  *   CHALLAN_NO: '',
  *   A_BANCD: '',
  *   A_BANKL: '',
- *   CHALL_DATE: '20260224',
+ *   CHALL_DATE: '2026-02-24',
  *   ACCOUNT_CODE: '',
  *   CHAN_AMT: '0',
  *   NOTES: '',
@@ -295,11 +557,11 @@ export const exportDataAsExcel = (data, filename = 'excelstorm_export.xlsx') =>
  */
 export const createNewRow = () => {
   return {
-    id: Date.now(),
+    id: nextRowId(),
     CHALLAN_NO: '',
     A_BANCD: '',
     A_BANKL: '',
-    CHALL_DATE: new Date().toLocaleDateString('en-GB'),
+    CHALL_DATE: todayIso(),
     ACCOUNT_CODE: '',
     CHAN_AMT: '0',
     NOTES: '',
@@ -0,0 +1,239 @@
+import { getSapField } from './sapFields';
+import { aggregateAmounts, subtractAmounts } from './amountUtils';
+import { CHANGE_STATUS, emptyChanges, sameValue } from './changeTracking';
+
+/**
+ * ============================================================================
+ * File Compare - Keyed differences between two uploaded files
+ * ============================================================================
+ *
+ * PURPOSE:
+ * A bank often re-sends a corrected file. Both files are parsed the usual
+ * way (parseExcelFile) and their rows matched on a key chosen by the user
+ * (CHALLAN_NO by default), which tells what the re-send changed.
+ *
+ * HOW IT WORKS:
+ * - Keys are the key fields' values, trimmed and upper-cased, so " c-1"
+ *   and "C-1" are the same challan
+ * - A key occurring more than once is matched by occurrence: the first
+ *   older row with the key pairs with the first newer one, and so on
+ * - Rows whose key fields are all blank cannot be matched and count as
+ *   removed (older file) or added (newer file)
+ * Every row ends up in one category:
+ * - added: only in the newer file
+ * - removed: only in the older file
+ * - changed: in both, with old → new per differing field and the exact
+ *   difference of each amount field (newer − older)
+ * - unchanged: in both with the same values
+ *
+ * COMPARISON SHAPE (compareDatasets):
+ * {
+ *   entries: [{ status, key, row, older, newer, olderPosition, newerPosition,
+ *               fields: { CHAN_AMT: { from, to } }, differences: { CHAN_AMT: '50.00' } }],
+ *   counts: { added, removed, changed, unchanged },
+ *   totals: [{ field, older, newer, difference }],   // sums of amount fields
+ *   warnings: { blankKeys, duplicateKeys },
+ *   keyFields, fields,
+ * }
+ * Entries follow the newer file, removed rows last in the older file's
+ * order; `row` is the newer row (the older one when removed), positions
+ * are 1-based rows of each file.
+ */
+
+export const COMPARE_STATUS = {
+  ADDED: 'added',
+  REMOVED: 'removed',
+  CHANGED: 'changed',
+  UNCHANGED: 'unchanged',
+};
+
+export const COMPARE_STATUS_LABELS = {
+  [COMPARE_STATUS.ADDED]: 'Added',
+  [COMPARE_STATUS.REMOVED]: 'Removed',
+  [COMPARE_STATUS.CHANGED]: 'Changed',
+  [COMPARE_STATUS.UNCHANGED]: 'Unchanged',
+};
+
+// Fields matched on unless the user picks others
+export const DEFAULT_COMPARE_KEY = ['CHALLAN_NO'];
+
+// Extra columns of the comparison table
+export const STATUS_COLUMN = 'COMPARE_STATUS';
+export const OLD_ROW_COLUMN = 'OLD_ROW';
+export const NEW_ROW_COLUMN = 'NEW_ROW';
+export const CHANGED_FIELDS_COLUMN = 'CHANGED_FIELDS';
+
+/**
+ * Column holding the difference of an amount field, e.g. CHAN_AMT_DIFF.
+ */
+export const differenceColumn = (field) => `${field}_DIFF`;
+
+/**
+ * Matching key of a row, or null when every key field is blank.
+ */
+const rowKey = (row, keyFields) => {
+  const parts = keyFields.map((field) => String(row[field] ?? '').trim().toUpperCase());
+  return parts.every((part) => part === '') ? null : parts.join('\u0000');
+};
+
+/**
+ * Key as shown to the user, e.g. "C-1001 / SBI".
+ */
+const keyLabel = (row, keyFields) => keyFields.map((field) => String(row[field] ?? '').trim()).join(' / ');
+
+const amountFieldsOf = (fields) => fields.filter((field) => getSapField(field)?.type === 'amount');
+
+/**
+ * ============================================================================
+ * compareDatasets - Added, removed, changed and unchanged rows of two files
+ * ============================================================================
+ *
+ * @param {Array} olderRows - Rows of the original file
+ * @param {Array} newerRows - Rows of the re-sent file
+ * @param {Array<string>} keyFields - Fields identifying a row (at least one)
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {Object} Comparison (see COMPARISON SHAPE)
+ */
+export const compareDatasets = (olderRows, newerRows, keyFields, fields) => {
+  const amountFields = amountFieldsOf(fields);
+
+  // Older rows waiting for a partner, per key in file order
+  const pending = new Map();
+  const duplicates = new Set();
+  let blankKeys = 0;
+  olderRows.forEach((row, index) => {
+    const key = rowKey(row, keyFields);
+    if (key === null) {
+      blankKeys += 1;
+      return;
+    }
+    if (pending.has(key)) duplicates.add(key);
+    else pending.set(key, []);
+    pending.get(key).push({ row, position: index + 1 });
+  });
+
+  const entries = [];
+  const matched = new Set();
+  const newerKeys = new Set();
+  newerRows.forEach((row, index) => {
+    const key = rowKey(row, keyFields);
+    if (key === null) blankKeys += 1;
+    else if (newerKeys.has(key)) duplicates.add(key);
+    else newerKeys.add(key);
+
+    const partner = key === null ? null : pending.get(key)?.shift();
+    const entry = { key: keyLabel(row, keyFields), row, newer: row, newerPosition: index + 1, fields: {}, differences: {} };
+    if (!partner) {
+      entries.push({ ...entry, status: COMPARE_STATUS.ADDED, older: null, olderPosition: null });
+      return;
+    }
+
+    matched.add(partner.row);
+    fields.forEach((field) => {
+      if (!sameValue(partner.row[field], row[field], field)) entry.fields[field] = { from: partner.row[field], to: row[field] };
+    });
+    amountFields.forEach((field) => {
+      if (entry.fields[field]) entry.differences[field] = subtractAmounts(row[field], partner.row[field]);
+    });
+    entries.push({
+      ...entry,
+      status: Object.keys(entry.fields).length > 0 ? COMPARE_STATUS.CHANGED : COMPARE_STATUS.UNCHANGED,
+      older: partner.row,
+      olderPosition: partner.position,
+    });
+  });
+
+  olderRows.forEach((row, index) => {
+    if (matched.has(row)) return;
+    entries.push({
+      status: COMPARE_STATUS.REMOVED,
+      key: keyLabel(row, keyFields),
+      row,
+      older: row,
+      newer: null,
+      olderPosition: index + 1,
+      newerPosition: null,
+      fields: {},
+      differences: {},
+    });
+  });
+
+  const counts = Object.fromEntries(Object.values(COMPARE_STATUS).map((status) => [status, 0]));
+  entries.forEach(({ status }) => {
+    counts[status] += 1;
+  });
+
+  const totals = amountFields.map((field) => {
+    const older = aggregateAmounts(olderRows.map((row) => row[field])).sum;
+    const newer = aggregateAmounts(newerRows.map((row) => row[field])).sum;
+    return { field, older, newer, difference: subtractAmounts(newer ?? '0', older ?? '0') };
+  });
+
+  return {
+    entries,
+    counts,
+    totals,
+    warnings: { blankKeys, duplicateKeys: duplicates.size },
+    keyFields,
+    fields,
+  };
+};
+
+// Row markers of the comparison table, in change-tracking terms
+const TABLE_STATUS = {
+  [COMPARE_STATUS.ADDED]: CHANGE_STATUS.NEW,
+  [COMPARE_STATUS.CHANGED]: CHANGE_STATUS.MODIFIED,
+  [COMPARE_STATUS.REMOVED]: CHANGE_STATUS.DELETED,
+};
+
+/**
+ * ============================================================================
+ * comparisonTable - Rows and markers for showing a comparison in the table
+ * ============================================================================
+ *
+ * One row per entry with the status, both file rows, the compared fields
+ * (the newer values; the older ones for removed rows), the names of the
+ * changed fields and the amount differences. `changes` has the shape of
+ * trackChanges() so VirtualizedDataTable marks the rows and shows the older
+ * value of every changed cell; its counts stay zero, the compare view has
+ * its own status filter.
+ *
+ * @param {Object} comparison - compareDatasets() result
+ * @returns {{headers: Array<string>, rows: Array<Object>, changes: Object}}
+ */
+export const comparisonTable = ({ entries, fields }) => {
+  const amountFields = amountFieldsOf(fields);
+  const headers = [
+    STATUS_COLUMN,
+    OLD_ROW_COLUMN,
+    NEW_ROW_COLUMN,
+    ...fields,
+    CHANGED_FIELDS_COLUMN,
+    ...amountFields.map(differenceColumn),
+  ];
+
+  const changes = emptyChanges();
+  const rows = entries.map((entry, index) => {
+    const row = {
+      id: index + 1,
+      _compareStatus: entry.status,
+      [STATUS_COLUMN]: COMPARE_STATUS_LABELS[entry.status],
+      [OLD_ROW_COLUMN]: entry.olderPosition ?? '',
+      [NEW_ROW_COLUMN]: entry.newerPosition ?? '',
+      [CHANGED_FIELDS_COLUMN]: Object.keys(entry.fields).join(', '),
+    };
+    fields.forEach((field) => {
+      row[field] = entry.row[field] ?? '';
+    });
+    amountFields.forEach((field) => {
+      row[differenceColumn(field)] = entry.differences[field] ?? '';
+    });
+
+    if (TABLE_STATUS[entry.status]) {
+      changes.byId.set(row.id, { status: TABLE_STATUS[entry.status], fields: entry.fields, position: entry.olderPosition });
+    }
+    return row;
+  });
+
+  return { headers, rows, changes };
+};
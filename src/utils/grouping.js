@@ -0,0 +1,175 @@
+import { getSapField } from './sapFields';
+import { sortRows, SORT_DIRECTIONS, DEFAULT_NULLS_POSITION } from './sorting';
+import { aggregateAmounts, formatAmount } from './amountUtils';
+
+/**
+ * ============================================================================
+ * Grouping - Nested row groups with subtotal aggregates
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Groups the table's rows by one or more fields (e.g. A_BANCD → A_BANKL) and
+ * computes, per group, the row count and the sum, min, max and average of
+ * every numeric (amount) field. Used for reconciliation totals per bank,
+ * branch or day.
+ *
+ * GROUP SHAPE:
+ * {
+ *   type: 'group',
+ *   key: 'A_BANCD=BANK01/A_BANKL=BR1',  // unique path, used to collapse it
+ *   field, value, depth,                // depth 0 = outermost group
+ *   rows: [...],                        // every row in the group, in table order
+ *   children: [...] | null,             // sub-groups, null on the innermost level
+ *   aggregates: { count, fields: { CHAN_AMT: { sum, min, max, avg, count } } }
+ * }
+ * Aggregates are exact decimal strings (see aggregateAmounts), so a subtotal
+ * of 0.10 + 0.20 is '0.30', never 0.30000000000000004.
+ *
+ * Groups are ordered by their value like a column sort (typed, blanks
+ * last unless the nulls setting says otherwise, descending when the table
+ * sorts that field descending); rows inside a group keep the order they
+ * had in the table.
+ */
+
+/**
+ * Fields that get sum/min/max/average (amount fields among the columns).
+ *
+ * @param {Array<string>} fields - Column names
+ * @returns {Array<string>}
+ */
+export const numericFields = (fields) => fields.filter((field) => getSapField(field)?.type === 'amount');
+
+/**
+ * ============================================================================
+ * aggregateRows - Count plus sum/min/max/average of numeric fields
+ * ============================================================================
+ *
+ * Values that are blank or not numbers are left out of the numeric
+ * aggregates (their count says how many values were used). Sums are exact.
+ *
+ * @param {Array} rows - Rows to aggregate
+ * @param {Array<string>} fields - Numeric fields to aggregate
+ * @returns {{count: number, fields: Object<string, {sum, min, max, avg, count}>}}
+ */
+export const aggregateRows = (rows, fields) => {
+  const result = { count: rows.length, fields: {} };
+
+  fields.forEach((field) => {
+    result.fields[field] = aggregateAmounts(rows.map((row) => row[field]));
+  });
+
+  return result;
+};
+
+/**
+ * ============================================================================
+ * groupRows - Builds the nested groups
+ * ============================================================================
+ *
+ * EXAMPLE:
+ * groupRows(rows, ['A_BANCD', 'A_BANKL'], { numeric: ['CHAN_AMT'] })
+ * → [{ field: 'A_BANCD', value: 'BANK01', children: [{ field: 'A_BANKL', ... }] }, ...]
+ *
+ * @param {Array} rows - Rows in table order (already filtered and sorted)
+ * @param {Array<string>} groupFields - Fields to group by, outermost first
+ * @param {Object} options
+ * @param {Array<string>} options.numeric - Fields to aggregate
+ * @param {Array} [options.sortKeys] - Table sort keys; a group field that is
+ *   also a sort key is ordered in that key's direction, otherwise ascending
+ * @param {string} [options.nulls] - Where the blank group goes ('first' or 'last')
+ * @returns {Array<Object>} Top-level groups
+ */
+export const groupRows = (
+  rows,
+  groupFields,
+  { numeric, sortKeys = [], nulls = DEFAULT_NULLS_POSITION },
+  parentKey = '',
+  depth = 0
+) => {
+  const [field, ...rest] = groupFields;
+
+  // Bucket by trimmed value, keeping the table order inside each bucket
+  const buckets = new Map();
+  rows.forEach((row) => {
+    const value = String(row[field] ?? '').trim();
+    if (!buckets.has(value)) buckets.set(value, []);
+    buckets.get(value).push(row);
+  });
+
+  // Order the buckets with the same comparators as a column sort
+  const ordered = sortRows(
+    [...buckets.keys()].map((value) => ({ [field]: value })),
+    [{ key: field, direction: sortKeys.find((sortKey) => sortKey.key === field)?.direction || SORT_DIRECTIONS.ASC }],
+    { nulls }
+  );
+
+  return ordered.map(({ [field]: value }) => {
+    const groupRowsOfValue = buckets.get(value);
+    const key = `${parentKey}${parentKey ? '/' : ''}${field}=${value}`;
+    return {
+      type: 'group',
+      key,
+      field,
+      value,
+      depth,
+      rows: groupRowsOfValue,
+      children: rest.length > 0
+        ? groupRows(groupRowsOfValue, rest, { numeric, sortKeys, nulls }, key, depth + 1)
+        : null,
+      aggregates: aggregateRows(groupRowsOfValue, numeric),
+    };
+  });
+};
+
+/**
+ * ============================================================================
+ * flattenGroups - Lines shown by the table
+ * ============================================================================
+ *
+ * Each group contributes its header line, then (unless collapsed) its
+ * sub-groups or rows. Group headers and rows are all one line tall, so the
+ * table can window and paginate the result like plain rows.
+ *
+ * @param {Array<Object>} groups - Groups from groupRows()
+ * @param {Set<string>} collapsed - Keys of collapsed groups
+ * @returns {Array<Object>} Group objects and rows, in display order
+ */
+export const flattenGroups = (groups, collapsed) => {
+  const lines = [];
+  const visit = (group) => {
+    lines.push(group);
+    if (collapsed.has(group.key)) return;
+    if (group.children) {
+      group.children.forEach(visit);
+    } else {
+      group.rows.forEach((row) => lines.push(row));
+    }
+  };
+  groups.forEach(visit);
+  return lines;
+};
+
+/**
+ * Whether a line from flattenGroups() is a group header (not a row).
+ *
+ * @param {Object} line - Group or row
+ * @returns {boolean}
+ */
+export const isGroupLine = (line) => line?.type === 'group';
+
+/**
+ * Keys of every group at every level (for "Collapse all").
+ *
+ * @param {Array<Object>} groups - Groups from groupRows()
+ * @returns {Array<string>}
+ */
+export const allGroupKeys = (groups) =>
+  groups.flatMap((group) => [group.key, ...(group.children ? allGroupKeys(group.children) : [])]);
+
+/**
+ * Formats an aggregate for display, grouped like the amount cells.
+ *
+ * @param {string|null} value - Aggregate value (exact decimal string)
+ * @returns {string}
+ */
+export const formatAggregate = (value) => (value === null ? '–' : formatAmount(value));
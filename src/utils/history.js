@@ -0,0 +1,273 @@
+/**
+ * ============================================================================
+ * History - Undo/redo of data changes as compact patches
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Every change to the dataset replaces the rows array. Keeping each old
+ * array would cost one full array per step (200k pointers for a one-cell
+ * edit), so each step keeps only a patch: the rows it removed, added and
+ * replaced. Rows are never mutated in place, so a patch can hold the row
+ * objects themselves without copying them.
+ *
+ * PATCH SHAPE:
+ * {
+ *   removed:  [[index, row], ...],     // rows only in the old array, old index
+ *   added:    [[index, row], ...],     // rows only in the new array, new index
+ *   replaced: [[id, oldRow, newRow]],  // same id, different object
+ *   snapshot: { before, after },       // only when rows changed their order
+ *   size:     number,                  // rows referenced (for the budget)
+ * }
+ *
+ * HISTORY SHAPE:
+ * {
+ *   entries: [{ label, at, patch, settings }], // oldest first
+ *   index,                                     // entries applied (undo goes back from here)
+ *   dropped,                                   // oldest entries discarded to stay bounded
+ * }
+ * settings ({ before, after }) is only set on steps that also changed a
+ * setting, e.g. rounding amounts to another scale.
+ *
+ * BOUNDS:
+ * At most HISTORY_LIMIT steps and HISTORY_ROW_BUDGET referenced rows are
+ * kept; the oldest steps are dropped first. Recording a new change discards
+ * the steps that were undone (no redo after a new edit, as in editors).
+ */
+
+// Most steps kept in the history
+export const HISTORY_LIMIT = 100;
+
+// Most rows referenced by all patches together (a bulk edit of 200k rows
+// references 400k: old and new object)
+export const HISTORY_ROW_BUDGET = 1000000;
+
+/**
+ * Empty history (after an import or Clear).
+ *
+ * @returns {{entries: Array, index: number, dropped: number}}
+ */
+export const emptyHistory = () => ({ entries: [], index: 0, dropped: 0 });
+
+/**
+ * "1 row", "42 rows" - counts for history labels.
+ *
+ * @param {number} count - How many
+ * @param {string} noun - Singular noun
+ * @returns {string}
+ */
+export const pluralize = (count, noun) => `${count.toLocaleString()} ${noun}${count === 1 ? '' : 's'}`;
+
+/**
+ * Names a row in history labels: its challan number, or its position when
+ * it has none yet.
+ *
+ * @param {Object} row - Row
+ * @param {number} position - 1-based position in the table
+ * @returns {string} e.g. 'row CH0012' or 'row #17'
+ */
+export const describeRow = (row, position) =>
+  row.CHALLAN_NO ? `row ${row.CHALLAN_NO}` : `row #${position}`;
+
+/**
+ * Label for an edited row: which fields changed, e.g.
+ * "Edited CHAN_AMT on row CH0012".
+ *
+ * @param {Object} oldRow - Row before the edit
+ * @param {Object} newRow - Row after the edit
+ * @param {Array<string>} fields - Fields to compare
+ * @param {number} position - 1-based position in the table
+ * @returns {string}
+ */
+export const describeRowEdit = (oldRow, newRow, fields, position) => {
+  const changed = fields.filter((field) => String(oldRow[field] ?? '') !== String(newRow[field] ?? ''));
+  const what = changed.length === 0 ? 'row' : changed.length <= 3 ? changed.join(', ') : pluralize(changed.length, 'field');
+  return `Edited ${what} on ${describeRow(newRow, position)}`;
+};
+
+/**
+ * ============================================================================
+ * diffRows - Patch turning one rows array into another
+ * ============================================================================
+ *
+ * Works for any change (add, delete, duplicate, edit, merge): rows are
+ * matched by id and compared by identity. None of the table's actions move
+ * rows, but if a change ever does, both arrays are kept whole instead.
+ *
+ * @param {Array} before - Rows before the change
+ * @param {Array} after - Rows after the change
+ * @returns {Object} Patch (see PATCH SHAPE)
+ */
+export const diffRows = (before, after) => {
+  const afterById = new Map();
+  after.forEach((row, index) => afterById.set(row.id, { row, index }));
+  const beforeIds = new Set();
+
+  const removed = [];
+  const replaced = [];
+  let lastAfterIndex = -1;
+  let reordered = false;
+
+  before.forEach((row, index) => {
+    beforeIds.add(row.id);
+    const match = afterById.get(row.id);
+    if (!match) {
+      removed.push([index, row]);
+      return;
+    }
+    if (match.row !== row) replaced.push([row.id, row, match.row]);
+    if (match.index < lastAfterIndex) reordered = true;
+    lastAfterIndex = match.index;
+  });
+
+  const added = [];
+  after.forEach((row, index) => {
+    if (!beforeIds.has(row.id)) added.push([index, row]);
+  });
+
+  const patch = {
+    removed,
+    added,
+    replaced,
+    size: removed.length + added.length + replaced.length * 2,
+  };
+  if (reordered) {
+    patch.snapshot = { before, after };
+    patch.size += before.length + after.length;
+  }
+  return patch;
+};
+
+/**
+ * Whether a patch changes nothing (e.g. a save without edits).
+ *
+ * @param {Object} patch - Patch from diffRows()
+ * @returns {boolean}
+ */
+export const isEmptyPatch = (patch) =>
+  patch.removed.length === 0 && patch.added.length === 0 && patch.replaced.length === 0 && !patch.snapshot;
+
+/**
+ * ============================================================================
+ * applyPatch - Steps a rows array backwards (undo) or forwards (redo)
+ * ============================================================================
+ *
+ * HOW IT WORKS (undo; redo is the mirror image):
+ * 1. Drop the rows the change added
+ * 2. Put the old object back for every replaced row
+ * 3. Insert the removed rows at their old indexes (recorded in ascending
+ *    order), so each lands exactly where it was
+ * A patch holding a snapshot simply returns the stored array.
+ *
+ * @param {Array} rows - Rows after the change (undo) or before it (redo)
+ * @param {Object} patch - Patch from diffRows()
+ * @param {boolean} undo - true to undo, false to redo
+ * @returns {Array} New rows array
+ */
+export const applyPatch = (rows, patch, undo) => {
+  if (patch.snapshot) return undo ? patch.snapshot.before : patch.snapshot.after;
+
+  const drop = undo ? patch.added : patch.removed;
+  const insert = undo ? patch.removed : patch.added;
+  const dropIds = new Set(drop.map(([, row]) => row.id));
+  const swaps = new Map(patch.replaced.map(([id, oldRow, newRow]) => [id, undo ? oldRow : newRow]));
+
+  const kept = rows
+    .filter((row) => !dropIds.has(row.id))
+    .map((row) => swaps.get(row.id) || row);
+  if (insert.length === 0) return kept;
+
+  // Merge in one pass (splicing thousands of rows into 200k would be quadratic)
+  const result = new Array(kept.length + insert.length);
+  let keptIndex = 0;
+  let insertIndex = 0;
+  for (let index = 0; index < result.length; index += 1) {
+    if (insertIndex < insert.length && insert[insertIndex][0] === index) {
+      result[index] = insert[insertIndex][1];
+      insertIndex += 1;
+    } else {
+      result[index] = kept[keptIndex];
+      keptIndex += 1;
+    }
+  }
+  return result;
+};
+
+/**
+ * ============================================================================
+ * recordChange - Adds a step to the history
+ * ============================================================================
+ *
+ * Steps that were undone are discarded, then the oldest steps are dropped
+ * until the history is within HISTORY_LIMIT and HISTORY_ROW_BUDGET.
+ * Changes without any effect are not recorded.
+ *
+ * @param {Object} history - Current history
+ * @param {Array} before - Rows before the change
+ * @param {Array} after - Rows after the change
+ * @param {string} label - Description shown in the history panel
+ * @param {Object|null} settings - { before, after } of a setting the change
+ *   goes with (e.g. amount settings), restored by undo and redo
+ * @returns {Object} New history
+ */
+export const recordChange = (history, before, after, label, settings = null) => {
+  const patch = diffRows(before, after);
+  if (isEmptyPatch(patch)) return history;
+
+  const entry = { label, at: Date.now(), patch, ...(settings && { settings }) };
+  const entries = [...history.entries.slice(0, history.index), entry];
+  let dropped = history.dropped;
+  let size = entries.reduce((total, entry) => total + entry.patch.size, 0);
+  while (entries.length > 1 && (entries.length > HISTORY_LIMIT || size > HISTORY_ROW_BUDGET)) {
+    size -= entries.shift().patch.size;
+    dropped += 1;
+  }
+
+  return { entries, index: entries.length, dropped };
+};
+
+/**
+ * ============================================================================
+ * moveInHistory - Rows and history after jumping to another point
+ * ============================================================================
+ *
+ * Undoes or redoes one step at a time until `targetIndex` steps are
+ * applied (0 = the data as imported, or the oldest kept point). When a
+ * step that changed a setting is passed, `settings` is the value that
+ * setting has at the target (null when no such step was passed).
+ *
+ * @param {Array} rows - Current rows
+ * @param {Object} history - Current history
+ * @param {number} targetIndex - Number of steps that should be applied
+ * @returns {{rows: Array, history: Object, settings: Object|null}}
+ */
+export const moveInHistory = (rows, history, targetIndex) => {
+  const target = Math.min(Math.max(targetIndex, 0), history.entries.length);
+  let result = rows;
+  let settings = null;
+  for (let index = history.index; index > target; index -= 1) {
+    const entry = history.entries[index - 1];
+    result = applyPatch(result, entry.patch, true);
+    if (entry.settings) settings = entry.settings.before;
+  }
+  for (let index = history.index; index < target; index += 1) {
+    const entry = history.entries[index];
+    result = applyPatch(result, entry.patch, false);
+    if (entry.settings) settings = entry.settings.after;
+  }
+  return { rows: result, history: { ...history, index: target }, settings };
+};
+
+/**
+ * Label for a data change whose caller did not name it.
+ *
+ * @param {Array} before - Rows before
+ * @param {Array} after - Rows after
+ * @returns {string}
+ */
+export const describeChange = (before, after) => {
+  const difference = after.length - before.length;
+  if (difference > 0) return `Added ${pluralize(difference, 'row')}`;
+  if (difference < 0) return `Deleted ${pluralize(-difference, 'row')}`;
+  return 'Edited data';
+};
+
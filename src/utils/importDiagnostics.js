@@ -0,0 +1,88 @@
+/**
+ * ============================================================================
+ * Import Diagnostics - What the import changed, row by row
+ * ============================================================================
+ *
+ * PURPOSE:
+ * For financial data a silent fix is as dangerous as a wrong value. Every
+ * import therefore records, per row and field, each value it did not take
+ * over verbatim, plus every source column it did not use. The diagnostics
+ * panel lists them, links to the rows and can download them as a report.
+ *
+ * SHAPE (returned by transformRows as `diagnostics`):
+ * {
+ *   issues: [{
+ *     rowId: 1708800000003,     // id of the affected row in the dataset
+ *     sheet: 'January',         // only set when several sheets were imported
+ *     sourceRow: 5,             // spreadsheet row number (1-based)
+ *     field: 'CHALLAN_NO',
+ *     kind: 'truncated',        // one of DIAGNOSTIC_KINDS
+ *     original: 'CHK00000012345',
+ *     value: 'CHK00000012',
+ *     note: '',                 // extra explanation, e.g. how a date was read
+ *   }],
+ *   unmappedColumns: [{ sheet, column: 'H', header: 'Branch Name', filledCount: 812, sample: 'Dhaka Main' }],
+ * }
+ */
+
+export const DIAGNOSTIC_KINDS = {
+  TRUNCATED: 'truncated',
+  DEFAULTED: 'defaulted',
+  COERCED: 'coerced',
+  UNREADABLE: 'unreadable',
+};
+
+export const DIAGNOSTIC_LABELS = {
+  [DIAGNOSTIC_KINDS.TRUNCATED]: '✂️ Truncated',
+  [DIAGNOSTIC_KINDS.DEFAULTED]: 'ℹ️ Default used',
+  [DIAGNOSTIC_KINDS.COERCED]: '🔄 Type converted',
+  [DIAGNOSTIC_KINDS.UNREADABLE]: '⚠️ Not readable',
+};
+
+/**
+ * An empty diagnostics object, used before any import and after Clear.
+ *
+ * @returns {{issues: Array, unmappedColumns: Array}}
+ */
+export const emptyDiagnostics = () => ({ issues: [], unmappedColumns: [] });
+
+/**
+ * Counts issues per kind and per field, for the panel's summary chips.
+ *
+ * @param {Object} diagnostics - Diagnostics of the last import
+ * @returns {{byKind: Object<string, number>, byField: Object<string, number>}}
+ */
+export const summarizeDiagnostics = (diagnostics) => {
+  const byKind = {};
+  const byField = {};
+  diagnostics.issues.forEach(({ kind, field }) => {
+    byKind[kind] = (byKind[kind] || 0) + 1;
+    byField[field] = (byField[field] || 0) + 1;
+  });
+  return { byKind, byField };
+};
+
+/**
+ * Converts diagnostics into plain rows for the downloadable report.
+ *
+ * @param {Object} diagnostics - Diagnostics of the last import
+ * @returns {{issueRows: Array<Object>, columnRows: Array<Object>}} One sheet each
+ */
+export const diagnosticsReportRows = (diagnostics) => ({
+  issueRows: diagnostics.issues.map((issue) => ({
+    ...(issue.sheet !== undefined && { Sheet: issue.sheet }),
+    'Source Row': issue.sourceRow,
+    Field: issue.field,
+    Issue: issue.kind,
+    'Original Value': issue.original ?? '',
+    'Imported Value': issue.value ?? '',
+    Note: issue.note || '',
+  })),
+  columnRows: diagnostics.unmappedColumns.map((column) => ({
+    ...(column.sheet !== undefined && { Sheet: column.sheet }),
+    Column: column.column,
+    Header: column.header,
+    'Filled Cells': column.filledCount,
+    'Sample Value': column.sample ?? '',
+  })),
+});
@@ -0,0 +1,253 @@
+import * as XLSX from 'xlsx';
+import { SAP_FIELDS } from './sapFields';
+import { DATE_ORDERS } from './dateUtils';
+import { DECIMAL_SEPARATORS } from './amountUtils';
+
+/**
+ * ============================================================================
+ * Column Mapping Profiles
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Describes how the columns of a bank's spreadsheet map onto the SAP fields.
+ * Every bank partner labels its columns differently ("Challan No.", "Txn Date",
+ * "Amt"), so instead of hard-coding headers in the parser we keep named
+ * profiles that can be picked at upload time and edited in the UI.
+ *
+ * PROFILE SHAPE:
+ * {
+ *   id: 'default',
+ *   name: 'Standard layout',
+ *   builtIn: true,                 // built-in profiles cannot be edited/deleted
+ *   dateOrder: 'dmy',              // how to read 03/04/2025: 'dmy' or 'mdy'
+ *   decimalSeparator: '.',         // how to read 1,250 or 1.250: '.' or ','
+ *   fields: {
+ *     CHALLAN_NO: {
+ *       headers: ['Challan Number', 'Challan No.'],  // header aliases
+ *       column: '',                                  // optional column letter, wins over headers
+ *       defaultValue: '',                            // used when the cell is empty
+ *     },
+ *     ...one entry per SAP field
+ *   }
+ * }
+ *
+ * Header matching ignores case, spacing and punctuation, so "Challan No."
+ * matches "challan no" and "CHALLAN_NO".
+ */
+
+const PROFILES_STORAGE_KEY = 'excelstorm.mappingProfiles';
+const ACTIVE_PROFILE_STORAGE_KEY = 'excelstorm.activeMappingProfile';
+
+export const DEFAULT_PROFILE_ID = 'default';
+
+// The layout the parser has always understood, plus the header used by generate-sample.mjs
+export const DEFAULT_PROFILE = {
+  id: DEFAULT_PROFILE_ID,
+  name: 'Standard layout',
+  builtIn: true,
+  dateOrder: DATE_ORDERS.DAY_FIRST,
+  decimalSeparator: DECIMAL_SEPARATORS.POINT,
+  fields: {
+    CHALLAN_NO: { headers: ['Challan Number'], column: '', defaultValue: '' },
+    A_BANCD: { headers: ['Bank Code'], column: '', defaultValue: '' },
+    A_BANKL: { headers: ['Branch Code'], column: '', defaultValue: '' },
+    CHALL_DATE: { headers: ['Date', 'Challan Date'], column: '', defaultValue: '' },
+    ACCOUNT_CODE: { headers: ['Account Code'], column: '', defaultValue: '' },
+    CHAN_AMT: { headers: ['Amount'], column: '', defaultValue: '0' },
+    NOTES: { headers: ['Notes'], column: '', defaultValue: '' },
+  },
+};
+
+/**
+ * Normalizes a header for comparison: lowercase, letters and digits only.
+ *
+ * @param {*} header - Raw header cell value
+ * @returns {string} Normalized header ('Challan No.' → 'challanno')
+ */
+export const normalizeHeader = (header) =>
+  String(header ?? '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Splits the comma/newline separated alias text typed in the editor.
+ *
+ * @param {string} text - e.g. "Challan No., Challan Number"
+ * @returns {Array<string>} Trimmed, non-empty aliases
+ */
+export const parseAliasList = (text) =>
+  String(text || '')
+    .split(/[,\n]/)
+    .map((alias) => alias.trim())
+    .filter(Boolean);
+
+/**
+ * Converts a column letter ('A', 'AB') into a zero-based column index.
+ *
+ * @param {string} letter - Column letter as typed by the user
+ * @returns {number} Column index, or -1 if the letter is not valid
+ */
+export const columnLetterToIndex = (letter) => {
+  const trimmed = String(letter || '').trim().toUpperCase();
+  if (!/^[A-Z]{1,3}$/.test(trimmed)) return -1;
+  return XLSX.utils.decode_col(trimmed);
+};
+
+/**
+ * Converts a zero-based column index into its column letter (2 → 'C').
+ *
+ * @param {number} index - Column index
+ * @returns {string} Column letter
+ */
+export const columnIndexToLetter = (index) => XLSX.utils.encode_col(index);
+
+/**
+ * ============================================================================
+ * resolveFieldColumns - Finds the source column for every SAP field
+ * ============================================================================
+ *
+ * HOW IT WORKS:
+ * 1. A column letter on the field takes priority over header aliases
+ * 2. Otherwise the first alias whose normalized form matches a source header wins
+ * 3. Fields without a match are reported in missingFields so the caller can
+ *    explain why a column came through blank
+ *
+ * @param {Array} sourceHeaders - Header row of the sheet
+ * @param {Object} profile - Mapping profile
+ * @returns {{columns: Object<string, number>, missingFields: Array<string>}}
+ */
+export const resolveFieldColumns = (sourceHeaders, profile) => {
+  const normalizedHeaders = sourceHeaders.map(normalizeHeader);
+  const columns = {};
+  const missingFields = [];
+
+  SAP_FIELDS.forEach(({ key }) => {
+    const fieldMapping = profile.fields[key] || {};
+    let index = columnLetterToIndex(fieldMapping.column);
+
+    if (index === -1) {
+      const aliases = (fieldMapping.headers || []).map(normalizeHeader).filter(Boolean);
+      index = normalizedHeaders.findIndex((header) => header && aliases.includes(header));
+    }
+
+    columns[key] = index;
+    if (index === -1) missingFields.push(key);
+  });
+
+  return { columns, missingFields };
+};
+
+/**
+ * Creates a new, editable profile seeded from an existing one.
+ *
+ * @param {string} name - Display name of the new profile
+ * @param {Object} baseProfile - Profile to copy field mappings from
+ * @returns {Object} New profile with a unique id
+ */
+export const createProfile = (name, baseProfile = DEFAULT_PROFILE) => ({
+  id: `profile-${Date.now()}`,
+  name,
+  builtIn: false,
+  dateOrder: baseProfile.dateOrder || DATE_ORDERS.DAY_FIRST,
+  decimalSeparator: baseProfile.decimalSeparator || DECIMAL_SEPARATORS.POINT,
+  fields: Object.fromEntries(
+    SAP_FIELDS.map(({ key }) => {
+      const field = baseProfile.fields[key] || {};
+      return [key, {
+        headers: [...(field.headers || [])],
+        column: field.column || '',
+        defaultValue: field.defaultValue ?? '',
+      }];
+    })
+  ),
+});
+
+/**
+ * ============================================================================
+ * profileFromMatches - Builds a profile from columns matched in the wizard
+ * ============================================================================
+ *
+ * Two flavours are needed by the import wizard:
+ * - byColumn = true: pins every field to its matched column letter, so the
+ *   import uses exactly what the user matched (even with duplicate headers)
+ * - byColumn = false: adds the matched header names as aliases, producing a
+ *   reusable profile for future files with the same layout
+ *
+ * @param {Object} baseProfile - Profile supplying default values and aliases
+ * @param {Object<string, number>} matches - Column index per SAP field (-1 = none)
+ * @param {Array<string>} sourceHeaders - Header row of the sheet
+ * @param {Object} options - { byColumn: boolean, name: string }
+ * @returns {Object} New profile
+ */
+export const profileFromMatches = (baseProfile, matches, sourceHeaders, { byColumn = true, name } = {}) => {
+  const profile = createProfile(name || baseProfile.name, baseProfile);
+
+  SAP_FIELDS.forEach(({ key }) => {
+    const index = matches[key] ?? -1;
+    const field = profile.fields[key];
+
+    if (byColumn) {
+      // Unmatched fields get no aliases so nothing is picked up by accident
+      field.column = index === -1 ? '' : columnIndexToLetter(index);
+      field.headers = [];
+    } else if (index !== -1 && sourceHeaders[index]) {
+      const header = sourceHeaders[index];
+      field.column = '';
+      field.headers = [header, ...field.headers.filter((alias) => normalizeHeader(alias) !== normalizeHeader(header))];
+    }
+  });
+
+  return profile;
+};
+
+/**
+ * Loads saved profiles from localStorage. The built-in profile is always first.
+ *
+ * @returns {Array<Object>} All available profiles
+ */
+export const loadProfiles = () => {
+  try {
+    const saved = JSON.parse(localStorage.getItem(PROFILES_STORAGE_KEY) || '[]');
+    return [DEFAULT_PROFILE, ...saved.filter((profile) => profile.id !== DEFAULT_PROFILE_ID)];
+  } catch {
+    return [DEFAULT_PROFILE];
+  }
+};
+
+/**
+ * Persists user-defined profiles (built-in ones are never written).
+ *
+ * @param {Array<Object>} profiles - Full profile list as held in state
+ */
+export const saveProfiles = (profiles) => {
+  try {
+    const userProfiles = profiles.filter((profile) => !profile.builtIn);
+    localStorage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(userProfiles));
+  } catch (error) {
+    console.warn('Could not save mapping profiles:', error);
+  }
+};
+
+/**
+ * Reads the id of the profile selected during the previous visit.
+ *
+ * @returns {string} Profile id (falls back to the built-in profile)
+ */
+export const loadActiveProfileId = () => {
+  try {
+    return localStorage.getItem(ACTIVE_PROFILE_STORAGE_KEY) || DEFAULT_PROFILE_ID;
+  } catch {
+    return DEFAULT_PROFILE_ID;
+  }
+};
+
+/**
+ * Remembers the selected profile for the next visit.
+ *
+ * @param {string} profileId - Id of the selected profile
+ */
+export const saveActiveProfileId = (profileId) => {
+  try {
+    localStorage.setItem(ACTIVE_PROFILE_STORAGE_KEY, profileId);
+  } catch (error) {
+    console.warn('Could not save active mapping profile:', error);
+  }
+};
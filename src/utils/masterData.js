@@ -0,0 +1,290 @@
+import * as XLSX from 'xlsx';
+import { normalizeHeader } from './mappingProfiles';
+
+/**
+ * ============================================================================
+ * Master Data - Reference list of banks, branches and account codes
+ * ============================================================================
+ *
+ * PURPOSE:
+ * A_BANCD, A_BANKL and ACCOUNT_CODE are free text in the source files, so a
+ * typo only shows up when SAP rejects the upload. A master file loaded once
+ * (and remembered between visits) lets every row be checked: the bank must
+ * exist, the branch must belong to that bank and, when an account list was
+ * loaded, the account code must be on it. The names also feed the table
+ * tooltips and the type-ahead lists of the editors.
+ *
+ * MASTER DATA SHAPE:
+ * {
+ *   fileName: 'bank_master.xlsx',
+ *   loadedAt: '2026-10-19T09:30:00.000Z',
+ *   banks: { '010': { code: '010', name: 'Sonali Bank', branches: { '0101': { code: '0101', name: 'Dhaka Main' } } } },
+ *   accounts: { '4001': { code: '4001', name: 'Tax receipts' } } | null,   // null = no account list
+ * }
+ * Keys are the codes trimmed and upper-cased, so ' abc' in a row matches 'ABC'.
+ * A bank listed without branches accepts any branch code.
+ *
+ * FILE FORMATS:
+ * - XLSX / CSV: one row per branch with the columns Bank Code, Bank Name,
+ *   Branch Code, Branch Name; rows with an Account Code (and Account Name)
+ *   build the account list. Any sheet may hold either. Headers are matched
+ *   like mapping profiles (case and punctuation ignored) and the SAP names
+ *   A_BANCD, A_BANKL and ACCOUNT_CODE work too.
+ * - JSON: { banks: [{ code, name, branches: [{ code, name }] }], accounts: [{ code, name }] }
+ */
+
+const MASTER_DATA_STORAGE_KEY = 'excelstorm.masterData';
+
+// Fields checked against the master data
+export const MASTER_FIELDS = ['A_BANCD', 'A_BANKL', 'ACCOUNT_CODE'];
+
+// Accepted headers per master file column
+const COLUMN_ALIASES = {
+  bankCode: ['Bank Code', 'A_BANCD', 'Bank'],
+  bankName: ['Bank Name'],
+  branchCode: ['Branch Code', 'A_BANKL', 'Branch'],
+  branchName: ['Branch Name'],
+  accountCode: ['Account Code', 'ACCOUNT_CODE', 'Account'],
+  accountName: ['Account Name', 'Account Description'],
+};
+
+/**
+ * Lookup key of a code: trimmed and upper-cased text.
+ *
+ * @param {*} code - Code as typed or imported
+ * @returns {string} Key into banks/branches/accounts
+ */
+export const codeKey = (code) => String(code ?? '').trim().toUpperCase();
+
+const emptyMasterData = (fileName) => ({
+  fileName,
+  loadedAt: new Date().toISOString(),
+  banks: {},
+  accounts: null,
+});
+
+const addBank = (master, code, name) => {
+  const key = codeKey(code);
+  const bank = master.banks[key] || (master.banks[key] = { code: String(code).trim(), name: '', branches: {} });
+  if (name && !bank.name) bank.name = String(name).trim();
+  return bank;
+};
+
+const addCode = (list, code, name) => {
+  const key = codeKey(code);
+  if (!list[key]) list[key] = { code: String(code).trim(), name: '' };
+  if (name && !list[key].name) list[key].name = String(name).trim();
+};
+
+/**
+ * Finds the master columns of a sheet from its header keys.
+ *
+ * @param {Array<string>} keys - Header keys of the sheet's records
+ * @returns {Object<string, string|undefined>} Column role → record key
+ */
+const resolveMasterColumns = (keys) => {
+  const byHeader = new Map(keys.map((key) => [normalizeHeader(key), key]));
+  const columns = {};
+  Object.entries(COLUMN_ALIASES).forEach(([role, aliases]) => {
+    columns[role] = aliases.map((alias) => byHeader.get(normalizeHeader(alias))).find(Boolean);
+  });
+  return columns;
+};
+
+/**
+ * ============================================================================
+ * masterDataFromSheets - Builds master data from spreadsheet records
+ * ============================================================================
+ *
+ * @param {Array<Array<Object>>} sheets - Records of every sheet (sheet_to_json output)
+ * @param {string} fileName - Name of the master file
+ * @returns {Object} Master data (see MASTER DATA SHAPE)
+ * @throws {Error} When no sheet has a bank code or account code column
+ */
+export const masterDataFromSheets = (sheets, fileName) => {
+  const master = emptyMasterData(fileName);
+  let recognised = false;
+
+  sheets.forEach((records) => {
+    if (records.length === 0) return;
+    const columns = resolveMasterColumns(Object.keys(records[0]));
+    if (!columns.bankCode && !columns.accountCode) return;
+    recognised = true;
+
+    records.forEach((record) => {
+      const bankCode = columns.bankCode ? codeKey(record[columns.bankCode]) : '';
+      if (bankCode) {
+        const bank = addBank(master, record[columns.bankCode], record[columns.bankName]);
+        const branchCode = columns.branchCode ? String(record[columns.branchCode] ?? '').trim() : '';
+        if (branchCode) addCode(bank.branches, branchCode, record[columns.branchName]);
+      }
+      const accountCode = columns.accountCode ? String(record[columns.accountCode] ?? '').trim() : '';
+      if (accountCode) {
+        master.accounts = master.accounts || {};
+        addCode(master.accounts, accountCode, record[columns.accountName]);
+      }
+    });
+  });
+
+  if (!recognised) throw new Error('No "Bank Code" or "Account Code" column found');
+  return master;
+};
+
+/**
+ * Builds master data from the JSON format (see FILE FORMATS).
+ *
+ * @param {Object} json - Parsed JSON
+ * @param {string} fileName - Name of the master file
+ * @returns {Object} Master data (see MASTER DATA SHAPE)
+ * @throws {Error} When neither a banks nor an accounts list is present
+ */
+export const masterDataFromJson = (json, fileName) => {
+  if (!Array.isArray(json?.banks) && !Array.isArray(json?.accounts)) {
+    throw new Error('Expected a "banks" or "accounts" list');
+  }
+
+  const master = emptyMasterData(fileName);
+  (json.banks || []).forEach((bank) => {
+    if (!codeKey(bank?.code)) return;
+    const entry = addBank(master, bank.code, bank.name);
+    (bank.branches || []).forEach((branch) => {
+      if (codeKey(branch?.code)) addCode(entry.branches, branch.code, branch.name);
+    });
+  });
+  if (Array.isArray(json.accounts)) {
+    master.accounts = {};
+    json.accounts.forEach((account) => {
+      if (codeKey(account?.code)) addCode(master.accounts, account.code, account.name);
+    });
+  }
+  return master;
+};
+
+/**
+ * Reads a master file chosen by the user (XLSX, XLS, CSV or JSON).
+ *
+ * @param {File} file - Uploaded file
+ * @returns {Promise<Object>} Master data (see MASTER DATA SHAPE)
+ * @throws {Error} When the file cannot be read or has no master columns
+ */
+export const readMasterFile = async (file) => {
+  if (/\.json$/i.test(file.name)) {
+    return masterDataFromJson(JSON.parse(await file.text()), file.name);
+  }
+  // raw: codes in CSV files keep their leading zeros
+  const workbook = XLSX.read(await file.arrayBuffer(), { type: 'array', raw: true });
+  const sheets = workbook.SheetNames.map((name) =>
+    XLSX.utils.sheet_to_json(workbook.Sheets[name], { defval: '', raw: false })
+  );
+  return masterDataFromSheets(sheets, file.name);
+};
+
+/**
+ * Counts banks, branches and accounts, for the master data bar.
+ *
+ * @param {Object} master - Master data
+ * @returns {{banks: number, branches: number, accounts: number|null}}
+ */
+export const summarizeMasterData = (master) => {
+  const banks = Object.values(master.banks);
+  return {
+    banks: banks.length,
+    branches: banks.reduce((total, bank) => total + Object.keys(bank.branches).length, 0),
+    accounts: master.accounts ? Object.keys(master.accounts).length : null,
+  };
+};
+
+/**
+ * Name behind a row's code in a master field, for tooltips and name display.
+ *
+ * @param {Object|null} master - Master data
+ * @param {string} field - A_BANCD, A_BANKL or ACCOUNT_CODE
+ * @param {Object} row - Row holding the code (A_BANKL is looked up under the row's bank)
+ * @returns {string} Name, or '' when unknown
+ */
+export const masterName = (master, field, row) => {
+  if (!master) return '';
+  if (field === 'A_BANCD') return master.banks[codeKey(row.A_BANCD)]?.name || '';
+  if (field === 'A_BANKL') return master.banks[codeKey(row.A_BANCD)]?.branches[codeKey(row.A_BANKL)]?.name || '';
+  if (field === 'ACCOUNT_CODE') return master.accounts?.[codeKey(row.ACCOUNT_CODE)]?.name || '';
+  return '';
+};
+
+/**
+ * ============================================================================
+ * masterDataError - Checks one field of a row against the master data
+ * ============================================================================
+ *
+ * Empty values are left to the schema rules (required). A branch is only
+ * checked once its bank is known, so a wrong bank code is reported once.
+ *
+ * @param {Object|null} master - Master data (null = nothing to check)
+ * @param {string} field - Field to check
+ * @param {Object} row - Row holding the value
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+export const masterDataError = (master, field, row) => {
+  if (!master) return null;
+  const key = codeKey(row[field]);
+  if (!key) return null;
+
+  if (field === 'A_BANCD') {
+    return master.banks[key] ? null : `Unknown bank code "${key}"`;
+  }
+  if (field === 'A_BANKL') {
+    const bank = master.banks[codeKey(row.A_BANCD)];
+    if (!bank || Object.keys(bank.branches).length === 0 || bank.branches[key]) return null;
+    return `Branch "${key}" does not belong to bank ${bank.code}${bank.name ? ` (${bank.name})` : ''}`;
+  }
+  if (field === 'ACCOUNT_CODE') {
+    return !master.accounts || master.accounts[key] ? null : `Account code "${key}" is not in the account list`;
+  }
+  return null;
+};
+
+/**
+ * Valid codes for a field given the rest of the row, for the editors'
+ * type-ahead lists: all banks, the branches of the row's bank, all accounts.
+ *
+ * @param {Object|null} master - Master data
+ * @param {string} field - Field being edited
+ * @param {Object} row - Row being edited (its current A_BANCD picks the branches)
+ * @returns {Array<{code: string, name: string}>} Options, sorted by code
+ */
+export const masterOptions = (master, field, row) => {
+  if (!master) return [];
+  let list = {};
+  if (field === 'A_BANCD') list = master.banks;
+  if (field === 'A_BANKL') list = master.banks[codeKey(row.A_BANCD)]?.branches || {};
+  if (field === 'ACCOUNT_CODE') list = master.accounts || {};
+  return Object.values(list)
+    .map(({ code, name }) => ({ code, name }))
+    .sort((a, b) => a.code.localeCompare(b.code, undefined, { numeric: true }));
+};
+
+/**
+ * Loads the master data remembered from a previous visit.
+ *
+ * @returns {Object|null} Master data, or null when none was loaded
+ */
+export const loadMasterData = () => {
+  try {
+    return JSON.parse(localStorage.getItem(MASTER_DATA_STORAGE_KEY) || 'null');
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Remembers the master data for the next visit (null forgets it).
+ *
+ * @param {Object|null} master - Master data
+ */
+export const saveMasterData = (master) => {
+  try {
+    if (master) localStorage.setItem(MASTER_DATA_STORAGE_KEY, JSON.stringify(master));
+    else localStorage.removeItem(MASTER_DATA_STORAGE_KEY);
+  } catch (error) {
+    console.warn('Could not save master data:', error);
+  }
+};
@@ -0,0 +1,109 @@
+/**
+ * ============================================================================
+ * Parser Client - Main-thread API for the parsing Web Worker
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Wraps src/workers/excelParser.worker.js in a promise-based "import session"
+ * so components never deal with postMessage directly.
+ *
+ * USAGE:
+ * const session = createImportSession(file, { onProgress });
+ * const { sheets } = await session.open();
+ * const rows = await session.preview('Sheet1', 50);
+ * const result = await session.transform('Sheet1', profile, { headerRowIndex: 0, amountSettings, onProgress });
+ * session.dispose();
+ *
+ * PROGRESS:
+ * onProgress receives objects such as:
+ * - { phase: 'read', loaded, total }       bytes read from the file
+ * - { phase: 'parse' }                     XLSX is parsing the workbook
+ * - { phase: 'rows' }                      sheet is being converted to rows
+ * - { phase: 'transform', done, total }    rows mapped onto SAP fields
+ *
+ * CANCELLATION:
+ * session.cancel() terminates the worker immediately. Every pending request
+ * rejects with an error whose `cancelled` property is true.
+ */
+
+export const CANCELLED_MESSAGE = 'Import cancelled';
+
+/**
+ * Creates the error used to reject requests of a cancelled session.
+ */
+const cancelledError = () => {
+  const error = new Error(CANCELLED_MESSAGE);
+  error.cancelled = true;
+  return error;
+};
+
+/**
+ * ============================================================================
+ * createImportSession - Starts a worker dedicated to one uploaded file
+ * ============================================================================
+ *
+ * @param {File} file - Uploaded Excel/CSV file
+ * @param {Object} options - { onProgress: Function }
+ * @returns {{open: Function, preview: Function, transform: Function, cancel: Function, dispose: Function}}
+ */
+export const createImportSession = (file, { onProgress } = {}) => {
+  const worker = new Worker(new URL('../workers/excelParser.worker.js', import.meta.url), {
+    type: 'module',
+  });
+  const pending = new Map();
+  let nextId = 1;
+  let closed = false;
+
+  worker.onmessage = (event) => {
+    const { id, type, progress, result, message } = event.data;
+    const request = pending.get(id);
+    if (!request) return;
+
+    if (type === 'progress') {
+      request.onProgress?.(progress);
+      return;
+    }
+
+    pending.delete(id);
+    if (type === 'done') request.resolve(result);
+    else request.reject(new Error(message));
+  };
+
+  worker.onerror = (event) => {
+    event.preventDefault();
+    const error = new Error(`Parser worker failed: ${event.message || 'unknown error'}`);
+    pending.forEach((request) => request.reject(error));
+    pending.clear();
+  };
+
+  /**
+   * Sends one request to the worker and waits for its 'done'/'error' reply.
+   * Progress goes to the request's own callback, or the session-wide one.
+   */
+  const send = (type, payload, requestProgress = onProgress) => {
+    if (closed) return Promise.reject(cancelledError());
+    const id = nextId++;
+    return new Promise((resolve, reject) => {
+      pending.set(id, { resolve, reject, onProgress: requestProgress });
+      worker.postMessage({ id, type, payload });
+    });
+  };
+
+  // Stops the worker and rejects everything still in flight
+  const close = (reason) => {
+    if (closed) return;
+    closed = true;
+    worker.terminate();
+    pending.forEach((request) => request.reject(reason));
+    pending.clear();
+  };
+
+  return {
+    open: () => send('open', { file }),
+    preview: (sheetName, limit) => send('preview', { sheetName, limit }),
+    transform: (sheetName, profile, { headerRowIndex = 0, amountSettings, onProgress: transformProgress } = {}) =>
+      send('transform', { sheetName, profile, headerRowIndex, amountSettings }, transformProgress || onProgress),
+    cancel: () => close(cancelledError()),
+    dispose: () => close(cancelledError()),
+  };
+};
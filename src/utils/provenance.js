@@ -0,0 +1,98 @@
+import { getSapField } from './sapFields';
+import { toSapDate } from './dateUtils';
+import { SOURCE_SHEET_FIELD } from './sheetDatasets';
+import { sameValue } from './changeTracking';
+
+/**
+ * ============================================================================
+ * Provenance - Where every value of a row came from
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Answers "where did this exported value come from?" for any row: the file,
+ * sheet and spreadsheet row it was read from, the source column behind each
+ * SAP field, the raw cell, what the import made of it and what it is now.
+ *
+ * SHAPE:
+ * - row._source = { file: 'challans.xlsx', sheet: 'January', row: 17 }
+ *   (row is the 1-based spreadsheet row number, set by transformRows and
+ *   completed by combineSheetResults)
+ * - row._originalData = { 'Challan No': 'CHK-0012', ... } raw cells keyed by
+ *   source header (empty cells are not kept)
+ * - fieldSources = { January: { CHALLAN_NO: { column: 'B', header: 'Challan No' },
+ *   NOTES: null, ... } } source column of every field, per sheet
+ *
+ * Rows added in the app have no `_source`; duplicated rows keep the one of
+ * the row they were copied from.
+ */
+
+/**
+ * One-line description of a row's origin, e.g. "challans.xlsx · January · row 17".
+ *
+ * @param {Object|undefined} source - The row's `_source`
+ * @returns {string} Description, or '' when the row was not imported
+ */
+export const describeSource = (source) => {
+  if (!source) return '';
+  return [source.file, source.sheet, source.row != null && `row ${source.row}`].filter(Boolean).join(' · ');
+};
+
+/**
+ * ============================================================================
+ * explainRow - Source, import result and current value of every field
+ * ============================================================================
+ *
+ * LINE SHAPE:
+ * {
+ *   field: 'CHAN_AMT',
+ *   source: { column: 'E', header: 'Amount' } | null,
+ *   origin: 'column' | 'sheet-name' | 'none',   // where the import read it
+ *   raw: 1500,                 // source cell ('' when empty or no column)
+ *   imported: '1500',          // value right after the import (null if unknown)
+ *   current: '1750',           // value now
+ *   exported: '1750',          // value as written to CSV/XLSX (dates YYYYMMDD)
+ *   issues: [...],             // import diagnostics of this field (transformed values)
+ *   edited: true,              // current differs from imported
+ * }
+ *
+ * @param {Object} params
+ * @param {Object} params.row - Current row
+ * @param {Object|null} params.importedRow - The row as imported (null for added rows)
+ * @param {Object} params.fieldSources - Field → source column of the row's sheet
+ * @param {Array<Object>} params.issues - Import diagnostics of the row
+ * @param {Array<string>} params.fields - Fields to explain, in display order
+ * @returns {Array<Object>} One line per field
+ */
+export const explainRow = ({ row, importedRow, fieldSources, issues, fields }) =>
+  fields.map((field) => {
+    const source = fieldSources?.[field] ?? null;
+    const origin = source ? 'column' : field === SOURCE_SHEET_FIELD ? 'sheet-name' : 'none';
+    const raw = source && row._originalData ? row._originalData[source.header] ?? '' : '';
+    const imported = importedRow ? importedRow[field] ?? '' : null;
+    const current = row[field] ?? '';
+
+    return {
+      field,
+      source,
+      origin,
+      raw,
+      imported,
+      current,
+      exported: getSapField(field)?.type === 'date' ? toSapDate(current) : current,
+      issues: issues.filter((issue) => issue.field === field),
+      edited: importedRow !== null && !sameValue(imported, current, field),
+    };
+  });
+
+/**
+ * Raw cells of the source row that no SAP field reads from (e.g. a
+ * "Branch Name" column), so the drawer can show the whole source row.
+ *
+ * @param {Object} row - Row with `_originalData`
+ * @param {Object} fieldSources - Field → source column of the row's sheet
+ * @returns {Array<[string, *]>} [header, value] pairs in source order
+ */
+export const unmappedSourceCells = (row, fieldSources) => {
+  const mappedHeaders = new Set(Object.values(fieldSources || {}).filter(Boolean).map(({ header }) => header));
+  return Object.entries(row._originalData || {}).filter(([header]) => !mappedHeaders.has(header));
+};
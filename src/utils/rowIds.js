@@ -0,0 +1,45 @@
+/**
+ * ============================================================================
+ * Row Ids - One source of unique row ids
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Undo/redo patches, selection, change tracking and snapshot diffs all
+ * match rows by `id`, so two rows must never share one. Imports, Add Row
+ * and Duplicate all take their ids from here instead of Date.now(), which
+ * repeats across an import and a row added a few seconds later.
+ *
+ * HOW IT WORKS:
+ * Ids are numbers that only go up: each one is the previous plus one, or
+ * the current time when that is larger (so ids of a new page load start
+ * past those of earlier visits). Rows read back from IndexedDB may carry
+ * ids beyond that, so the loaders pass them to reserveRowIds() first.
+ *
+ * The parsing worker has its own copy of this module; the import wizard
+ * gives every imported row a fresh id on the main thread (see
+ * combineSheetResults in sheetDatasets.js).
+ */
+
+// Last id handed out or reserved
+let lastId = 0;
+
+/**
+ * Returns a new row id, larger than every id handed out or reserved.
+ *
+ * @returns {number}
+ */
+export const nextRowId = () => {
+  lastId = Math.max(lastId + 1, Date.now());
+  return lastId;
+};
+
+/**
+ * Makes sure later ids are larger than those of rows loaded from storage.
+ *
+ * @param {Array} rows - Rows with their stored ids
+ */
+export const reserveRowIds = (rows) => {
+  rows.forEach((row) => {
+    if (typeof row.id === 'number' && row.id > lastId) lastId = row.id;
+  });
+};
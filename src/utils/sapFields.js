@@ -0,0 +1,56 @@
+/**
+ * ============================================================================
+ * SAP_FIELDS - Target field definitions for the SAP challan upload format
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Single source of truth for the fields ExcelStorm produces. The parser,
+ * mapping profiles and editors all read this list instead of repeating the
+ * field names and length limits inline.
+ *
+ * FIELD PROPERTIES:
+ * - key: Field name as written to the export (e.g. 'CHALLAN_NO')
+ * - label: Human readable name shown in the UI
+ * - type: 'text' | 'date' | 'amount' - drives editors and comparisons
+ * - maxLength: Maximum characters accepted by SAP (undefined = no limit);
+ *   longer values are truncated on import and rejected by validation
+ *
+ * VALIDATION RULES (checked by src/utils/validation.js):
+ * - required: Value must not be empty
+ * - pattern / patternMessage: Text must match the regular expression
+ * - min / max: Numeric range for amount fields
+ * - date fields must hold a valid date, amount fields a number
+ */
+export const SAP_FIELDS = [
+  {
+    key: 'CHALLAN_NO', label: 'Challan Number', type: 'text', maxLength: 11, required: true,
+    pattern: /^[A-Za-z0-9/-]+$/, patternMessage: 'Only letters, digits, "/" and "-" are allowed',
+  },
+  {
+    key: 'A_BANCD', label: 'Bank Code', type: 'text', required: true,
+    pattern: /^[A-Za-z0-9]+$/, patternMessage: 'Only letters and digits are allowed',
+  },
+  {
+    key: 'A_BANKL', label: 'Branch Code', type: 'text', required: true,
+    pattern: /^[A-Za-z0-9]+$/, patternMessage: 'Only letters and digits are allowed',
+  },
+  { key: 'CHALL_DATE', label: 'Challan Date', type: 'date', required: true },
+  {
+    key: 'ACCOUNT_CODE', label: 'Account Code', type: 'text', required: true,
+    pattern: /^[A-Za-z0-9]+$/, patternMessage: 'Only letters and digits are allowed',
+  },
+  // SAP amounts are CURR 13,2: at most 11 integer digits
+  { key: 'CHAN_AMT', label: 'Amount', type: 'amount', required: true, min: 0.01, max: 99999999999.99 },
+  { key: 'NOTES', label: 'Notes', type: 'text', maxLength: 255 },
+];
+
+// Ordered list of field keys, used as the table headers after parsing
+export const SAP_FIELD_KEYS = SAP_FIELDS.map((field) => field.key);
+
+/**
+ * Looks up the definition of a single SAP field.
+ *
+ * @param {string} key - Field key (e.g. 'CHAN_AMT')
+ * @returns {Object|undefined} The field definition, or undefined if unknown
+ */
+export const getSapField = (key) => SAP_FIELDS.find((field) => field.key === key);
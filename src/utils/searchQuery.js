@@ -0,0 +1,397 @@
+import { getSapField } from './sapFields';
+import { formatDate, isIsoDate } from './dateUtils';
+
+/**
+ * ============================================================================
+ * Search Query - Query language of the table search box
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Turns the text typed into the search box into a row predicate. Plain words
+ * still search every column, but a query can also target fields, compare
+ * amounts and dates, exclude matches and combine alternatives.
+ *
+ * SYNTAX:
+ * - word                  any column contains "word" (case-insensitive)
+ * - "two words"           any column contains the phrase
+ * - FIELD:value           that column contains value (field names are
+ *                         case-insensitive: a_bancd:bank02); when the part
+ *                         before ":" is not a column (ref:123, http://x)
+ *                         the whole word is searched as plain text
+ * - FIELD:=value          that column equals value; FIELD:"" matches blanks
+ * - CHAN_AMT:>5000        comparisons >, >=, <, <=, = on amounts and dates
+ * - CHAN_AMT:100..500     inclusive range; either end may be left open
+ * - CHALL_DATE:2025-01..2025-03
+ *                         dates are written YYYY, YYYY-MM or YYYY-MM-DD and
+ *                         cover the whole year/month (so ..2025-03 includes
+ *                         31 March)
+ * - /regex/ or FIELD:/regex/i
+ *                         regular expression (always case-insensitive)
+ * - -term                 negation (rows NOT matching the term)
+ * - a b                   both must match (AND)
+ * - a OR b  /  a | b      either may match
+ * - ( ... )               grouping, e.g. (A_BANCD:B1 OR A_BANCD:B2) -NOTES:test
+ *
+ * ERRORS:
+ * Problems are reported as { message, position } (0-based character index)
+ * so the search box can show them inline. A query with an error is not
+ * applied — the table shows all rows until it is fixed.
+ */
+
+const FIELD_PREFIX = /^([A-Za-z_][A-Za-z0-9_]*):/;
+const COMPARISON = /^(>=|<=|>|<|=)/;
+const PARTIAL_DATE = /^(\d{4})(?:-(\d{2})(?:-(\d{2}))?)?$/;
+
+/**
+ * Error raised while parsing; carries the position for inline display.
+ */
+class QueryError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.position = position;
+  }
+}
+
+const toNumber = (text) => {
+  const number = Number(String(text).trim());
+  return text !== '' && Number.isFinite(number) ? number : null;
+};
+
+/**
+ * First and last ISO day covered by a partial date ('2025' → whole year).
+ * Months end on day 31 for every month: ISO strings compare as text, so
+ * '2025-02-31' still sorts after every real February date.
+ */
+const dateBounds = (text) => {
+  const match = PARTIAL_DATE.exec(text);
+  if (!match) return null;
+  const [, year, month, day] = match;
+  if (day) return { start: text, end: text };
+  if (month) return { start: `${year}-${month}-01`, end: `${year}-${month}-31` };
+  return { start: `${year}-01-01`, end: `${year}-12-31` };
+};
+
+/**
+ * Text of a cell as stored and as displayed (dates), lowercased for matching.
+ */
+const cellTexts = (row, field, dateFormat) => {
+  const raw = String(row[field] ?? '').toLowerCase();
+  if (getSapField(field)?.type !== 'date') return [raw];
+  return [raw, String(formatDate(row[field], dateFormat) ?? '').toLowerCase()];
+};
+
+/**
+ * ============================================================================
+ * Parser - Recursive descent over the query text
+ * ============================================================================
+ *
+ * GRAMMAR:
+ *   query   := or
+ *   or      := and (("OR" | "|") and)*
+ *   and     := unary+
+ *   unary   := "-" unary | primary
+ *   primary := "(" or ")" | [FIELD ":"] value
+ *   value   := "phrase" | /regex/flags | word
+ *
+ * Each node is compiled straight into a predicate (row → boolean).
+ */
+const createParser = (input, { fields, dateFormat }) => {
+  let pos = 0;
+
+  const fieldByName = new Map(fields.map((field) => [field.toLowerCase(), field]));
+
+  const atEnd = () => pos >= input.length;
+  const peek = () => input[pos];
+  const skipSpaces = () => {
+    while (!atEnd() && /\s/.test(peek())) pos += 1;
+  };
+  const atOr = () => {
+    if (peek() === '|') return true;
+    return input.startsWith('OR', pos) && (pos + 2 >= input.length || /[\s()]/.test(input[pos + 2]));
+  };
+
+  // ---- values ----
+
+  const readQuoted = () => {
+    const start = pos;
+    pos += 1;
+    const end = input.indexOf('"', pos);
+    if (end === -1) throw new QueryError('Unclosed quote', start);
+    const text = input.slice(pos, end);
+    pos = end + 1;
+    return text;
+  };
+
+  const readRegex = () => {
+    const start = pos;
+    pos += 1;
+    let body = '';
+    while (!atEnd() && peek() !== '/') {
+      if (peek() === '\\' && pos + 1 < input.length) {
+        body += input.slice(pos, pos + 2);
+        pos += 2;
+      } else {
+        body += peek();
+        pos += 1;
+      }
+    }
+    if (atEnd()) throw new QueryError('Unclosed /regex/', start);
+    pos += 1;
+    const flagsStart = pos;
+    while (!atEnd() && /[a-z]/.test(peek())) pos += 1;
+    // g and y would make test() stateful between rows
+    const flags = input.slice(flagsStart, pos).replace(/[gy]/g, '');
+    try {
+      return new RegExp(body, flags.includes('i') ? flags : `${flags}i`);
+    } catch (error) {
+      throw new QueryError(error.message, start);
+    }
+  };
+
+  const readWord = () => {
+    const start = pos;
+    while (!atEnd() && !/[\s()]/.test(peek())) pos += 1;
+    return input.slice(start, pos);
+  };
+
+  // ---- predicates ----
+
+  const containsAnywhere = (text) => {
+    const term = text.toLowerCase();
+    return (row) => fields.some((field) => cellTexts(row, field, dateFormat).some((value) => value.includes(term)));
+  };
+
+  const regexAnywhere = (regex) => (row) =>
+    fields.some((field) => cellTexts(row, field, dateFormat).some((value) => regex.test(value)));
+
+  const textPredicate = (field, text, exact) => {
+    const term = text.trim().toLowerCase();
+    return exact
+      ? (row) => String(row[field] ?? '').trim().toLowerCase() === term
+      : (row) => cellTexts(row, field, dateFormat).some((value) => value.includes(term));
+  };
+
+  /**
+   * Comparison or range on an amount or date field.
+   *
+   * @param {string} field - Field name
+   * @param {string} operator - '>', '>=', '<', '<=', '=' or '..' (range)
+   * @param {string} low - Bound (or range start)
+   * @param {string} high - Range end (ranges only)
+   * @param {number} position - Where the value starts (for errors)
+   */
+  const comparePredicate = (field, operator, low, high, position) => {
+    const type = getSapField(field)?.type;
+
+    if (type === 'amount') {
+      const parse = (text) => {
+        if (text === '') return null;
+        const number = toNumber(text);
+        if (number === null) throw new QueryError(`"${text}" is not a number`, position);
+        return number;
+      };
+      const from = parse(low);
+      const to = operator === '..' ? parse(high) : from;
+      const valueOf = (row) => toNumber(String(row[field] ?? ''));
+      const tests = {
+        '>': (n) => n > from,
+        '>=': (n) => n >= from,
+        '<': (n) => n < from,
+        '<=': (n) => n <= from,
+        '=': (n) => n === from,
+        '..': (n) => (from === null || n >= from) && (to === null || n <= to),
+      };
+      return (row) => {
+        const number = valueOf(row);
+        return number !== null && tests[operator](number);
+      };
+    }
+
+    if (type === 'date') {
+      const parse = (text) => {
+        if (text === '') return null;
+        const bounds = dateBounds(text);
+        if (!bounds) throw new QueryError(`Write dates as YYYY, YYYY-MM or YYYY-MM-DD (got "${text}")`, position);
+        return bounds;
+      };
+      const from = parse(low);
+      const to = operator === '..' ? parse(high) : from;
+      const tests = {
+        '>': (d) => d > from.end,
+        '>=': (d) => d >= from.start,
+        '<': (d) => d < from.start,
+        '<=': (d) => d <= from.end,
+        '=': (d) => d >= from.start && d <= from.end,
+        '..': (d) => (!from || d >= from.start) && (!to || d <= to.end),
+      };
+      return (row) => isIsoDate(row[field]) && tests[operator](row[field]);
+    }
+
+    throw new QueryError(`Comparisons only work on amount and date fields, not ${field}`, position);
+  };
+
+  /**
+   * Predicate for FIELD:word — comparison, range, exact or contains.
+   */
+  const fieldWordPredicate = (field, word, position) => {
+    const comparison = COMPARISON.exec(word);
+    if (comparison) {
+      const rest = word.slice(comparison[1].length);
+      if (rest === '') throw new QueryError(`Missing value after ${field}:${comparison[1]}`, position);
+      const type = getSapField(field)?.type;
+      if (comparison[1] === '=' && type !== 'amount' && type !== 'date') return textPredicate(field, rest, true);
+      return comparePredicate(field, comparison[1], rest, '', position);
+    }
+
+    if (word.includes('..')) {
+      const [low, high, extra] = word.split('..');
+      if (extra !== undefined || (low === '' && high === '')) throw new QueryError(`Invalid range "${word}"`, position);
+      return comparePredicate(field, '..', low, high, position);
+    }
+
+    // Plain values on typed fields match by value when they can, by text otherwise
+    const type = getSapField(field)?.type;
+    if (type === 'amount' && toNumber(word) !== null) return comparePredicate(field, '=', word, '', position);
+    if (type === 'date' && dateBounds(word)) return comparePredicate(field, '=', word, '', position);
+    return textPredicate(field, word, false);
+  };
+
+  // ---- grammar ----
+
+  const parseTerm = () => {
+    const prefix = FIELD_PREFIX.exec(input.slice(pos));
+    // Only a column name makes a qualifier; other "word:" text is searched as is
+    const field = prefix ? fieldByName.get(prefix[1].toLowerCase()) ?? null : null;
+
+    if (field) {
+      pos += prefix[0].length;
+      if (atEnd() || /[\s()]/.test(peek())) throw new QueryError(`Missing value after ${prefix[1]}:`, pos);
+    }
+
+    const valueStart = pos;
+    if (peek() === '"') {
+      const phrase = readQuoted();
+      if (!field) return containsAnywhere(phrase);
+      return phrase === '' ? textPredicate(field, '', true) : textPredicate(field, phrase, false);
+    }
+    if (peek() === '/') {
+      const regex = readRegex();
+      if (!field) return regexAnywhere(regex);
+      return (row) => cellTexts(row, field, dateFormat).some((value) => regex.test(value));
+    }
+
+    const word = readWord();
+    if (field) return fieldWordPredicate(field, word, valueStart);
+    if (COMPARISON.test(word) || word.includes('..')) {
+      throw new QueryError('Comparisons need a field, e.g. CHAN_AMT:>5000', valueStart);
+    }
+    return containsAnywhere(word);
+  };
+
+  let parseOr;
+
+  const parsePrimary = () => {
+    if (peek() === '(') {
+      const start = pos;
+      pos += 1;
+      const inner = parseOr();
+      skipSpaces();
+      if (peek() !== ')') throw new QueryError('Missing closing )', start);
+      pos += 1;
+      return inner;
+    }
+    return parseTerm();
+  };
+
+  const parseUnary = () => {
+    if (peek() === '-' && pos + 1 < input.length && !/\s/.test(input[pos + 1])) {
+      pos += 1;
+      const inner = parseUnary();
+      return (row) => !inner(row);
+    }
+    return parsePrimary();
+  };
+
+  const parseAnd = () => {
+    const parts = [];
+    for (;;) {
+      skipSpaces();
+      if (atEnd() || peek() === ')' || atOr()) break;
+      parts.push(parseUnary());
+    }
+    if (parts.length === 0) throw new QueryError('Expected a search term', pos);
+    return parts.length === 1 ? parts[0] : (row) => parts.every((part) => part(row));
+  };
+
+  parseOr = () => {
+    const parts = [parseAnd()];
+    skipSpaces();
+    while (!atEnd() && atOr()) {
+      pos += peek() === '|' ? 1 : 2;
+      parts.push(parseAnd());
+      skipSpaces();
+    }
+    return parts.length === 1 ? parts[0] : (row) => parts.some((part) => part(row));
+  };
+
+  return () => {
+    const predicate = parseOr();
+    skipSpaces();
+    if (!atEnd()) throw new QueryError('Unexpected )', pos);
+    return predicate;
+  };
+};
+
+/**
+ * ============================================================================
+ * compileSearchQuery - Parses a query into a row predicate
+ * ============================================================================
+ *
+ * EXAMPLE:
+ * compileSearchQuery('A_BANCD:BANK02 CHAN_AMT:>5000', { fields: headers })
+ * → { match: (row) => ..., error: null }
+ *
+ * @param {string} query - Text from the search box
+ * @param {Object} options
+ * @param {Array<string>} options.fields - Searchable columns (the table headers)
+ * @param {string} [options.dateFormat] - Display format, so dates match as shown
+ * @returns {{match: Function|null, error: {message: string, position: number}|null}}
+ *          match is null for an empty query or when there is an error
+ */
+export const compileSearchQuery = (query, { fields, dateFormat }) => {
+  if (!query.trim()) return { match: null, error: null };
+  try {
+    return { match: createParser(query, { fields, dateFormat })(), error: null };
+  } catch (error) {
+    if (!(error instanceof QueryError)) throw error;
+    return { match: null, error: { message: error.message, position: error.position } };
+  }
+};
+
+/**
+ * ============================================================================
+ * suggestFields - Field names completing the word at the cursor
+ * ============================================================================
+ *
+ * Suggests fields while the word being typed could still become "FIELD:"
+ * (letters, digits and underscores only, optionally after "-" or "(").
+ *
+ * @param {string} query - Text from the search box
+ * @param {number} cursor - Caret position
+ * @param {Array<string>} fields - Available field names
+ * @returns {{start: number, end: number, matches: Array<string>}} Range of the word to replace and the matching fields
+ */
+export const suggestFields = (query, cursor, fields) => {
+  let start = cursor;
+  while (start > 0 && /[A-Za-z0-9_]/.test(query[start - 1])) start -= 1;
+  let end = cursor;
+  while (end < query.length && /[A-Za-z0-9_]/.test(query[end])) end += 1;
+
+  const word = query.slice(start, end);
+  const before = start > 0 ? query[start - 1] : ' ';
+  if (!word || !/[\s(-]/.test(before) || query[end] === ':') return { start, end, matches: [] };
+
+  const prefix = word.toLowerCase();
+  const matches = fields.filter((field) => field.toLowerCase().startsWith(prefix));
+  return { start, end, matches };
+};
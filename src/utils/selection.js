@@ -0,0 +1,82 @@
+import { getSapField } from './sapFields';
+import { isIsoDate } from './dateUtils';
+import { aggregateRows, numericFields, isGroupLine } from './grouping';
+
+/**
+ * ============================================================================
+ * Selection - Range selection and the selection summary
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The table keeps its selection as a Set of row ids, independent of what is
+ * currently listed, so sorting, searching and paging never change it. This
+ * module holds the pure parts:
+ * - rowRange: ids between two rows in listing order (Shift+click)
+ * - summarizeSelection: count, amount totals and date span of the selected
+ *   rows, for the summary bar used to cross-check a batch before posting
+ */
+
+/**
+ * ============================================================================
+ * rowRange - Ids of the rows listed between two rows (inclusive)
+ * ============================================================================
+ *
+ * Works on the lines as listed (sorted, filtered, grouped), so the range is
+ * what the user sees between the two clicks. Group header lines are skipped.
+ * When the anchor is no longer listed only the target is returned.
+ *
+ * @param {Array<Object>} lines - Listed rows (and group header lines)
+ * @param {*} anchorId - Row clicked first
+ * @param {*} targetId - Row Shift+clicked
+ * @returns {Array} Row ids in listing order
+ */
+export const rowRange = (lines, anchorId, targetId) => {
+  const targetIndex = lines.findIndex((line) => line.id === targetId);
+  if (targetIndex === -1) return [];
+  const anchorIndex = lines.findIndex((line) => line.id === anchorId);
+  if (anchorIndex === -1) return [targetId];
+
+  const from = Math.min(anchorIndex, targetIndex);
+  const to = Math.max(anchorIndex, targetIndex);
+  return lines.slice(from, to + 1).filter((line) => !isGroupLine(line)).map((line) => line.id);
+};
+
+/**
+ * ============================================================================
+ * summarizeSelection - Totals of the selected rows
+ * ============================================================================
+ *
+ * RETURNS:
+ * {
+ *   count,                     // selected rows that still exist
+ *   totals: { CHAN_AMT: { sum, min, max, avg, count } },  // see aggregateRows
+ *   dateFrom, dateTo,          // earliest/latest valid date of any date field
+ * }
+ *
+ * @param {Array} rows - All rows of the table
+ * @param {Set} selectedIds - Selected row ids
+ * @param {Array<string>} headers - Columns of the data
+ * @returns {Object} Summary (count 0 when nothing is selected)
+ */
+export const summarizeSelection = (rows, selectedIds, headers) => {
+  const selected = selectedIds.size > 0 ? rows.filter((row) => selectedIds.has(row.id)) : [];
+  const dateFields = headers.filter((field) => getSapField(field)?.type === 'date');
+
+  let dateFrom = null;
+  let dateTo = null;
+  selected.forEach((row) => {
+    dateFields.forEach((field) => {
+      const value = row[field];
+      if (!isIsoDate(value)) return;
+      if (dateFrom === null || value < dateFrom) dateFrom = value;
+      if (dateTo === null || value > dateTo) dateTo = value;
+    });
+  });
+
+  return {
+    count: selected.length,
+    totals: aggregateRows(selected, numericFields(headers)).fields,
+    dateFrom,
+    dateTo,
+  };
+};
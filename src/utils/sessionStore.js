@@ -0,0 +1,371 @@
+import { reserveRowIds } from './rowIds';
+
+/**
+ * ============================================================================
+ * Session Store - Autosave of the working dataset in IndexedDB
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Everything the user works on lives in React state, so a reload, a crash or
+ * an accidental Clear would lose every edit. The app autosaves the dataset,
+ * its headers, file details and table view into IndexedDB as a "session";
+ * the last sessions can be reopened after a reload or purged.
+ *
+ * HOW IT WORKS:
+ * - One record per session in the `sessions` store holds the small parts
+ *   (file name, stats, headers, warnings, sheet tabs, table views, row counts)
+ * - The rows (current data and the import baseline) are cut into chunks of
+ *   CHUNK_SIZE rows in the `chunks` store. Rows are immutable, so a chunk
+ *   whose row objects are the ones saved last time is skipped: an edit of
+ *   one cell in 100k rows rewrites a single chunk
+ * - Diagnostics and field sources are written only when their object changed
+ * - createAutosaver() batches changes: a save happens at most once per
+ *   AUTOSAVE_DELAY, and saves never overlap
+ *
+ * SNAPSHOT SHAPE (what the app saves):
+ * {
+ *   id, createdAt, fileName, stats, headers, warnings, sheetTabs, activeSheet,
+ *   tableViews,                  // view state per table (see VirtualizedDataTable)
+ *   data, baseline,              // rows
+ *   diagnostics, fieldSources,
+ * }
+ * Sessions listed by listSessions() have the same fields without the rows,
+ * diagnostics and field sources, plus savedAt and rowCount.
+ *
+ * The undo history is not saved: a restored session starts with an empty one.
+ *
+ * The database also holds the named snapshots (see snapshots.js), which use
+ * the helpers exported here.
+ */
+
+const DB_NAME = 'excelstorm';
+const DB_VERSION = 2;
+const SESSIONS_STORE = 'sessions';
+const CHUNKS_STORE = 'chunks';
+
+// Named snapshots: one record each, rows in chunks keyed [snapshotId, index]
+export const SNAPSHOTS_STORE = 'snapshots';
+export const SNAPSHOT_CHUNKS_STORE = 'snapshotChunks';
+
+// Rows per stored chunk
+export const CHUNK_SIZE = 2000;
+
+// Sessions kept; older ones are purged when a new one is saved
+export const MAX_SESSIONS = 10;
+
+// Longest time between a change and its save (ms)
+export const AUTOSAVE_DELAY = 1500;
+
+// Snapshot parts stored as row chunks, and parts stored as one value
+const ROW_PARTS = ['data', 'baseline'];
+const VALUE_PARTS = ['diagnostics', 'fieldSources'];
+
+let databasePromise = null;
+
+/**
+ * Whether the browser offers IndexedDB (it is missing in some private modes).
+ *
+ * @returns {boolean}
+ */
+export const isSessionStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Wraps an IDBRequest in a promise.
+ */
+export const requestResult = (request) =>
+  new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+
+/**
+ * Resolves when a transaction has committed.
+ */
+export const transactionDone = (transaction) =>
+  new Promise((resolve, reject) => {
+    transaction.oncomplete = () => resolve();
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+
+/**
+ * Opens (and on first use creates or upgrades) the database; the connection
+ * is shared.
+ *
+ * VERSIONS:
+ * 1 - sessions and their chunks
+ * 2 - named snapshots and their chunks
+ *
+ * @returns {Promise<IDBDatabase>}
+ */
+export const openDatabase = () => {
+  if (!databasePromise) {
+    if (!isSessionStoreAvailable()) return Promise.reject(new Error('IndexedDB is not available'));
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = (event) => {
+      const db = request.result;
+      if (event.oldVersion < 1) {
+        db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+        db.createObjectStore(CHUNKS_STORE, { keyPath: ['sessionId', 'part', 'index'] });
+      }
+      if (event.oldVersion < 2) {
+        db.createObjectStore(SNAPSHOTS_STORE, { keyPath: 'id' });
+        db.createObjectStore(SNAPSHOT_CHUNKS_STORE, { keyPath: ['snapshotId', 'index'] });
+      }
+    };
+    databasePromise = requestResult(request).catch((error) => {
+      databasePromise = null;
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Key range of every chunk of a session, or of one part from an index on.
+ */
+const chunkRange = (sessionId, part = null, fromIndex = 0) =>
+  part === null
+    ? IDBKeyRange.bound([sessionId], [sessionId, []])
+    : IDBKeyRange.bound([sessionId, part, fromIndex], [sessionId, part, Infinity]);
+
+/**
+ * Creates the id of a new session.
+ *
+ * @returns {string} e.g. 'session-1760866200000-k3j9x2'
+ */
+export const createSessionId = () => `session-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Cuts rows into chunks of CHUNK_SIZE.
+ */
+export const toChunks = (rows) => {
+  const chunks = [];
+  for (let start = 0; start < rows.length; start += CHUNK_SIZE) {
+    chunks.push(rows.slice(start, start + CHUNK_SIZE));
+  }
+  return chunks;
+};
+
+// True when both chunks hold the same row objects
+const sameChunk = (a, b) => Boolean(a) && a.length === b.length && a.every((row, index) => row === b[index]);
+
+/**
+ * What was last written for a session, used to skip unchanged parts.
+ */
+const savedStateOf = (snapshot) => ({
+  id: snapshot.id,
+  chunks: Object.fromEntries(ROW_PARTS.map((part) => [part, toChunks(snapshot[part])])),
+  values: Object.fromEntries(VALUE_PARTS.map((part) => [part, snapshot[part]])),
+});
+
+/**
+ * ============================================================================
+ * writeSnapshot - Writes the parts of a snapshot that changed since `saved`
+ * ============================================================================
+ *
+ * @param {Object} snapshot - Session to save (see SNAPSHOT SHAPE)
+ * @param {Object|null} saved - State returned by the previous write
+ * @returns {Promise<Object>} New saved state
+ */
+const writeSnapshot = async (snapshot, saved) => {
+  const db = await openDatabase();
+  const previous = saved?.id === snapshot.id ? saved : null;
+  const transaction = db.transaction([SESSIONS_STORE, CHUNKS_STORE], 'readwrite');
+  const chunkStore = transaction.objectStore(CHUNKS_STORE);
+  const next = { id: snapshot.id, chunks: {}, values: {} };
+  const chunkCounts = {};
+
+  ROW_PARTS.forEach((part) => {
+    const chunks = toChunks(snapshot[part]);
+    const before = previous?.chunks[part] || [];
+    chunks.forEach((rows, index) => {
+      if (!sameChunk(before[index], rows)) chunkStore.put({ sessionId: snapshot.id, part, index, rows });
+    });
+    if (!previous || before.length > chunks.length) chunkStore.delete(chunkRange(snapshot.id, part, chunks.length));
+    next.chunks[part] = chunks;
+    chunkCounts[part] = chunks.length;
+  });
+
+  VALUE_PARTS.forEach((part) => {
+    if (!previous || previous.values[part] !== snapshot[part]) {
+      chunkStore.put({ sessionId: snapshot.id, part, index: 0, value: snapshot[part] });
+    }
+    next.values[part] = snapshot[part];
+  });
+
+  transaction.objectStore(SESSIONS_STORE).put({
+    id: snapshot.id,
+    createdAt: snapshot.createdAt,
+    savedAt: new Date().toISOString(),
+    fileName: snapshot.fileName,
+    rowCount: snapshot.data.length,
+    stats: snapshot.stats,
+    headers: snapshot.headers,
+    warnings: snapshot.warnings,
+    sheetTabs: snapshot.sheetTabs,
+    activeSheet: snapshot.activeSheet,
+    tableViews: snapshot.tableViews,
+    chunkCounts,
+  });
+
+  await transactionDone(transaction);
+  return next;
+};
+
+/**
+ * Lists the saved sessions, most recently saved first.
+ *
+ * @returns {Promise<Array<Object>>} Session records (no rows)
+ */
+export const listSessions = async () => {
+  const db = await openDatabase();
+  const sessions = await requestResult(db.transaction(SESSIONS_STORE).objectStore(SESSIONS_STORE).getAll());
+  return sessions.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+};
+
+// Field values equal, nested objects (_source, _originalData) compared as JSON
+const sameRow = (a, b) => {
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every((key) =>
+    a[key] === b[key] ||
+    (typeof a[key] === 'object' && a[key] !== null && JSON.stringify(a[key]) === JSON.stringify(b[key])));
+};
+
+/**
+ * Replaces rows read back from the database by the matching row objects of
+ * `reference` (same id, same values), so identity checks (change tracking,
+ * validation cache, undo patches) treat them as unchanged.
+ *
+ * @param {Array} reference - Rows already in memory
+ * @param {Array} rows - Rows read back
+ * @returns {Array} `rows` with equal rows swapped for the reference objects
+ */
+export const reuseUnchangedRows = (reference, rows) => {
+  const byId = new Map(reference.map((row) => [row.id, row]));
+  return rows.map((row) => {
+    const original = byId.get(row.id);
+    return original && sameRow(row, original) ? original : row;
+  });
+};
+
+/**
+ * ============================================================================
+ * loadSession - Reads a saved session back
+ * ============================================================================
+ *
+ * Current rows equal to their baseline row are replaced by the baseline
+ * object, as they were before saving, so change tracking and the validation
+ * cache can skip them again. Their ids are reserved so rows added later get
+ * new ones (see rowIds.js).
+ *
+ * @param {string} id - Session id
+ * @returns {Promise<Object>} Snapshot (see SNAPSHOT SHAPE) plus savedAt
+ * @throws {Error} When the session no longer exists
+ */
+export const loadSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS_STORE, CHUNKS_STORE]);
+  // Both requests are made before waiting so the transaction stays open.
+  // Chunks come back in key order: part, then index
+  const [record, chunks] = await Promise.all([
+    requestResult(transaction.objectStore(SESSIONS_STORE).get(id)),
+    requestResult(transaction.objectStore(CHUNKS_STORE).getAll(chunkRange(id))),
+  ]);
+  if (!record) throw new Error('This session is no longer saved');
+
+  const session = { ...record, data: [], baseline: [], diagnostics: null, fieldSources: {} };
+  chunks.forEach((chunk) => {
+    if (ROW_PARTS.includes(chunk.part)) {
+      if (chunk.index < record.chunkCounts[chunk.part]) session[chunk.part].push(...chunk.rows);
+    } else {
+      session[chunk.part] = chunk.value;
+    }
+  });
+
+  session.data = reuseUnchangedRows(session.baseline, session.data);
+  reserveRowIds(session.baseline);
+  reserveRowIds(session.data);
+  return session;
+};
+
+/**
+ * Deletes a saved session and its rows.
+ *
+ * @param {string} id - Session id
+ * @returns {Promise<void>}
+ */
+export const deleteSession = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SESSIONS_STORE, CHUNKS_STORE], 'readwrite');
+  transaction.objectStore(SESSIONS_STORE).delete(id);
+  transaction.objectStore(CHUNKS_STORE).delete(chunkRange(id));
+  await transactionDone(transaction);
+};
+
+/**
+ * Deletes the oldest sessions beyond MAX_SESSIONS (never the one given).
+ *
+ * @param {string} keepId - Session that must survive (the one being saved)
+ * @returns {Promise<void>}
+ */
+const pruneSessions = async (keepId) => {
+  const sessions = await listSessions();
+  const surplus = sessions.filter((session) => session.id !== keepId).slice(MAX_SESSIONS - 1);
+  for (const session of surplus) {
+    await deleteSession(session.id);
+  }
+};
+
+/**
+ * ============================================================================
+ * createAutosaver - Batched, incremental saving of the working session
+ * ============================================================================
+ *
+ * USAGE:
+ * const autosaver = createAutosaver({ onSaved, onError });
+ * autosaver.schedule(snapshot);   // on every change; saved within AUTOSAVE_DELAY
+ * autosaver.flush();              // save now (before leaving the page or switching sessions)
+ * autosaver.prime(snapshot);      // after restoring: what is already stored
+ *
+ * @param {Object} options - { delay, onSaved: Function(savedAt), onError: Function(error) }
+ * @returns {{schedule: Function, flush: Function, prime: Function}}
+ */
+export const createAutosaver = ({ delay = AUTOSAVE_DELAY, onSaved, onError } = {}) => {
+  let timer = null;
+  let pending = null;
+  let saved = null;
+  let queue = Promise.resolve();
+
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    if (!pending) return queue;
+
+    const snapshot = pending;
+    pending = null;
+    queue = queue.then(async () => {
+      try {
+        const isNew = saved?.id !== snapshot.id;
+        saved = await writeSnapshot(snapshot, saved);
+        if (isNew) await pruneSessions(snapshot.id);
+        onSaved?.(new Date().toISOString());
+      } catch (error) {
+        saved = null; // Write everything again next time
+        onError?.(error);
+      }
+    });
+    return queue;
+  };
+
+  return {
+    schedule: (snapshot) => {
+      pending = snapshot;
+      if (!timer) timer = setTimeout(flush, delay);
+    },
+    flush,
+    prime: (snapshot) => {
+      saved = savedStateOf(snapshot);
+    },
+  };
+};
@@ -0,0 +1,162 @@
+import { nextRowId } from './rowIds';
+
+/**
+ * ============================================================================
+ * Sheet Datasets - Helpers for workbooks imported from several sheets
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Monthly bank files often keep one sheet per bank or per week. All imported
+ * rows live in ONE data array (so editing, exporting and every other feature
+ * keep working on a single dataset); each row remembers its sheet in the
+ * internal `_sheet` property.
+ *
+ * IMPORT MODES:
+ * - 'combine': one table, with a visible SOURCE_SHEET column
+ * - 'tabs': one tab per sheet above the table; each tab shows the rows of
+ *   its sheet and edits are merged back with mergeSheetRows()
+ */
+
+export const SOURCE_SHEET_FIELD = 'SOURCE_SHEET';
+
+export const SHEET_MODES = {
+  COMBINE: 'combine',
+  TABS: 'tabs',
+};
+
+/**
+ * ============================================================================
+ * combineSheetResults - Merges per-sheet transform results into one dataset
+ * ============================================================================
+ *
+ * HOW IT WORKS:
+ * 1. Concatenates the rows of every sheet, in the order given
+ * 2. Re-numbers row IDs so rows from different sheets never collide
+ * 3. Tags every row with `_sheet`; in combine mode also adds SOURCE_SHEET
+ * 4. Prefixes warnings with the sheet name when more than one sheet is imported
+ * 5. Adds up the defaulted/truncated/date-issue counts of every sheet
+ * 6. Concatenates diagnostics, pointing issues at the re-numbered row IDs and
+ *    naming the sheet when more than one sheet is imported
+ * 7. Completes every row's provenance (`_source`: file, sheet, spreadsheet
+ *    row) and keeps the field → source column mapping of every sheet
+ *
+ * @param {Array<Object>} results - [{ sheetName, headers, data, warnings, summary, diagnostics, fieldSources }]
+ * @param {string} mode - SHEET_MODES.COMBINE or SHEET_MODES.TABS
+ * @param {string} fileName - Name of the imported file, recorded on every row
+ * @returns {{headers: Array, data: Array, warnings: Array, summary: Object, diagnostics: Object,
+ *            fieldSources: Object<string, Object>, rowCount: number, sheetTabs: Array<string>}}
+ */
+export const combineSheetResults = (results, mode = SHEET_MODES.COMBINE, fileName = '') => {
+  const multiple = results.length > 1;
+  const addSourceColumn = multiple && mode === SHEET_MODES.COMBINE;
+
+  const data = [];
+  const diagnostics = { issues: [], unmappedColumns: [] };
+  const fieldSources = {};
+  results.forEach(({ sheetName, data: sheetRows, diagnostics: sheetDiagnostics, fieldSources: sheetSources }) => {
+    fieldSources[sheetName] = sheetSources || {};
+    const newIds = new Map();
+    sheetRows.forEach((row) => {
+      const id = nextRowId();
+      newIds.set(row.id, id);
+      data.push({
+        ...row,
+        id,
+        ...(addSourceColumn && { [SOURCE_SHEET_FIELD]: sheetName }),
+        _sheet: sheetName,
+        _source: { file: fileName, sheet: sheetName, row: row._source?.row ?? null },
+      });
+    });
+
+    const sheetTag = multiple ? { sheet: sheetName } : {};
+    sheetDiagnostics?.issues.forEach((issue) => {
+      diagnostics.issues.push({ ...issue, ...sheetTag, rowId: newIds.get(issue.rowId) });
+    });
+    sheetDiagnostics?.unmappedColumns.forEach((column) => {
+      diagnostics.unmappedColumns.push({ ...column, ...sheetTag });
+    });
+  });
+
+  const baseHeaders = results[0]?.headers || [];
+  const headers = addSourceColumn ? [...baseHeaders, SOURCE_SHEET_FIELD] : [...baseHeaders];
+
+  const warnings = results.flatMap(({ sheetName, warnings: sheetWarnings = [] }) =>
+    multiple ? sheetWarnings.map((warning) => `${sheetName}: ${warning}`) : sheetWarnings
+  );
+
+  const summary = { defaulted: {}, truncated: {}, dateIssues: {} };
+  results.forEach(({ summary: sheetSummary }) => {
+    Object.keys(summary).forEach((bucket) => {
+      Object.entries(sheetSummary?.[bucket] || {}).forEach(([key, count]) => {
+        summary[bucket][key] = (summary[bucket][key] || 0) + count;
+      });
+    });
+  });
+
+  return {
+    headers,
+    data,
+    warnings,
+    summary,
+    diagnostics,
+    fieldSources,
+    rowCount: data.length,
+    sheetTabs: multiple && mode === SHEET_MODES.TABS ? results.map(({ sheetName }) => sheetName) : [],
+  };
+};
+
+/**
+ * Returns the rows belonging to one sheet.
+ *
+ * @param {Array} data - Full dataset
+ * @param {string} sheetName - Sheet to select
+ * @returns {Array} Rows whose _sheet matches
+ */
+export const getRowsOfSheet = (data, sheetName) => data.filter((row) => row._sheet === sheetName);
+
+/**
+ * ============================================================================
+ * mergeSheetRows - Writes the edited rows of one tab back into the dataset
+ * ============================================================================
+ *
+ * The rows of a sheet are contiguous after import, so the edited block is
+ * put back where the sheet's first row was. Rows added in the tab (which have
+ * no _sheet yet) are tagged with the sheet name.
+ *
+ * @param {Array} data - Full dataset
+ * @param {string} sheetName - Sheet the edited rows belong to
+ * @param {Array} sheetRows - All rows of that sheet after editing
+ * @returns {Array} New full dataset
+ */
+export const mergeSheetRows = (data, sheetName, sheetRows) => {
+  const tagged = sheetRows.map((row) => (row._sheet === sheetName ? row : { ...row, _sheet: sheetName }));
+  const merged = [];
+  let inserted = false;
+
+  const insertSheet = () => {
+    tagged.forEach((row) => merged.push(row));
+    inserted = true;
+  };
+
+  data.forEach((row) => {
+    if (row._sheet !== sheetName) merged.push(row);
+    else if (!inserted) insertSheet();
+  });
+  if (!inserted) insertSheet();
+
+  return merged;
+};
+
+/**
+ * Lists the distinct sheets present in a dataset, in order of appearance.
+ *
+ * @param {Array} data - Full dataset
+ * @returns {Array<string>} Sheet names (empty when rows carry no _sheet)
+ */
+export const listDatasetSheets = (data) => {
+  const names = new Set();
+  data.forEach((row) => {
+    if (row._sheet) names.add(row._sheet);
+  });
+  return [...names];
+};
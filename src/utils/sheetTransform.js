@@ -0,0 +1,312 @@
+import * as XLSX from 'xlsx';
+import { SAP_FIELDS, SAP_FIELD_KEYS } from './sapFields';
+import { DEFAULT_PROFILE, resolveFieldColumns, columnIndexToLetter } from './mappingProfiles';
+import { DATE_ISSUES, DATE_ORDERS, parseDateValue } from './dateUtils';
+import { DIAGNOSTIC_KINDS } from './importDiagnostics';
+import { DEFAULT_AMOUNT_SETTINGS, DECIMAL_SEPARATORS, parseAmountValue } from './amountUtils';
+import { nextRowId } from './rowIds';
+
+/**
+ * ============================================================================
+ * Sheet Transformation Helpers
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Pure functions that turn an XLSX workbook into SAP rows. They have no DOM
+ * dependencies so they can run inside the parsing Web Worker
+ * (src/workers/excelParser.worker.js) as well as on the main thread.
+ */
+
+// How often (in rows) transformRows reports progress
+const PROGRESS_INTERVAL = 5000;
+
+// Diagnostics notes for the date formats detected by parseDateValue
+const DATE_FORMAT_NOTES = {
+  serial: 'Excel serial number',
+  date: 'Excel date cell',
+  iso: 'ISO date',
+  sap: 'SAP date (YYYYMMDD)',
+  dmy: 'day/month/year',
+  mdy: 'month/day/year',
+};
+
+/**
+ * ============================================================================
+ * listSheets - Summarizes the sheets of a workbook
+ * ============================================================================
+ *
+ * Row counts come from each sheet's used range, so they are cheap to compute
+ * but include the header row and any blank rows inside the range.
+ *
+ * @param {Object} workbook - XLSX workbook
+ * @returns {Array<{name: string, rowCount: number}>}
+ */
+export const listSheets = (workbook) =>
+  workbook.SheetNames.map((name) => {
+    const ref = workbook.Sheets[name]?.['!ref'];
+    const rowCount = ref ? XLSX.utils.decode_range(ref).e.r + 1 : 0;
+    return { name, rowCount };
+  });
+
+/**
+ * ============================================================================
+ * getSheetRowsWithNumbers - Reads a worksheet with spreadsheet row numbers
+ * ============================================================================
+ *
+ * Each entry of `rows` is one non-blank spreadsheet row, each cell is the raw
+ * value as XLSX returns it (empty cells are ''). `rowNumbers[i]` is the
+ * 1-based row number of rows[i] as shown in Excel, so diagnostics can point
+ * at the exact source row even when blank rows were skipped.
+ *
+ * @param {Object} worksheet - XLSX worksheet object
+ * @returns {{rows: Array<Array>, rowNumbers: Array<number>}}
+ */
+export const getSheetRowsWithNumbers = (worksheet) => {
+  const ref = worksheet?.['!ref'];
+  const firstRow = ref ? XLSX.utils.decode_range(ref).s.r : 0;
+  const rows = [];
+  const rowNumbers = [];
+
+  XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: true }).forEach((cells, index) => {
+    if (cells.some((cell) => cell !== '')) {
+      rows.push(cells);
+      rowNumbers.push(firstRow + index + 1);
+    }
+  });
+
+  return { rows, rowNumbers };
+};
+
+/**
+ * ============================================================================
+ * getSheetRows - Reads a worksheet as an array of raw cell arrays
+ * ============================================================================
+ *
+ * Each entry is one spreadsheet row (index 0 = first row), each cell is the
+ * raw value as XLSX returns it. Blank rows are skipped, empty cells are ''.
+ *
+ * @param {Object} worksheet - XLSX worksheet object
+ * @returns {Array<Array>} Rows of raw cell values
+ */
+export const getSheetRows = (worksheet) => getSheetRowsWithNumbers(worksheet).rows;
+
+/**
+ * ============================================================================
+ * getSheetPreview - Reads only the first rows of a worksheet
+ * ============================================================================
+ *
+ * Limits the range passed to XLSX so previewing a 200k-row sheet does not
+ * convert the whole sheet.
+ *
+ * @param {Object} worksheet - XLSX worksheet object
+ * @param {number} limit - Maximum number of rows to return
+ * @returns {Array<Array>} Rows of raw cell values
+ */
+export const getSheetPreview = (worksheet, limit) => {
+  const ref = worksheet?.['!ref'];
+  if (!ref) return [];
+
+  const range = XLSX.utils.decode_range(ref);
+  range.e.r = Math.min(range.e.r, range.s.r + limit - 1);
+  return XLSX.utils.sheet_to_json(worksheet, { header: 1, defval: '', blankrows: false, range });
+};
+
+/**
+ * ============================================================================
+ * transformRows - Maps raw sheet rows onto the SAP fields using a profile
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The pure transformation step of parseExcelFile, kept separate so it can be
+ * reused on any sheet once the raw rows are available.
+ *
+ * HOW IT WORKS:
+ * 1. Treats rows[headerRowIndex] as the header row (rows above it are ignored)
+ * 2. Resolves every SAP field to a source column through the mapping profile
+ * 3. Builds one SAP row per remaining spreadsheet row, falling back to the
+ *    field's default value when the cell is empty or the column is missing
+ * 4. Reports unmatched fields as warnings instead of silently leaving blanks
+ * 5. Counts defaulted and truncated values per field for dry-run summaries
+ * 6. Normalizes date fields to ISO 'YYYY-MM-DD' (see dateUtils); values that
+ *    cannot be read are kept as-is and the row is flagged with `_dateIssue`
+ * 7. Stores text fields as strings and amounts as exact decimal strings
+ *    (see amountUtils); unreadable amounts are kept as-is
+ * 8. Records every truncated, defaulted, converted or unreadable value and
+ *    every unused source column in `diagnostics` (see importDiagnostics.js)
+ * 9. Stores the spreadsheet row number on every row (`_source.row`) and
+ *    returns the source column of every SAP field as `fieldSources`
+ *    (see provenance.js)
+ *
+ * @param {Array<Array>} rows - Raw rows from getSheetRows()
+ * @param {Object} profile - Column mapping profile
+ * @param {Object} options - { headerRowIndex: number (default 0),
+ *                            rowNumbers: spreadsheet row number of each entry of rows
+ *                                        (from getSheetRowsWithNumbers, optional),
+ *                            amountSettings: { scale, rounding } for amounts (see amountUtils),
+ *                            onProgress: (done, total) => void, called every few thousand rows }
+ * @returns {{headers: Array, data: Array, warnings: Array<string>, summary: Object, diagnostics: Object,
+ *            fieldSources: Object}}
+ */
+export const transformRows = (
+  rows,
+  profile = DEFAULT_PROFILE,
+  { headerRowIndex = 0, rowNumbers, amountSettings = DEFAULT_AMOUNT_SETTINGS, onProgress } = {}
+) => {
+  const headerRow = rows[headerRowIndex] || [];
+  const bodyRows = rows.slice(headerRowIndex + 1);
+  const sourceHeaders = headerRow.map((cell) => String(cell ?? '').trim());
+  const { columns, missingFields } = resolveFieldColumns(sourceHeaders, profile);
+  const summary = { defaulted: {}, truncated: {}, dateIssues: {} };
+  const count = (bucket, key) => { summary[bucket][key] = (summary[bucket][key] || 0) + 1; };
+  const issues = [];
+  const readingOrder = profile.dateOrder === DATE_ORDERS.MONTH_FIRST ? 'month/day/year' : 'day/month/year';
+  let unreadableAmounts = 0;
+  const amountOptions = { ...amountSettings, decimalSeparator: profile.decimalSeparator || DECIMAL_SEPARATORS.POINT };
+
+  // Source columns no SAP field reads from, with fill counts for the report
+  const usedColumns = new Set(Object.values(columns));
+  const unusedColumns = new Map();
+
+  const data = bodyRows.map((cells, index) => {
+    if (onProgress && index % PROGRESS_INTERVAL === 0) onProgress(index, bodyRows.length);
+
+    const row = { id: nextRowId() }; // Unique ID for row management
+    const sourceRow = rowNumbers?.[headerRowIndex + 1 + index] ?? headerRowIndex + index + 2;
+    const record = (field, kind, original, value, note = '') =>
+      issues.push({ rowId: row.id, sourceRow, field, kind, original, value, note });
+
+    SAP_FIELDS.forEach(({ key, type, maxLength }) => {
+      const columnIndex = columns[key];
+      const cell = columnIndex === -1 ? '' : cells[columnIndex];
+      let value = cell;
+
+      if (cell === '' || cell == null) {
+        value = profile.fields[key]?.defaultValue ?? '';
+        if (columnIndex !== -1) count('defaulted', key);
+        if (value !== '') {
+          record(key, DIAGNOSTIC_KINDS.DEFAULTED, '', value,
+            columnIndex === -1 ? 'No source column' : 'Empty cell');
+        }
+      }
+
+      if (type === 'date' && value !== '') {
+        const parsed = parseDateValue(value, { order: profile.dateOrder });
+        if (parsed.value) {
+          const ambiguous = parsed.issue === DATE_ISSUES.AMBIGUOUS;
+          if (parsed.value !== value || ambiguous) {
+            record(key, DIAGNOSTIC_KINDS.COERCED, value, parsed.value,
+              ambiguous ? `Ambiguous, read as ${readingOrder}` : `Read as ${DATE_FORMAT_NOTES[parsed.format]}`);
+          }
+          value = parsed.value;
+        } else {
+          record(key, DIAGNOSTIC_KINDS.UNREADABLE, value, value, 'Not a recognised date, kept as-is');
+        }
+        if (parsed.issue) {
+          row._dateIssue = parsed.issue;
+          count('dateIssues', parsed.issue);
+        }
+      }
+
+      if (type === 'amount' && value !== '') {
+        const parsed = parseAmountValue(value, amountOptions);
+        if (parsed.value === null) {
+          record(key, DIAGNOSTIC_KINDS.UNREADABLE, value, value, 'Not a recognised amount, kept as-is');
+          unreadableAmounts += 1;
+        } else {
+          if (parsed.notes.length > 0) {
+            const note = parsed.notes.join(', ');
+            record(key, DIAGNOSTIC_KINDS.COERCED, value, parsed.value, note[0].toUpperCase() + note.slice(1));
+          }
+          value = parsed.value;
+        }
+      }
+
+      if (type === 'text' && value !== '' && typeof value !== 'string') {
+        const text = String(value);
+        record(key, DIAGNOSTIC_KINDS.COERCED, value, text, `${typeof value} stored as text`);
+        value = text;
+      }
+
+      if (maxLength && value !== '') {
+        const text = value.toString();
+        if (text.length > maxLength) {
+          count('truncated', key);
+          record(key, DIAGNOSTIC_KINDS.TRUNCATED, text, text.substring(0, maxLength),
+            `${text.length} characters, SAP allows ${maxLength}`);
+        }
+        value = text.substring(0, maxLength);
+      }
+      row[key] = value;
+    });
+
+    // Keep original data for reference, keyed by the source headers
+    row._source = { row: sourceRow };
+    row._originalData = {};
+    sourceHeaders.forEach((header, columnIndex) => {
+      if (header && cells[columnIndex] !== '') {
+        row._originalData[header] = cells[columnIndex];
+      }
+    });
+
+    cells.forEach((cell, columnIndex) => {
+      if (usedColumns.has(columnIndex) || cell === '' || cell == null) return;
+      const column = unusedColumns.get(columnIndex);
+      if (column) column.filledCount += 1;
+      else unusedColumns.set(columnIndex, { filledCount: 1, sample: cell });
+    });
+
+    return row;
+  });
+
+  onProgress?.(bodyRows.length, bodyRows.length);
+
+  const warnings = missingFields.map((key) => {
+    const aliases = profile.fields[key]?.headers || [];
+    const tried = aliases.length ? ` (looked for: ${aliases.join(', ')})` : '';
+    return `No source column matched ${key}${tried}`;
+  });
+
+  const { [DATE_ISSUES.INVALID]: invalidDates, [DATE_ISSUES.AMBIGUOUS]: ambiguousDates } = summary.dateIssues;
+  if (invalidDates) {
+    warnings.push(`${invalidDates} date value(s) could not be interpreted and were kept as-is`);
+  }
+  if (ambiguousDates) {
+    warnings.push(`${ambiguousDates} date value(s) were ambiguous and read as ${readingOrder}`);
+  }
+  if (unreadableAmounts) {
+    warnings.push(`${unreadableAmounts} amount value(s) could not be read as numbers and were kept as-is`);
+  }
+
+  // Headed columns are listed even when empty; unheaded ones only if they hold data
+  sourceHeaders.forEach((header, columnIndex) => {
+    if (header && !usedColumns.has(columnIndex) && !unusedColumns.has(columnIndex)) {
+      unusedColumns.set(columnIndex, { filledCount: 0, sample: '' });
+    }
+  });
+  const unmappedColumns = [...unusedColumns.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([columnIndex, { filledCount, sample }]) => ({
+      column: columnIndexToLetter(columnIndex),
+      header: sourceHeaders[columnIndex] || '',
+      filledCount,
+      sample,
+    }));
+
+  // Source column of every SAP field (null when the field had none)
+  const fieldSources = {};
+  SAP_FIELD_KEYS.forEach((key) => {
+    const columnIndex = columns[key];
+    fieldSources[key] = columnIndex === -1
+      ? null
+      : { column: columnIndexToLetter(columnIndex), header: sourceHeaders[columnIndex] || '' };
+  });
+
+  return {
+    headers: [...SAP_FIELD_KEYS],
+    data,
+    warnings,
+    summary,
+    diagnostics: { issues, unmappedColumns },
+    fieldSources,
+  };
+};
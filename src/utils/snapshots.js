@@ -0,0 +1,197 @@
+import {
+  SNAPSHOTS_STORE,
+  SNAPSHOT_CHUNKS_STORE,
+  openDatabase,
+  requestResult,
+  transactionDone,
+  toChunks,
+} from './sessionStore';
+import { trackChanges, changeLogRows, CHANGE_STATUS } from './changeTracking';
+import { reserveRowIds } from './rowIds';
+
+/**
+ * ============================================================================
+ * Snapshots - Named checkpoints of the dataset and their differences
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The autosave keeps only the latest state of a session. Snapshots are
+ * explicit checkpoints ("As received", "After bank cleanup", "Submitted")
+ * taken by the user, kept in IndexedDB next to the sessions until deleted.
+ * Any snapshot can be restored, and any two versions (snapshots or the
+ * current data) can be compared row by row.
+ *
+ * SNAPSHOT SHAPE (listSnapshots):
+ * {
+ *   id, name, note, createdAt, fileName,
+ *   sessionId,                   // autosaved session the rows were taken from
+ *   headers, sheetTabs, stats,   // layout and file details of the rows
+ *   rowCount,
+ * }
+ * loadSnapshot() adds `rows`, the rows exactly as they were (with their ids,
+ * which are reserved so new rows never reuse them, see rowIds.js).
+ *
+ * DIFF:
+ * Rows are matched by their id, so a row keeps its identity through edits
+ * and sorting. diffVersions() reuses change tracking (see changeTracking.js)
+ * with the older version as the baseline:
+ * - added: in the newer version only
+ * - removed: in the older version only
+ * - changed: in both, with old → new per differing field
+ */
+
+// Name suggestions offered when taking a snapshot
+export const SNAPSHOT_NAME_SUGGESTIONS = ['As received', 'After bank cleanup', 'Submitted'];
+
+// Wording of the diff (change tracking says Added / Modified / Deleted)
+export const DIFF_STATUS_LABELS = {
+  [CHANGE_STATUS.NEW]: 'Added',
+  [CHANGE_STATUS.MODIFIED]: 'Changed',
+  [CHANGE_STATUS.DELETED]: 'Removed',
+};
+
+/**
+ * Lists the snapshots, newest first.
+ *
+ * @returns {Promise<Array<Object>>} Snapshot records (no rows)
+ */
+export const listSnapshots = async () => {
+  const db = await openDatabase();
+  const snapshots = await requestResult(db.transaction(SNAPSHOTS_STORE).objectStore(SNAPSHOTS_STORE).getAll());
+  return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+};
+
+/**
+ * ============================================================================
+ * createSnapshot - Stores the current rows under a name
+ * ============================================================================
+ *
+ * @param {Object} snapshot - { name, note, fileName, sessionId, headers, sheetTabs, stats, rows }
+ * @returns {Promise<Object>} The stored record (see SNAPSHOT SHAPE)
+ * @throws {Error} When the name is empty or the database cannot be written
+ */
+export const createSnapshot = async ({
+  name,
+  note = '',
+  fileName = '',
+  sessionId = null,
+  headers,
+  sheetTabs = [],
+  stats = null,
+  rows,
+}) => {
+  if (!name.trim()) throw new Error('A snapshot needs a name');
+
+  const record = {
+    id: `snapshot-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    name: name.trim(),
+    note: note.trim(),
+    createdAt: new Date().toISOString(),
+    fileName,
+    sessionId,
+    headers,
+    sheetTabs,
+    stats,
+    rowCount: rows.length,
+  };
+
+  const db = await openDatabase();
+  const transaction = db.transaction([SNAPSHOTS_STORE, SNAPSHOT_CHUNKS_STORE], 'readwrite');
+  transaction.objectStore(SNAPSHOTS_STORE).put(record);
+  const chunkStore = transaction.objectStore(SNAPSHOT_CHUNKS_STORE);
+  toChunks(rows).forEach((chunk, index) => chunkStore.put({ snapshotId: record.id, index, rows: chunk }));
+  await transactionDone(transaction);
+  return record;
+};
+
+/**
+ * Key range of every chunk of a snapshot.
+ */
+const snapshotRange = (id) => IDBKeyRange.bound([id, 0], [id, Infinity]);
+
+/**
+ * Reads a snapshot with its rows.
+ *
+ * @param {string} id - Snapshot id
+ * @returns {Promise<Object>} Snapshot with `rows`
+ * @throws {Error} When the snapshot no longer exists
+ */
+export const loadSnapshot = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SNAPSHOTS_STORE, SNAPSHOT_CHUNKS_STORE]);
+  const [record, chunks] = await Promise.all([
+    requestResult(transaction.objectStore(SNAPSHOTS_STORE).get(id)),
+    requestResult(transaction.objectStore(SNAPSHOT_CHUNKS_STORE).getAll(snapshotRange(id))),
+  ]);
+  if (!record) throw new Error('This snapshot no longer exists');
+  const rows = chunks.flatMap((chunk) => chunk.rows);
+  reserveRowIds(rows);
+  return { ...record, rows };
+};
+
+/**
+ * Deletes a snapshot and its rows.
+ *
+ * @param {string} id - Snapshot id
+ * @returns {Promise<void>}
+ */
+export const deleteSnapshot = async (id) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([SNAPSHOTS_STORE, SNAPSHOT_CHUNKS_STORE], 'readwrite');
+  transaction.objectStore(SNAPSHOTS_STORE).delete(id);
+  transaction.objectStore(SNAPSHOT_CHUNKS_STORE).delete(snapshotRange(id));
+  await transactionDone(transaction);
+};
+
+/**
+ * Fields compared between two versions: those of the older one, then any
+ * the newer one added.
+ *
+ * @param {Array<string>} olderHeaders
+ * @param {Array<string>} newerHeaders
+ * @returns {Array<string>}
+ */
+export const diffFields = (olderHeaders, newerHeaders) => [
+  ...olderHeaders,
+  ...newerHeaders.filter((field) => !olderHeaders.includes(field)),
+];
+
+/**
+ * ============================================================================
+ * diffVersions - Added, removed and changed rows between two versions
+ * ============================================================================
+ *
+ * @param {Array} olderRows - Rows of the older version
+ * @param {Array} newerRows - Rows of the newer version
+ * @param {Array<string>} fields - Fields to compare
+ * @returns {{changes: Object, entries: Array<Object>, counts: Object}}
+ *   changes: trackChanges() result (older as baseline);
+ *   entries: [{ status, row, fields, position }] in the newer version's
+ *   order, removed rows last (row is the newer row, or the older one when removed);
+ *   counts: { new, modified, deleted }
+ */
+export const diffVersions = (olderRows, newerRows, fields) => {
+  const changes = trackChanges(olderRows, newerRows, fields);
+  const entries = [];
+  newerRows.forEach((row) => {
+    const change = changes.byId.get(row.id);
+    if (change) entries.push({ status: change.status, row, fields: change.fields, position: change.position });
+  });
+  changes.deleted.forEach(({ row, position }) =>
+    entries.push({ status: CHANGE_STATUS.DELETED, row, fields: {}, position }));
+  return { changes, entries, counts: changes.counts };
+};
+
+/**
+ * One line per differing value, for the diff export (see changeLogRows).
+ *
+ * @param {Object} diff - diffVersions() result
+ * @param {Array} newerRows - Rows of the newer version
+ * @param {Array<string>} fields - Compared fields
+ * @returns {Array<Object>} Lines ready for export
+ */
+export const diffExportRows = (diff, newerRows, fields) =>
+  changeLogRows(diff.changes, newerRows, fields, {
+    labels: DIFF_STATUS_LABELS,
+    positionHeader: 'Row in Older Version',
+  });
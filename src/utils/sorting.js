@@ -0,0 +1,155 @@
+import { getSapField } from './sapFields';
+import { isIsoDate } from './dateUtils';
+
+/**
+ * ============================================================================
+ * Sorting - Multi-column, type-aware, stable row sorting
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The table sorts by a list of keys (primary first). Each field compares by
+ * its type instead of guessing from the value:
+ * - amount: numerically ("1000" after "200")
+ * - date: chronologically on the stored ISO value; dates that could not be
+ *   read come after all valid dates
+ * - text/codes: natural order, so "BR2" < "BR10", case-insensitive
+ *
+ * Blank values (empty string, null, undefined) are placed first or last
+ * according to the nulls setting, whatever the sort direction. Rows that
+ * compare equal on every key keep their current (import) order.
+ */
+
+export const SORT_DIRECTIONS = {
+  ASC: 'asc',
+  DESC: 'desc',
+};
+
+export const NULLS_POSITIONS = {
+  FIRST: 'first',
+  LAST: 'last',
+};
+
+export const DEFAULT_NULLS_POSITION = NULLS_POSITIONS.LAST;
+
+const collator = new Intl.Collator(undefined, { numeric: true, sensitivity: 'base' });
+
+const isBlank = (value) => value == null || String(value).trim() === '';
+
+const toNumber = (value) => {
+  const number = Number(String(value).trim());
+  return Number.isFinite(number) ? number : null;
+};
+
+/**
+ * Builds the ascending comparator for one field's non-blank values.
+ *
+ * @param {string} field - Column name
+ * @returns {Function} (a, b) → negative, zero or positive
+ */
+const comparatorFor = (field) => {
+  const type = getSapField(field)?.type;
+
+  if (type === 'amount') {
+    return (a, b) => {
+      const numberA = toNumber(a);
+      const numberB = toNumber(b);
+      // Values that are not numbers go after the numbers, in text order
+      if (numberA === null || numberB === null) {
+        if (numberA !== numberB) return numberA === null ? 1 : -1;
+        return collator.compare(String(a), String(b));
+      }
+      return numberA - numberB;
+    };
+  }
+
+  if (type === 'date') {
+    return (a, b) => {
+      const validA = isIsoDate(a);
+      const validB = isIsoDate(b);
+      if (validA !== validB) return validA ? -1 : 1;
+      if (validA) return a < b ? -1 : a > b ? 1 : 0;
+      return collator.compare(String(a), String(b));
+    };
+  }
+
+  return (a, b) => collator.compare(String(a), String(b));
+};
+
+/**
+ * ============================================================================
+ * sortRows - Sorts rows by several keys
+ * ============================================================================
+ *
+ * EXAMPLE:
+ * sortRows(rows, [{ key: 'A_BANCD', direction: 'asc' }, { key: 'CHAN_AMT', direction: 'desc' }])
+ * → grouped by bank code in natural order, largest amount first within a bank
+ *
+ * @param {Array} rows - Rows to sort (not modified)
+ * @param {Array<{key: string, direction: 'asc'|'desc'}>} sortKeys - Keys in priority order
+ * @param {Object} [options]
+ * @param {'first'|'last'} [options.nulls] - Where blank values go
+ * @returns {Array} Sorted copy, or the same array when there are no keys
+ */
+export const sortRows = (rows, sortKeys, { nulls = DEFAULT_NULLS_POSITION } = {}) => {
+  if (sortKeys.length === 0) return rows;
+
+  const comparators = sortKeys.map(({ key, direction }) => ({
+    key,
+    compare: comparatorFor(key),
+    sign: direction === SORT_DIRECTIONS.DESC ? -1 : 1,
+  }));
+  const blankOrder = nulls === NULLS_POSITIONS.FIRST ? -1 : 1;
+
+  // Decorate with the original position so ties never depend on the engine
+  return rows
+    .map((row, index) => ({ row, index }))
+    .sort((a, b) => {
+      for (const { key, compare, sign } of comparators) {
+        const valueA = a.row[key];
+        const valueB = b.row[key];
+        const blankA = isBlank(valueA);
+        const blankB = isBlank(valueB);
+
+        if (blankA || blankB) {
+          if (blankA !== blankB) return blankA ? blankOrder : -blankOrder;
+          continue;
+        }
+
+        const result = compare(valueA, valueB);
+        if (result !== 0) return result * sign;
+      }
+      return a.index - b.index;
+    })
+    .map(({ row }) => row);
+};
+
+/**
+ * ============================================================================
+ * nextSortKeys - Sort keys after a header click
+ * ============================================================================
+ *
+ * BEHAVIOR:
+ * - Click: sort by this column only; clicking the only sort column again
+ *   flips its direction
+ * - Shift-click: add the column as the next key; on a column that is
+ *   already a key, ascending → descending → removed
+ *
+ * @param {Array<{key: string, direction: string}>} sortKeys - Current keys
+ * @param {string} field - Clicked column
+ * @param {boolean} additive - Whether Shift was held
+ * @returns {Array<{key: string, direction: string}>} New keys
+ */
+export const nextSortKeys = (sortKeys, field, additive) => {
+  const existing = sortKeys.find((sortKey) => sortKey.key === field);
+
+  if (!additive) {
+    const flip = sortKeys.length === 1 && existing?.direction === SORT_DIRECTIONS.ASC;
+    return [{ key: field, direction: flip ? SORT_DIRECTIONS.DESC : SORT_DIRECTIONS.ASC }];
+  }
+
+  if (!existing) return [...sortKeys, { key: field, direction: SORT_DIRECTIONS.ASC }];
+  if (existing.direction === SORT_DIRECTIONS.ASC) {
+    return sortKeys.map((sortKey) => (sortKey.key === field ? { ...sortKey, direction: SORT_DIRECTIONS.DESC } : sortKey));
+  }
+  return sortKeys.filter((sortKey) => sortKey.key !== field);
+};
@@ -0,0 +1,177 @@
+import { SAP_FIELDS, getSapField } from './sapFields';
+import { isIsoDate } from './dateUtils';
+import { MASTER_FIELDS, masterDataError } from './masterData';
+
+/**
+ * ============================================================================
+ * Validation - Checks rows against the SAP field schema
+ * ============================================================================
+ *
+ * PURPOSE:
+ * The rules live declaratively on SAP_FIELDS (required, maxLength, pattern,
+ * min/max, plus the field type). This module applies them to single values,
+ * rows and whole datasets so the table, the edit modal, the import wizard
+ * and the export buttons all agree on what "invalid" means.
+ *
+ * When bank master data is loaded (see masterData.js), bank, branch and
+ * account codes that pass the schema rules are also checked against it.
+ *
+ * PERFORMANCE:
+ * Edits replace row objects and leave untouched rows as they are, so results
+ * are cached per row object (WeakMap). Re-validating 200k rows after an edit
+ * only checks the rows that actually changed.
+ */
+
+// Row object → errors object (or null when valid)
+const rowCache = new WeakMap();
+
+// Master data → (row object → errors object or null); a new master file starts a new cache
+const masterCache = new WeakMap();
+
+const isEmpty = (value) => value === '' || value == null || String(value).trim() === '';
+
+/**
+ * ============================================================================
+ * validateField - Checks one value against its field's rules
+ * ============================================================================
+ *
+ * Rules are checked in order (required, type, length, pattern, range) and
+ * the first failure is reported.
+ *
+ * EXAMPLE:
+ * validateField('CHALLAN_NO', 'CHK-0000000012') → 'At most 11 characters (has 14)'
+ *
+ * @param {string} key - SAP field key
+ * @param {*} value - Value to check
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+export const validateField = (key, value) => {
+  const field = getSapField(key);
+  if (!field) return null;
+
+  if (isEmpty(value)) return field.required ? 'Required' : null;
+
+  if (field.type === 'date' && !isIsoDate(value)) return 'Not a valid date';
+
+  if (field.type === 'amount') {
+    // Plain decimals only: grouped or currency text is normalized on import and edit
+    const text = String(value).trim();
+    if (!/^-?\d+(?:\.\d+)?$/.test(text)) return 'Not a number';
+    const number = Number(text);
+    if (field.min !== undefined && number < field.min) return `Must be at least ${field.min}`;
+    if (field.max !== undefined && number > field.max) return `Must be at most ${field.max}`;
+    return null;
+  }
+
+  const text = String(value);
+  if (field.maxLength && text.length > field.maxLength) {
+    return `At most ${field.maxLength} characters (has ${text.length})`;
+  }
+  if (field.pattern && !field.pattern.test(text)) return field.patternMessage || 'Invalid format';
+
+  return null;
+};
+
+/**
+ * Checks one field of a row: the schema rules first, then the master data.
+ *
+ * @param {string} key - SAP field key
+ * @param {Object} row - Row holding the value (the branch check needs its bank)
+ * @param {Object|null} master - Master data, or null
+ * @returns {string|null} Error message, or null when the value is valid
+ */
+export const validateRowField = (key, row, master = null) =>
+  validateField(key, row[key]) || masterDataError(master, key, row);
+
+/**
+ * Checks the SAP field rules of a row.
+ *
+ * @param {Object} row - Data row
+ * @returns {Object<string, string>|null} Error message per invalid field, or null when valid
+ */
+const validateSchema = (row) => {
+  if (rowCache.has(row)) return rowCache.get(row);
+
+  let errors = null;
+  SAP_FIELDS.forEach(({ key }) => {
+    const message = validateField(key, row[key]);
+    if (message) {
+      errors = errors || {};
+      errors[key] = message;
+    }
+  });
+
+  rowCache.set(row, errors);
+  return errors;
+};
+
+/**
+ * Checks every SAP field of a row, and its codes against the master data.
+ *
+ * @param {Object} row - Data row
+ * @param {Object|null} master - Master data, or null
+ * @returns {Object<string, string>|null} Error message per invalid field, or null when valid
+ */
+export const validateRow = (row, master = null) => {
+  const schemaErrors = validateSchema(row);
+  if (!master) return schemaErrors;
+
+  let cache = masterCache.get(master);
+  if (!cache) {
+    cache = new WeakMap();
+    masterCache.set(master, cache);
+  }
+  if (cache.has(row)) return cache.get(row);
+
+  let errors = schemaErrors;
+  MASTER_FIELDS.forEach((key) => {
+    if (schemaErrors?.[key]) return;
+    const message = masterDataError(master, key, row);
+    if (message) errors = { ...errors, [key]: message };
+  });
+
+  cache.set(row, errors);
+  return errors;
+};
+
+/**
+ * ============================================================================
+ * validateDataset - Validates every row and summarizes the result
+ * ============================================================================
+ *
+ * @param {Array} data - Full dataset
+ * @param {Object|null} master - Master data to check codes against, or null
+ * @returns {{errorsByRowId: Map<number, Object>, invalidRowCount: number,
+ *            errorCount: number, byField: Object<string, number>}}
+ */
+export const validateDataset = (data, master = null) => {
+  const errorsByRowId = new Map();
+  const byField = {};
+  let errorCount = 0;
+
+  data.forEach((row) => {
+    const errors = validateRow(row, master);
+    if (!errors) return;
+    errorsByRowId.set(row.id, errors);
+    Object.keys(errors).forEach((key) => {
+      byField[key] = (byField[key] || 0) + 1;
+      errorCount += 1;
+    });
+  });
+
+  return { errorsByRowId, invalidRowCount: errorsByRowId.size, errorCount, byField };
+};
+
+/**
+ * Asks before exporting data that still has validation errors.
+ *
+ * @param {Object} validation - Result of validateDataset
+ * @returns {boolean} true when the export may go ahead
+ */
+export const confirmExportWithErrors = (validation) => {
+  if (validation.errorCount === 0) return true;
+  return window.confirm(
+    `${validation.invalidRowCount.toLocaleString()} row(s) still have ${validation.errorCount.toLocaleString()} ` +
+    'validation error(s). SAP may reject them.\n\nExport anyway?'
+  );
+};
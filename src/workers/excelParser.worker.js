@@ -0,0 +1,97 @@
+import * as XLSX from 'xlsx';
+import { listSheets, getSheetPreview, getSheetRowsWithNumbers, transformRows } from '../utils/sheetTransform';
+
+/**
+ * ============================================================================
+ * excelParser.worker - Off-main-thread workbook parsing
+ * ============================================================================
+ *
+ * PURPOSE:
+ * Reading a 40 MB workbook and transforming 200k rows blocks for seconds.
+ * Doing it here keeps the UI responsive; the main thread talks to this
+ * worker through src/utils/parserClient.js.
+ *
+ * PROTOCOL:
+ * Requests:  { id, type: 'open' | 'preview' | 'transform', payload }
+ * Responses: { id, type: 'progress', progress }   (zero or more)
+ *            { id, type: 'done', result }         (exactly one, or 'error')
+ *            { id, type: 'error', message }
+ *
+ * The workbook read by 'open' stays in memory so the wizard can preview and
+ * transform sheets without re-reading the file. Cancelling a job is done by
+ * terminating the worker, which also frees the workbook.
+ */
+
+let workbook = null;
+
+// Minimum bytes between two 'read' progress messages
+const READ_PROGRESS_STEP = 512 * 1024;
+
+/**
+ * Reads the file through its stream so byte progress can be reported.
+ *
+ * @param {File} file - Uploaded file
+ * @param {Function} report - Progress callback
+ * @returns {Promise<Uint8Array>} File contents
+ */
+const readFileWithProgress = async (file, report) => {
+  const reader = file.stream().getReader();
+  const buffer = new Uint8Array(file.size);
+  let loaded = 0;
+  let lastReported = 0;
+
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    buffer.set(value, loaded);
+    loaded += value.length;
+
+    if (loaded - lastReported >= READ_PROGRESS_STEP) {
+      lastReported = loaded;
+      report({ phase: 'read', loaded, total: file.size });
+    }
+  }
+
+  report({ phase: 'read', loaded, total: file.size });
+  return buffer;
+};
+
+const handlers = {
+  // Reads and parses the workbook, returns the sheet list
+  open: async ({ file }, report) => {
+    const buffer = await readFileWithProgress(file, report);
+    report({ phase: 'parse' });
+    // raw: CSV text is kept as typed, otherwise XLSX reads 03/04/2025 as
+    // month-first on its own and the date layer (dateUtils) never sees it
+    workbook = XLSX.read(buffer, { type: 'array', raw: true });
+    return { sheets: listSheets(workbook) };
+  },
+
+  // Returns the first `limit` raw rows of a sheet
+  preview: async ({ sheetName, limit }) => getSheetPreview(workbook.Sheets[sheetName], limit),
+
+  // Converts a whole sheet into SAP rows
+  transform: async ({ sheetName, profile, headerRowIndex, amountSettings }, report) => {
+    report({ phase: 'rows' });
+    const { rows, rowNumbers } = getSheetRowsWithNumbers(workbook.Sheets[sheetName]);
+    return transformRows(rows, profile, {
+      headerRowIndex,
+      rowNumbers,
+      amountSettings,
+      onProgress: (done, total) => report({ phase: 'transform', done, total }),
+    });
+  },
+};
+
+self.onmessage = async (event) => {
+  const { id, type, payload } = event.data;
+  const report = (progress) => self.postMessage({ id, type: 'progress', progress });
+
+  try {
+    if (type !== 'open' && !workbook) throw new Error('No workbook loaded');
+    const result = await handlers[type](payload, report);
+    self.postMessage({ id, type: 'done', result });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};